@@ -151,7 +151,7 @@ class MapGeneratorStepper {
         amplitude: 1.0,
         gradientFalloff: 'circular',
         falloffCurve: 'linear',
-        seaLevel: 0.3
+        landFraction: 0.4
       });
       
       // Restore console.log
@@ -163,6 +163,7 @@ class MapGeneratorStepper {
       // Store results
       this.mapData.hexGrid = result.hexGrid;
       this.mapData.heightmap = result.heightMap;
+      this.mapData.seaLevel = result.seaLevel;
       
       this.log(`✓ ${step.name} completed successfully`);
       this.showPreview();
@@ -251,7 +252,7 @@ class MapGeneratorStepper {
     // Render each hex using offset coordinates
     hexGrid.forEach(hex => {
       const elevation = elevationMap.get(`${hex.col},${hex.row}`);
-      const color = this.getElevationColor(elevation);
+      const color = this.getElevationColor(elevation, this.mapData.seaLevel);
       
       // Use offset coordinates for pixel conversion
       const pixel = hexToPixelFlatOffset({ col: hex.col, row: hex.row }, hexSize);
@@ -283,19 +284,20 @@ class MapGeneratorStepper {
     return svg;
   }
 
-  getElevationColor(elevation) {
+  getElevationColor(elevation, seaLevel = 0.3) {
     // Color gradient from deep blue (water) to green (land) to white (mountains)
-    if (elevation < 0.3) {
+    const mountainLevel = seaLevel + (1 - seaLevel) * 3 / 7;
+    if (elevation < seaLevel) {
       // Water - blue gradient
-      const intensity = Math.floor(100 + (elevation / 0.3) * 155);
+      const intensity = Math.floor(100 + (elevation / seaLevel) * 155);
       return `rgb(0, 0, ${intensity})`;
-    } else if (elevation < 0.6) {
+    } else if (elevation < mountainLevel) {
       // Land - green gradient
-      const intensity = Math.floor(100 + ((elevation - 0.3) / 0.3) * 155);
+      const intensity = Math.floor(100 + ((elevation - seaLevel) / (mountainLevel - seaLevel)) * 155);
       return `rgb(0, ${intensity}, 0)`;
     } else {
       // Mountains - white/gray gradient
-      const intensity = Math.floor(100 + ((elevation - 0.6) / 0.4) * 155);
+      const intensity = Math.floor(100 + ((elevation - mountainLevel) / (1 - mountainLevel)) * 155);
       return `rgb(${intensity}, ${intensity}, ${intensity})`;
     }
   }
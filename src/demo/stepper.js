@@ -6,7 +6,7 @@
  */
 
 import generateHeightmap from '../steps/01_generateHeightmap-browser.js';
-import { hexToPixelFlatOffset, getFlatHexPoints, getGridBoundsFlat } from '../utils/hexToPixel.js';
+import { hexToPixelOffset, getHexPoints, getGridBounds } from '../utils/hexToPixel.js';
 import { maskCoastline } from '../steps/02_maskCoastline-browser.js';
 import simulateRivers from '../steps/03_simulateRivers.js';
 import placeBiomes from '../steps/04_placeBiomes.js';
@@ -218,6 +218,11 @@ class MapGeneratorStepper {
         const heightmapResult = await generateHeightmap('fantasy-world-seed', {
           gridWidth: 32,
           gridHeight: 32,
+          // true joins the east and west edges (gradientFalloff should then be 'none')
+          wrapX: false,
+          // 'pointy' draws pointy-topped hexes in rows; 'odd' shifts the other columns (rows)
+          orientation: 'flat',
+          parity: 'even',
           octaves: 6,
           persistence: 0.5,
           lacunarity: 2.0,
@@ -225,10 +230,15 @@ class MapGeneratorStepper {
           amplitude: 1.0,
           gradientFalloff: 'circular',
           falloffCurve: 'linear',
-          seaLevel: 0.3
+          landFraction: 0.4
         });
+        // Every later step reads its inputs from the world and adds its layers to it
+        this.mapData.world = heightmapResult.world;
         this.mapData.hexGrid = heightmapResult.hexGrid;
+        this.mapData.topology = heightmapResult.topology;
         this.mapData.heightmap = heightmapResult.heightMap;
+        // Solved for landFraction; every later step uses this value
+        this.mapData.seaLevel = heightmapResult.seaLevel;
         // Azgaar-style heightmap for comparison
         this.mapData.azgaar = await generateHeightmapAzgaar('fantasy-world-seed', {
           gridWidth: 32,
@@ -238,7 +248,7 @@ class MapGeneratorStepper {
           lacunarity: 2.0,
           frequency: 1.0,
           amplitude: 1.0,
-          seaLevel: 0.3
+          landFraction: 0.4
         });
         // Debug hook: expose heightmap
         if (typeof window !== 'undefined') {
@@ -248,21 +258,23 @@ class MapGeneratorStepper {
         break;
         
       case 1: // Mask Coastline
-        const seaLevel = 0.3;
-        const coastlineResult = maskCoastline({
-          hexGrid: this.mapData.hexGrid,
-          heightMap: this.mapData.heightmap
-        }, {
-          seaLevel,
+        const seaLevel = this.mapData.seaLevel;
+        const coastlineResult = maskCoastline(this.mapData.world, {
           hexSize: 15, // Match the hexSize used in renderHexGrid
           smoothingIterations: 2,
-          simplifyTolerance: 0.1
+          simplifyTolerance: 0.1,
+          bathymetry: true, // shaded seas
+          contours: true
         });
         this.mapData.landMask = coastlineResult.landMask;
         this.mapData.coastlinePath = coastlineResult.coastlinePath;
         this.mapData.cornerMask = coastlineResult.cornerMask; // Store cornerMask
         this.mapData.ringsPixel = coastlineResult.ringsPixel;
-        this.mapData.seaLevel = seaLevel;
+        this.mapData.landPath = coastlineResult.landPath;
+        this.mapData.distanceToCoast = coastlineResult.distanceToCoast;
+        this.mapData.depthBand = coastlineResult.depthBand;
+        this.mapData.isobaths = coastlineResult.isobaths;
+        this.mapData.contours = coastlineResult.contours;
         // Debug hook: expose land mask
         if (typeof window !== 'undefined') {
           window.__coastlineMask = this.mapData.landMask;
@@ -272,7 +284,6 @@ class MapGeneratorStepper {
           // Alignment check (if both present and same length)
           const hm = this.mapData.heightmap;
           const mask = this.mapData.landMask;
-          const seaLevel = 0.3; // Must match the value passed to maskCoastline
           if (hm && mask && hm.length === mask.length) {
             let mismatches = 0;
             for (let i = 0; i < hm.length; i++) {
@@ -295,41 +306,41 @@ class MapGeneratorStepper {
         break;
         
       case 2: // Simulate Rivers
-        const riverResult = simulateRivers(this.mapData.heightmap);
+        const riverResult = simulateRivers(this.mapData.world, {
+          minRiverLength: 4,
+          flowThreshold: 0.05,
+          hexSize: 15
+        });
         this.mapData.riverMap = riverResult.riverMap;
         this.mapData.rivers = riverResult.rivers;
+        this.mapData.discharge = riverResult.discharge;
+        this.mapData.lakes = riverResult.lakes;
+        this.mapData.lakeIds = riverResult.lakeIds;
+        this.mapData.distanceToFreshWater = riverResult.distanceToFreshWater;
         break;
         
       case 3: // Place Biomes
-        const biomeResult = placeBiomes(this.mapData.heightmap, this.mapData.riverMap);
+        const biomeResult = placeBiomes(this.mapData.world);
         this.mapData.biomeMap = biomeResult.biomeMap;
         this.mapData.biomes = biomeResult.biomes;
         break;
         
       case 4: // Place Settlements
-        this.mapData.settlements = placeSettlements(
-          this.mapData.heightmap, 
-          this.mapData.biomeMap, 
-          this.mapData.riverMap
-        );
+        this.mapData.settlements = placeSettlements(this.mapData.world);
         break;
         
       case 5: // Generate Roads
-        const roadResult = generateRoads(this.mapData.heightmap, this.mapData.settlements);
+        const roadResult = generateRoads(this.mapData.world);
         this.mapData.roadMap = roadResult.roadMap;
         this.mapData.roads = roadResult.roads;
         break;
         
       case 6: // Generate Labels
-        this.mapData.labels = generateLabels(
-          this.mapData.settlements, 
-          this.mapData.rivers, 
-          this.mapData.biomes
-        );
+        this.mapData.labels = generateLabels(this.mapData.world);
         break;
         
       case 7: // Render Map
-        this.mapData.renderedMap = renderMap(this.mapData);
+        this.mapData.renderedMap = renderMap(this.mapData.world);
         break;
     }
   }
@@ -425,9 +436,11 @@ class MapGeneratorStepper {
     const hexSize = 15; // Size for visualization
     const gridWidth = maxCol - minCol + 1;
     const gridHeight = maxRow - minRow + 1;
+    // Orientation and parity of the grid being drawn
+    const layout = data.topology ?? {};
     
     // Calculate bounds in pixel space using offset coordinates
-    const { minX, maxX, minY, maxY } = getGridBoundsFlat(gridWidth, gridHeight, hexSize);
+    const { minX, maxX, minY, maxY } = getGridBounds(gridWidth, gridHeight, hexSize, layout);
     const width = maxX - minX + hexSize * 2;
     const height = maxY - minY + hexSize * 2;
     
@@ -442,24 +455,18 @@ class MapGeneratorStepper {
       let color;
       if (landMask) {
         const isLand = landMask[index] === 1;
-        color = isLand ? "#000" : "#fff";
+        // Seas shaded by depth band once bathymetry is known
+        color = isLand ? "#000" : data.depthBand ? this.getDepthColor(data.depthBand[index], data.isobaths.length) : "#fff";
       } else {
         const elevation = heightMap[index];
-        color = this.getElevationColor(elevation);
+        color = this.getElevationColor(elevation, data.seaLevel);
       }
       // Use offset coordinates for pixel conversion
-      const pixel = hexToPixelFlatOffset({ col: hex.col, row: hex.row }, hexSize);
+      const pixel = hexToPixelOffset({ col: hex.col, row: hex.row }, hexSize, layout);
       const x = pixel.x - minX + hexSize;
       const y = pixel.y - minY + hexSize;
-      // Create hexagon path for flat-topped orientation
-      const points = [];
-      for (let i = 0; i < 6; i++) {
-        // start at angle = 0° (flat side at top), then every 60°
-        const angle = (Math.PI / 180) * (60 * i);
-        const px = x + hexSize * Math.cos(angle);
-        const py = y + hexSize * Math.sin(angle);
-        points.push(`${px},${py}`);
-      }
+      // Create hexagon path: flat-topped corners start at 0°, pointy-topped at 30°
+      const points = getHexPoints({ x, y }, hexSize, layout.orientation).map(p => `${p.x},${p.y}`);
       svg += `
         <polygon 
           points="${points.join(' ')}" 
@@ -475,23 +482,30 @@ class MapGeneratorStepper {
     return svg;
   }
 
-  getElevationColor(elevation) {
+  getElevationColor(elevation, seaLevel = 0.3) {
     // Color gradient from deep blue (water) to green (land) to white (mountains)
-    if (elevation < 0.3) {
+    const mountainLevel = seaLevel + (1 - seaLevel) * 3 / 7;
+    if (elevation < seaLevel) {
       // Water - blue gradient
-      const intensity = Math.floor(100 + (elevation / 0.3) * 155);
+      const intensity = Math.floor(100 + (elevation / seaLevel) * 155);
       return `rgb(0, 0, ${intensity})`;
-    } else if (elevation < 0.6) {
+    } else if (elevation < mountainLevel) {
       // Land - green gradient
-      const intensity = Math.floor(100 + ((elevation - 0.3) / 0.3) * 155);
+      const intensity = Math.floor(100 + ((elevation - seaLevel) / (mountainLevel - seaLevel)) * 155);
       return `rgb(0, ${intensity}, 0)`;
     } else {
       // Mountains - white/gray gradient
-      const intensity = Math.floor(100 + ((elevation - 0.6) / 0.4) * 155);
+      const intensity = Math.floor(100 + ((elevation - mountainLevel) / (1 - mountainLevel)) * 155);
       return `rgb(${intensity}, ${intensity}, ${intensity})`;
     }
   }
 
+  getDepthColor(band, isobathCount) {
+    // Pale blue over the shallowest band to deep navy past the last isobath
+    const t = (band - 1) / Math.max(isobathCount, 1);
+    return `rgb(${Math.floor(190 * (1 - t))}, ${Math.floor(40 + 190 * (1 - t))}, ${Math.floor(255 - 135 * t)})`;
+  }
+
   renderCoastline() {
     if (!this.mapData.coastlinePaths && !this.mapData.ringsPixel) return '';
     
@@ -510,25 +524,28 @@ class MapGeneratorStepper {
     const hexSize = 15;
     const gridWidth = maxCol - minCol + 1;
     const gridHeight = maxRow - minRow + 1;
+    const layout = this.mapData.topology ?? {};
     
-    const { minX, maxX, minY, maxY } = getGridBoundsFlat(gridWidth, gridHeight, hexSize);
+    const { minX, maxX, minY, maxY } = getGridBounds(gridWidth, gridHeight, hexSize, layout);
     const width = maxX - minX + hexSize * 2;
     const height = maxY - minY + hexSize * 2;
     
-    // Render all coastline rings with correct fill/stroke
+    // Fill land from all rings at once: the even-odd rule cuts lakes out of
+    // land and puts islands back in them; then outline each ring
     let ringsSvg = '';
     if (this.mapData.ringsPixel) {
-      this.mapData.ringsPixel.forEach((pts, i) => {
-        const isLand = pts.clockwise;
-        const fill = isLand ? 'limegreen' : 'dodgerblue';
-        const stroke = isLand ? '#222' : 'none';
-        const strokeWidth = isLand ? 1 : 0;
-        const path = pts.map((p, j) => {
-          const x = p.x - minX + hexSize;
-          const y = p.y - minY + hexSize;
-          return `${j === 0 ? 'M' : 'L'}${x},${y}`;
-        }).join(' ') + ' Z';
-        ringsSvg += `<path d="${path}" fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}" opacity="0.7" />`;
+      const offset = `translate(${hexSize - minX},${hexSize - minY})`;
+      if (this.mapData.landPath) {
+        ringsSvg += `<path d="${this.mapData.landPath}" transform="${offset}" fill="limegreen" fill-rule="evenodd" stroke="none" opacity="0.7" />`;
+      }
+      this.mapData.ringsPixel.forEach(pts => {
+        const stroke = pts.land ? '#222' : 'dodgerblue';
+        const path = pts.map((p, j) => `${j === 0 ? 'M' : 'L'}${p.x},${p.y}`).join(' ') + (pts.wraps ? '' : ' Z');
+        ringsSvg += `<path d="${path}" transform="${offset}" fill="none" stroke="${stroke}" stroke-width="1" />`;
+      });
+      // Contour lines share the rings' pixel space; index contours are drawn heavier
+      (this.mapData.contours ?? []).forEach(({ path, index }) => {
+        ringsSvg += `<path d="${path}" transform="${offset}" fill="none" stroke="saddlebrown" stroke-width="${index ? 1.2 : 0.5}" opacity="0.8" />`;
       });
     } else if (this.mapData.coastlinePath) {
       // fallback: single path
@@ -544,6 +561,14 @@ class MapGeneratorStepper {
       const transformedPath = transformPath(this.mapData.coastlinePath);
       ringsSvg += `<path d="${transformedPath}" stroke="#000" stroke-width="2" fill="none" />`;
     }
+
+    // A map that wraps east-west draws its rings again one map width to either
+    // side, so shapes crossing the seam show on both edges (the SVG clips the rest)
+    const wrapWidth = this.mapData.topology?.wrapWidth;
+    if (wrapWidth) {
+      const shift = wrapWidth * hexSize;
+      ringsSvg = [-shift, 0, shift].map(dx => `<g transform="translate(${dx},0)">${ringsSvg}</g>`).join('');
+    }
     
     // Overlay color-coded cornerMask points
     let cornerPoints = '';
@@ -575,7 +600,7 @@ class MapGeneratorStepper {
     const hexGrid = this.mapData.hexGrid;
     const heightMap = this.mapData.heightmap;
     const landMask = this.mapData.landMask;
-    const seaLevel = this.mapData.seaLevel ?? 0.3;
+    const seaLevel = this.mapData.seaLevel;
     
     // Find grid bounds
     let minCol = Infinity, maxCol = -Infinity;
@@ -591,8 +616,9 @@ class MapGeneratorStepper {
     const hexSize = 15;
     const gridWidth = maxCol - minCol + 1;
     const gridHeight = maxRow - minRow + 1;
+    const layout = this.mapData.topology ?? {};
     
-    const { minX, maxX, minY, maxY } = getGridBoundsFlat(gridWidth, gridHeight, hexSize);
+    const { minX, maxX, minY, maxY } = getGridBounds(gridWidth, gridHeight, hexSize, layout);
     const width = maxX - minX + hexSize * 2;
     const height = maxY - minY + hexSize * 2;
     
@@ -608,18 +634,12 @@ class MapGeneratorStepper {
       const color = isLand ? "#000" : "#fff";
       
       // Use offset coordinates for pixel conversion
-      const pixel = hexToPixelFlatOffset({ col: hex.col, row: hex.row }, hexSize);
+      const pixel = hexToPixelOffset({ col: hex.col, row: hex.row }, hexSize, layout);
       const x = pixel.x - minX + hexSize;
       const y = pixel.y - minY + hexSize;
       
-      // Create hexagon path for flat-topped orientation
-      const points = [];
-      for (let i = 0; i < 6; i++) {
-        const angle = (Math.PI / 180) * (60 * i);
-        const px = x + hexSize * Math.cos(angle);
-        const py = y + hexSize * Math.sin(angle);
-        points.push(`${px},${py}`);
-      }
+      // Create hexagon path: flat-topped corners start at 0°, pointy-topped at 30°
+      const points = getHexPoints({ x, y }, hexSize, layout.orientation).map(p => `${p.x},${p.y}`);
       
       svg += `
         <polygon 
@@ -0,0 +1,115 @@
+/**
+ * Grid abstraction over the hex, Voronoi and sphere grids.
+ *
+ * All grids are HexTopology-shaped objects (see hexTopology.js): cells in a
+ * fixed order with `maxNeighbors` neighbour, edge and corner slots each,
+ * centres and corners for hex size 1. Steps read those tables instead of hex
+ * coordinates, so they run unchanged on any grid. The helpers below are
+ * the per-cell counterparts of getNeighbors, hexToPixelFlatOffset and
+ * getFlatHexPoints. A sphere's centres and corners are its equirectangular
+ * map, which wraps around at `wrapWidth` (see projection.js for others).
+ */
+
+import { createHexTopology } from './hexTopology.js';
+import { createVoronoiGrid } from './voronoiGrid.js';
+import { createSphereGrid } from './sphereGrid.js';
+
+/** Selectable values for the `grid` option. */
+export const GRID_TYPES = ['hex', 'voronoi', 'sphere'];
+
+/**
+ * @typedef {import('./hexTopology.js').HexTopology & {
+ *   wrapWidth?: number // x period of centres and corners on grids that wrap around
+ * }} CellGrid
+ */
+
+/**
+ * Build a grid of about W×H cells.
+ *
+ * @param {number} width - Grid width (columns)
+ * @param {number} height - Grid height (rows)
+ * @param {{
+ *   grid?: 'hex'|'voronoi'|'sphere',
+ *   wrapX?: boolean,               // hex: wrap east-west (even width on flat grids)
+ *   orientation?: 'flat'|'pointy', // hex: see HexLayout in hexGrid.js
+ *   parity?: 'even'|'odd',         // hex: see HexLayout in hexGrid.js
+ *   points?: 'jittered'|'poisson', // voronoi: cell centres
+ *   jitter?: number,               // voronoi: jittered point spread (0..1)
+ *   rng?: () => number             // voronoi: seeded random generator in [0, 1)
+ * }} [options]
+ * @returns {CellGrid}
+ */
+export function createCellGrid(
+  width, height, { grid = 'hex', wrapX = false, orientation = 'flat', parity = 'even', points, jitter, rng } = {}
+) {
+  if (grid === 'hex') return createHexTopology(width, height, { wrapX, orientation, parity });
+  if (GRID_TYPES.includes(grid)) {
+    if (wrapX) throw new Error(`wrapX needs a hex grid, got "${grid}"`);
+    if (orientation !== 'flat' || parity !== 'even') throw new Error(`orientation and parity need a hex grid, got "${grid}"`);
+  }
+  if (grid === 'voronoi') {
+    if (!rng) throw new Error('A voronoi grid needs an rng');
+    return createVoronoiGrid(width, height, { points, jitter, rng });
+  }
+  if (grid === 'sphere') return createSphereGrid(width, height);
+  throw new Error(`Unknown grid "${grid}" (expected one of ${GRID_TYPES.join(', ')})`);
+}
+
+/**
+ * Cells that share a side with cell i.
+ * @param {CellGrid} grid
+ * @param {number} i
+ * @returns {number[]}
+ */
+export function cellNeighbors(grid, i) {
+  const { neighbors, maxNeighbors: M } = grid;
+  const result = [];
+  for (let k = 0; k < M; k++) {
+    const n = neighbors[i * M + k];
+    if (n >= 0) result.push(n);
+  }
+  return result;
+}
+
+/**
+ * Pixel position of the centre of cell i.
+ * @param {CellGrid} grid
+ * @param {number} i
+ * @param {number} [size=1] - Hex size
+ * @returns {{x:number, y:number}}
+ */
+export function cellCenter(grid, i, size = 1) {
+  return { x: grid.centers[i * 2] * size, y: grid.centers[i * 2 + 1] * size };
+}
+
+/**
+ * Pixel corners of cell i, clockwise on screen. On wrapping grids the
+ * corners stay next to the centre, even past the map edge.
+ * @param {CellGrid} grid
+ * @param {number} i
+ * @param {number} [size=1] - Hex size
+ * @returns {Array<{x:number, y:number}>}
+ */
+export function cellPolygon(grid, i, size = 1) {
+  const { cellVertices, vertexPositions, centers, wrapWidth, maxNeighbors: M } = grid;
+  const points = [];
+  for (let k = 0; k < M; k++) {
+    const v = cellVertices[i * M + k];
+    if (v < 0) break;
+    let x = vertexPositions[v * 2];
+    if (wrapWidth) x += Math.round((centers[i * 2] - x) / wrapWidth) * wrapWidth;
+    points.push({ x: x * size, y: vertexPositions[v * 2 + 1] * size });
+  }
+  return points;
+}
+
+/**
+ * Cell coordinates for distance fields (distanceField.js): none on hex grids,
+ * which have an exact lattice transform, 3D points on a sphere, else centres.
+ * @param {CellGrid} grid
+ * @returns {Float64Array|undefined}
+ */
+export function distanceSites(grid) {
+  if (grid.type === 'hex') return undefined;
+  return grid.type === 'sphere' ? grid.points : grid.centers;
+}
@@ -0,0 +1,392 @@
+/**
+ * Delaunay triangulation of 2D points (sweep-hull with edge flips).
+ *
+ * Points are added in order of distance from a seed triangle; each new point
+ * is joined to the visible part of the convex hull, and edges that break the
+ * empty-circumcircle rule are flipped until the mesh is Delaunay again.
+ *
+ * The result uses half-edges: half-edge e runs from triangles[e] to
+ * triangles[nextHalfedge(e)], and halfedges[e] is the opposite half-edge in
+ * the adjacent triangle, or -1 on the convex hull. Triangles are
+ * counter-clockwise in y-up coordinates (clockwise on screen).
+ */
+
+const EPSILON = Math.pow(2, -52);
+const EDGE_STACK = new Uint32Array(512);
+
+/**
+ * @typedef {{
+ *   triangles: Uint32Array, // [T*3] point indices, three per triangle
+ *   halfedges: Int32Array,  // [T*3] opposite half-edge, -1 on the hull
+ *   hull: Uint32Array       // convex hull point indices
+ * }} Triangulation
+ */
+
+/**
+ * @param {ArrayLike<number>} coords - [n*2] x, y of each point
+ * @returns {Triangulation} Duplicate points are left out of the mesh
+ */
+export function triangulate(coords) {
+  const n = coords.length >> 1;
+  const maxTriangles = Math.max(2 * n - 5, 0);
+  const mesh = {
+    coords,
+    triangles: new Uint32Array(maxTriangles * 3),
+    halfedges: new Int32Array(maxTriangles * 3),
+    length: 0,
+    hullStart: 0,
+    hullPrev: new Uint32Array(n),
+    hullNext: new Uint32Array(n),
+    hullTri: new Uint32Array(n)
+  };
+  if (n < 3) return { triangles: new Uint32Array(0), halfedges: new Int32Array(0), hull: hullOfFew(coords, n) };
+
+  const { hullPrev, hullNext, hullTri } = mesh;
+  const hashSize = Math.ceil(Math.sqrt(n));
+  const hullHash = new Int32Array(hashSize).fill(-1);
+  const ids = new Uint32Array(n);
+  const dists = new Float64Array(n);
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (let i = 0; i < n; i++) {
+    const x = coords[2 * i];
+    const y = coords[2 * i + 1];
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+    ids[i] = i;
+  }
+  const cx = (minX + maxX) / 2;
+  const cy = (minY + maxY) / 2;
+
+  // Seed triangle: the point nearest the centre, its nearest neighbour, and
+  // the point that makes the smallest circumcircle with them
+  let i0 = 0, i1 = 0, i2 = 0;
+  for (let i = 0, best = Infinity; i < n; i++) {
+    const d = dist2(cx, cy, coords[2 * i], coords[2 * i + 1]);
+    if (d < best) { i0 = i; best = d; }
+  }
+  const i0x = coords[2 * i0];
+  const i0y = coords[2 * i0 + 1];
+  for (let i = 0, best = Infinity; i < n; i++) {
+    if (i === i0) continue;
+    const d = dist2(i0x, i0y, coords[2 * i], coords[2 * i + 1]);
+    if (d < best && d > 0) { i1 = i; best = d; }
+  }
+  let i1x = coords[2 * i1];
+  let i1y = coords[2 * i1 + 1];
+  let minRadius = Infinity;
+  for (let i = 0; i < n; i++) {
+    if (i === i0 || i === i1) continue;
+    const r = circumradius2(i0x, i0y, i1x, i1y, coords[2 * i], coords[2 * i + 1]);
+    if (r < minRadius) { i2 = i; minRadius = r; }
+  }
+  let i2x = coords[2 * i2];
+  let i2y = coords[2 * i2 + 1];
+  if (minRadius === Infinity) {
+    // All points are collinear: no triangles, the hull is the sorted line
+    return { triangles: new Uint32Array(0), halfedges: new Int32Array(0), hull: hullOfFew(coords, n) };
+  }
+  if (orient(i0x, i0y, i1x, i1y, i2x, i2y)) {
+    [i1, i2] = [i2, i1];
+    [i1x, i2x] = [i2x, i1x];
+    [i1y, i2y] = [i2y, i1y];
+  }
+
+  const center = circumcenter(i0x, i0y, i1x, i1y, i2x, i2y);
+  for (let i = 0; i < n; i++) dists[i] = dist2(coords[2 * i], coords[2 * i + 1], center.x, center.y);
+  sortByDistance(ids, dists, 0, n - 1);
+
+  const hashKey = (x, y) => Math.floor(pseudoAngle(x - center.x, y - center.y) * hashSize) % hashSize;
+
+  mesh.hullStart = i0;
+  let hullSize = 3;
+  hullNext[i0] = hullPrev[i2] = i1;
+  hullNext[i1] = hullPrev[i0] = i2;
+  hullNext[i2] = hullPrev[i1] = i0;
+  hullTri[i0] = 0;
+  hullTri[i1] = 1;
+  hullTri[i2] = 2;
+  hullHash[hashKey(i0x, i0y)] = i0;
+  hullHash[hashKey(i1x, i1y)] = i1;
+  hullHash[hashKey(i2x, i2y)] = i2;
+  addTriangle(mesh, i0, i1, i2, -1, -1, -1);
+
+  for (let k = 0, xp = 0, yp = 0; k < n; k++) {
+    const i = ids[k];
+    const x = coords[2 * i];
+    const y = coords[2 * i + 1];
+
+    // Skip near-duplicates and the seed triangle
+    if (k > 0 && Math.abs(x - xp) <= EPSILON && Math.abs(y - yp) <= EPSILON) continue;
+    xp = x;
+    yp = y;
+    if (i === i0 || i === i1 || i === i2) continue;
+
+    // A hull edge visible from the point, found through the angular hash
+    let start = 0;
+    for (let j = 0, key = hashKey(x, y); j < hashSize; j++) {
+      start = hullHash[(key + j) % hashSize];
+      if (start !== -1 && start !== hullNext[start]) break;
+    }
+    start = hullPrev[start];
+    let e = start;
+    let q;
+    while (q = hullNext[e], !orient(x, y, coords[2 * e], coords[2 * e + 1], coords[2 * q], coords[2 * q + 1])) {
+      e = q;
+      if (e === start) {
+        e = -1;
+        break;
+      }
+    }
+    if (e === -1) continue; // a near-duplicate point
+
+    // First triangle from the point, then walk the hull both ways
+    let t = addTriangle(mesh, e, i, hullNext[e], -1, -1, hullTri[e]);
+    hullTri[i] = legalize(mesh, t + 2);
+    hullTri[e] = t;
+    hullSize++;
+
+    let next = hullNext[e];
+    while (q = hullNext[next], orient(x, y, coords[2 * next], coords[2 * next + 1], coords[2 * q], coords[2 * q + 1])) {
+      t = addTriangle(mesh, next, i, q, hullTri[i], -1, hullTri[next]);
+      hullTri[i] = legalize(mesh, t + 2);
+      hullNext[next] = next; // removed from the hull
+      hullSize--;
+      next = q;
+    }
+    if (e === start) {
+      while (q = hullPrev[e], orient(x, y, coords[2 * q], coords[2 * q + 1], coords[2 * e], coords[2 * e + 1])) {
+        t = addTriangle(mesh, q, i, e, -1, hullTri[e], hullTri[q]);
+        legalize(mesh, t + 2);
+        hullTri[q] = t;
+        hullNext[e] = e; // removed from the hull
+        hullSize--;
+        e = q;
+      }
+    }
+
+    mesh.hullStart = hullPrev[i] = e;
+    hullNext[e] = hullPrev[next] = i;
+    hullNext[i] = next;
+    hullHash[hashKey(x, y)] = i;
+    hullHash[hashKey(coords[2 * e], coords[2 * e + 1])] = e;
+  }
+
+  const hull = new Uint32Array(hullSize);
+  for (let j = 0, e = mesh.hullStart; j < hullSize; j++) {
+    hull[j] = e;
+    e = hullNext[e];
+  }
+  return {
+    triangles: mesh.triangles.slice(0, mesh.length),
+    halfedges: mesh.halfedges.slice(0, mesh.length),
+    hull
+  };
+}
+
+/**
+ * Next half-edge in the same triangle.
+ * @param {number} e
+ * @returns {number}
+ */
+export function nextHalfedge(e) {
+  return e % 3 === 2 ? e - 2 : e + 1;
+}
+
+/**
+ * Centre of the circle through three points.
+ * @returns {{x:number, y:number}}
+ */
+export function circumcenter(ax, ay, bx, by, cx, cy) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const ex = cx - ax;
+  const ey = cy - ay;
+  const bl = dx * dx + dy * dy;
+  const cl = ex * ex + ey * ey;
+  const d = 0.5 / (dx * ey - dy * ex);
+  return {
+    x: ax + (ey * bl - dy * cl) * d,
+    y: ay + (dx * cl - ex * bl) * d
+  };
+}
+
+// Flip edges until the triangles around half-edge a are Delaunay again.
+// Returns the half-edge that replaced a on the hull side.
+function legalize(mesh, a) {
+  const { triangles, halfedges, coords } = mesh;
+  let i = 0;
+  let ar = 0;
+  for (;;) {
+    const b = halfedges[a];
+
+    //           pl                    pl
+    //          /||\                  /  \
+    //       al/ || \bl            al/    \a
+    //        /  ||  \              /      \
+    //       /  a||b  \    flip    /___ar___\
+    //     p0\   ||   /p1   =>   p0\---bl---/p1
+    //        \  ||  /              \      /
+    //       ar\ || /br             b\    /br
+    //          \||/                  \  /
+    //           pr                    pr
+    const a0 = a - a % 3;
+    ar = a0 + (a + 2) % 3;
+
+    if (b === -1) {
+      if (i === 0) break;
+      a = EDGE_STACK[--i];
+      continue;
+    }
+
+    const b0 = b - b % 3;
+    const al = a0 + (a + 1) % 3;
+    const bl = b0 + (b + 2) % 3;
+    const p0 = triangles[ar];
+    const pr = triangles[a];
+    const pl = triangles[al];
+    const p1 = triangles[bl];
+
+    const illegal = inCircle(
+      coords[2 * p0], coords[2 * p0 + 1],
+      coords[2 * pr], coords[2 * pr + 1],
+      coords[2 * pl], coords[2 * pl + 1],
+      coords[2 * p1], coords[2 * p1 + 1]);
+
+    if (illegal) {
+      triangles[a] = p1;
+      triangles[b] = p0;
+
+      // The flipped edge may have been a hull edge on the far side
+      const hbl = halfedges[bl];
+      if (hbl === -1) {
+        let e = mesh.hullStart;
+        do {
+          if (mesh.hullTri[e] === bl) {
+            mesh.hullTri[e] = a;
+            break;
+          }
+          e = mesh.hullPrev[e];
+        } while (e !== mesh.hullStart);
+      }
+      link(mesh, a, hbl);
+      link(mesh, b, halfedges[ar]);
+      link(mesh, ar, bl);
+
+      const br = b0 + (b + 1) % 3;
+      // The stack only overflows on extremely degenerate input
+      if (i < EDGE_STACK.length) EDGE_STACK[i++] = br;
+    } else {
+      if (i === 0) break;
+      a = EDGE_STACK[--i];
+    }
+  }
+  return ar;
+}
+
+function link(mesh, a, b) {
+  mesh.halfedges[a] = b;
+  if (b !== -1) mesh.halfedges[b] = a;
+}
+
+function addTriangle(mesh, i0, i1, i2, a, b, c) {
+  const t = mesh.length;
+  mesh.triangles[t] = i0;
+  mesh.triangles[t + 1] = i1;
+  mesh.triangles[t + 2] = i2;
+  link(mesh, t, a);
+  link(mesh, t + 1, b);
+  link(mesh, t + 2, c);
+  mesh.length += 3;
+  return t;
+}
+
+// Hull of fewer than three points, or of collinear points: sorted along the line
+function hullOfFew(coords, n) {
+  const ids = Array.from({ length: n }, (_, i) => i);
+  ids.sort((a, b) => coords[2 * a] - coords[2 * b] || coords[2 * a + 1] - coords[2 * b + 1]);
+  return Uint32Array.from(ids);
+}
+
+// Monotonic stand-in for the angle of (dx, dy), in [0, 1)
+function pseudoAngle(dx, dy) {
+  const p = dx / (Math.abs(dx) + Math.abs(dy));
+  return (dy > 0 ? 3 - p : 1 + p) / 4;
+}
+
+function dist2(ax, ay, bx, by) {
+  const dx = ax - bx;
+  const dy = ay - by;
+  return dx * dx + dy * dy;
+}
+
+// True when p, q, r turn clockwise in y-up coordinates
+function orient(px, py, qx, qy, rx, ry) {
+  return (qy - py) * (rx - qx) - (qx - px) * (ry - qy) < 0;
+}
+
+function inCircle(ax, ay, bx, by, cx, cy, px, py) {
+  const dx = ax - px;
+  const dy = ay - py;
+  const ex = bx - px;
+  const ey = by - py;
+  const fx = cx - px;
+  const fy = cy - py;
+  const ap = dx * dx + dy * dy;
+  const bp = ex * ex + ey * ey;
+  const cp = fx * fx + fy * fy;
+  return dx * (ey * cp - bp * fy) - dy * (ex * cp - bp * fx) + ap * (ex * fy - ey * fx) < 0;
+}
+
+function circumradius2(ax, ay, bx, by, cx, cy) {
+  const { x, y } = circumcenter(ax, ay, bx, by, cx, cy);
+  return dist2(x, y, ax, ay);
+}
+
+// Quicksort of ids by dists, with insertion sort for short runs
+function sortByDistance(ids, dists, left, right) {
+  if (right - left <= 20) {
+    for (let i = left + 1; i <= right; i++) {
+      const temp = ids[i];
+      const tempDist = dists[temp];
+      let j = i - 1;
+      while (j >= left && dists[ids[j]] > tempDist) ids[j + 1] = ids[j--];
+      ids[j + 1] = temp;
+    }
+    return;
+  }
+  const median = (left + right) >> 1;
+  let i = left + 1;
+  let j = right;
+  swap(ids, median, i);
+  if (dists[ids[left]] > dists[ids[right]]) swap(ids, left, right);
+  if (dists[ids[i]] > dists[ids[right]]) swap(ids, i, right);
+  if (dists[ids[left]] > dists[ids[i]]) swap(ids, left, i);
+
+  const temp = ids[i];
+  const tempDist = dists[temp];
+  for (;;) {
+    do i++; while (dists[ids[i]] < tempDist);
+    do j--; while (dists[ids[j]] > tempDist);
+    if (j < i) break;
+    swap(ids, i, j);
+  }
+  ids[left + 1] = ids[j];
+  ids[j] = temp;
+
+  if (right - i + 1 >= j - left) {
+    sortByDistance(ids, dists, i, right);
+    sortByDistance(ids, dists, left, j - 1);
+  } else {
+    sortByDistance(ids, dists, left, j - 1);
+    sortByDistance(ids, dists, i, right);
+  }
+}
+
+function swap(arr, i, j) {
+  const tmp = arr[i];
+  arr[i] = arr[j];
+  arr[j] = tmp;
+}
@@ -1,26 +1,44 @@
 /**
  * Hex Grid Generator for Fantasy World Map
  * 
- * Uses even-q offset coordinates for true rectangular layout.
+ * Uses offset coordinates for true rectangular layout: even-q flat-topped
+ * columns by default, or any HexLayout (pointy-topped rows, odd parity).
  * Each cell has both offset coordinates (col, row) and axial coordinates (q, r).
  */
 
+/** Selectable values for the `orientation` option. */
+export const HEX_ORIENTATIONS = ['flat', 'pointy'];
+
+/** Selectable values for the `parity` option. */
+export const HEX_PARITIES = ['even', 'odd'];
+
+/**
+ * How offset coordinates are laid out on screen.
+ * - orientation 'flat': flat-topped hexes in columns; 'pointy': pointy-topped hexes in rows
+ * - parity 'even': odd columns sit half a row lower (flat), or odd rows half a
+ *   column to the right (pointy), as in hexToPixelFlatOffset and
+ *   hexToPixelPointyOffset; 'odd' shifts the even ones instead
+ * Cells are indexed col * H + row in every layout.
+ * @typedef {{ orientation?: 'flat'|'pointy', parity?: 'even'|'odd' }} HexLayout
+ */
+
 /**
- * Create a W×H hex grid in even‑q offset coordinates.
+ * Create a W×H hex grid in offset coordinates (even-q by default).
  * Each cell has:
  *  - col, row: offset coords (for rectangular bounds)
- *  - q, r: axial coords for algorithms (q = col, r = row - floor(col/2))
+ *  - q, r: axial coords for algorithms (see offsetToAxial)
  * 
  * @param {number} W - Width (number of columns)
  * @param {number} H - Height (number of rows)
+ * @param {HexLayout} [layout]
  * @returns {Array<{col: number, row: number, q: number, r: number}>} Array of hex cells
  */
-export function createHexGrid(W, H) {
+export function createHexGrid(W, H, layout = {}) {
+  checkLayout(layout);
   const cells = [];
   for (let col = 0; col < W; col++) {
     for (let row = 0; row < H; row++) {
-      const q = col;
-      const r = row - Math.floor(col / 2);
+      const { q, r } = offsetToAxial(col, row, layout);
       cells.push({ col, row, q, r });
     }
   }
@@ -28,32 +46,26 @@ export function createHexGrid(W, H) {
 }
 
 /**
- * Get the neighbors of a hex cell in even-q offset coordinates.
- * Returns the 6 adjacent cells (if they exist within the grid bounds).
+ * Get the neighbors of a hex cell in offset coordinates.
+ * Returns the adjacent cells (up to 6, in AXIAL_DIRECTIONS order) that exist
+ * within the grid bounds; with wrapX the first and last columns are adjacent.
+ * Allocates on every call; bulk lookups should read topology.neighbors
+ * (createHexTopology) or buildNeighborIndex instead.
  * 
  * @param {{col: number, row: number}} cell - The hex cell
  * @param {number} W - Grid width
  * @param {number} H - Grid height
+ * @param {HexLayout & { wrapX?: boolean }} [options]
  * @returns {Array<{col: number, row: number}>} Array of neighbor cells
  */
-export function getNeighbors(cell, W, H) {
-  const { col, row } = cell;
+export function getNeighbors(cell, W, H, { wrapX = false, ...layout } = {}) {
+  const { q, r } = offsetToAxial(cell.col, cell.row, layout);
   const neighbors = [];
-  
-  // Even-q offset neighbor directions
-  const directions = [
-    [1, 0],   // E
-    [1, -1],  // NE
-    [0, -1],  // NW
-    [-1, -1], // W
-    [-1, 0],  // SW
-    [0, 1]    // SE
-  ];
-  
-  for (const [dCol, dRow] of directions) {
-    const newCol = col + dCol;
-    const newRow = row + dRow;
-    
+
+  for (const [dq, dr] of AXIAL_DIRECTIONS) {
+    let { col: newCol, row: newRow } = axialToOffset(q + dq, r + dr, layout);
+    if (wrapX) newCol = (newCol + W) % W;
+
     // Check bounds
     if (newCol >= 0 && newCol < W && newRow >= 0 && newRow < H) {
       neighbors.push({ col: newCol, row: newRow });
@@ -65,28 +77,44 @@ export function getNeighbors(cell, W, H) {
 
 /**
  * Calculate the distance between two hex cells using axial coordinates.
+ * With wrapX the shorter way around the map is taken.
  * 
  * @param {{q: number, r: number}} cell1 - First cell
  * @param {{q: number, r: number}} cell2 - Second cell
+ * @param {{ wrapX?: boolean, width?: number, orientation?: 'flat'|'pointy' }} [options] - width: grid
+ *   width, needed with wrapX
  * @returns {number} Distance in hex steps
  */
-export function hexDistance(cell1, cell2) {
-  const dq = cell1.q - cell2.q;
-  const dr = cell1.r - cell2.r;
+export function hexDistance(cell1, cell2, { wrapX = false, width, orientation = 'flat' } = {}) {
+  const direct = axialDistance(cell1.q - cell2.q, cell1.r - cell2.r);
+  if (!wrapX) return direct;
+  // Moving W columns moves q by W; on flat grids (even W) it also shifts axial r by W/2 rows
+  const dr = orientation === 'pointy' ? 0 : width / 2;
+  return Math.min(
+    direct,
+    axialDistance(cell1.q - cell2.q - width, cell1.r - cell2.r + dr),
+    axialDistance(cell1.q - cell2.q + width, cell1.r - cell2.r - dr)
+  );
+}
+
+function axialDistance(dq, dr) {
   return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
 }
 
 /**
  * Convert offset coordinates to axial coordinates.
+ * Flat: q = col, r = row - floor((col + p) / 2); pointy: r = row,
+ * q = col - floor((row + p) / 2), with p = 1 for odd parity, else 0.
  * 
  * @param {number} col - Column (offset coordinate)
  * @param {number} row - Row (offset coordinate)
+ * @param {HexLayout} [layout]
  * @returns {{q: number, r: number}} Axial coordinates
  */
-export function offsetToAxial(col, row) {
-  const q = col;
-  const r = row - Math.floor(col / 2);
-  return { q, r };
+export function offsetToAxial(col, row, { orientation = 'flat', parity = 'even' } = {}) {
+  const p = parity === 'odd' ? 1 : 0;
+  if (orientation === 'pointy') return { q: col - Math.floor((row + p) / 2), r: row };
+  return { q: col, r: row - Math.floor((col + p) / 2) };
 }
 
 /**
@@ -94,10 +122,87 @@ export function offsetToAxial(col, row) {
  * 
  * @param {number} q - Q coordinate (axial)
  * @param {number} r - R coordinate (axial)
+ * @param {HexLayout} [layout]
  * @returns {{col: number, row: number}} Offset coordinates
  */
-export function axialToOffset(q, r) {
-  const col = q;
-  const row = r + Math.floor(q / 2);
-  return { col, row };
-} 
\ No newline at end of file
+export function axialToOffset(q, r, { orientation = 'flat', parity = 'even' } = {}) {
+  const p = parity === 'odd' ? 1 : 0;
+  if (orientation === 'pointy') return { col: q + Math.floor((r + p) / 2), row: r };
+  return { col: q, row: r + Math.floor((q + p) / 2) };
+}
+
+/**
+ * Throw on an unknown orientation or parity.
+ * @param {HexLayout} layout
+ */
+export function checkLayout({ orientation = 'flat', parity = 'even' }) {
+  if (!HEX_ORIENTATIONS.includes(orientation)) {
+    throw new Error(`Unknown orientation "${orientation}" (expected one of ${HEX_ORIENTATIONS.join(', ')})`);
+  }
+  if (!HEX_PARITIES.includes(parity)) {
+    throw new Error(`Unknown parity "${parity}" (expected one of ${HEX_PARITIES.join(', ')})`);
+  }
+}
+
+/**
+ * Axial direction vectors, in the same order used by the coastline tracer.
+ * Index i and (i + 3) % 6 are opposite directions.
+ */
+export const AXIAL_DIRECTIONS = [[1, 0], [1, -1], [0, -1], [-1, 0], [-1, 1], [0, 1]];
+
+/**
+ * Infer grid dimensions from a hex grid created by createHexGrid.
+ *
+ * @param {Array<{col: number, row: number}>} hexGrid - Array of hex cells
+ * @returns {{width: number, height: number}} Number of columns and rows
+ */
+export function getGridDimensions(hexGrid) {
+  let width = 0;
+  let height = 0;
+  for (const { col, row } of hexGrid) {
+    if (col + 1 > width) width = col + 1;
+    if (row + 1 > height) height = row + 1;
+  }
+  return { width, height };
+}
+
+/**
+ * Build a flat neighbour index table for a W×H grid.
+ * Cells are indexed like createHexGrid (col * H + row); neighbour slot k of
+ * cell i is stored at i * 6 + k and follows AXIAL_DIRECTIONS. Off-map slots are -1.
+ * With wrapX the map is a cylinder: the last column's neighbours include the
+ * first. Flat grids need an even width for that, so column parity alternates
+ * across the seam.
+ *
+ * @param {number} W - Grid width
+ * @param {number} H - Grid height
+ * @param {HexLayout & { wrapX?: boolean }} [options]
+ * @returns {Int32Array} [W*H*6] neighbour cell indices
+ */
+export function buildNeighborIndex(W, H, { wrapX = false, orientation = 'flat', parity = 'even' } = {}) {
+  checkLayout({ orientation, parity });
+  const pointy = orientation === 'pointy';
+  if (wrapX && !pointy && W % 2 !== 0) throw new Error(`wrapX needs an even grid width, got ${W}`);
+  const p = parity === 'odd' ? 1 : 0;
+  const neighbors = new Int32Array(W * H * 6).fill(-1);
+  for (let col = 0; col < W; col++) {
+    for (let row = 0; row < H; row++) {
+      const i = col * H + row;
+      // Axial coordinates, as in offsetToAxial
+      const q = pointy ? col - Math.floor((row + p) / 2) : col;
+      const r = pointy ? row : row - Math.floor((col + p) / 2);
+      for (let k = 0; k < 6; k++) {
+        const [dq, dr] = AXIAL_DIRECTIONS[k];
+        const nq = q + dq;
+        const nr = r + dr;
+        let nCol = pointy ? nq + Math.floor((nr + p) / 2) : nq;
+        const nRow = pointy ? nr : nr + Math.floor((nq + p) / 2);
+        if (wrapX) nCol = (nCol + W) % W;
+        if (nCol >= 0 && nCol < W && nRow >= 0 && nRow < H) {
+          neighbors[i * 6 + k] = nCol * H + nRow;
+        }
+      }
+    }
+  }
+  return neighbors;
+}
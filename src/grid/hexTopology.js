@@ -0,0 +1,210 @@
+/**
+ * Precomputed topology for a W×H grid from createHexGrid.
+ *
+ * Built once per grid and passed to every step, so neighbour, edge and corner
+ * lookups are typed-array reads instead of string-keyed maps. Cells keep the
+ * createHexGrid order (col * H + row). All tables use fixed-width slots padded
+ * with OFF_MAP.
+ *
+ * Side k of a cell faces neighbour k (AXIAL_DIRECTIONS order) and joins
+ * corners SIDE_CORNERS[k]. Corner k sits at 60k° from the centre (y down),
+ * as in getFlatHexPoints. A pointy-topped grid is the same picture turned by
+ * -30°, so its corner k sits at 60k° - 30° and the tables are read the same way.
+ *
+ * With wrapX the grid is a cylinder: the first and last columns are
+ * neighbours and share corners. A shared corner keeps the position of the
+ * column that made it, so geometry that crosses the seam is shifted by
+ * wrapWidth (see cellPolygon in cellGrid.js).
+ */
+
+import { buildNeighborIndex, checkLayout } from './hexGrid.js';
+
+/** Sentinel for neighbours, edges or vertices that do not exist. */
+export const OFF_MAP = -1;
+
+/** Corner indices [a, b] at either end of side k. */
+export const SIDE_CORNERS = [[0, 1], [5, 0], [4, 5], [3, 4], [2, 3], [1, 2]];
+
+// Corner offsets on the integer lattice of half hex sizes (along the offset
+// lines) and half line spacings (across them): x, y for flat grids, y, x for pointy
+const CORNER_DX = [2, 1, -1, -2, -1, 1];
+const CORNER_DY = [0, 1, 1, 0, -1, -1];
+const POINTY_CORNER_DX = [1, 1, 0, -1, -1, 0];
+const POINTY_CORNER_DY = [-1, 1, 2, 1, -1, -2];
+const HALF_ROW = Math.sqrt(3) / 2;
+
+/**
+ * Other grids (see cellGrid.js) share this shape with `maxNeighbors` slots
+ * per cell instead of 6.
+ *
+ * @typedef {{
+ *   type: 'hex'|'voronoi'|'sphere',
+ *   width: number,
+ *   height: number,
+ *   cellCount: number,
+ *   edgeCount: number,
+ *   vertexCount: number,
+ *   maxNeighbors: number,        // slots per cell in neighbors, cellEdges and cellVertices (6)
+ *   neighbors: Int32Array,       // [N*6] neighbour cell on side k, OFF_MAP on the border
+ *   centers: Float64Array,       // [N*2] x, y of each cell centre for hex size 1
+ *   cellEdges: Int32Array,       // [N*6] edge on side k
+ *   cellVertices: Int32Array,    // [N*6] vertex at corner k
+ *   edgeCells: Int32Array,       // [E*2] cells on either side; the second is OFF_MAP on the border
+ *   edgeVertices: Int32Array,    // [E*2] end vertices
+ *   vertexCells: Int32Array,     // [V*3] cells sharing the vertex
+ *   vertexEdges: Int32Array,     // [V*3] edges meeting at the vertex
+ *   vertexVertices: Int32Array,  // [V*3] vertices one edge away
+ *   vertexPositions: Float32Array, // [V*2] x, y for hex size 1 (scale by hexSize)
+ *   orientation?: 'flat'|'pointy', // hex: see HexLayout in hexGrid.js
+ *   parity?: 'even'|'odd',       // hex: see HexLayout in hexGrid.js
+ *   wrapX?: boolean,             // hex: the first and last columns are adjacent
+ *   wrapWidth?: number           // x period of centres and corners when the grid wraps around
+ * }} HexTopology
+ */
+
+/**
+ * Build the topology of a W×H grid.
+ *
+ * @param {number} width - Grid width (columns)
+ * @param {number} height - Grid height (rows)
+ * @param {import('./hexGrid.js').HexLayout & { wrapX?: boolean }} [options] - Layout, and
+ *   wrap east-west (flat grids need an even width)
+ * @returns {HexTopology}
+ */
+export function createHexTopology(width, height, { wrapX = false, orientation = 'flat', parity = 'even' } = {}) {
+  checkLayout({ orientation, parity });
+  const N = width * height;
+  const neighbors = buildNeighborIndex(width, height, { wrapX, orientation, parity });
+  const pointy = orientation === 'pointy';
+  const odd = parity === 'odd' ? 1 : 0;
+
+  // Corners: shared corners land on the same lattice point. The lattice runs
+  // along the offset lines (u) and across them (w): columns on flat grids, rows on pointy ones
+  const lines = pointy ? height : width;
+  const across = pointy ? width : height;
+  const latticeWidth = 3 * lines + 2;
+  const latticeHeight = 2 * across + 2;
+  const period = wrapX ? (pointy ? 2 * width : 3 * width) : 0; // x period in lattice steps
+  const lattice = new Int32Array(latticeWidth * latticeHeight).fill(OFF_MAP);
+  const cellVertices = new Int32Array(N * 6);
+  const positions = new Float32Array(N * 6 * 2);
+  const centers = new Float64Array(N * 2);
+  let vertexCount = 0;
+  for (let col = 0; col < width; col++) {
+    for (let row = 0; row < height; row++) {
+      const i = col * height + row;
+      const line = pointy ? row : col;
+      const shifted = (line & 1) ^ odd;
+      const u = 3 * line + 2;
+      const w = 2 * (pointy ? col : row) + shifted + 1;
+      centers[i * 2] = pointy ? Math.sqrt(3) * (col + 0.5 * shifted) : 1.5 * col;
+      centers[i * 2 + 1] = pointy ? 1.5 * row : Math.sqrt(3) * (row + 0.5 * shifted);
+      for (let k = 0; k < 6; k++) {
+        const du = pointy ? POINTY_CORNER_DY[k] : CORNER_DX[k];
+        const dw = pointy ? POINTY_CORNER_DX[k] : CORNER_DY[k];
+        let lu = u + du;
+        let lw = w + dw;
+        if (period && pointy) lw %= period;
+        if (period && !pointy) lu %= period;
+        const key = lu * latticeHeight + lw;
+        let v = lattice[key];
+        if (v === OFF_MAP) {
+          v = lattice[key] = vertexCount++;
+          const along = (u - 2 + du) / 2;
+          const side = (w - 1 + dw) * HALF_ROW;
+          positions[v * 2] = pointy ? side : along;
+          positions[v * 2 + 1] = pointy ? along : side;
+        }
+        cellVertices[i * 6 + k] = v;
+      }
+    }
+  }
+
+  // Edges: each shared side is created by the lower-indexed cell
+  const cellEdges = new Int32Array(N * 6);
+  const edgeCells = new Int32Array(N * 6 * 2);
+  const edgeVertices = new Int32Array(N * 6 * 2);
+  let edgeCount = 0;
+  for (let i = 0; i < N; i++) {
+    for (let k = 0; k < 6; k++) {
+      const n = neighbors[i * 6 + k];
+      if (n !== OFF_MAP && n < i) {
+        cellEdges[i * 6 + k] = cellEdges[n * 6 + (k + 3) % 6];
+        continue;
+      }
+      const e = edgeCount++;
+      cellEdges[i * 6 + k] = e;
+      edgeCells[e * 2] = i;
+      edgeCells[e * 2 + 1] = n;
+      edgeVertices[e * 2] = cellVertices[i * 6 + SIDE_CORNERS[k][0]];
+      edgeVertices[e * 2 + 1] = cellVertices[i * 6 + SIDE_CORNERS[k][1]];
+    }
+  }
+
+  const vertexCells = new Int32Array(vertexCount * 3).fill(OFF_MAP);
+  const vertexEdges = new Int32Array(vertexCount * 3).fill(OFF_MAP);
+  const vertexVertices = new Int32Array(vertexCount * 3).fill(OFF_MAP);
+  for (let i = 0; i < N * 6; i++) appendSlot(vertexCells, cellVertices[i], (i / 6) | 0);
+  for (let e = 0; e < edgeCount; e++) {
+    const a = edgeVertices[e * 2];
+    const b = edgeVertices[e * 2 + 1];
+    appendSlot(vertexEdges, a, e);
+    appendSlot(vertexEdges, b, e);
+    appendSlot(vertexVertices, a, b);
+    appendSlot(vertexVertices, b, a);
+  }
+
+  return {
+    type: 'hex',
+    width,
+    height,
+    cellCount: N,
+    edgeCount,
+    vertexCount,
+    maxNeighbors: 6,
+    neighbors,
+    centers,
+    cellEdges,
+    cellVertices,
+    edgeCells: edgeCells.slice(0, edgeCount * 2),
+    edgeVertices: edgeVertices.slice(0, edgeCount * 2),
+    vertexCells,
+    vertexEdges,
+    vertexVertices,
+    vertexPositions: positions.slice(0, vertexCount * 2),
+    orientation,
+    parity,
+    wrapX,
+    wrapWidth: wrapX ? (pointy ? Math.sqrt(3) * width : 1.5 * width) : undefined
+  };
+}
+
+/**
+ * Corner coordinates of every cell, for renderers that want flat per-cell polygons.
+ *
+ * @param {HexTopology} topology
+ * @param {number} [hexSize=1]
+ * @returns {Float32Array} [N*6*2] x, y of corner k of cell i at (i * 6 + k) * 2;
+ *   other grids use maxNeighbors slots per cell, NaN after the last corner
+ */
+export function cellCornerPositions(topology, hexSize = 1) {
+  const { cellVertices, vertexPositions } = topology;
+  const corners = new Float32Array(cellVertices.length * 2);
+  for (let j = 0; j < cellVertices.length; j++) {
+    const v = cellVertices[j];
+    if (v < 0) {
+      corners[j * 2] = corners[j * 2 + 1] = NaN;
+      continue;
+    }
+    corners[j * 2] = vertexPositions[v * 2] * hexSize;
+    corners[j * 2 + 1] = vertexPositions[v * 2 + 1] * hexSize;
+  }
+  return corners;
+}
+
+// A vertex has at most 3 cells, edges or neighbouring vertices
+function appendSlot(table, v, value) {
+  let slot = v * 3;
+  while (table[slot] !== OFF_MAP) slot++;
+  table[slot] = value;
+}
@@ -0,0 +1,141 @@
+/**
+ * Map projections for sphere grids (see sphereGrid.js).
+ *
+ * A projection maps latitude and longitude in degrees to pixels in a
+ * width × height image:
+ * - 'equirectangular': the whole planet, longitude across and latitude down,
+ *   centred on centerLongitude; x wraps around at the image width
+ * - 'orthographic': the hemisphere facing a viewer above centerLatitude,
+ *   centerLongitude, as a disc filling the shorter image side; points on the
+ *   far side are not visible
+ */
+
+/** Selectable projection types. */
+export const PROJECTIONS = ['equirectangular', 'orthographic'];
+
+const RADIANS = Math.PI / 180;
+
+/**
+ * @typedef {{
+ *   type: 'equirectangular'|'orthographic',
+ *   width: number,
+ *   height: number,
+ *   wrapWidth: number|null, // x period in pixels (equirectangular), null when x does not wrap
+ *   project: (latitude:number, longitude:number) => { x:number, y:number, visible:boolean }
+ * }} Projection
+ */
+
+/**
+ * @param {'equirectangular'|'orthographic'} type
+ * @param {{
+ *   width: number,            // image size in pixels
+ *   height: number,
+ *   centerLatitude?: number,  // orthographic: view centre, degrees
+ *   centerLongitude?: number  // view centre, degrees
+ * }} options
+ * @returns {Projection}
+ */
+export function createProjection(type, { width, height, centerLatitude = 0, centerLongitude = 0 }) {
+  if (type === 'equirectangular') {
+    return {
+      type,
+      width,
+      height,
+      wrapWidth: width,
+      project(latitude, longitude) {
+        const lon = wrapDegrees(longitude - centerLongitude);
+        return { x: ((lon + 180) / 360) * width, y: ((90 - latitude) / 180) * height, visible: true };
+      }
+    };
+  }
+  if (type === 'orthographic') {
+    const r = Math.min(width, height) / 2;
+    const sinLat0 = Math.sin(centerLatitude * RADIANS);
+    const cosLat0 = Math.cos(centerLatitude * RADIANS);
+    return {
+      type,
+      width,
+      height,
+      wrapWidth: null,
+      project(latitude, longitude) {
+        const lat = latitude * RADIANS;
+        const dLon = (longitude - centerLongitude) * RADIANS;
+        const cosLat = Math.cos(lat);
+        const sinLat = Math.sin(lat);
+        return {
+          x: width / 2 + r * cosLat * Math.sin(dLon),
+          y: height / 2 - r * (cosLat0 * sinLat - sinLat0 * cosLat * Math.cos(dLon)),
+          visible: sinLat0 * sinLat + cosLat0 * cosLat * Math.cos(dLon) >= 0
+        };
+      }
+    };
+  }
+  throw new Error(`Unknown projection "${type}" (expected one of ${PROJECTIONS.join(', ')})`);
+}
+
+/**
+ * Project every cell centre of a sphere grid.
+ *
+ * @param {import('./sphereGrid.js').SphereGrid} grid
+ * @param {Projection} projection
+ * @returns {{ points: Float64Array, visible: Uint8Array }} [N*2] pixel x, y and [N] 1 where visible
+ */
+export function projectCells(grid, projection) {
+  const { cellCount: N, latitude, longitude } = grid;
+  const points = new Float64Array(N * 2);
+  const visible = new Uint8Array(N);
+  for (let i = 0; i < N; i++) {
+    const p = projection.project(latitude[i], longitude[i]);
+    points[i * 2] = p.x;
+    points[i * 2 + 1] = p.y;
+    visible[i] = p.visible ? 1 : 0;
+  }
+  return { points, visible };
+}
+
+/**
+ * Pixel outline of cell i, or null when any corner is out of view.
+ * On equirectangular maps the outline stays next to the cell centre instead
+ * of jumping across the seam (it may reach past the image edges), and a cell
+ * around a pole is closed along the top or bottom edge.
+ *
+ * @param {import('./sphereGrid.js').SphereGrid} grid
+ * @param {number} i
+ * @param {Projection} projection
+ * @returns {Array<{x:number, y:number}>|null}
+ */
+export function projectCellPolygon(grid, i, projection) {
+  const { cellVertices, vertexPoints, radius, maxNeighbors: M } = grid;
+  const { wrapWidth } = projection;
+  let previous = wrapWidth && projection.project(grid.latitude[i], grid.longitude[i]).x;
+  const outline = [];
+  for (let k = 0; k < M; k++) {
+    const v = cellVertices[i * M + k];
+    if (v < 0) break;
+    const x = vertexPoints[v * 3];
+    const y = vertexPoints[v * 3 + 1];
+    const z = vertexPoints[v * 3 + 2];
+    const latitude = Math.asin(Math.max(-1, Math.min(1, z / radius))) / RADIANS;
+    const p = projection.project(latitude, Math.atan2(y, x) / RADIANS);
+    if (!p.visible) return null;
+    if (wrapWidth) {
+      p.x += Math.round((previous - p.x) / wrapWidth) * wrapWidth;
+      previous = p.x;
+    }
+    outline.push({ x: p.x, y: p.y });
+  }
+  if (wrapWidth) {
+    const first = outline[0];
+    const last = outline[outline.length - 1];
+    const shift = Math.round((last.x - first.x) / wrapWidth) * wrapWidth;
+    if (shift !== 0) {
+      const poleY = grid.latitude[i] > 0 ? 0 : projection.height;
+      outline.push({ x: first.x + shift, y: first.y }, { x: first.x + shift, y: poleY }, { x: first.x, y: poleY });
+    }
+  }
+  return outline;
+}
+
+function wrapDegrees(degrees) {
+  return ((((degrees + 180) % 360) + 360) % 360) - 180;
+}
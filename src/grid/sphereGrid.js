@@ -0,0 +1,277 @@
+/**
+ * Icosahedral (Goldberg) grid covering a whole planet.
+ *
+ * Each face of an icosahedron is split into a triangular lattice of frequency
+ * n and pushed out onto the sphere. The lattice points are the cells, so there
+ * are 10n² + 2 of them: hexagons, plus 12 pentagons where the icosahedron's
+ * corners were. Cell corners are the centres of the lattice triangles.
+ *
+ * The tables have the HexTopology shape with 6 slots per cell; pentagons pad
+ * their sixth slot with NO_SIDE, and nothing is OFF_MAP because a sphere has
+ * no border. Side k of a cell runs from corner k to corner k + 1 and faces
+ * neighbour k, clockwise seen from outside the planet.
+ *
+ * Lengths are in hex sizes: the radius is chosen so a cell has the area of a
+ * hex of size 1, and neighbouring centres are about √3 apart. Cells have
+ * three sets of coordinates:
+ * - points / vertexPoints: 3D, z towards the north pole
+ * - latitude / longitude: degrees
+ * - centers / vertexPositions: the equirectangular map (north up, x from
+ *   longitude -180°), which wraps around at wrapWidth
+ */
+
+import { NO_SIDE } from './voronoiGrid.js';
+import { OFF_MAP } from './hexTopology.js';
+
+const PHI = (1 + Math.sqrt(5)) / 2;
+const ICOSAHEDRON_CORNERS = [
+  [-1, PHI, 0], [1, PHI, 0], [-1, -PHI, 0], [1, -PHI, 0],
+  [0, -1, PHI], [0, 1, PHI], [0, -1, -PHI], [0, 1, -PHI],
+  [PHI, 0, -1], [PHI, 0, 1], [-PHI, 0, -1], [-PHI, 0, 1]
+];
+// Counter-clockwise seen from outside
+const ICOSAHEDRON_FACES = [
+  [0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
+  [1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
+  [3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
+  [4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1]
+];
+// Area of a flat-top hex of size 1
+const HEX_AREA = (3 * Math.sqrt(3)) / 2;
+const DEGREES = 180 / Math.PI;
+
+/**
+ * @typedef {import('./hexTopology.js').HexTopology & {
+ *   subdivisions: number,     // lattice frequency n
+ *   radius: number,           // sphere radius in hex sizes
+ *   points: Float64Array,     // [N*3] x, y, z of each cell centre
+ *   vertexPoints: Float64Array, // [V*3] x, y, z of each corner
+ *   latitude: Float64Array,   // [N] degrees, -90 (south) to 90 (north)
+ *   longitude: Float64Array,  // [N] degrees, -180 to 180 (east positive)
+ *   wrapWidth: number,        // x period of centers and vertexPositions (2πR)
+ *   bounds: { minX:number, minY:number, maxX:number, maxY:number } // equirectangular map
+ * }} SphereGrid
+ */
+
+/**
+ * Number of lattice subdivisions whose grid has about `cells` cells.
+ * @param {number} cells
+ * @returns {number}
+ */
+export function sphereSubdivisions(cells) {
+  return Math.max(1, Math.round(Math.sqrt((cells - 2) / 10)));
+}
+
+/**
+ * Build a sphere grid with about as many cells as a W×H hex grid.
+ *
+ * @param {number} width - Grid width (columns of the equivalent hex grid)
+ * @param {number} height - Grid height (rows of the equivalent hex grid)
+ * @param {{ subdivisions?: number }} [options] - Lattice frequency; 10n² + 2 cells
+ * @returns {SphereGrid}
+ */
+export function createSphereGrid(width, height, { subdivisions = sphereSubdivisions(width * height) } = {}) {
+  const n = subdivisions;
+  if (!(Number.isInteger(n) && n >= 1)) throw new Error(`Sphere subdivisions must be a positive integer, got ${n}`);
+  const N = 10 * n * n + 2;
+  const radius = Math.sqrt((N * HEX_AREA) / (4 * Math.PI));
+
+  // 1. Lattice points, shared along face edges and corners
+  const points = new Float64Array(N * 3);
+  const pointIndex = new Map();
+  let cellCount = 0;
+  const latticePoint = (corners, weights) => {
+    const parts = [];
+    for (let c = 0; c < 3; c++) if (weights[c] > 0) parts.push([corners[c], weights[c]]);
+    parts.sort((a, b) => a[0] - b[0]);
+    const key = parts.map(([c, w]) => `${c}:${w}`).join(',');
+    let i = pointIndex.get(key);
+    if (i === undefined) {
+      i = cellCount++;
+      pointIndex.set(key, i);
+      let x = 0, y = 0, z = 0;
+      for (const [c, w] of parts) {
+        x += ICOSAHEDRON_CORNERS[c][0] * w;
+        y += ICOSAHEDRON_CORNERS[c][1] * w;
+        z += ICOSAHEDRON_CORNERS[c][2] * w;
+      }
+      const scale = radius / Math.hypot(x, y, z);
+      points[i * 3] = x * scale;
+      points[i * 3 + 1] = y * scale;
+      points[i * 3 + 2] = z * scale;
+    }
+    return i;
+  };
+
+  // 2. Lattice triangles, counter-clockwise like their face; they are the grid's corners
+  const vertexCount = 20 * n * n;
+  const vertexCells = new Int32Array(vertexCount * 3);
+  let t = 0;
+  for (const face of ICOSAHEDRON_FACES) {
+    const at = (i, j) => latticePoint(face, [n - i - j, i, j]);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; i + j < n; j++) {
+        vertexCells.set([at(i, j), at(i + 1, j), at(i, j + 1)], 3 * t++);
+        if (i + j < n - 1) vertexCells.set([at(i + 1, j), at(i + 1, j + 1), at(i, j + 1)], 3 * t++);
+      }
+    }
+  }
+
+  const vertexPoints = new Float64Array(vertexCount * 3);
+  for (let v = 0; v < vertexCount; v++) {
+    let x = 0, y = 0, z = 0;
+    for (let c = 0; c < 3; c++) {
+      const i = vertexCells[v * 3 + c];
+      x += points[i * 3];
+      y += points[i * 3 + 1];
+      z += points[i * 3 + 2];
+    }
+    const scale = radius / Math.hypot(x, y, z);
+    vertexPoints[v * 3] = x * scale;
+    vertexPoints[v * 3 + 1] = y * scale;
+    vertexPoints[v * 3 + 2] = z * scale;
+  }
+
+  // 3. Triangles around each cell (5 or 6), then walked into a ring
+  const incident = new Int32Array(N * 6).fill(NO_SIDE);
+  for (let v = 0; v < vertexCount; v++) {
+    for (let c = 0; c < 3; c++) {
+      const i = vertexCells[v * 3 + c];
+      let slot = i * 6;
+      while (incident[slot] !== NO_SIDE) slot++;
+      incident[slot] = v;
+    }
+  }
+
+  const neighbors = new Int32Array(N * 6).fill(NO_SIDE);
+  const cellVertices = new Int32Array(N * 6).fill(NO_SIDE);
+  for (let i = 0; i < N; i++) {
+    const count = incident[i * 6 + 5] === NO_SIDE ? 5 : 6;
+    // Counter-clockwise: triangle j is (i, ring[j], ring[j + 1])
+    const triangles = [];
+    const ring = [];
+    let v = incident[i * 6];
+    for (let j = 0; j < count; j++) {
+      const [a, b] = cornersAfter(vertexCells, v, i);
+      triangles.push(v);
+      ring.push(a);
+      v = triangleWithEdge(vertexCells, incident, i, b);
+    }
+    // Reverse into clockwise corners; side k then faces ring[(count - k) % count]
+    for (let k = 0; k < count; k++) {
+      const j = (count - k) % count;
+      cellVertices[i * 6 + k] = triangles[j];
+      neighbors[i * 6 + k] = ring[j];
+    }
+  }
+
+  // 4. Edges, each created by the lower-indexed cell
+  const edgeCount = 30 * n * n;
+  const cellEdges = new Int32Array(N * 6).fill(NO_SIDE);
+  const edgeCells = new Int32Array(edgeCount * 2);
+  const edgeVertices = new Int32Array(edgeCount * 2);
+  let e = 0;
+  for (let i = 0; i < N; i++) {
+    const count = neighbors[i * 6 + 5] === NO_SIDE ? 5 : 6;
+    for (let k = 0; k < count; k++) {
+      const other = neighbors[i * 6 + k];
+      if (other < i) {
+        const back = neighbors.subarray(other * 6, other * 6 + 6).indexOf(i);
+        cellEdges[i * 6 + k] = cellEdges[other * 6 + back];
+        continue;
+      }
+      cellEdges[i * 6 + k] = e;
+      edgeCells[e * 2] = i;
+      edgeCells[e * 2 + 1] = other;
+      edgeVertices[e * 2] = cellVertices[i * 6 + k];
+      edgeVertices[e * 2 + 1] = cellVertices[i * 6 + (k + 1) % count];
+      e++;
+    }
+  }
+
+  const vertexEdges = new Int32Array(vertexCount * 3).fill(OFF_MAP);
+  const vertexVertices = new Int32Array(vertexCount * 3).fill(OFF_MAP);
+  for (let e = 0; e < edgeCount; e++) {
+    const a = edgeVertices[e * 2];
+    const b = edgeVertices[e * 2 + 1];
+    appendSlot(vertexEdges, a, e);
+    appendSlot(vertexEdges, b, e);
+    appendSlot(vertexVertices, a, b);
+    appendSlot(vertexVertices, b, a);
+  }
+
+  // 5. Latitude, longitude and the equirectangular map
+  const latitude = new Float64Array(N);
+  const longitude = new Float64Array(N);
+  const centers = new Float64Array(N * 2);
+  for (let i = 0; i < N; i++) {
+    const [lat, lon] = toLatLon(points, i, radius);
+    latitude[i] = lat * DEGREES;
+    longitude[i] = lon * DEGREES;
+    centers[i * 2] = radius * (lon + Math.PI);
+    centers[i * 2 + 1] = radius * (Math.PI / 2 - lat);
+  }
+  const vertexPositions = new Float32Array(vertexCount * 2);
+  for (let v = 0; v < vertexCount; v++) {
+    const [lat, lon] = toLatLon(vertexPoints, v, radius);
+    vertexPositions[v * 2] = radius * (lon + Math.PI);
+    vertexPositions[v * 2 + 1] = radius * (Math.PI / 2 - lat);
+  }
+
+  return {
+    type: 'sphere',
+    width,
+    height,
+    cellCount: N,
+    edgeCount,
+    vertexCount,
+    maxNeighbors: 6,
+    neighbors,
+    centers,
+    cellEdges,
+    cellVertices,
+    edgeCells,
+    edgeVertices,
+    vertexCells,
+    vertexEdges,
+    vertexVertices,
+    vertexPositions,
+    subdivisions: n,
+    radius,
+    points,
+    vertexPoints,
+    latitude,
+    longitude,
+    wrapWidth: 2 * Math.PI * radius,
+    bounds: { minX: 0, minY: 0, maxX: 2 * Math.PI * radius, maxY: Math.PI * radius }
+  };
+}
+
+// The two cells after `cell` in triangle v, counter-clockwise
+function cornersAfter(vertexCells, v, cell) {
+  const c = vertexCells.subarray(v * 3, v * 3 + 3).indexOf(cell);
+  return [vertexCells[v * 3 + (c + 1) % 3], vertexCells[v * 3 + (c + 2) % 3]];
+}
+
+// The triangle around `cell` whose next corner counter-clockwise is `after`
+function triangleWithEdge(vertexCells, incident, cell, after) {
+  for (let slot = cell * 6; slot < cell * 6 + 6; slot++) {
+    const v = incident[slot];
+    if (v >= 0 && cornersAfter(vertexCells, v, cell)[0] === after) return v;
+  }
+  throw new Error(`Sphere lattice is not closed around cell ${cell}`);
+}
+
+function toLatLon(points, i, radius) {
+  const x = points[i * 3];
+  const y = points[i * 3 + 1];
+  const z = points[i * 3 + 2];
+  return [Math.asin(Math.max(-1, Math.min(1, z / radius))), Math.atan2(y, x)];
+}
+
+// A vertex has exactly 3 edges and neighbouring vertices
+function appendSlot(table, v, value) {
+  let slot = v * 3;
+  while (table[slot] !== OFF_MAP) slot++;
+  table[slot] = value;
+}
@@ -0,0 +1,319 @@
+/**
+ * Irregular Voronoi cell grid, an alternative to the hex grid.
+ *
+ * Cell centres are jittered lattice points or a Poisson-disk sample over the
+ * rectangle a W×H hex map covers (hex size 1). Each cell is the part of that
+ * rectangle closer to its centre than to any other: the rectangle clipped by
+ * the bisector with every Delaunay neighbour. The result has the same tables
+ * as a HexTopology, so code that reads topology.neighbors, cellVertices or
+ * the edge and vertex tables runs on either grid.
+ *
+ * Differences from the hex topology:
+ * - cells have 3..maxNeighbors sides; unused slots hold NO_SIDE
+ * - side k of a cell runs from corner k to corner k + 1 and faces neighbour k
+ * - jittered grids keep createHexGrid's cell order (col * H + row); Poisson
+ *   grids have about W*H cells in sampling order
+ */
+
+import { triangulate, nextHalfedge } from './delaunay.js';
+import { OFF_MAP } from './hexTopology.js';
+
+/** Padding after a cell's last side in neighbors, cellVertices and cellEdges. */
+export const NO_SIDE = -2;
+
+const HALF_ROW = Math.sqrt(3) / 2;
+// Rectangle sides as clip labels: top, right, bottom, left (cells are >= 0)
+const RECT_SIDE_LABELS = [-1, -2, -3, -4];
+
+/**
+ * @typedef {import('./hexTopology.js').HexTopology & {
+ *   bounds: { minX:number, minY:number, maxX:number, maxY:number } // map rectangle, hex size 1
+ * }} VoronoiGrid
+ */
+
+/**
+ * Rectangle covered by the cells of a W×H flat-top hex grid of hex size 1.
+ * @param {number} width - Grid width (columns)
+ * @param {number} height - Grid height (rows)
+ * @returns {{ minX:number, minY:number, maxX:number, maxY:number }}
+ */
+export function hexMapRectangle(width, height) {
+  return { minX: -1, minY: -HALF_ROW, maxX: 1.5 * width - 0.5, maxY: 2 * HALF_ROW * height };
+}
+
+/**
+ * Build a Voronoi grid with about as many cells as a W×H hex grid.
+ *
+ * @param {number} width - Grid width (columns of the equivalent hex grid)
+ * @param {number} height - Grid height (rows of the equivalent hex grid)
+ * @param {{
+ *   points?: 'jittered'|'poisson', // cell centres
+ *   jitter?: number,               // jittered: share of the lattice spacing a point may move (0..1)
+ *   rng: () => number              // seeded random generator in [0, 1)
+ * }} options
+ * @returns {VoronoiGrid}
+ */
+export function createVoronoiGrid(width, height, { points = 'jittered', jitter = 0.9, rng }) {
+  const bounds = hexMapRectangle(width, height);
+  let coords;
+  if (points === 'jittered') coords = jitteredPoints(width, height, bounds, jitter, rng);
+  else if (points === 'poisson') coords = poissonPoints(width * height, bounds, rng);
+  else throw new Error(`Unknown Voronoi points "${points}" (expected jittered or poisson)`);
+
+  const N = coords.length / 2;
+  const adjacency = delaunayNeighbors(coords, N);
+
+  // Clip the rectangle to each cell, keeping the neighbour (or rectangle side)
+  // behind every side and reusing corners already made by a lower cell
+  const sideStart = new Int32Array(N + 1);
+  const sideLabels = [];
+  const sideVertices = [];
+  const vertexKeys = [];
+  const vertexXY = [];
+  for (let i = 0; i < N; i++) {
+    sideStart[i] = sideLabels.length;
+    const polygon = clipCell(i, coords, adjacency, bounds);
+    const count = polygon.labels.length;
+    for (let k = 0; k < count; k++) {
+      const key = sortedTriple(i, polygon.labels[(k + count - 1) % count], polygon.labels[k]);
+      let v = findVertex(key, i, sideStart, sideVertices, vertexKeys);
+      if (v === OFF_MAP) {
+        v = vertexKeys.length / 3;
+        vertexKeys.push(...key);
+        vertexXY.push(polygon.xs[k], polygon.ys[k]);
+      }
+      sideLabels.push(polygon.labels[k]);
+      sideVertices.push(v);
+    }
+  }
+  sideStart[N] = sideLabels.length;
+
+  let maxNeighbors = 0;
+  for (let i = 0; i < N; i++) maxNeighbors = Math.max(maxNeighbors, sideStart[i + 1] - sideStart[i]);
+  const M = maxNeighbors;
+  const vertexCount = vertexKeys.length / 3;
+
+  const neighbors = new Int32Array(N * M).fill(NO_SIDE);
+  const cellVertices = new Int32Array(N * M).fill(NO_SIDE);
+  for (let i = 0; i < N; i++) {
+    for (let s = sideStart[i], k = 0; s < sideStart[i + 1]; s++, k++) {
+      neighbors[i * M + k] = sideLabels[s] >= 0 ? sideLabels[s] : OFF_MAP;
+      cellVertices[i * M + k] = sideVertices[s];
+    }
+  }
+
+  // Edges: each shared side is created by the lower-indexed cell
+  const cellEdges = new Int32Array(N * M).fill(NO_SIDE);
+  const edgeCells = [];
+  const edgeVertices = [];
+  for (let i = 0; i < N; i++) {
+    const count = sideStart[i + 1] - sideStart[i];
+    for (let k = 0; k < count; k++) {
+      const n = neighbors[i * M + k];
+      if (n !== OFF_MAP && n < i) {
+        const back = neighbors.subarray(n * M, n * M + M).indexOf(i);
+        if (back >= 0) {
+          cellEdges[i * M + k] = cellEdges[n * M + back];
+          continue;
+        }
+      }
+      cellEdges[i * M + k] = edgeCells.length / 2;
+      edgeCells.push(i, n);
+      edgeVertices.push(cellVertices[i * M + k], cellVertices[i * M + (k + 1) % count]);
+    }
+  }
+  const edgeCount = edgeCells.length / 2;
+
+  const vertexCells = new Int32Array(vertexCount * 3).fill(OFF_MAP);
+  const vertexEdges = new Int32Array(vertexCount * 3).fill(OFF_MAP);
+  const vertexVertices = new Int32Array(vertexCount * 3).fill(OFF_MAP);
+  for (let j = 0; j < vertexCount * 3; j++) {
+    if (vertexKeys[j] >= 0) appendSlot(vertexCells, (j / 3) | 0, vertexKeys[j]);
+  }
+  for (let e = 0; e < edgeCount; e++) {
+    const a = edgeVertices[e * 2];
+    const b = edgeVertices[e * 2 + 1];
+    appendSlot(vertexEdges, a, e);
+    appendSlot(vertexEdges, b, e);
+    appendSlot(vertexVertices, a, b);
+    appendSlot(vertexVertices, b, a);
+  }
+
+  return {
+    type: 'voronoi',
+    width,
+    height,
+    cellCount: N,
+    edgeCount,
+    vertexCount,
+    maxNeighbors,
+    neighbors,
+    centers: coords,
+    cellEdges,
+    cellVertices,
+    edgeCells: Int32Array.from(edgeCells),
+    edgeVertices: Int32Array.from(edgeVertices),
+    vertexCells,
+    vertexEdges,
+    vertexVertices,
+    vertexPositions: Float32Array.from(vertexXY),
+    bounds
+  };
+}
+
+// One point per hex-grid cell, moved randomly within its lattice cell
+function jitteredPoints(width, height, bounds, jitter, rng) {
+  const sx = (bounds.maxX - bounds.minX) / width;
+  const sy = (bounds.maxY - bounds.minY) / height;
+  const coords = new Float64Array(width * height * 2);
+  for (let col = 0; col < width; col++) {
+    for (let row = 0; row < height; row++) {
+      const i = col * height + row;
+      coords[i * 2] = bounds.minX + (col + 0.5 + (rng() - 0.5) * jitter) * sx;
+      coords[i * 2 + 1] = bounds.minY + (row + 0.5 + (rng() - 0.5) * jitter) * sy;
+    }
+  }
+  return coords;
+}
+
+// Bridson's Poisson-disk sampling, spaced for about `target` points
+function poissonPoints(target, bounds, rng, attempts = 30) {
+  const w = bounds.maxX - bounds.minX;
+  const h = bounds.maxY - bounds.minY;
+  // Bridson fills to about 0.63 / r² points per unit area
+  const radius = Math.sqrt((0.63 * w * h) / target);
+  const cellSize = radius / Math.SQRT2;
+  const gw = Math.ceil(w / cellSize);
+  const gh = Math.ceil(h / cellSize);
+  const lookup = new Int32Array(gw * gh).fill(-1);
+  const xs = [];
+  const ys = [];
+  const active = [];
+
+  const add = (x, y) => {
+    lookup[Math.floor(y / cellSize) * gw + Math.floor(x / cellSize)] = xs.length;
+    active.push(xs.length);
+    xs.push(x);
+    ys.push(y);
+  };
+  const isFree = (x, y) => {
+    const gx = Math.floor(x / cellSize);
+    const gy = Math.floor(y / cellSize);
+    for (let j = Math.max(0, gy - 2); j <= Math.min(gh - 1, gy + 2); j++) {
+      for (let i = Math.max(0, gx - 2); i <= Math.min(gw - 1, gx + 2); i++) {
+        const p = lookup[j * gw + i];
+        if (p >= 0 && (xs[p] - x) ** 2 + (ys[p] - y) ** 2 < radius * radius) return false;
+      }
+    }
+    return true;
+  };
+
+  add(rng() * w, rng() * h);
+  while (active.length) {
+    const slot = Math.floor(rng() * active.length);
+    const p = active[slot];
+    let placed = false;
+    for (let k = 0; k < attempts && !placed; k++) {
+      const angle = rng() * Math.PI * 2;
+      const dist = radius * (1 + rng());
+      const x = xs[p] + Math.cos(angle) * dist;
+      const y = ys[p] + Math.sin(angle) * dist;
+      if (x < 0 || y < 0 || x >= w || y >= h || !isFree(x, y)) continue;
+      add(x, y);
+      placed = true;
+    }
+    if (!placed) {
+      active[slot] = active[active.length - 1];
+      active.pop();
+    }
+  }
+
+  const coords = new Float64Array(xs.length * 2);
+  for (let i = 0; i < xs.length; i++) {
+    coords[i * 2] = bounds.minX + xs[i];
+    coords[i * 2 + 1] = bounds.minY + ys[i];
+  }
+  return coords;
+}
+
+// Delaunay neighbours of every point, as arrays
+function delaunayNeighbors(coords, N) {
+  const { triangles, halfedges } = triangulate(coords);
+  const adjacency = Array.from({ length: N }, () => []);
+  for (let e = 0; e < triangles.length; e++) {
+    const p = triangles[e];
+    const q = triangles[nextHalfedge(e)];
+    adjacency[p].push(q);
+    if (halfedges[e] === -1) adjacency[q].push(p); // hull edges have one half-edge
+  }
+  return adjacency;
+}
+
+// The map rectangle clipped to the half-planes nearer cell i than each neighbour.
+// Corners run clockwise on screen; labels[k] is the neighbour or rectangle side
+// behind the side from corner k to corner k + 1.
+function clipCell(i, coords, adjacency, bounds) {
+  const { minX, minY, maxX, maxY } = bounds;
+  let xs = [minX, maxX, maxX, minX];
+  let ys = [minY, minY, maxY, maxY];
+  let labels = RECT_SIDE_LABELS.slice();
+  const cx = coords[i * 2];
+  const cy = coords[i * 2 + 1];
+  for (const j of adjacency[i]) {
+    // Points with d > 0 are nearer j than i
+    const dx = coords[j * 2] - cx;
+    const dy = coords[j * 2 + 1] - cy;
+    const mx = cx + dx / 2;
+    const my = cy + dy / 2;
+    const count = labels.length;
+    const d = xs.map((x, k) => (x - mx) * dx + (ys[k] - my) * dy);
+    if (d.every(v => v <= 0)) continue;
+    const nx = [];
+    const ny = [];
+    const nl = [];
+    for (let k = 0; k < count; k++) {
+      const next = (k + 1) % count;
+      const inside = d[k] <= 0;
+      if (inside) {
+        nx.push(xs[k]);
+        ny.push(ys[k]);
+        nl.push(labels[k]);
+      }
+      if (inside !== (d[next] <= 0)) {
+        const t = d[k] / (d[k] - d[next]);
+        nx.push(xs[k] + (xs[next] - xs[k]) * t);
+        ny.push(ys[k] + (ys[next] - ys[k]) * t);
+        nl.push(inside ? j : labels[k]);
+      }
+    }
+    xs = nx;
+    ys = ny;
+    labels = nl;
+  }
+  return { xs, ys, labels };
+}
+
+function sortedTriple(a, b, c) {
+  return [a, b, c].sort((x, y) => x - y);
+}
+
+// A corner is shared by the cells in its key; the lowest of them made it first
+function findVertex(key, cell, sideStart, sideVertices, vertexKeys) {
+  const owner = key.find(c => c >= 0);
+  if (owner === cell) return OFF_MAP;
+  for (let s = sideStart[owner]; s < sideStart[owner + 1]; s++) {
+    const v = sideVertices[s];
+    if (vertexKeys[v * 3] === key[0] && vertexKeys[v * 3 + 1] === key[1] && vertexKeys[v * 3 + 2] === key[2]) return v;
+  }
+  return OFF_MAP;
+}
+
+// A vertex has at most 3 cells, edges or neighbouring vertices
+function appendSlot(table, v, value) {
+  for (let slot = v * 3; slot < v * 3 + 3; slot++) {
+    if (table[slot] === OFF_MAP) {
+      table[slot] = value;
+      return;
+    }
+  }
+}
@@ -8,10 +8,12 @@
  */
 
 import { generateHeightmapCore } from '../utils/generateHeightmapCore.js';
+import { createChunkLoader } from '../utils/generateChunkCore.js';
+import { refineRegion } from '../utils/refineRegion.js';
 import { generateHeightmapAzgaar } from './01_generateHeightmap.js';
 
 // Use CDN imports for browser compatibility
-import { createNoise2D } from 'https://cdn.skypack.dev/simplex-noise';
+import { createNoise2D, createNoise3D } from 'https://cdn.skypack.dev/simplex-noise';
 import seedrandom from 'https://cdn.skypack.dev/seedrandom';
 
 /**
@@ -19,19 +21,85 @@ import seedrandom from 'https://cdn.skypack.dev/seedrandom';
  * @typedef {{
  *   gridWidth: number,
  *   gridHeight: number,
+ *   grid?: 'hex'|'voronoi'|'sphere',
+ *   wrapX?: boolean, // hex: join the east and west edges (even gridWidth on flat grids)
+ *   orientation?: 'flat'|'pointy', // hex: flat-topped columns or pointy-topped rows
+ *   parity?: 'even'|'odd',         // hex: which columns (rows) are shifted, see HexLayout in hexGrid.js
+ *   gridPoints?: 'jittered'|'poisson',
+ *   gridJitter?: number,
  *   octaves: number,
  *   persistence: number,
  *   lacunarity: number,
  *   frequency: number,
  *   amplitude: number,
- *   gradientFalloff: 'circular'|'none',
+ *   noiseType?: 'fbm'|'ridged'|'billow'|'hybrid'|'warped',
+ *   noiseLayers?: import('../utils/noise.js').NoiseLayer[],
+ *   ridgeOffset?: number,
+ *   ridgeGain?: number,
+ *   hybridOffset?: number,
+ *   warpStrength?: number,
+ *   generator?: 'noise'|'tectonic',
+ *   plateCount?: number,
+ *   continentalRatio?: number,
+ *   plateNoise?: number,
+ *   gradientFalloff: 'circular'|'rectangular'|'archipelago'|'band'|'coast'|'mask'|'none',
  *   falloffCurve: 'linear'|'smooth'|'power',
- *   seaLevel?: number
+ *   falloffMask?: Float32Array|Uint8Array|{ width: number, height: number, data: Uint8Array|Float32Array }, // integers span 0..type max
+ *   falloffEdgeWidth?: number,
+ *   falloffCenters?: number,
+ *   falloffCenterRadius?: number,
+ *   falloffBandWidth?: number,
+ *   falloffCoastSide?: 'north'|'south'|'east'|'west',
+ *   seaLevel?: number,
+ *   landFraction?: number,
+ *   hypsometry?: 'none'|'linear'|'earth'|'highlands'|'lowlands'|Array<[number, number]>,
+ *   erosionIterations?: number,
+ *   erosionRate?: number,
+ *   depositionRate?: number,
+ *   evaporationRate?: number,
+ *   sedimentCapacity?: number,
+ *   thermalIterations?: number,
+ *   talusAngle?: number,
+ *   thermalRate?: number
  * }} HeightmapOptions
  */
 
 export function generateHeightmap(seed, options) {
-  return generateHeightmapCore(seed, options, { createNoise2D, seedrandom });
+  return generateHeightmapCore(seed, options, { createNoise2D, createNoise3D, seedrandom });
+}
+
+const loadChunk = createChunkLoader({ createNoise2D, seedrandom });
+
+/**
+ * One chunkSize × chunkSize block of an unbounded hex world; neighbouring chunks join
+ * without seams (see generateChunkCore.js). Takes generateHeightmap's noise, layout,
+ * seaLevel, landFraction and hypsometry options, plus chunkSize, noiseScale and cacheSize.
+ * Each call returns its own heightMap and World, so steps can run on it.
+ *
+ * @param {string} seed - Deterministic seed string
+ * @param {number} chunkQ - Chunk column; chunk (q, r) starts at global column q·chunkSize
+ * @param {number} chunkR - Chunk row; it starts at global row r·chunkSize
+ * @param {Partial<HeightmapOptions> & { chunkSize?: number, noiseScale?: number, cacheSize?: number }} [options]
+ * @returns {import('../utils/generateChunkCore.js').Chunk}
+ */
+export function generateChunk(seed, chunkQ, chunkR, options = {}) {
+  return loadChunk(seed, chunkQ, chunkR, options);
+}
+
+/**
+ * Zoom into a rectangle of a hex world: a grid `factor` times finer whose elevation follows
+ * the parent's plus seeded detail, with the parent's land and sea at coarse scale and its
+ * rivers carried down when step 3 has run (see refineRegion.js).
+ *
+ * @param {string} seed - Seed for the detail noise
+ * @param {import('../utils/world.js').World} world - Parent world from generateHeightmap (hex grids only)
+ * @param {import('../utils/refineRegion.js').Region} region - Parent cells to refine
+ * @param {number} factor - Child cells per parent cell along each axis
+ * @param {{ detailAmplitude?: number, detailOctaves?: number }} [options]
+ * @returns {ReturnType<typeof refineRegion>}
+ */
+export function generateRegion(seed, world, region, factor, options = {}) {
+  return refineRegion(seed, world, region, factor, options, { createNoise2D, seedrandom });
 }
 
 export { generateHeightmapAzgaar };
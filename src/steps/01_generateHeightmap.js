@@ -6,65 +6,145 @@
  */
 
 import { generateHeightmapCore } from '../utils/generateHeightmapCore.js';
+import { createChunkLoader } from '../utils/generateChunkCore.js';
+import { refineRegion } from '../utils/refineRegion.js';
 import { generateHeightMap, computeLandMask, computeSignedDistanceField } from '../utils/azgaarHexMap.js';
+import { World } from '../utils/world.js';
 
 // Conditional imports for Node.js vs Browser environments
-let createNoise2D, seedrandom;
+let createNoise2D, createNoise3D, seedrandom;
 
 if (typeof window === 'undefined') {
   // Node.js environment - use local modules
   const simplexNoise = await import('simplex-noise');
   const seedrandomModule = await import('seedrandom');
   createNoise2D = simplexNoise.createNoise2D;
+  createNoise3D = simplexNoise.createNoise3D;
   seedrandom = seedrandomModule.default;
 } else {
   // Browser environment - use CDN imports
   const simplexNoise = await import('https://cdn.skypack.dev/simplex-noise');
   const seedrandomModule = await import('https://cdn.skypack.dev/seedrandom');
   createNoise2D = simplexNoise.createNoise2D;
+  createNoise3D = simplexNoise.createNoise3D;
   seedrandom = seedrandomModule.default;
 }
 
 /**
  * @typedef {{ q: number, r: number, s: number }} HexCell
+ * @typedef {import('../grid/hexTopology.js').HexTopology} HexTopology
+ * @typedef {import('../grid/cellGrid.js').CellGrid} CellGrid
  * @typedef {{
  *   gridWidth: number,
  *   gridHeight: number,
+ *   grid?: 'hex'|'voronoi'|'sphere',
+ *   wrapX?: boolean, // hex: join the east and west edges (even gridWidth on flat grids)
+ *   orientation?: 'flat'|'pointy', // hex: flat-topped columns or pointy-topped rows
+ *   parity?: 'even'|'odd',         // hex: which columns (rows) are shifted, see HexLayout in hexGrid.js
+ *   gridPoints?: 'jittered'|'poisson',
+ *   gridJitter?: number,
  *   octaves: number,
  *   persistence: number,
  *   lacunarity: number,
  *   frequency: number,
  *   amplitude: number,
- *   gradientFalloff: 'circular'|'none',
+ *   noiseType?: 'fbm'|'ridged'|'billow'|'hybrid'|'warped',
+ *   noiseLayers?: import('../utils/noise.js').NoiseLayer[],
+ *   ridgeOffset?: number,
+ *   ridgeGain?: number,
+ *   hybridOffset?: number,
+ *   warpStrength?: number,
+ *   generator?: 'noise'|'tectonic',
+ *   plateCount?: number,
+ *   continentalRatio?: number,
+ *   plateNoise?: number,
+ *   gradientFalloff: 'circular'|'rectangular'|'archipelago'|'band'|'coast'|'mask'|'none',
  *   falloffCurve: 'linear'|'smooth'|'power',
- *   seaLevel?: number
+ *   falloffMask?: Float32Array|Uint8Array|{ width: number, height: number, data: Uint8Array|Float32Array }, // integers span 0..type max
+ *   falloffEdgeWidth?: number,
+ *   falloffCenters?: number,
+ *   falloffCenterRadius?: number,
+ *   falloffBandWidth?: number,
+ *   falloffCoastSide?: 'north'|'south'|'east'|'west',
+ *   seaLevel?: number,
+ *   landFraction?: number,
+ *   hypsometry?: 'none'|'linear'|'earth'|'highlands'|'lowlands'|Array<[number, number]>,
+ *   erosionIterations?: number,
+ *   erosionRate?: number,
+ *   depositionRate?: number,
+ *   evaporationRate?: number,
+ *   sedimentCapacity?: number,
+ *   thermalIterations?: number,
+ *   talusAngle?: number,
+ *   thermalRate?: number
  * }} HeightmapOptions
  */
 
 /**
- * Generate a hex-grid and associated elevation data.
+ * Generate a hex grid (or Voronoi cells, with `grid: 'voronoi'`, or a whole planet, with
+ * `grid: 'sphere'`) and associated elevation data.
  *
  * @param {string} seed - Deterministic seed string
  * @param {HeightmapOptions} options - Generation options
- * @returns {Promise<{ hexGrid: HexCell[], heightMap: Float32Array }>}
+ * @returns {Promise<{ hexGrid: HexCell[]|null, topology: CellGrid, heightMap: Float32Array, seaLevel: number, erosionDelta?: Float32Array, thermalDelta?: Float32Array, world: World }>}
  */
 export async function generateHeightmap(seed, options) {
-  return generateHeightmapCore(seed, options, { createNoise2D, seedrandom });
+  return generateHeightmapCore(seed, options, { createNoise2D, createNoise3D, seedrandom });
+}
+
+const loadChunk = createChunkLoader({ createNoise2D, seedrandom });
+
+/**
+ * One chunkSize × chunkSize block of an unbounded hex world; neighbouring chunks join
+ * without seams (see generateChunkCore.js). Takes generateHeightmap's noise, layout,
+ * seaLevel, landFraction and hypsometry options, plus chunkSize, noiseScale and cacheSize.
+ * Each call returns its own heightMap and World, so steps can run on it.
+ *
+ * @param {string} seed - Deterministic seed string
+ * @param {number} chunkQ - Chunk column; chunk (q, r) starts at global column q·chunkSize
+ * @param {number} chunkR - Chunk row; it starts at global row r·chunkSize
+ * @param {Partial<HeightmapOptions> & { chunkSize?: number, noiseScale?: number, cacheSize?: number }} [options]
+ * @returns {Promise<import('../utils/generateChunkCore.js').Chunk>}
+ */
+export async function generateChunk(seed, chunkQ, chunkR, options = {}) {
+  return loadChunk(seed, chunkQ, chunkR, options);
+}
+
+/**
+ * Zoom into a rectangle of a hex world: a grid `factor` times finer whose elevation follows
+ * the parent's plus seeded detail, with the parent's land and sea at coarse scale and its
+ * rivers carried down when step 3 has run (see refineRegion.js).
+ *
+ * @param {string} seed - Seed for the detail noise
+ * @param {World} world - Parent world from generateHeightmap (hex grids only)
+ * @param {import('../utils/refineRegion.js').Region} region - Parent cells to refine
+ * @param {number} factor - Child cells per parent cell along each axis
+ * @param {{ detailAmplitude?: number, detailOctaves?: number }} [options]
+ * @returns {Promise<ReturnType<typeof refineRegion>>}
+ */
+export async function generateRegion(seed, world, region, factor, options = {}) {
+  return refineRegion(seed, world, region, factor, options, { createNoise2D, seedrandom });
 }
 
 /**
  * Azgaar-style heightmap, land mask, and signed distance field generation for comparison.
  * @param {string} seed
  * @param {object} options - { gridWidth, gridHeight, ... }
- * @returns {Promise<{ hexGrid, heightMap, landMask, signedDistanceField, featureIndex, neighborList, vertexList }>}
+ * @returns {Promise<{ hexGrid, topology, heightMap, seaLevel, landMask, signedDistanceField, featureIndex, features, neighborList, vertexList, world }>}
  */
 export async function generateHeightmapAzgaar(seed, options) {
   const width = options.gridWidth;
   const height = options.gridHeight;
-  const { hexGrid, heightMap, featureIndex, neighborList, vertexList } = generateHeightMap(seed, width, height, options);
-  const landMask = computeLandMask(heightMap, options.seaLevel ?? 0.5);
+  const { hexGrid, topology, heightMap, seaLevel, featureIndex, features, neighborList, vertexList } = generateHeightMap(seed, width, height, options, { createNoise2D, seedrandom });
+  const landMask = computeLandMask(heightMap, seaLevel);
   const signedDistanceField = computeSignedDistanceField(landMask, width, height);
-  return { hexGrid, heightMap, landMask, signedDistanceField, featureIndex, neighborList, vertexList };
+  const world = new World(width, height, { topology, seaLevel, hexGrid });
+  world.addLayer('elevation', heightMap);
+  world.addLayer('landMask', landMask);
+  world.addLayer('signedDistance', signedDistanceField);
+  world.addLayer('featureId', featureIndex);
+  world.features.geography = features;
+  return { hexGrid, topology, heightMap, seaLevel, landMask, signedDistanceField, featureIndex, features, neighborList, vertexList, world };
 }
 
 // TODO: Add Vitest tests for consistency
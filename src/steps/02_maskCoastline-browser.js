@@ -1,33 +1,115 @@
-// Import hexToPixelFlatOffset for corner calculations
-import { hexToPixelFlatOffset } from '../utils/hexToPixel.js';
+// Import hexToPixelOffset for corner calculations
+import { hexToPixelOffset, getHexPoints } from '../utils/hexToPixel.js';
+import { getGridDimensions } from '../grid/hexGrid.js';
+import { createHexTopology } from '../grid/hexTopology.js';
+import { cellPolygon, distanceSites } from '../grid/cellGrid.js';
+import { distanceToCoast } from '../utils/distanceField.js';
+import { traceCoastRings, ringsLandPath } from '../utils/coastRings.js';
+import { shapeRings } from '../utils/geometry.js';
+import { detectFeatures } from '../utils/features.js';
+import { detectLandforms } from '../utils/landforms.js';
+import { computeBathymetry } from '../utils/bathymetry.js';
+import { traceContours } from '../utils/contours.js';
+import { World } from '../utils/world.js';
 
 /**
  * @typedef {{ col: number, row: number, q: number, r: number }} HexCell
- * @typedef {{ hexGrid: HexCell[], heightMap: Float32Array }} HeightmapData
  * @typedef {{
- *   seaLevel: number,
+ *   hexGrid: HexCell[],
+ *   heightMap: Float32Array,
+ *   seaLevel?: number,
+ *   topology?: import('../grid/cellGrid.js').CellGrid, // hex, Voronoi or sphere; built from hexGrid when absent
+ *   plateBoundaries?: Uint8Array,  // from the tectonic generator, for ocean trenches
+ *   boundaryStress?: Float32Array
+ * }} HeightmapData
+ * @typedef {{
+ *   seaLevel?: number, // defaults to the heightmap's seaLevel; one of them is required
  *   hexSize: number,
- *   smoothingIterations: number,
- *   simplifyTolerance: number
+ *   smoothingIterations: number, // rounds of Chaikin corner cutting
+ *   simplifyTolerance: number,   // Ramer–Douglas–Peucker tolerance in hex sizes
+ *   perturbation?: number,       // hand-drawn wobble, as a fraction of side length (default 0, off)
+ *   perturbationLevels?: number, // rounds of midpoint displacement (default 3)
+ *   rng?: () => number,          // seeded random generator in [0, 1), needed for perturbation
+ *   features?: boolean,          // land and water features (landforms turn them on too)
+ *   continentShare?: number,     // feature size thresholds (see FeatureOptions in features.js)
+ *   isletShare?: number,
+ *   seaShare?: number,
+ *   landforms?: import('../utils/landforms.js').LandformOptions|boolean, // bay, cape and narrow-part thresholds
+ *   bathymetry?: import('../utils/bathymetry.js').BathymetryOptions|boolean, // ocean depth profile, trenches and seamounts
+ *   contours?: import('../utils/contours.js').ContourOptions|boolean // contour interval, metres per unit, index contours and smoothing
  * }} CoastlineOptions
  * @typedef {{ x: number, y: number }} Point
- * @typedef {Point[]} CornerLoop
+ * @typedef {import('../utils/coastRings.js').RingInfo} RingInfo
  */
 
 /**
  * From a flat heightmap, produce:
  * - a landMask: Uint8Array (1=land, 0=sea),
- * - a corner-traced SVG path string for the coastline.
+ * - the coastline rings, traced corner to corner along the cell sides, with
+ *   their containment tree (see coastRings.js), then simplified, perturbed and
+ *   smoothed (see geometry.js),
+ * - one SVG path string of all rings, to fill with fill-rule="evenodd",
+ * and, when their option is `true` or an options object:
+ * - the land and water features (see features.js),
+ * - the coastal landforms: bays, capes, peninsulas, isthmuses, straits and
+ *   fjords (see landforms.js),
+ * - the ocean depth, with its zones and isobath bands (see bathymetry.js),
+ * - contour lines of the land at every contour interval (see contours.js).
  *
- * @param {HeightmapData} data
+ * @param {HeightmapData|World} data - Heightmap layers, or a World with an elevation
+ *   layer; a World also receives a landMask layer and features.coastline, plus featureId
+ *   and features.geography, features.landforms, depth, depthZone and depthBand, and
+ *   features.contours from the passes that ran
  * @param {CoastlineOptions} options
  * @returns {{
  *   landMask: Uint8Array,
- *   coastlinePath: string
+ *   coastlinePath: string,
+ *   rings: Array<number[] & RingInfo>,
+ *   ringsPixel: Array<Point[] & RingInfo>,
+ *   landPath: string, // same as coastlinePath
+ *   featureIndex?: Int32Array,
+ *   features?: import('../utils/features.js').Feature[],
+ *   landforms?: import('../utils/landforms.js').Landform[],
+ *   depth?: Float32Array,   // [N] metres below sea level, 0 on land
+ *   depthZone?: Uint8Array, // [N] DEPTH_ZONES
+ *   depthBand?: Uint8Array, // [N] band between isobaths, 0 on land
+ *   isobaths?: number[],
+ *   contours?: import('../utils/contours.js').ContourLevel[] // lowest level first
  * }}
  */
-export function maskCoastline({ hexGrid, heightMap }, options) {
-  const { seaLevel = 0.5, hexSize = 20, smoothingIterations = 2, simplifyTolerance = 0.1 } = options;
+export function maskCoastline(data, options) {
+  const world = data instanceof World ? data : null;
+  let { hexGrid, heightMap, seaLevel: heightmapSeaLevel, topology, plateBoundaries, boundaryStress } = world
+    ? {
+        hexGrid: world.hexGrid,
+        heightMap: world.getLayer('elevation'),
+        seaLevel: world.seaLevel,
+        topology: world.topology,
+        plateBoundaries: world.hasLayer('plateBoundary') ? world.getLayer('plateBoundary') : undefined,
+        boundaryStress: world.hasLayer('boundaryStress') ? world.getLayer('boundaryStress') : undefined
+      }
+    : data;
+  const {
+    seaLevel = heightmapSeaLevel,
+    hexSize = 20,
+    smoothingIterations = 2,
+    simplifyTolerance = 0.1,
+    perturbation = 0,
+    perturbationLevels = 3,
+    rng,
+    continentShare,
+    isletShare,
+    seaShare
+  } = options;
+  if (seaLevel == null) throw new Error('maskCoastline needs a seaLevel, in the options or with the heightmap');
+  const landformOptions = passOptions(options.landforms);
+  const bathymetryOptions = passOptions(options.bathymetry);
+  const contourOptions = passOptions(options.contours);
+  const withFeatures = options.features === true || landformOptions != null;
+  if (!topology) {
+    const { width, height } = getGridDimensions(hexGrid);
+    topology = createHexTopology(width, height);
+  }
   
   // 1. Compute water mask
   const isWater = new Array(heightMap.length);
@@ -35,215 +117,110 @@ export function maskCoastline({ hexGrid, heightMap }, options) {
     isWater[i] = heightMap[i] < seaLevel;
   }
   
-  // 2. Gather corner points from water hexes
-  const cornerList = gatherWaterHexCorners(hexGrid, isWater, hexSize);
-  
-  // 3. Filter out interior corners (shared by ≥3 water hexes)
-  const perimeterCorners = filterInteriorCorners(cornerList);
-  
-  // Debug logging
-  console.log("total water hexes:", isWater.filter(w => w).length);
-  console.log("total raw corners:", cornerList.length);
-  console.log("perimeter corners:", perimeterCorners.length);
-  console.log("hexSize used:", hexSize);
-  
-  // 4. Cluster and sort into closed loops
-  const cornerLoops = clusterAndSortCorners(perimeterCorners, hexSize);
-  
-  // 5. Build SVG path from corner loops
-  const coastlinePath = cornerLoopsToSVGPath(cornerLoops);
-  
-  // 6. Create land mask (inverted from water mask)
+  // 2. Create land mask (inverted from water mask)
   const landMask = new Uint8Array(heightMap.length);
   for (let i = 0; i < heightMap.length; i++) {
     landMask[i] = isWater[i] ? 0 : 1;
   }
   
-  // 7. Build cornerMask for debug visualization (all hex corners with land/water info)
-  const cornerMask = [];
-  hexGrid.forEach((hex, idx) => {
-    const isLand = landMask[idx];
-    const { x: cx, y: cy } = hexToPixelFlatOffset(hex, hexSize);
-    for (let i = 0; i < 6; i++) {
-      const angle = (Math.PI / 180) * (60 * i); // Flat-topped: 0°, 60°, 120°, 180°, 240°, 300°
-      cornerMask.push({
-        q: hex.q,
-        r: hex.r,
-        x: cx + hexSize * Math.cos(angle),
-        y: cy + hexSize * Math.sin(angle),
-        isLand
-      });
-    }
+  // 3. Trace the rings along the sides between land and water, then simplify,
+  // perturb and smooth them without letting them cross
+  const traced = traceCoastRings(topology, landMask, hexSize);
+  const { rings } = traced;
+  const period = (topology.wrapWidth ?? 0) * hexSize;
+  const ringsPixel = shapeRings(traced.ringsPixel, {
+    simplifyTolerance: simplifyTolerance * hexSize,
+    perturbation,
+    perturbationLevels,
+    smoothingIterations,
+    rng,
+    period
   });
+  const landPath = traced.landPath && ringsLandPath(ringsPixel, period);
   
-  return {
-    landMask,
-    coastlinePath,
-    cornerMask,
-    debugPerimeterPoints: perimeterCorners // For debugging visualization
-  };
-}
-
-/**
- * Gather corner points from all water hexes
- * @param {HexCell[]} hexGrid
- * @param {boolean[]} isWater
- * @param {number} hexSize
- * @returns {Point[]}
- */
-function gatherWaterHexCorners(hexGrid, isWater, hexSize) {
-  const cornerList = [];
+  // Debug logging
+  console.log("total water hexes:", isWater.filter(w => w).length);
+  console.log("hexSize used:", hexSize);
   
-  for (let i = 0; i < hexGrid.length; i++) {
-    if (!isWater[i]) continue; // Skip non-water hexes
-    
-    const hex = hexGrid[i];
-    
-    // Convert offset coords to pixel center
-    const { x: cx, y: cy } = hexToPixelFlatOffset(hex, hexSize);
-    
-    // Compute six flat-topped corners at angles 0°, 60°, 120°, 180°, 240°, 300°
-    const corners = Array.from({length: 6}, (_, j) => {
-      const angle = (Math.PI / 180) * (60 * j);
-      return { 
-        x: cx + hexSize * Math.cos(angle),
-        y: cy + hexSize * Math.sin(angle)
-      };
-    });
-    
-    // Add each corner (rounded to fixed precision)
-    corners.forEach(corner => {
-      cornerList.push({
-        x: Math.round(corner.x * 100) / 100,
-        y: Math.round(corner.y * 100) / 100
-      });
+  // 4. All rings in one path; even-odd filling cuts lakes out of land
+  const coastlinePath = landPath;
+  
+  // 5. Connected land and water regions, with the rings along them
+  const { featureIndex, features } = withFeatures
+    ? detectFeatures(topology, landMask, hexSize, { continentShare, isletShare, seaShare, rings })
+    : {};
+  const landforms = landformOptions ? detectLandforms(topology, landMask, featureIndex, rings, hexSize, landformOptions) : undefined;
+  
+  // Ocean depth from the distance to the coast, the heightmap's relief and plate boundaries
+  let bathymetry = {};
+  if (bathymetryOptions) {
+    const coastDistance = distanceToCoast(landMask, topology.width, topology.height, 'euclidean', topology.neighbors, distanceSites(topology), topology);
+    bathymetry = computeBathymetry(topology, heightMap, seaLevel, landMask, coastDistance, {
+      plateBoundary: plateBoundaries,
+      boundaryStress,
+      ...bathymetryOptions
     });
   }
+  const { depth, depthZone, depthBand, isobaths } = bathymetry;
   
-  return cornerList;
-}
-
-/**
- * Filter out interior corners (shared by ≥3 water hexes)
- * @param {Point[]} cornerList
- * @returns {Point[]}
- */
-function filterInteriorCorners(cornerList) {
-  // Build a Map<string,count> keyed by "x,y"
-  const cornerCounts = new Map();
-  
-  cornerList.forEach(corner => {
-    const key = `${corner.x},${corner.y}`;
-    cornerCounts.set(key, (cornerCounts.get(key) || 0) + 1);
-  });
+  // Contour lines on the dual mesh, in the rings' pixel space
+  const contours = contourOptions ? traceContours(topology, heightMap, seaLevel, hexSize, contourOptions) : undefined;
   
-  // Keep only keys with count < 3 (perimeter corners)
-  const perimeterCorners = [];
-  cornerCounts.forEach((count, key) => {
-    if (count < 3) {
-      const [x, y] = key.split(',').map(Number);
-      perimeterCorners.push({ x, y });
+  // 6. Build cornerMask for debug visualization (all hex corners with land/water info)
+  const cornerMask = [];
+  if (topology.type !== 'hex') {
+    for (let i = 0; i < heightMap.length; i++) {
+      for (const { x, y } of cellPolygon(topology, i, hexSize)) cornerMask.push({ cell: i, x, y, isLand: landMask[i] });
+    }
+  }
+  hexGrid?.forEach((hex, idx) => {
+    const isLand = landMask[idx];
+    // Flat-topped: 0°, 60°, ..., 300°; pointy-topped: 30°, 90°, ..., 330°
+    for (const { x, y } of getHexPoints(hexToPixelOffset(hex, hexSize, topology), hexSize, topology.orientation)) {
+      cornerMask.push({ q: hex.q, r: hex.r, x, y, isLand });
     }
   });
   
-  return perimeterCorners;
-}
-
-/**
- * Cluster and sort perimeter corners into closed loops
- * @param {Point[]} perimeterCorners
- * @param {number} hexSize
- * @returns {CornerLoop[]}
- */
-function clusterAndSortCorners(perimeterCorners, hexSize) {
-  if (perimeterCorners.length === 0) return [];
-  
-  const sideLength = hexSize * Math.sqrt(3); // Distance between adjacent corners
-  const connectionThreshold = sideLength * 1.15; // Tighter tolerance for better clustering
-  
-  const clusters = [];
-  const used = new Set();
-  
-  // Find connected groups of points
-  for (let i = 0; i < perimeterCorners.length; i++) {
-    if (used.has(i)) continue;
-    
-    const cluster = [perimeterCorners[i]];
-    used.add(i);
-    
-    // Find all points connected to this cluster
-    let changed = true;
-    while (changed) {
-      changed = false;
-      
-      for (let j = 0; j < perimeterCorners.length; j++) {
-        if (used.has(j)) continue;
-        
-        const point = perimeterCorners[j];
-        
-        // Check if this point connects to any point in the cluster
-        for (const clusterPoint of cluster) {
-          const distance = Math.sqrt(
-            Math.pow(point.x - clusterPoint.x, 2) + 
-            Math.pow(point.y - clusterPoint.y, 2)
-          );
-          
-          if (distance <= connectionThreshold) {
-            cluster.push(point);
-            used.add(j);
-            changed = true;
-            break;
-          }
-        }
-      }
+  if (world) {
+    world.seaLevel = seaLevel;
+    world.addLayer('landMask', landMask);
+    world.features.coastline = { coastlinePath, rings, ringsPixel, landPath };
+    if (features) {
+      world.addLayer('featureId', featureIndex);
+      world.features.geography = features;
     }
-    
-    if (cluster.length >= 3) { // Only keep clusters with at least 3 points
-      clusters.push(cluster);
+    if (landforms) world.features.landforms = landforms;
+    if (depth) {
+      world.addLayer('depth', depth);
+      world.addLayer('depthZone', depthZone);
+      world.addLayer('depthBand', depthBand);
     }
+    if (contours) world.features.contours = contours;
   }
   
-  // Sort each cluster into a closed loop
-  return clusters.map(cluster => {
-    // Compute centroid
-    const cx = cluster.reduce((sum, p) => sum + p.x, 0) / cluster.length;
-    const cy = cluster.reduce((sum, p) => sum + p.y, 0) / cluster.length;
-    
-    // Sort points by angle from centroid
-    return cluster.sort((a, b) => {
-      const angleA = Math.atan2(a.y - cy, a.x - cx);
-      const angleB = Math.atan2(b.y - cy, b.x - cx);
-      return angleA - angleB;
-    });
-  });
+  return {
+    landMask,
+    coastlinePath,
+    rings,
+    ringsPixel,
+    landPath,
+    featureIndex,
+    features,
+    landforms,
+    depth,
+    depthZone,
+    depthBand,
+    isobaths,
+    contours,
+    cornerMask,
+    debugPerimeterPoints: ringsPixel.flat() // For debugging visualization
+  };
 }
 
-/**
- * Convert corner loops to SVG path string
- * @param {CornerLoop[]} cornerLoops
- * @returns {string}
- */
-function cornerLoopsToSVGPath(cornerLoops) {
-  if (cornerLoops.length === 0) return "";
-  
-  const pathParts = cornerLoops.map(loop => {
-    if (loop.length === 0) return "";
-    
-    const first = loop[0];
-    let path = `M${first.x} ${first.y}`;
-    
-    for (let i = 1; i < loop.length; i++) {
-      const point = loop[i];
-      path += ` L${point.x} ${point.y}`;
-    }
-    
-    // Close the loop
-    path += " Z";
-    
-    return path;
-  });
-  
-  return pathParts.join(" ");
+// Optional passes: off unless given, `true` for their defaults
+function passOptions(value) {
+  if (value === true) return {};
+  return value || null;
 }
 
 // TODO: add Vitest tests verifying mask & path 
\ No newline at end of file
@@ -1,133 +1,154 @@
 /**
  * @typedef {{ col:number, row:number, q:number, r:number }} HexCell
- * @typedef {{ hexGrid: HexCell[], heightMap: Float32Array }} HeightmapData
  * @typedef {{
- *   seaLevel: number,
+ *   hexGrid: HexCell[],
+ *   heightMap: Float32Array,
+ *   seaLevel?: number,
+ *   topology?: import('../grid/cellGrid.js').CellGrid, // hex, Voronoi or sphere; built from hexGrid when absent
+ *   plateBoundaries?: Uint8Array,  // from the tectonic generator, for ocean trenches
+ *   boundaryStress?: Float32Array
+ * }} HeightmapData
+ * @typedef {{
+ *   seaLevel?: number, // defaults to the heightmap's seaLevel; one of them is required
  *   hexSize: number,
- *   smoothingIterations?: number,
- *   simplifyTolerance?: number
+ *   smoothingIterations?: number, // rounds of Chaikin corner cutting (default 0)
+ *   simplifyTolerance?: number,   // Ramer–Douglas–Peucker tolerance in hex sizes (default 0, off)
+ *   perturbation?: number,        // hand-drawn wobble, as a fraction of side length (default 0, off)
+ *   perturbationLevels?: number,  // rounds of midpoint displacement (default 3)
+ *   rng?: () => number,           // seeded random generator in [0, 1), needed for perturbation
+ *   features?: boolean,           // land and water features (landforms turn them on too)
+ *   continentShare?: number,      // feature size thresholds (see FeatureOptions in features.js)
+ *   isletShare?: number,
+ *   seaShare?: number,
+ *   landforms?: import('../utils/landforms.js').LandformOptions|boolean, // bay, cape and narrow-part thresholds
+ *   bathymetry?: import('../utils/bathymetry.js').BathymetryOptions|boolean, // ocean depth profile, trenches and seamounts
+ *   contours?: import('../utils/contours.js').ContourOptions|boolean // contour interval, metres per unit, index contours and smoothing
  * }} CoastlineOptions
+ * @typedef {import('../utils/coastRings.js').RingInfo} RingInfo
  */
 
-import { hexToPixelFlatOffset } from "../utils/hexToPixel.js";
-// Optional smoothing/simplify stubs:
-// import { chaikin, simplify } from "../utils/geometry.js";
+import { hexToPixelOffset, getHexPoints } from "../utils/hexToPixel.js";
+import { getGridDimensions } from "../grid/hexGrid.js";
+import { createHexTopology } from "../grid/hexTopology.js";
+import { cellPolygon, distanceSites } from "../grid/cellGrid.js";
+import { distanceToCoast } from "../utils/distanceField.js";
+import { traceCoastRings, ringsLandPath } from "../utils/coastRings.js";
+import { shapeRings } from "../utils/geometry.js";
+import { detectFeatures } from "../utils/features.js";
+import { detectLandforms } from "../utils/landforms.js";
+import { computeBathymetry } from "../utils/bathymetry.js";
+import { traceContours } from "../utils/contours.js";
+import { World } from "../utils/world.js";
 
 /**
- * Trace all nested coastlines as rings, tagging orientation for correct fill.
- * @param {HeightmapData} param0
+ * Trace all nested coastlines as rings along the cell sides, with their
+ * containment tree (see coastRings.js) for correct fill, then optionally
+ * simplify, perturb and smooth them (see geometry.js). Rings never cross, so
+ * land, lakes and islands keep their nesting. Contour lines of the land share
+ * their pixel space (see contours.js). Features, landforms, bathymetry and
+ * contours cost more than the coastline and no later step reads them, so each
+ * runs only when its option is `true` or an options object.
+ * @param {HeightmapData|World} data - Heightmap layers, or a World with an elevation
+ *   layer; a World also receives landMask and distanceToCoast layers and
+ *   features.coastline, plus featureId and features.geography, features.landforms,
+ *   depth, depthZone and depthBand, and features.contours from the passes that ran
  * @param {CoastlineOptions} options
  * @returns {{
  *   landMask: Uint8Array,
+ *   distanceToCoast: Float32Array, // [N] distance from each cell centre to the nearest coastal land cell
  *   coastlinePaths: string[],
- *   rings: Array<HexCell[]>,
- *   ringsPixel: Array<Array<{x:number,y:number}>>,
+ *   rings: Array<number[] & RingInfo>, // land cell indices along each ring, largest first
+ *   ringsPixel: Array<Array<{x:number,y:number}> & RingInfo>,
+ *   landPath: string,          // every ring in one SVG path, to fill with fill-rule="evenodd"
+ *   featureIndex?: Int32Array, // [N] land or water feature of each cell
+ *   features?: import('../utils/features.js').Feature[], // oceans, seas, lakes, continents, islands and islets
+ *   landforms?: import('../utils/landforms.js').Landform[], // bays, capes, peninsulas, isthmuses, straits and fjords
+ *   depth?: Float32Array,      // [N] metres below sea level, 0 on land
+ *   depthZone?: Uint8Array,    // [N] DEPTH_ZONES: shelf, slope, abyssal plain, trench or seamount
+ *   depthBand?: Uint8Array,    // [N] band between isobaths, 0 on land
+ *   isobaths?: number[],       // metres
+ *   contours?: import('../utils/contours.js').ContourLevel[], // contour lines of the land, lowest level first
  *   // For compatibility:
  *   coastlinePath: string, // first ring as SVG path
- *   cornerMask: Array<{q:number, r:number, x:number, y:number, isLand:number}>
+ *   cornerMask: Array<{q:number, r:number, x:number, y:number, isLand:number}> // `cell` instead of q, r on other grids
  * }}
  */
-export function maskCoastline({ hexGrid, heightMap }, options) {
-  const { seaLevel, hexSize } = options;
-
-  // 1. Attach isLand to each hex
-  hexGrid.forEach((h, i) => h.isLand = heightMap[i] >= seaLevel);
-
-  // 2. Build a neighbour lookup
-  const hexMap = new Map(hexGrid.map(h => [`${h.q},${h.r}`, h]));
-
-  // 3. Helper: 6 axial directions
-  const DIRS = [[1,0],[1,-1],[0,-1],[-1,0],[-1,1],[0,1]];
-
-  // 4. Build the dual-edge list: every edge between land and water
-  const edges = [];
-  hexGrid.forEach(h => {
-    DIRS.forEach((dir,i) => {
-      const nKey = `${h.q+dir[0]},${h.r+dir[1]}`;
-      const n = hexMap.get(nKey);
-      if (!n) return;                       // off-map
-      if (h.isLand !== n.isLand) {          // coastline edge
-        edges.push({ h, n, edgeIndex: i }); // store once
+export function maskCoastline(data, options) {
+  const world = data instanceof World ? data : null;
+  const { hexGrid, heightMap, seaLevel: heightmapSeaLevel, topology, plateBoundaries, boundaryStress } = world
+    ? {
+        hexGrid: world.hexGrid,
+        heightMap: world.getLayer('elevation'),
+        seaLevel: world.seaLevel,
+        topology: world.topology,
+        plateBoundaries: world.hasLayer('plateBoundary') ? world.getLayer('plateBoundary') : undefined,
+        boundaryStress: world.hasLayer('boundaryStress') ? world.getLayer('boundaryStress') : undefined
       }
-    });
-  });
-
-  // 5. Walk each ring until all edges are consumed
-  const rings = [];
-  const used = new Set();
-
-  function key(a,b,index) {   // unique edge key
-    const [q1,r1] = [a.q,a.r], [q2,r2] = [b.q,b.r];
-    return q1 < q2 || (q1 === q2 && r1 < r2)
-         ? `${q1},${r1}-${q2},${r2}-${index}`
-         : `${q2},${r2}-${q1},${r1}-${index}`;
-  }
-
-  while (edges.length) {
-    const ring = [];
-    let { h, n, edgeIndex } = edges.pop();
-    const startKey = key(h,n,edgeIndex);
-
-    let current = h;
-    let dir = edgeIndex;
-
-    do {
-      const edgeK = key(current, n, dir);
-      if (used.has(edgeK)) break;
-      used.add(edgeK);
-
-      ring.push(current);
-
-      // step to next hex around the coastline
-      const nextDir = (dir + (current.isLand ? 1 : 5)) % 6; // keep land on the left
-      const [dq,dr] = DIRS[nextDir];
-      const nextHex = hexMap.get(`${current.q+dq},${current.r+dr}`);
-      if (!nextHex) break;
-
-      // find the edge between nextHex and current
-      const oppDir = (nextDir + 3) % 6;
-      const edgeKey = key(nextHex, current, oppDir);
-      used.add(edgeKey);
-
-      current = nextHex;
-      dir = oppDir;
-    } while (!used.has(startKey));
-
-    if (ring.length > 2) rings.push(ring);
-  }
-
-  // Helper: signed area for orientation (positive = clockwise)
-  function signedArea(ring) {
-    let area = 0;
-    for (let i = 0; i < ring.length; i++) {
-      const a = ring[i], b = ring[(i + 1) % ring.length];
-      area += (a.q * b.r - b.q * a.r);
-    }
-    return area / 2;
-  }
-
-  // After rings are built
-  rings.forEach(r => {
-    r.clockwise = signedArea(r) > 0;   // true = land ring
-    r.area = Math.abs(signedArea(r));
-  });
-  rings.sort((a, b) => b.area - a.area);   // draw big → small
-  const filteredRings = rings.filter(r => r.area > 0.5);  // drop < half-tile
-
-  // Convert filtered rings of hexes to pixel points for rendering
-  const ringsPixel = filteredRings.map(ring => {
-    const pts = ring.map(hex => {
-      const { x, y } = hexToPixelFlatOffset(hex, hexSize);
-      return { x, y };
-    });
-    pts.clockwise = ring.clockwise;
-    pts.area = ring.area;
-    return pts;
-  });
-
-  // Build SVG path strings for each ring
+    : data;
+  const {
+    seaLevel = heightmapSeaLevel,
+    hexSize,
+    smoothingIterations = 0,
+    simplifyTolerance = 0,
+    perturbation = 0,
+    perturbationLevels = 3,
+    rng,
+    continentShare,
+    isletShare,
+    seaShare
+  } = options;
+  if (seaLevel == null) throw new Error('maskCoastline needs a seaLevel, in the options or with the heightmap');
+  const landformOptions = passOptions(options.landforms);
+  const bathymetryOptions = passOptions(options.bathymetry);
+  const contourOptions = passOptions(options.contours);
+  const withFeatures = options.features === true || landformOptions != null;
+
+  // 1. Land mask (the hex objects are left untouched)
+  const N = heightMap.length;
+  const landMask = new Uint8Array(N);
+  for (let i = 0; i < N; i++) landMask[i] = heightMap[i] >= seaLevel ? 1 : 0;
+
+  // 2. Neighbour lookup from the shared topology (on hex grids slot k follows AXIAL_DIRECTIONS)
+  const { width, height } = topology ?? getGridDimensions(hexGrid);
+  const grid = topology ?? createHexTopology(width, height);
+  const { neighbors } = grid;
+
+  // 3. Rings along the sides between land and sea cells, corner to corner
+  const traced = traceCoastRings(grid, landMask, hexSize);
+  const { rings } = traced;
+
+  // 4. Simplified, perturbed and smoothed without letting rings cross
+  const period = (grid.wrapWidth ?? 0) * hexSize;
+  const shaped = simplifyTolerance > 0 || perturbation > 0 || smoothingIterations > 0;
+  const ringsPixel = shaped
+    ? shapeRings(traced.ringsPixel, { simplifyTolerance: simplifyTolerance * hexSize, perturbation, perturbationLevels, smoothingIterations, rng, period })
+    : traced.ringsPixel;
+  const landPath = shaped && traced.landPath ? ringsLandPath(ringsPixel, period) : traced.landPath;
+
+  // 5. Connected land and water regions, with the rings along them
+  const { featureIndex, features } = withFeatures
+    ? detectFeatures(grid, landMask, hexSize, { continentShare, isletShare, seaShare, rings })
+    : {};
+
+  // 6. Bays and capes along the rings, and narrow land and water
+  const landforms = landformOptions ? detectLandforms(grid, landMask, featureIndex, rings, hexSize, landformOptions) : undefined;
+
+  // 7. Ocean depth from the distance to the coast, the heightmap's relief and plate boundaries
+  const coastDistance = distanceToCoast(landMask, width, height, 'euclidean', neighbors, distanceSites(grid), grid);
+  const { depth, depthZone, depthBand, isobaths } = bathymetryOptions
+    ? computeBathymetry(grid, heightMap, seaLevel, landMask, coastDistance, {
+        plateBoundary: plateBoundaries,
+        boundaryStress,
+        ...bathymetryOptions
+      })
+    : {};
+
+  // 8. Contour lines on the dual mesh, in the rings' pixel space
+  const contours = contourOptions ? traceContours(grid, heightMap, seaLevel, hexSize, contourOptions) : undefined;
+
+  // Build SVG path strings for each ring (rings all the way around a wrapping map stay open)
   const coastlinePaths = ringsPixel.map(pts =>
-    pts.map((p,i) => `${i===0?'M':'L'}${p.x},${p.y}`).join(' ') + ' Z'
+    pts.map((p,i) => `${i===0?'M':'L'}${p.x},${p.y}`).join(' ') + (pts.wraps ? '' : ' Z')
   );
 
   // For compatibility: build a single path string for the first ring
@@ -135,130 +156,62 @@ export function maskCoastline({ hexGrid, heightMap }, options) {
 
   // Build cornerMask for debug visualization (all hex corners with land/water info)
   const cornerMask = [];
-  hexGrid.forEach((hex, idx) => {
-    const isLand = hex.isLand;
-    const { x: cx, y: cy } = hexToPixelFlatOffset(hex, hexSize);
-    for (let i = 0; i < 6; i++) {
-      const angle = (Math.PI / 180) * (60 * i); // Flat-topped: 0°, 60°, 120°, 180°, 240°, 300°
-      cornerMask.push({
-        q: hex.q,
-        r: hex.r,
-        x: cx + hexSize * Math.cos(angle),
-        y: cy + hexSize * Math.sin(angle),
-        isLand
-      });
+  if (grid.type !== 'hex') {
+    for (let i = 0; i < N; i++) {
+      for (const { x, y } of cellPolygon(grid, i, hexSize)) cornerMask.push({ cell: i, x, y, isLand: landMask[i] });
+    }
+  }
+  hexGrid?.forEach((hex, idx) => {
+    const isLand = landMask[idx];
+    // Flat-topped: 0°, 60°, ..., 300°; pointy-topped: 30°, 90°, ..., 330°
+    for (const { x, y } of getHexPoints(hexToPixelOffset(hex, hexSize, grid), hexSize, grid.orientation)) {
+      cornerMask.push({ q: hex.q, r: hex.r, x, y, isLand });
     }
   });
 
-  return {
-    landMask: Uint8Array.from(hexGrid.map(h => h.isLand ? 1 : 0)),
+  const result = {
+    landMask,
+    distanceToCoast: coastDistance,
     coastlinePaths, // array of SVG path strings, one per ring
-    rings: filteredRings,          // array of hex arrays (with orientation)
+    rings,          // array of land cell index arrays (with orientation and tree links)
     ringsPixel,     // array of pixel point arrays
+    landPath,       // all rings, for an even-odd fill of land with its lakes
+    featureIndex,
+    features,
+    landforms,
+    depth,          // ocean depth in metres, with its zones and isobath bands
+    depthZone,
+    depthBand,
+    isobaths,
+    contours,       // contour lines per level, with index flags and SVG paths
     coastlinePath,  // for compatibility: first ring as SVG path
     cornerMask
   };
-}
-
-// --- Helpers ---
 
-/**
- * Merge boundary segments into closed loops using adjacency map.
- * @param {[{x:number,y:number},{x:number,y:number}][]} segments
- * @returns {Array<Array<{x:number,y:number}>>}
- */
-function mergeSegmentsIntoLoops(segments) {
-  // Index points as string keys (rounded for floating-point safety)
-  function ptKey(p) {
-    return `${p.x.toFixed(3)},${p.y.toFixed(3)}`;
-  }
-  // Build adjacency map
-  const neighbors = new Map();
-  for (const [a, b] of segments) {
-    const ka = ptKey(a), kb = ptKey(b);
-    if (!neighbors.has(ka)) neighbors.set(ka, { pt: a, adj: new Set() });
-    if (!neighbors.has(kb)) neighbors.set(kb, { pt: b, adj: new Set() });
-    neighbors.get(ka).adj.add(kb);
-    neighbors.get(kb).adj.add(ka);
-  }
-  // Track used edges
-  const usedEdges = new Set();
-  const loops = [];
-  // Helper to mark edge as used
-  function edgeKey(k1, k2) {
-    return k1 < k2 ? `${k1}|${k2}` : `${k2}|${k1}`;
-  }
-  // Walk loops
-  for (const [startKey, { pt: start }] of neighbors) {
-    // Find an unused edge from this point
-    for (const nextKey of neighbors.get(startKey).adj) {
-      const ek = edgeKey(startKey, nextKey);
-      if (usedEdges.has(ek)) continue;
-      // Start a new loop
-      const loop = [neighbors.get(startKey).pt];
-      let prevKey = startKey;
-      let currKey = nextKey;
-      usedEdges.add(ek);
-      while (currKey !== startKey) {
-        loop.push(neighbors.get(currKey).pt);
-        // Find next unused neighbor
-        const currAdj = neighbors.get(currKey).adj;
-        let found = false;
-        for (const nKey of currAdj) {
-          if (nKey === prevKey) continue;
-          const eKey = edgeKey(currKey, nKey);
-          if (!usedEdges.has(eKey)) {
-            usedEdges.add(eKey);
-            prevKey = currKey;
-            currKey = nKey;
-            found = true;
-            break;
-          }
-        }
-        if (!found) break; // Dead end (shouldn't happen for closed loops)
-      }
-      if (loop.length > 2) loops.push(loop);
+  if (world) {
+    world.seaLevel = seaLevel;
+    world.addLayer('landMask', landMask);
+    world.addLayer('distanceToCoast', result.distanceToCoast);
+    world.features.coastline = { coastlinePaths, rings, ringsPixel, landPath };
+    if (features) {
+      world.addLayer('featureId', featureIndex);
+      world.features.geography = features;
     }
-  }
-  return loops;
-}
-
-/**
- * Chaikin’s corner-cutting smoothing.
- * @param {Array<{x:number,y:number}>} points
- * @param {number} iterations
- * @returns {Array<{x:number,y:number}>}
- */
-function chaikin(points, iterations) {
-  let pts = points;
-  for (let k = 0; k < iterations; k++) {
-    const next = [];
-    for (let i = 0; i < pts.length; i++) {
-      const p0 = pts[i];
-      const p1 = pts[(i+1) % pts.length];
-      next.push({
-        x: 0.75*p0.x + 0.25*p1.x,
-        y: 0.75*p0.y + 0.25*p1.y
-      });
-      next.push({
-        x: 0.25*p0.x + 0.75*p1.x,
-        y: 0.25*p0.y + 0.75*p1.y
-      });
+    if (landforms) world.features.landforms = landforms;
+    if (depth) {
+      world.addLayer('depth', depth);
+      world.addLayer('depthZone', depthZone);
+      world.addLayer('depthBand', depthBand);
     }
-    pts = next;
+    if (contours) world.features.contours = contours;
   }
-  return pts;
+  return result;
 }
 
-/**
- * Douglas–Peucker simplification stub
- * @param {Array<{x:number,y:number}>} points
- * @param {number} epsilon
- * @returns {Array<{x:number,y:number}>}
- */
-function simplify(points, epsilon) {
-  // TODO: Implement Ramer–Douglas–Peucker
-  return points;
-}
+// --- Helpers ---
 
-// TODO: Add Vitest tests to validate landMask and coastlinePath 
\ No newline at end of file
+// Optional passes: off unless given, `true` for their defaults
+function passOptions(value) {
+  if (value === true) return {};
+  return value || null;
+}
@@ -1,39 +1,399 @@
 /**
  * Step 3: Simulate Rivers
- * 
+ *
  * This step generates river systems by simulating water flow from high
  * elevation areas to lower elevations, following terrain contours.
+ *
+ * Pipeline: priority-flood depression filling → steepest-descent receiver
+ * per cell over the cell's neighbours → flow accumulation → river tracing
+ * wherever discharge passes the flow threshold → river network (stream order,
+ * confluences, mouths, deltas, widths and pixel polylines).
+ *
+ * Depressions found by the fill become lakes. A lake whose inflow exceeds its
+ * evaporation spills through its outlet; otherwise it stays a closed salt lake
+ * and the basin is endorheic.
  */
 
-export function simulateRivers(heightmap, options = {}) {
+import { getGridDimensions } from '../grid/hexGrid.js';
+import { createHexTopology, OFF_MAP } from '../grid/hexTopology.js';
+import { distanceSites } from '../grid/cellGrid.js';
+import {
+  fillDepressions,
+  computeReceivers,
+  upstreamOrder,
+  computeFlowAccumulation,
+  detectLakes,
+  computeFreshWaterMask
+} from '../utils/hydrology.js';
+import {
+  computeStreamOrder,
+  linkRivers,
+  hexStepDistance,
+  traceDistributaries,
+  riverWidths,
+  riverPolyline
+} from '../utils/riverNetwork.js';
+import { distanceTo } from '../utils/distanceField.js';
+import { World } from '../utils/world.js';
+
+/**
+ * @typedef {{ col:number, row:number, q:number, r:number }} HexCell
+ * @typedef {{
+ *   hexGrid: HexCell[],
+ *   heightMap: Float32Array,
+ *   seaLevel?: number,
+ *   topology?: import('../grid/cellGrid.js').CellGrid // hex, Voronoi or sphere; built from hexGrid when absent
+ * }} HeightmapData
+ * @typedef {{
+ *   seaLevel?: number, // defaults to the heightmap's seaLevel; one of them is required
+ *   minRiverLength?: number,
+ *   maxRivers?: number,
+ *   flowThreshold?: number,
+ *   riverWidth?: number,
+ *   precipitation?: Float32Array,
+ *   hexSize?: number,
+ *   smoothingIterations?: number,
+ *   deltaMinDischarge?: number,
+ *   deltaMaxSlope?: number,
+ *   deltaLength?: number,
+ *   deltaBranches?: number,
+ *   lakeEvaporation?: number,
+ *   lakeMinDepth?: number
+ * }} RiverOptions
+ * @typedef {{ x:number, y:number, width:number }} RiverPoint
+ * @typedef {{ cells: number[], polyline: RiverPoint[] }} Distributary
+ * @typedef {{
+ *   id: number,
+ *   cells: number[],
+ *   surface: number,     // water surface elevation (spill level)
+ *   area: number,        // number of cells
+ *   depth: number,       // deepest point below the surface
+ *   meanDepth: number,
+ *   exit: number,        // lake cell the outflow leaves from
+ *   outlet: number,      // first cell downstream of the lake, -1 if closed
+ *   inflow: number,      // water reaching the lake, including rain on it
+ *   evaporation: number,
+ *   outflow: number,
+ *   closed: boolean,     // endorheic: evaporation consumes all inflow
+ *   salt: boolean,
+ *   inflows: number[],   // river ids ending in the lake
+ *   outflowRiver: number // river id leaving through the outlet, -1 for none
+ * }} Lake
+ * @typedef {{
+ *   id: number,
+ *   cells: number[],     // cell indices, source first, mouth/confluence last
+ *   source: number,
+ *   mouth: number,
+ *   length: number,      // number of cells in the path
+ *   discharge: number,   // discharge at the last cell
+ *   parent: number,      // river this one flows into, -1 for none
+ *   children: number[],  // tributary river ids
+ *   strahler: number,    // highest Strahler order along the river
+ *   shreve: number,      // Shreve magnitude at the last river cell
+ *   mouthType: 'sea'|'lake'|'confluence'|'edge'|'sink',
+ *   lake: number,        // lake id at the mouth, -1 otherwise
+ *   widths: number[],    // width per cell
+ *   polyline: RiverPoint[],
+ *   distributaries: Distributary[]
+ * }} River
+ */
+
+/**
+ * Route water over the hex heightmap and extract rivers.
+ *
+ * `flowThreshold` is a fraction of the largest discharge on the map: a land
+ * cell carries a river once its accumulated flow reaches that share.
+ * `riverWidth` is the stroke width at that threshold; wider channels follow
+ * discharge and Strahler order. Rivers carrying at least `deltaMinDischarge`
+ * of the largest discharge into the sea across a coast flatter than
+ * `deltaMaxSlope` (elevation per cell) split into `deltaBranches` distributaries.
+ * Each lake cell evaporates `lakeEvaporation` units of water, in the same
+ * units as precipitation (1 per land cell by default).
+ *
+ * @param {HeightmapData|World} data - Heightmap layers, or a World with an elevation
+ *   layer; a World also receives the per-cell results as layers and rivers,
+ *   lakes and confluences as features
+ * @param {RiverOptions} [options]
+ * @returns {{
+ *   riverMap: Float32Array,       // [N] discharge on river cells, 0 elsewhere
+ *   rivers: River[],
+ *   riverIds: Int32Array,         // [N] owning river id, -1 elsewhere
+ *   strahler: Uint8Array,         // [N] Strahler order on river cells
+ *   shreve: Uint32Array,          // [N] Shreve magnitude on river cells
+ *   confluences: Array<{ cell:number, river:number, tributaries:number[] }>,
+ *   lakes: Lake[],
+ *   lakeIds: Int32Array,          // [N] lake id, -1 elsewhere
+ *   freshWater: Uint8Array,       // [N] 1 on rivers and freshwater lakes
+ *   distanceToFreshWater: Float32Array, // [N] distance to the nearest freshWater cell, Infinity if none
+ *   discharge: Float32Array,      // [N] accumulated flow for every cell
+ *   receivers: Int32Array,        // [N] downstream cell, -1 for sinks
+ *   filledHeightMap: Float64Array // [N] depression-filled elevation
+ * }}
+ */
+export function simulateRivers(data, options = {}) {
+  const world = data instanceof World ? data : null;
+  const { hexGrid, heightMap, seaLevel: heightmapSeaLevel, topology } = world
+    ? { hexGrid: world.hexGrid, heightMap: world.getLayer('elevation'), seaLevel: world.seaLevel, topology: world.topology }
+    : data;
   const {
+    // The sea level solved in step 1 unless overridden
+    seaLevel = heightmapSeaLevel,
     minRiverLength = 10,
     maxRivers = 50,
     flowThreshold = 0.1,
-    riverWidth = 2
+    riverWidth = 2,
+    precipitation = 1,
+    hexSize = 15,
+    smoothingIterations = 2,
+    deltaMinDischarge = 0.5,
+    deltaMaxSlope = 0.01,
+    deltaLength = 3,
+    deltaBranches = 2,
+    lakeEvaporation = 2,
+    lakeMinDepth = 1e-4
   } = options;
+  if (seaLevel == null) throw new Error('simulateRivers needs a seaLevel, in the options or with the heightmap');
+
+  const N = heightMap.length;
+  const { width, height } = topology ?? getGridDimensions(hexGrid);
+  const grid = topology ?? createHexTopology(width, height);
+  const { neighbors, centers, wrapWidth, maxNeighbors: M } = grid;
+
+  // 1. Sea cells are sinks; land on the map border drains off-map
+  const isSea = new Uint8Array(N);
+  const isBorder = new Uint8Array(N);
+  const isOutlet = new Uint8Array(N);
+  for (let i = 0; i < N; i++) {
+    isSea[i] = heightMap[i] < seaLevel ? 1 : 0;
+    for (let k = 0; k < M; k++) {
+      if (neighbors[i * M + k] === OFF_MAP) isBorder[i] = 1;
+    }
+    isOutlet[i] = isSea[i] || isBorder[i];
+  }
+
+  // 2. Fill depressions and route over the filled surface
+  const filledHeightMap = fillDepressions(heightMap, neighbors, isOutlet);
+  const receivers = computeReceivers(filledHeightMap, neighbors, isSea);
+  const order = upstreamOrder(filledHeightMap);
+  const isLand = isSea.map(s => 1 - s);
+
+  // 3. Lakes: evaporation is taken out where the water leaves each lake
+  const { lakeIds, lakes } = detectLakes(heightMap, filledHeightMap, receivers, neighbors, isSea, lakeMinDepth);
+  const losses = new Float32Array(N);
+  for (const lake of lakes) {
+    if (lake.exit >= 0) losses[lake.exit] = lakeEvaporation * lake.area;
+  }
+  const discharge = computeFlowAccumulation(receivers, order, precipitation, isLand, losses);
+  const isWater = new Uint8Array(N);
+  for (let i = 0; i < N; i++) isWater[i] = isSea[i] || lakeIds[i] >= 0 ? 1 : 0;
+  for (const lake of lakes) {
+    lake.inflow = lake.exit >= 0 ? discharge[lake.exit] : 0;
+    lake.evaporation = lakeEvaporation * lake.area;
+    lake.outflow = Math.max(0, lake.inflow - lake.evaporation);
+    lake.closed = lake.outflow === 0 || lake.outlet < 0;
+    lake.salt = lake.closed;
+    lake.inflows = [];
+    lake.outflowRiver = -1;
+    if (lake.closed) {
+      if (lake.exit >= 0) receivers[lake.exit] = -1;
+      lake.outlet = -1;
+    }
+  }
+
+  // 4. Extract rivers
+  const { rivers, threshold, maxDischarge } = extractRivers(discharge, receivers, order, isWater, {
+    flowThreshold,
+    minRiverLength,
+    maxRivers
+  });
+
+  const riverMap = new Float32Array(N);
+  const isRiver = new Uint8Array(N);
+  for (const river of rivers) {
+    for (const c of river.cells) {
+      if (isWater[c]) continue;
+      riverMap[c] = discharge[c];
+      isRiver[c] = 1;
+    }
+  }
+
+  // 5. Network: stream order, tree links, mouths
+  const { strahler, shreve } = computeStreamOrder(isRiver, receivers, order);
+  const { riverIds, confluences } = linkRivers(rivers, N);
+  for (const river of rivers) {
+    const last = river.cells[river.cells.length - 1];
+    river.strahler = 0;
+    for (const c of river.cells) {
+      if (riverIds[c] === river.id && strahler[c] > river.strahler) river.strahler = strahler[c];
+    }
+    const lastLand = isWater[last] ? river.cells[river.cells.length - 2] : last;
+    river.shreve = shreve[lastLand] || 1;
+    river.lake = lakeIds[last];
+    if (river.parent >= 0) river.mouthType = 'confluence';
+    else if (isSea[last]) river.mouthType = 'sea';
+    else if (river.lake >= 0) river.mouthType = 'lake';
+    else river.mouthType = isBorder[last] ? 'edge' : 'sink';
+  }
+
+  const lakeByOutlet = new Map();
+  for (const lake of lakes) {
+    if (lake.outlet >= 0 && !lakeByOutlet.has(lake.outlet)) lakeByOutlet.set(lake.outlet, lake);
+  }
+  for (const river of rivers) {
+    if (river.lake >= 0) lakes[river.lake].inflows.push(river.id);
+    const sourceLake = lakeByOutlet.get(river.source);
+    if (sourceLake) sourceLake.outflowRiver = river.id;
+  }
 
-  const height = heightmap.length;
-  const width = heightmap[0].length;
-  
-  const riverMap = new Array(height);
-  for (let y = 0; y < height; y++) {
-    riverMap[y] = new Array(width).fill(0);
+  const freshWater = computeFreshWaterMask(riverMap, lakeIds, lakes);
+
+  // 6. Geometry: widths, smoothed polylines, deltas on flat coasts
+  const distToSea = hexStepDistance(isSea, neighbors);
+  for (const river of rivers) {
+    river.widths = riverWidths(river.cells, discharge, strahler, riverWidth, threshold);
+    river.polyline = riverPolyline(river.cells, river.widths, centers, hexSize, smoothingIterations, wrapWidth);
+    river.distributaries = [];
+    if (river.mouthType !== 'sea' || river.discharge < deltaMinDischarge * maxDischarge) continue;
+    const apexIndex = Math.max(0, river.cells.length - 1 - deltaLength);
+    const drop = heightMap[river.cells[apexIndex]] - seaLevel;
+    if (drop / deltaLength > deltaMaxSlope) continue;
+    const paths = traceDistributaries(river.cells, {
+      heightMap,
+      neighbors,
+      isSea,
+      distToSea,
+      apexOffset: deltaLength,
+      branches: deltaBranches
+    });
+    const apexWidth = river.widths[apexIndex];
+    river.distributaries = paths.map(cells => {
+      // Distributaries share the apex discharge, so they are narrower than the trunk
+      const widths = cells.map(() => apexWidth / Math.sqrt(paths.length + 1));
+      return { cells, polyline: riverPolyline(cells, widths, centers, hexSize, smoothingIterations, wrapWidth) };
+    });
   }
 
-  const rivers = [];
+  // The hex lattice has an exact transform; other grids spread over their centres
+  const distanceToFreshWater = distanceTo(freshWater, width, height, 'euclidean', neighbors, distanceSites(grid), grid);
 
-  // TODO: Implement river simulation
-  // - Find high elevation starting points
-  // - Simulate water flow downhill
-  // - Merge tributaries
-  // - Apply river width and flow strength
+  if (world) {
+    world.addLayer('discharge', discharge);
+    world.addLayer('riverMap', riverMap);
+    world.addLayer('riverId', riverIds);
+    world.addLayer('strahler', strahler);
+    world.addLayer('shreve', shreve);
+    world.addLayer('lakeId', lakeIds);
+    world.addLayer('freshWater', freshWater);
+    world.addLayer('distanceToFreshWater', distanceToFreshWater);
+    world.addLayer('receiver', receivers);
+    world.addLayer('filledElevation', filledHeightMap);
+    Object.assign(world.features, { rivers, lakes, confluences });
+  }
 
   console.log(`Generated ${rivers.length} rivers`);
   return {
     riverMap,
-    rivers
+    rivers,
+    riverIds,
+    strahler,
+    shreve,
+    confluences,
+    lakes,
+    lakeIds,
+    freshWater,
+    distanceToFreshWater,
+    discharge,
+    receivers,
+    filledHeightMap
   };
 }
 
-export default simulateRivers; 
\ No newline at end of file
+/**
+ * Trace river paths from sources down the receiver tree.
+ * Longer rivers claim shared cells first, so tributaries stop at the
+ * confluence cell and the trunk keeps running to the mouth.
+ *
+ * @param {Float32Array} discharge
+ * @param {Int32Array} receivers
+ * @param {Uint32Array} order - cells ordered upstream first
+ * @param {Uint8Array} isWater - [N] 1 on sea and lake cells
+ * @param {{flowThreshold:number, minRiverLength:number, maxRivers:number}} limits
+ * @returns {{ rivers: River[], threshold: number, maxDischarge: number }}
+ */
+function extractRivers(discharge, receivers, order, isWater, { flowThreshold, minRiverLength, maxRivers }) {
+  const N = discharge.length;
+  let maxDischarge = 0;
+  for (let i = 0; i < N; i++) {
+    if (!isWater[i] && discharge[i] > maxDischarge) maxDischarge = discharge[i];
+  }
+  if (maxDischarge === 0) return { rivers: [], threshold: 0, maxDischarge };
+  const threshold = flowThreshold * maxDischarge;
+
+  const isRiver = new Uint8Array(N);
+  const riverDonors = new Uint8Array(N);
+  for (let i = 0; i < N; i++) {
+    if (isWater[i] || discharge[i] < threshold) continue;
+    isRiver[i] = 1;
+  }
+  for (let i = 0; i < N; i++) {
+    if (isRiver[i] && receivers[i] >= 0) riverDonors[receivers[i]]++;
+  }
+
+  // Cells to the outlet, computed downstream first
+  const pathLength = new Int32Array(N);
+  for (let j = N - 1; j >= 0; j--) {
+    const i = order[j];
+    const rec = receivers[i];
+    pathLength[i] = rec >= 0 ? pathLength[rec] + 1 : 1;
+  }
+
+  const sources = [];
+  for (let i = 0; i < N; i++) {
+    if (isRiver[i] && riverDonors[i] === 0) sources.push(i);
+  }
+  sources.sort((a, b) => pathLength[b] - pathLength[a] || a - b);
+
+  const byDischarge = (a, b) => b.discharge - a.discharge || b.length - a.length;
+  let traced = traceRivers(sources, discharge, receivers, isWater, minRiverLength).sort(byDischarge);
+  if (traced.length > maxRivers) {
+    // Trace the kept rivers again on their own, so none stops on a river that was cut
+    const kept = new Set(traced.slice(0, maxRivers).map(river => river.source));
+    traced = traceRivers(sources.filter(source => kept.has(source)), discharge, receivers, isWater, minRiverLength)
+      .sort(byDischarge);
+  }
+  const rivers = traced.map((river, id) => ({ id, ...river }));
+  return { rivers, threshold, maxDischarge };
+}
+
+/**
+ * Follow each source down the receiver tree until it reaches water, the end of
+ * the tree or a cell of an earlier river. Only rivers of at least minRiverLength
+ * cells claim their cells, so a river never stops on one that was dropped.
+ *
+ * @param {number[]} sources - Source cells, longest path to the outlet first
+ * @param {Float32Array} discharge
+ * @param {Int32Array} receivers
+ * @param {Uint8Array} isWater
+ * @param {number} minRiverLength
+ * @returns {Array<{ cells:number[], source:number, mouth:number, length:number, discharge:number }>}
+ */
+function traceRivers(sources, discharge, receivers, isWater, minRiverLength) {
+  const claimed = new Uint8Array(discharge.length);
+  const traced = [];
+  for (const source of sources) {
+    const cells = [];
+    let c = source;
+    while (c >= 0) {
+      cells.push(c);
+      if (claimed[c] || isWater[c]) break; // confluence, lake or sea mouth
+      c = receivers[c];
+    }
+    if (cells.length < minRiverLength) continue;
+    for (const cell of cells) claimed[cell] = 1;
+    const mouth = cells[cells.length - 1];
+    traced.push({ cells, source, mouth, length: cells.length, discharge: discharge[mouth] });
+  }
+  return traced;
+}
+
+export default simulateRivers;
@@ -5,23 +5,51 @@
  * moisture, and temperature factors derived from the heightmap and rivers.
  */
 
-export function placeBiomes(heightmap, riverMap, options = {}) {
+import { World } from '../utils/world.js';
+
+/**
+ * @typedef {{
+ *   heightMap: Float32Array,
+ *   seaLevel?: number,
+ *   riverMap?: Float32Array,
+ *   lakeIds?: Int32Array,
+ *   lakes?: Array<{salt:boolean}>
+ * }} BiomeInput
+ */
+
+/**
+ * @param {BiomeInput|World} data - Flat, cell-indexed layers from steps 1–3, or a
+ *   World with elevation (and optionally riverMap, lakeId and features.lakes);
+ *   a World also receives a biomeId layer whose legend lists the biome names
+ * @param {object} [options] - seaLevel defaults to the heightmap's; one of them is required
+ * @returns {{ biomeMap: Array<string|null>, biomeId: Uint8Array, biomes: Object<string,string> }}
+ */
+export function placeBiomes(data, options = {}) {
+  const world = data instanceof World ? data : null;
+  const { heightMap, seaLevel: heightmapSeaLevel, riverMap, lakeIds, lakes } = world
+    ? {
+        heightMap: world.getLayer('elevation'),
+        seaLevel: world.seaLevel,
+        riverMap: world.hasLayer('riverMap') ? world.getLayer('riverMap') : undefined,
+        lakeIds: world.hasLayer('lakeId') ? world.getLayer('lakeId') : undefined,
+        lakes: world.features.lakes
+      }
+    : data;
   const {
+    seaLevel = heightmapSeaLevel,
     temperatureVariation = 0.3,
     moistureInfluence = 0.4,
     biomeBlending = true
   } = options;
+  if (seaLevel == null) throw new Error('placeBiomes needs a seaLevel, in the options or with the heightmap');
 
-  const height = heightmap.length;
-  const width = heightmap[0].length;
-  
-  const biomeMap = new Array(height);
-  for (let y = 0; y < height; y++) {
-    biomeMap[y] = new Array(width);
-  }
+  const N = heightMap.length;
+  const biomeMap = new Array(N).fill(null);
 
   const biomes = {
     OCEAN: 'ocean',
+    LAKE: 'lake',
+    SALT_LAKE: 'salt_lake',
     BEACH: 'beach',
     GRASSLAND: 'grassland',
     FOREST: 'forest',
@@ -31,17 +59,35 @@ export function placeBiomes(heightmap, riverMap, options = {}) {
     SWAMP: 'swamp'
   };
 
+  // Water bodies: sea below sea level, lakes from step 3 as fresh or salt water
+  for (let i = 0; i < N; i++) {
+    if (heightMap[i] < seaLevel) {
+      biomeMap[i] = biomes.OCEAN;
+    } else if (lakeIds && lakeIds[i] >= 0) {
+      biomeMap[i] = lakes && lakes[lakeIds[i]].salt ? biomes.SALT_LAKE : biomes.LAKE;
+    }
+  }
+
   // TODO: Implement biome placement
   // - Calculate temperature and moisture maps
   // - Apply biome rules based on conditions
   // - Blend biome boundaries
-  // - Consider river influence on moisture
+  // - Consider river and freshwater lake influence on moisture
+
+  // Compact ids for the World: 0 is unassigned, then the biomes in declaration order
+  const legend = [null, ...Object.values(biomes)];
+  const biomeId = Uint8Array.from(biomeMap, name => (name === null ? 0 : legend.indexOf(name)));
+  if (world) {
+    world.addLayer('biomeId', biomeId, { legend });
+    world.features.biomes = biomes;
+  }
 
   console.log('Placed biomes across the map');
   return {
     biomeMap,
+    biomeId,
     biomes
   };
 }
 
-export default placeBiomes; 
\ No newline at end of file
+export default placeBiomes;
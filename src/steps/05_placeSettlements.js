@@ -5,7 +5,30 @@
  * based on terrain, resources, and strategic considerations.
  */
 
-export function placeSettlements(heightmap, biomeMap, riverMap, options = {}) {
+import { World } from '../utils/world.js';
+
+/**
+ * @typedef {{
+ *   heightMap: Float32Array,
+ *   freshWater?: Uint8Array // [N] 1 on rivers and freshwater lakes, from step 3
+ * }} SettlementInput
+ */
+
+/**
+ * @param {SettlementInput|World} data - Flat, cell-indexed layers from steps 1–4, or a
+ *   World with elevation and step 3's freshWater layer; a World also receives
+ *   features.settlements
+ * @param {object} [options]
+ * @returns {{ cities: Array, towns: Array, villages: Array }}
+ */
+export function placeSettlements(data, options = {}) {
+  const world = data instanceof World ? data : null;
+  const { heightMap, freshWater } = world
+    ? {
+        heightMap: world.getLayer('elevation'),
+        freshWater: world.hasLayer('freshWater') ? world.getLayer('freshWater') : undefined
+      }
+    : data;
   const {
     maxCities = 5,
     maxTowns = 15,
@@ -15,9 +38,6 @@ export function placeSettlements(heightmap, biomeMap, riverMap, options = {}) {
     preferFlatLand = true
   } = options;
 
-  const height = heightmap.length;
-  const width = heightmap[0].length;
-  
   const settlements = {
     cities: [],
     towns: [],
@@ -25,13 +45,15 @@ export function placeSettlements(heightmap, biomeMap, riverMap, options = {}) {
   };
 
   // TODO: Implement settlement placement
-  // - Find suitable locations (flat, near water, good resources)
+  // - Find suitable locations (flat, next to fresh water, good resources)
   // - Apply minimum distance constraints
   // - Prioritize strategic locations
   // - Consider biome suitability
 
+  if (world) world.features.settlements = settlements;
+
   console.log(`Placed ${settlements.cities.length} cities, ${settlements.towns.length} towns, ${settlements.villages.length} villages`);
   return settlements;
 }
 
-export default placeSettlements; 
\ No newline at end of file
+export default placeSettlements;
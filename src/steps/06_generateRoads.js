@@ -5,7 +5,27 @@
  * terrain contours and avoiding difficult obstacles.
  */
 
-export function generateRoads(heightmap, settlements, options = {}) {
+import { World } from '../utils/world.js';
+
+/**
+ * @typedef {{
+ *   heightMap: Float32Array,
+ *   settlements: { cities: Array, towns: Array, villages: Array }
+ * }} RoadInput
+ */
+
+/**
+ * @param {RoadInput|World} data - Flat, cell-indexed layers from steps 1–5, or a
+ *   World with elevation and features.settlements; a World also receives the
+ *   roadMap layer and features.roads
+ * @param {object} [options]
+ * @returns {{ roadMap: Uint8Array, roads: Array }}
+ */
+export function generateRoads(data, options = {}) {
+  const world = data instanceof World ? data : null;
+  const { heightMap, settlements } = world
+    ? { heightMap: world.getLayer('elevation'), settlements: world.features.settlements }
+    : data;
   const {
     roadWidth = 3,
     maxSlope = 0.3,
@@ -13,13 +33,8 @@ export function generateRoads(heightmap, settlements, options = {}) {
     connectAllSettlements = true
   } = options;
 
-  const height = heightmap.length;
-  const width = heightmap[0].length;
-  
-  const roadMap = new Array(height);
-  for (let y = 0; y < height; y++) {
-    roadMap[y] = new Array(width).fill(0);
-  }
+  // [N] 1 on road cells
+  const roadMap = new Uint8Array(heightMap.length);
 
   const roads = [];
 
@@ -29,6 +44,11 @@ export function generateRoads(heightmap, settlements, options = {}) {
   // - Avoid steep slopes and water
   // - Create major and minor roads
 
+  if (world) {
+    world.addLayer('roadMap', roadMap);
+    world.features.roads = roads;
+  }
+
   console.log(`Generated ${roads.length} road segments`);
   return {
     roadMap,
@@ -36,4 +56,4 @@ export function generateRoads(heightmap, settlements, options = {}) {
   };
 }
 
-export default generateRoads; 
\ No newline at end of file
+export default generateRoads; 
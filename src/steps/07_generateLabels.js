@@ -5,7 +5,25 @@
  * settlements, and regions using procedural name generation.
  */
 
-export function generateLabels(settlements, rivers, biomes, options = {}) {
+import { World } from '../utils/world.js';
+
+/**
+ * @typedef {{
+ *   settlements?: { cities: Array, towns: Array, villages: Array },
+ *   rivers?: Array,
+ *   biomes?: Object<string,string>
+ * }} LabelInput
+ */
+
+/**
+ * @param {LabelInput|World} data - Features from steps 3–5, or a World holding them
+ *   in features; a World also receives features.labels
+ * @param {object} [options]
+ * @returns {{ settlements: Array, rivers: Array, regions: Array, landmarks: Array }}
+ */
+export function generateLabels(data, options = {}) {
+  const world = data instanceof World ? data : null;
+  const { settlements, rivers, biomes } = world ? world.features : data;
   const {
     nameStyle = 'fantasy',
     includeRegions = true,
@@ -27,8 +45,10 @@ export function generateLabels(settlements, rivers, biomes, options = {}) {
   // - Add landmark labels
   // - Position labels to avoid overlap
 
+  if (world) world.features.labels = labels;
+
   console.log(`Generated ${labels.settlements.length} settlement labels, ${labels.rivers.length} river labels`);
   return labels;
 }
 
-export default generateLabels; 
\ No newline at end of file
+export default generateLabels; 
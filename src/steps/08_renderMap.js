@@ -5,7 +5,16 @@
  * visual map with proper styling and composition.
  */
 
+import { World } from '../utils/world.js';
+
+/**
+ * @param {object|World} mapData - Layers and features from steps 1–7, or a World
+ *   holding them; a World also receives features.renderedMap
+ * @param {object} [options]
+ * @returns {{ imageData: *, metadata: object }}
+ */
 export function renderMap(mapData, options = {}) {
+  const world = mapData instanceof World ? mapData : null;
   const {
     width = 1024,
     height = 768,
@@ -14,6 +23,7 @@ export function renderMap(mapData, options = {}) {
     includeScale = true
   } = options;
 
+  const layer = name => (world.hasLayer(name) ? world.getLayer(name) : undefined);
   const {
     heightmap,
     biomeMap,
@@ -21,7 +31,16 @@ export function renderMap(mapData, options = {}) {
     roadMap,
     settlements,
     labels
-  } = mapData;
+  } = world
+    ? {
+        heightmap: layer('elevation'),
+        biomeMap: layer('biomeId'),
+        riverMap: layer('riverMap'),
+        roadMap: layer('roadMap'),
+        settlements: world.features.settlements,
+        labels: world.features.labels
+      }
+    : mapData;
 
   // TODO: Implement map rendering
   // - Create canvas or image buffer
@@ -32,7 +51,7 @@ export function renderMap(mapData, options = {}) {
   // - Apply final styling and effects
 
   console.log(`Rendered map: ${width}x${height} in ${style} style`);
-  return {
+  const renderedMap = {
     imageData: null, // Canvas or image data
     metadata: {
       width,
@@ -41,6 +60,8 @@ export function renderMap(mapData, options = {}) {
       timestamp: new Date().toISOString()
     }
   };
+  if (world) world.features.renderedMap = renderedMap;
+  return renderedMap;
 }
 
 export default renderMap; 
\ No newline at end of file
@@ -1,4 +1,30 @@
-import { generateHeightmap } from "../01_generateHeightmap.js";
+import { generateHeightmap, generateHeightmapAzgaar, generateChunk, generateRegion } from "../01_generateHeightmap.js";
+import { applyThermalErosion } from "../../utils/erosion.js";
+import { buildNeighborIndex, createHexGrid, getNeighbors, hexDistance, HEX_ORIENTATIONS, HEX_PARITIES } from "../../grid/hexGrid.js";
+import { BOUNDARY_TYPES } from "../../utils/tectonics.js";
+import { TEMPLATES, parseTemplate } from "../../utils/heightmapTemplates.js";
+import { NOISE_TYPES } from "../../utils/noise.js";
+import { FALLOFF_SHAPES } from "../../utils/falloff.js";
+import { HYPSOMETRIC_CURVES } from "../../utils/hypsometry.js";
+import { createChunkGenerator } from "../../utils/generateChunkCore.js";
+import { createNoise2D } from "simplex-noise";
+import { computeSignedDistanceField, generateHeightMap } from "../../utils/azgaarHexMap.js";
+import { hexToPixelFlatOffset, getFlatHexPoints, hexToPixelOffset, pixelToHexOffset, getHexPoints } from "../../utils/hexToPixel.js";
+import { OFF_MAP, SIDE_CORNERS } from "../../grid/hexTopology.js";
+import { World, LAYERS } from "../../utils/world.js";
+import seedrandom from "seedrandom";
+import { createCellGrid, cellPolygon, cellNeighbors } from "../../grid/cellGrid.js";
+import { distanceTo } from "../../utils/distanceField.js";
+import { createSphereGrid } from "../../grid/sphereGrid.js";
+import { NO_SIDE } from "../../grid/voronoiGrid.js";
+import { createProjection, projectCells, projectCellPolygon } from "../../grid/projection.js";
+import { maskCoastline } from "../02_maskCoastline.js";
+import { simulateRivers } from "../03_simulateRivers.js";
+import { placeBiomes } from "../04_placeBiomes.js";
+import { placeSettlements } from "../05_placeSettlements.js";
+import { generateRoads } from "../06_generateRoads.js";
+import { generateLabels } from "../07_generateLabels.js";
+import { renderMap } from "../08_renderMap.js";
 
 describe("generateHeightmap", () => {
   const opts = { gridWidth: 10, gridHeight: 10, octaves: 3, persistence: 0.5, lacunarity: 2 };
@@ -29,4 +55,961 @@ describe("generateHeightmap", () => {
     const runB = await generateHeightmap(seed + "x", opts);
     expect(Array.from(runA.heightMap)).not.toEqual(Array.from(runB.heightMap));
   });
-}); 
\ No newline at end of file
+
+  describe("hydraulic erosion", () => {
+    const erodeOpts = { gridWidth: 24, gridHeight: 24, erosionIterations: 2000 };
+
+    it("should be off by default", async () => {
+      const { erosionDelta } = await generateHeightmap(seed, opts);
+      expect(erosionDelta).toBeUndefined();
+    });
+
+    it("should return a delta layer that explains the change in elevation", async () => {
+      const raw = await generateHeightmap(seed, { ...erodeOpts, erosionIterations: 0 });
+      const eroded = await generateHeightmap(seed, erodeOpts);
+      expect(eroded.erosionDelta).toBeInstanceOf(Float32Array);
+      expect(eroded.erosionDelta).toHaveLength(raw.heightMap.length);
+      let eroding = 0, depositing = 0;
+      for (let i = 0; i < raw.heightMap.length; i++) {
+        const d = eroded.erosionDelta[i];
+        if (d < 0) eroding++;
+        if (d > 0) depositing++;
+        expect(eroded.heightMap[i]).toBeCloseTo(raw.heightMap[i] + d, 4);
+      }
+      expect(eroding).toBeGreaterThan(0);
+      expect(depositing).toBeGreaterThan(0);
+    });
+
+    it("should be deterministic for the same seed", async () => {
+      const runA = await generateHeightmap(seed, erodeOpts);
+      const runB = await generateHeightmap(seed, erodeOpts);
+      expect(Array.from(runA.erosionDelta)).toEqual(Array.from(runB.erosionDelta));
+    });
+  });
+
+  describe("thermal erosion", () => {
+    it("should collapse a single-cell spike into its neighbours and conserve mass", () => {
+      const W = 7, H = 7;
+      const heightMap = new Float32Array(W * H).fill(0.2);
+      const spike = 3 * H + 3;
+      heightMap[spike] = 0.9;
+      const neighbors = buildNeighborIndex(W, H);
+      const before = heightMap.reduce((a, b) => a + b, 0);
+      const delta = applyThermalErosion(heightMap, neighbors, { iterations: 100, talusAngle: 30, cellSize: 0.05 });
+      const after = heightMap.reduce((a, b) => a + b, 0);
+      expect(after).toBeCloseTo(before, 4);
+      expect(delta[spike]).toBeLessThan(0);
+      const talus = Math.tan(Math.PI / 6) * 0.05;
+      for (let k = 0; k < 6; k++) {
+        const n = neighbors[spike * 6 + k];
+        expect(heightMap[spike] - heightMap[n]).toBeLessThanOrEqual(talus + 1e-3);
+      }
+    });
+
+    it("should be selectable from the heightmap options and deterministic", async () => {
+      const thermalOpts = { gridWidth: 16, gridHeight: 16, thermalIterations: 20, talusAngle: 20 };
+      const runA = await generateHeightmap(seed, thermalOpts);
+      const runB = await generateHeightmap(seed, thermalOpts);
+      const raw = await generateHeightmap(seed, { ...thermalOpts, thermalIterations: 0 });
+      expect(runA.thermalDelta).toBeInstanceOf(Float32Array);
+      expect(Array.from(runA.heightMap)).toEqual(Array.from(runB.heightMap));
+      expect(Array.from(runA.heightMap)).not.toEqual(Array.from(raw.heightMap));
+    });
+
+    it("should record both deltas after clamping, so they add up to the change in elevation", async () => {
+      const bothOpts = { gridWidth: 24, gridHeight: 24, erosionIterations: 2000, thermalIterations: 20 };
+      const raw = await generateHeightmap(seed, { ...bothOpts, erosionIterations: 0, thermalIterations: 0 });
+      const { heightMap, erosionDelta, thermalDelta } = await generateHeightmap(seed, bothOpts);
+      for (let i = 0; i < heightMap.length; i++) {
+        expect(heightMap[i]).toBeGreaterThanOrEqual(0);
+        expect(heightMap[i]).toBeLessThanOrEqual(1);
+        expect(heightMap[i]).toBeCloseTo(raw.heightMap[i] + erosionDelta[i] + thermalDelta[i], 4);
+      }
+    });
+  });
+
+  describe("tectonic mode", () => {
+    const plateOpts = { gridWidth: 32, gridHeight: 32, generator: "tectonic", plateCount: 6 };
+
+    it("should return plate id and boundary layers", async () => {
+      const { heightMap, plates, plateIds, plateBoundaries, boundaryStress } = await generateHeightmap(seed, plateOpts);
+      expect(plates).toHaveLength(6);
+      expect(plateIds).toHaveLength(heightMap.length);
+      expect(plateBoundaries).toHaveLength(heightMap.length);
+      expect(boundaryStress).toHaveLength(heightMap.length);
+      expect(plates.reduce((sum, p) => sum + p.area, 0)).toBe(heightMap.length);
+      expect(plates.some(p => p.type === "continental")).toBe(true);
+      for (const v of heightMap) {
+        expect(v).toBeGreaterThanOrEqual(-1e-6); // Allow for floating-point precision
+        expect(v).toBeLessThanOrEqual(1);
+      }
+    });
+
+    it("should only mark boundaries where plates meet", async () => {
+      const { plateIds, plateBoundaries } = await generateHeightmap(seed, plateOpts);
+      const neighbors = buildNeighborIndex(32, 32);
+      let boundaryCells = 0;
+      for (let i = 0; i < plateIds.length; i++) {
+        let touchesOther = false;
+        for (let k = 0; k < 6; k++) {
+          const n = neighbors[i * 6 + k];
+          if (n >= 0 && plateIds[n] !== plateIds[i]) touchesOther = true;
+        }
+        expect(plateBoundaries[i] !== BOUNDARY_TYPES.NONE).toBe(touchesOther);
+        if (touchesOther) boundaryCells++;
+      }
+      expect(boundaryCells).toBeGreaterThan(0);
+    });
+
+    it("should be deterministic for the same seed", async () => {
+      const runA = await generateHeightmap(seed, plateOpts);
+      const runB = await generateHeightmap(seed, plateOpts);
+      expect(Array.from(runA.heightMap)).toEqual(Array.from(runB.heightMap));
+      expect(Array.from(runA.plateIds)).toEqual(Array.from(runB.plateIds));
+    });
+  });
+
+  describe("heightmap templates", () => {
+    const templateOpts = { gridWidth: 48, gridHeight: 32 };
+
+    it("should produce both land and sea for every built-in template", async () => {
+      for (const template of Object.keys(TEMPLATES)) {
+        const { heightMap, landMask } = await generateHeightmapAzgaar(seed, { ...templateOpts, template });
+        for (const v of heightMap) {
+          expect(v).toBeGreaterThanOrEqual(0);
+          expect(v).toBeLessThanOrEqual(1);
+        }
+        const land = landMask.reduce((a, b) => a + b, 0);
+        expect(land, template).toBeGreaterThan(0);
+        expect(land, template).toBeLessThan(landMask.length);
+      }
+    });
+
+    it("should be deterministic for the same seed", async () => {
+      const runA = await generateHeightmapAzgaar(seed, { ...templateOpts, template: "continents" });
+      const runB = await generateHeightmapAzgaar(seed, { ...templateOpts, template: "continents" });
+      expect(Array.from(runA.heightMap)).toEqual(Array.from(runB.heightMap));
+    });
+
+    it("should run custom template text", async () => {
+      const { heightMap } = await generateHeightmapAzgaar(seed, { ...templateOpts, template: "Hill 1 60 50 50" });
+      let peak = 0;
+      for (let i = 1; i < heightMap.length; i++) if (heightMap[i] > heightMap[peak]) peak = i;
+      expect(heightMap[peak]).toBeCloseTo(0.6, 5);
+      expect(Math.floor(peak / templateOpts.gridHeight)).toBeCloseTo(24, -1);
+      expect(heightMap[0]).toBe(0);
+    });
+
+    it("should fall back to the package noise and rng when none are injected", async () => {
+      const injected = await generateHeightmapAzgaar(seed, { ...templateOpts, noiseType: "ridged" });
+      const { heightMap } = generateHeightMap(seed, templateOpts.gridWidth, templateOpts.gridHeight, { noiseType: "ridged" });
+      expect(Array.from(heightMap)).toEqual(Array.from(injected.heightMap));
+    });
+
+    it("should reject unknown commands", () => {
+      expect(() => parseTemplate("Hill 1 50 50 50\nVolcano 1 2 3 4")).toThrow(/line 2/);
+    });
+  });
+
+  describe("noise types", () => {
+    it("should keep every noise type in range and deterministic", async () => {
+      const base = await generateHeightmap(seed, opts);
+      for (const noiseType of NOISE_TYPES) {
+        const runA = await generateHeightmap(seed, { ...opts, noiseType });
+        const runB = await generateHeightmap(seed, { ...opts, noiseType });
+        expect(Array.from(runA.heightMap)).toEqual(Array.from(runB.heightMap));
+        for (const v of runA.heightMap) {
+          expect(v).toBeGreaterThanOrEqual(-1e-6); // Allow for floating-point precision
+          expect(v).toBeLessThanOrEqual(1);
+        }
+        if (noiseType !== "fbm") {
+          expect(Array.from(runA.heightMap), noiseType).not.toEqual(Array.from(base.heightMap));
+        }
+      }
+    });
+
+    it("should match plain fBm when a single fbm layer is given", async () => {
+      const plain = await generateHeightmap(seed, opts);
+      const layered = await generateHeightmap(seed, { ...opts, noiseLayers: [{ type: "fbm" }] });
+      expect(Array.from(layered.heightMap)).toEqual(Array.from(plain.heightMap));
+    });
+
+    it("should apply layer weights and masks", async () => {
+      const N = opts.gridWidth * opts.gridHeight;
+      const zeroMask = new Float32Array(N);
+      const plain = await generateHeightmap(seed, opts);
+      const masked = await generateHeightmap(seed, {
+        ...opts,
+        noiseLayers: [{ type: "fbm" }, { type: "ridged", weight: 2, mask: zeroMask }]
+      });
+      expect(Array.from(masked.heightMap)).toEqual(Array.from(plain.heightMap));
+
+      const gated = await generateHeightmap(seed, {
+        ...opts,
+        noiseLayers: [{ type: "fbm" }, { type: "ridged", weight: 0.5, mask: 0, frequency: 3 }]
+      });
+      expect(Array.from(gated.heightMap)).not.toEqual(Array.from(plain.heightMap));
+      await expect(generateHeightmap(seed, { ...opts, noiseLayers: [{ mask: 1 }, { type: "fbm" }] })).rejects.toThrow(/earlier layer/);
+    });
+
+    it("should support noise types in the Azgaar generator", async () => {
+      const plain = await generateHeightmapAzgaar(seed, opts);
+      const warped = await generateHeightmapAzgaar(seed, { ...opts, noiseType: "warped" });
+      expect(Array.from(warped.heightMap)).not.toEqual(Array.from(plain.heightMap));
+      await expect(generateHeightmapAzgaar(seed, { ...opts, noiseType: "cellular" })).rejects.toThrow(/Unknown noiseType/);
+    });
+  });
+
+  describe("falloff shapes", () => {
+    const shapeOpts = { gridWidth: 24, gridHeight: 16, octaves: 4 };
+    const N = shapeOpts.gridWidth * shapeOpts.gridHeight;
+    const halfMask = new Float32Array(N).map((_, i) => (i < N / 2 ? 1 : 0));
+
+    it("should keep every shape in range and deterministic with every noise type", async () => {
+      for (const gradientFalloff of FALLOFF_SHAPES) {
+        for (const noiseType of NOISE_TYPES) {
+          const options = { ...shapeOpts, gradientFalloff, noiseType, falloffMask: halfMask };
+          const runA = await generateHeightmap(seed, options);
+          const runB = await generateHeightmap(seed, options);
+          expect(Array.from(runA.heightMap)).toEqual(Array.from(runB.heightMap));
+          for (const v of runA.heightMap) {
+            expect(v).toBeGreaterThanOrEqual(-1e-6); // Allow for floating-point precision
+            expect(v).toBeLessThanOrEqual(1);
+          }
+        }
+      }
+    });
+
+    it("should put the sea on the chosen side for a one-sided coast", async () => {
+      const { heightMap } = await generateHeightmap(seed, { ...shapeOpts, gradientFalloff: "coast", falloffCoastSide: "east" });
+      const lastCol = (shapeOpts.gridWidth - 1) * shapeOpts.gridHeight;
+      for (let row = 0; row < shapeOpts.gridHeight; row++) {
+        expect(heightMap[lastCol + row]).toBeCloseTo(0, 6);
+      }
+      let west = 0;
+      let east = 0;
+      for (let i = 0; i < N; i++) {
+        if (i < N / 2) west += heightMap[i];
+        else east += heightMap[i];
+      }
+      expect(west).toBeGreaterThan(east);
+    });
+
+    it("should lower masked-out cells to the sea floor", async () => {
+      const { heightMap } = await generateHeightmap(seed, { ...shapeOpts, gradientFalloff: "mask", falloffMask: halfMask });
+      for (let i = N / 2; i < N; i++) expect(heightMap[i]).toBe(0);
+      expect(Math.max(...heightMap)).toBeCloseTo(1, 6);
+
+      // A grayscale image is stretched over the map: black left half, white right half
+      const image = { width: 2, height: 1, data: new Uint8Array([0, 255]) };
+      const fromImage = await generateHeightmap(seed, { ...shapeOpts, gradientFalloff: "mask", falloffMask: image });
+      for (let row = 0; row < shapeOpts.gridHeight; row++) expect(fromImage.heightMap[row]).toBe(0);
+    });
+
+    it("should scale integer masks by their type's maximum and reject signed ones", async () => {
+      const fromFloat = await generateHeightmap(seed, { ...shapeOpts, gradientFalloff: "mask", falloffMask: halfMask });
+      for (const [Type, max] of [[Uint8Array, 255], [Uint16Array, 65535]]) {
+        const falloffMask = Type.from(halfMask, v => v * max);
+        const { heightMap } = await generateHeightmap(seed, { ...shapeOpts, gradientFalloff: "mask", falloffMask });
+        expect(Array.from(heightMap)).toEqual(Array.from(fromFloat.heightMap));
+      }
+      const signed = Int16Array.from(halfMask);
+      await expect(generateHeightmap(seed, { ...shapeOpts, gradientFalloff: "mask", falloffMask: signed })).rejects.toThrow(/float or unsigned integer/);
+    });
+
+    it("should reject unknown shapes", async () => {
+      await expect(generateHeightmap(seed, { ...shapeOpts, gradientFalloff: "star" })).rejects.toThrow(/Unknown gradientFalloff/);
+    });
+  });
+
+  describe("sea level and hypsometry", () => {
+    const levelOpts = { gridWidth: 32, gridHeight: 24 };
+    const landShare = (heightMap, seaLevel) => heightMap.filter(h => h >= seaLevel).length / heightMap.length;
+
+    it("should return the seaLevel option by default", async () => {
+      const { seaLevel } = await generateHeightmap(seed, { ...levelOpts, seaLevel: 0.42 });
+      expect(seaLevel).toBe(0.42);
+    });
+
+    it("should solve the sea level for a target land fraction", async () => {
+      for (const landFraction of [0.2, 0.35, 0.6]) {
+        for (const s of [seed, "another-seed"]) {
+          const { heightMap, seaLevel } = await generateHeightmap(s, { ...levelOpts, landFraction, erosionIterations: 200 });
+          expect(landShare(heightMap, seaLevel)).toBeCloseTo(landFraction, 2);
+        }
+      }
+    });
+
+    it("should remap elevations to a hypsometric curve without reordering cells", async () => {
+      const plain = await generateHeightmap(seed, levelOpts);
+      const { heightMap } = await generateHeightmap(seed, { ...levelOpts, hypsometry: "earth" });
+      const sorted = Array.from(heightMap).sort((a, b) => a - b);
+      expect(sorted[0]).toBeCloseTo(0, 5);
+      expect(sorted[sorted.length - 1]).toBeCloseTo(1, 5);
+      // Half the area lies below the curve's value at 0.5
+      const [, e0] = HYPSOMETRIC_CURVES.earth[2];
+      const [, e1] = HYPSOMETRIC_CURVES.earth[3];
+      expect(sorted[Math.floor(sorted.length / 2)]).toBeCloseTo((e0 + e1) / 2, 1);
+      for (let i = 1; i < heightMap.length; i++) {
+        expect(Math.sign(heightMap[i] - heightMap[0])).toBe(Math.sign(plain.heightMap[i] - plain.heightMap[0]));
+      }
+    });
+
+    it("should accept a custom curve and pass the solved level to the Azgaar land mask", async () => {
+      const { heightMap } = await generateHeightmap(seed, { ...levelOpts, hypsometry: [[0, 0], [0.9, 0.1], [1, 1]] });
+      expect(landShare(heightMap, 0.1 + 1e-6)).toBeCloseTo(0.1, 2);
+
+      const azgaar = await generateHeightmapAzgaar(seed, { ...levelOpts, landFraction: 0.3 });
+      expect(landShare(azgaar.landMask, 1)).toBeCloseTo(0.3, 2);
+      expect(Array.from(azgaar.landMask)).toEqual(Array.from(azgaar.heightMap, h => (h >= azgaar.seaLevel ? 1 : 0)));
+    });
+  });
+
+  describe("signed distance field", () => {
+    const sdfOpts = { gridWidth: 20, gridHeight: 14 };
+
+    it("should give the exact distance between hex cell centres, positive on land", async () => {
+      const { hexGrid, landMask, signedDistanceField } = await generateHeightmapAzgaar(seed, sdfOpts);
+      // hexSize 1/√3 puts neighbouring centres exactly 1 apart
+      const points = hexGrid.map(hex => hexToPixelFlatOffset(hex, 1 / Math.sqrt(3)));
+      for (let i = 0; i < hexGrid.length; i++) {
+        let nearest = Infinity;
+        for (let j = 0; j < hexGrid.length; j++) {
+          if (landMask[j] !== landMask[i]) {
+            nearest = Math.min(nearest, Math.hypot(points[i].x - points[j].x, points[i].y - points[j].y));
+          }
+        }
+        expect(Math.abs(signedDistanceField[i])).toBeCloseTo(nearest, 4);
+        expect(Math.sign(signedDistanceField[i])).toBe(landMask[i] ? 1 : -1);
+      }
+    });
+
+    it("should count hex steps along grid adjacency", () => {
+      const { gridWidth: W, gridHeight: H } = sdfOpts;
+      const neighbors = buildNeighborIndex(W, H);
+      // A single sea cell in the middle of a land map
+      const landMask = new Uint8Array(W * H).fill(1);
+      const sea = 10 * H + 7;
+      landMask[sea] = 0;
+      const steps = computeSignedDistanceField(landMask, W, H, "hex");
+      expect(steps[sea]).toBe(-1);
+      for (let k = 0; k < 6; k++) expect(steps[neighbors[sea * 6 + k]]).toBe(1);
+      // Straight down the column is one step per row
+      expect(steps[sea + 5]).toBe(5);
+      expect(() => computeSignedDistanceField(landMask, W, H, "manhattan")).toThrow(/Unknown distance metric/);
+    });
+  });
+
+  describe("hex topology", () => {
+    const topoOpts = { gridWidth: 9, gridHeight: 7 };
+
+    it("should return one shared topology with neighbours, edges and corners", async () => {
+      const { hexGrid, topology } = await generateHeightmap(seed, topoOpts);
+      const { gridWidth: W, gridHeight: H } = topoOpts;
+      expect(Array.from(topology.neighbors)).toEqual(Array.from(buildNeighborIndex(W, H)));
+      // Euler characteristic of a connected planar map: V - E + F = 1
+      expect(topology.vertexCount - topology.edgeCount + hexGrid.length).toBe(1);
+
+      hexGrid.forEach((hex, i) => {
+        const corners = getFlatHexPoints(hexToPixelFlatOffset(hex, 1), 1);
+        for (let k = 0; k < 6; k++) {
+          const v = topology.cellVertices[i * 6 + k];
+          expect(topology.vertexPositions[v * 2]).toBeCloseTo(corners[k].x, 5);
+          expect(topology.vertexPositions[v * 2 + 1]).toBeCloseTo(corners[k].y, 5);
+          expect(Array.from(topology.vertexCells.subarray(v * 3, v * 3 + 3))).toContain(i);
+
+          // Side k is shared with neighbour k and runs between corners SIDE_CORNERS[k]
+          const e = topology.cellEdges[i * 6 + k];
+          const n = topology.neighbors[i * 6 + k];
+          expect([topology.edgeCells[e * 2], topology.edgeCells[e * 2 + 1]].sort()).toEqual([i, n].sort());
+          if (n !== OFF_MAP) expect(topology.cellEdges[n * 6 + (k + 3) % 6]).toBe(e);
+          const ends = SIDE_CORNERS[k].map(c => topology.cellVertices[i * 6 + c]);
+          expect([topology.edgeVertices[e * 2], topology.edgeVertices[e * 2 + 1]].sort()).toEqual(ends.sort());
+          expect(Array.from(topology.vertexVertices.subarray(ends[0] * 3, ends[0] * 3 + 3))).toContain(ends[1]);
+        }
+      });
+    });
+
+    it("should fill the Azgaar neighbour and corner lists", async () => {
+      const { topology, neighborList, vertexList } = await generateHeightmapAzgaar(seed, topoOpts);
+      expect(neighborList).toBe(topology.neighbors);
+      expect(vertexList).toHaveLength(topology.cellCount * 12);
+      expect(vertexList[0]).toBeCloseTo(1, 5); // corner 0 of cell 0 is due east of the origin
+      expect(vertexList[1]).toBeCloseTo(0, 5);
+    });
+
+    it("should fill the Azgaar feature index with land and water features", async () => {
+      const { featureIndex, features, landMask, world } = await generateHeightmapAzgaar(seed, topoOpts);
+      expect(world.getLayer("featureId")).toBe(featureIndex);
+      expect(world.features.geography).toBe(features);
+      for (let i = 0; i < landMask.length; i++) expect(features[featureIndex[i]].land).toBe(landMask[i] === 1);
+      expect(features.reduce((sum, f) => sum + f.area, 0)).toBe(landMask.length);
+      expect(features.some(f => f.type === "ocean")).toBe(true);
+    });
+  });
+
+  describe("world", () => {
+    const worldOpts = { gridWidth: 24, gridHeight: 18, landFraction: 0.4 };
+
+    it("should hold step 1 output as named layers with metadata", async () => {
+      const { world, heightMap, topology, seaLevel } = await generateHeightmap(seed, { ...worldOpts, erosionIterations: 50 });
+      expect(world).toBeInstanceOf(World);
+      expect(world.getLayer("elevation")).toBe(heightMap);
+      expect(world.getLayer("erosionDelta")).toHaveLength(world.cellCount);
+      expect(world.topology).toBe(topology);
+      expect(world.seaLevel).toBe(seaLevel);
+      expect(world.layerInfo("elevation")).toMatchObject({ units: "normalized", range: [0, 1], type: Float32Array });
+      expect(() => world.getLayer("stateId")).toThrow(/no "stateId" layer/);
+
+      const stateId = world.addLayer("stateId");
+      expect(stateId).toBeInstanceOf(LAYERS.stateId.type);
+      expect(() => world.addLayer("temperature", new Float32Array(3))).toThrow(/3 values for 432 cells/);
+    });
+
+    it("should carry the world through all eight steps", async () => {
+      const { world, hexGrid } = await generateHeightmap(seed, worldOpts);
+      maskCoastline(world, { hexSize: 10 });
+      simulateRivers(world, { minRiverLength: 2 });
+      const freshWater = world.getLayer("freshWater");
+      const { biomeMap } = placeBiomes(world);
+      expect(Object.keys(placeSettlements(world))).toEqual(["cities", "towns", "villages"]);
+      expect(world.getLayer("freshWater")).toBe(freshWater);
+      generateRoads(world);
+      generateLabels(world);
+      renderMap(world);
+
+      for (const name of ["elevation", "landMask", "distanceToCoast", "discharge", "lakeId", "freshWater", "biomeId", "roadMap"]) {
+        expect(world.getLayer(name)).toHaveLength(world.cellCount);
+      }
+      const elevation = world.getLayer("elevation");
+      world.getLayer("landMask").forEach((land, i) => expect(land).toBe(elevation[i] >= world.seaLevel ? 1 : 0));
+      const { legend } = world.layerInfo("biomeId");
+      world.getLayer("biomeId").forEach((id, i) => expect(legend[id]).toBe(biomeMap[i]));
+      expect(Object.keys(world.features)).toEqual(expect.arrayContaining(["coastline", "rivers", "lakes", "settlements", "roads", "labels", "renderedMap"]));
+      // The step 1 cell objects are not modified
+      expect(Object.keys(hexGrid[0]).sort()).toEqual(["col", "q", "r", "row"]);
+    });
+
+    it("should need a sea level in every step that splits land from sea", () => {
+      const world = new World(6, 4);
+      world.addLayer("elevation", new Float32Array(world.cellCount).fill(0.5));
+      expect(world.seaLevel).toBeUndefined();
+      expect(() => maskCoastline(world, { hexSize: 10 })).toThrow(/maskCoastline needs a seaLevel/);
+      expect(() => simulateRivers(world)).toThrow(/simulateRivers needs a seaLevel/);
+      expect(() => placeBiomes(world)).toThrow(/placeBiomes needs a seaLevel/);
+      expect(() => placeBiomes(world, { seaLevel: 0.3 })).not.toThrow();
+    });
+  });
+
+  describe("voronoi grid", () => {
+    const voronoiOpts = { gridWidth: 24, gridHeight: 18, landFraction: 0.4, grid: "voronoi" };
+
+    function polygonArea(points) {
+      let area = 0;
+      points.forEach((p, k) => {
+        const q = points[(k + 1) % points.length];
+        area += p.x * q.y - q.x * p.y;
+      });
+      return area / 2;
+    }
+
+    it.each(["jittered", "poisson"])("should build a closed %s cell complex", points => {
+      const grid = createCellGrid(20, 15, { grid: "voronoi", points, rng: seedrandom("grid") });
+      const { cellCount: N, maxNeighbors: M, neighbors, bounds } = grid;
+      if (points === "jittered") expect(N).toBe(20 * 15);
+      // Euler characteristic of a closed planar map, counting the outside face
+      expect(grid.vertexCount - grid.edgeCount + N + 1).toBe(2);
+
+      let total = 0;
+      for (let i = 0; i < N; i++) {
+        for (let k = 0; k < M; k++) {
+          const n = neighbors[i * M + k];
+          if (n >= 0) expect(Array.from(neighbors.subarray(n * M, n * M + M))).toContain(i);
+        }
+        const polygon = cellPolygon(grid, i);
+        expect(polygonArea(polygon)).toBeGreaterThan(0); // clockwise on screen (y down)
+        total += polygonArea(polygon);
+      }
+      expect(total).toBeCloseTo((bounds.maxX - bounds.minX) * (bounds.maxY - bounds.minY), 3); // corners are Float32
+    });
+
+    it("should reject unknown grids and point sets", () => {
+      expect(() => createCellGrid(4, 4, { grid: "square" })).toThrow(/Unknown grid "square"/);
+      expect(() => createCellGrid(4, 4, { grid: "voronoi" })).toThrow(/needs an rng/);
+      expect(() => createCellGrid(4, 4, { grid: "voronoi", points: "grid", rng: seedrandom("x") })).toThrow(/Unknown Voronoi points/);
+    });
+
+    it("should measure Euclidean distance between cell centres", () => {
+      const grid = createCellGrid(16, 12, { grid: "voronoi", rng: seedrandom("distance") });
+      const { cellCount: N, centers } = grid;
+      const isTarget = new Uint8Array(N);
+      for (const i of [3, 90, 150]) isTarget[i] = 1;
+      const dist = distanceTo(isTarget, 16, 12, "euclidean", grid.neighbors, centers);
+      let exact = 0;
+      for (let i = 0; i < N; i++) {
+        let nearest = Infinity;
+        for (const t of [3, 90, 150]) {
+          nearest = Math.min(nearest, Math.hypot(centers[i * 2] - centers[t * 2], centers[i * 2 + 1] - centers[t * 2 + 1]));
+        }
+        nearest /= Math.sqrt(3);
+        expect(dist[i]).toBeGreaterThanOrEqual(nearest - 1e-4);
+        if (Math.abs(dist[i] - nearest) < 1e-4) exact++;
+      }
+      expect(exact).toBeGreaterThan(N * 0.95);
+    });
+
+    it.each(["jittered", "poisson"])("should carry a %s world through all eight steps", async gridPoints => {
+      const { world, hexGrid, heightMap } = await generateHeightmap(seed, { ...voronoiOpts, gridPoints });
+      expect(hexGrid).toBeNull();
+      expect(world.topology.type).toBe("voronoi");
+      expect(heightMap).toHaveLength(world.topology.cellCount);
+
+      const { ringsPixel, coastlinePaths } = maskCoastline(world, { hexSize: 10 });
+      simulateRivers(world, { minRiverLength: 2 });
+      placeBiomes(world);
+      placeSettlements(world);
+      generateRoads(world);
+      generateLabels(world);
+      renderMap(world);
+
+      expect(ringsPixel.length).toBeGreaterThan(0);
+      ringsPixel.forEach((pts, r) => {
+        // Chains cut by the map border stay open
+        expect(coastlinePaths[r].endsWith(" Z")).toBe(pts.closed);
+        if (pts.closed) expect(pts.length).toBeGreaterThanOrEqual(3);
+      });
+      for (const name of ["landMask", "distanceToCoast", "discharge", "biomeId", "roadMap"]) {
+        expect(world.getLayer(name)).toHaveLength(world.cellCount);
+      }
+    });
+
+    it("should be deterministic for the same seed", async () => {
+      const runA = await generateHeightmap(seed, voronoiOpts);
+      const runB = await generateHeightmap(seed, voronoiOpts);
+      expect(runA.heightMap).toEqual(runB.heightMap);
+      expect(runA.topology.centers).toEqual(runB.topology.centers);
+    });
+  });
+
+  describe("sphere grid", () => {
+    const sphereOpts = { gridWidth: 30, gridHeight: 20, landFraction: 0.35, grid: "sphere" };
+
+    function polygonArea(points) {
+      let area = 0;
+      points.forEach((p, k) => {
+        const q = points[(k + 1) % points.length];
+        area += p.x * q.y - q.x * p.y;
+      });
+      return area / 2;
+    }
+
+    it("should cover the sphere with hexagons and 12 pentagons", () => {
+      const grid = createSphereGrid(0, 0, { subdivisions: 4 });
+      const { cellCount: N, neighbors, latitude, longitude } = grid;
+      expect(N).toBe(10 * 4 * 4 + 2);
+      expect(grid.vertexCount - grid.edgeCount + N).toBe(2);
+      let pentagons = 0;
+      for (let i = 0; i < N; i++) {
+        if (neighbors[i * 6 + 5] === NO_SIDE) pentagons++;
+        for (let k = 0; k < 6; k++) {
+          const n = neighbors[i * 6 + k];
+          expect(n).not.toBe(OFF_MAP);
+          if (n >= 0) expect(Array.from(neighbors.subarray(n * 6, n * 6 + 6))).toContain(i);
+        }
+        expect(Math.abs(latitude[i])).toBeLessThanOrEqual(90);
+        expect(Math.abs(longitude[i])).toBeLessThanOrEqual(180);
+      }
+      expect(pentagons).toBe(12);
+
+      // Cell outlines tile the equirectangular map, polar cells included
+      const map = createProjection("equirectangular", { width: 360, height: 180 });
+      let total = 0;
+      for (let i = 0; i < N; i++) total += polygonArea(projectCellPolygon(grid, i, map));
+      expect(total).toBeCloseTo(360 * 180, 3);
+    });
+
+    it("should project cells for the renderer", () => {
+      const grid = createSphereGrid(0, 0, { subdivisions: 6 });
+      const globe = createProjection("orthographic", { width: 200, height: 200, centerLatitude: 40, centerLongitude: -70 });
+      expect(globe.project(40, -70)).toEqual({ x: 100, y: 100, visible: true });
+      expect(globe.project(-40, 110).visible).toBe(false);
+      const { visible } = projectCells(grid, globe);
+      const seen = visible.reduce((sum, v) => sum + v, 0);
+      expect(seen / grid.cellCount).toBeCloseTo(0.5, 1);
+      expect(() => createProjection("mercator", { width: 1, height: 1 })).toThrow(/Unknown projection/);
+    });
+
+    it("should carry a planet through all eight steps", async () => {
+      const { world, hexGrid, heightMap, topology } = await generateHeightmap(seed, sphereOpts);
+      expect(hexGrid).toBeNull();
+      expect(topology.type).toBe("sphere");
+      expect(heightMap).toHaveLength(topology.cellCount);
+
+      const { landMask, ringsPixel } = maskCoastline(world, { hexSize: 10 });
+      const { rivers } = simulateRivers(world, { minRiverLength: 2 });
+      placeBiomes(world);
+      placeSettlements(world);
+      generateRoads(world);
+      generateLabels(world);
+      renderMap(world);
+
+      // Every ring is closed; land rings minus holes add up to the land cells
+      let net = 0;
+      for (const pts of ringsPixel) {
+        expect(pts.closed).toBe(true);
+        net += pts.clockwise ? pts.area : -pts.area;
+      }
+      const land = landMask.reduce((sum, v) => sum + v, 0);
+      expect(Math.abs(net - land) / land).toBeLessThan(0.02);
+      expect(rivers.length).toBeGreaterThan(0);
+      expect(world.getLayer("distanceToFreshWater")).toHaveLength(topology.cellCount);
+    });
+
+    it("should move tectonic plates by rotation and reject falloff shapes", async () => {
+      const { plates, plateIds } = await generateHeightmap(seed, { ...sphereOpts, generator: "tectonic" });
+      expect(plates.every(p => Number.isFinite(p.motion.z))).toBe(true);
+      expect(plates.reduce((sum, p) => sum + p.area, 0)).toBe(plateIds.length);
+      await expect(generateHeightmap(seed, { ...sphereOpts, gradientFalloff: "circular" })).rejects.toThrow(/needs a flat grid/);
+    });
+  });
+
+  describe("wrapped worlds", () => {
+    const wrapOpts = { gridWidth: 40, gridHeight: 24, landFraction: 0.4, wrapX: true };
+
+    it("should make the first and last columns neighbours", () => {
+      const W = 8, H = 5;
+      const grid = createCellGrid(W, H, { wrapX: true });
+      expect(grid.wrapWidth).toBe(1.5 * W);
+      const open = grid.neighbors.filter(n => n === OFF_MAP).length; // only on the top and bottom rows
+      expect(grid.edgeCount).toBe((6 * W * H + open) / 2);
+      createHexGrid(W, H).forEach((hex, i) => {
+        const expected = Array.from(grid.neighbors.subarray(i * 6, i * 6 + 6)).filter(n => n >= 0);
+        expect(getNeighbors(hex, W, H, { wrapX: true }).map(n => n.col * H + n.row)).toEqual(expected);
+        // Corners are shared across the seam too
+        for (let k = 0; k < 6; k++) {
+          const n = grid.neighbors[i * 6 + k];
+          if (n < 0) continue;
+          const [a, b] = SIDE_CORNERS[k];
+          const [c, d] = SIDE_CORNERS[(k + 3) % 6];
+          expect([grid.cellVertices[n * 6 + d], grid.cellVertices[n * 6 + c]]).toEqual([grid.cellVertices[i * 6 + a], grid.cellVertices[i * 6 + b]]);
+        }
+      });
+      expect(getNeighbors({ col: W - 1, row: 2 }, W, H, { wrapX: true })).toContainEqual({ col: 0, row: 3 });
+
+      const west = { q: 0, r: 2 };
+      const east = { q: W - 1, r: 2 - Math.floor((W - 1) / 2) };
+      expect(hexDistance(west, east)).toBe(W - 1);
+      expect(hexDistance(west, east, { wrapX: true, width: W })).toBe(1);
+      expect(() => buildNeighborIndex(7, 5, { wrapX: true })).toThrow(/even grid width/);
+      expect(() => createCellGrid(8, 5, { grid: "voronoi", wrapX: true, rng: seedrandom("x") })).toThrow(/needs a hex grid/);
+    });
+
+    it("should measure distances across the seam", () => {
+      const W = 8, H = 4;
+      const target = new Uint8Array(W * H);
+      target[0] = 1; // column 0, row 0
+      const euclidean = distanceTo(target, W, H, "euclidean", undefined, undefined, { wrapX: true });
+      const steps = distanceTo(target, W, H, "hex", undefined, undefined, { wrapX: true });
+      expect(euclidean[(W - 1) * H]).toBeCloseTo(1, 5);
+      expect(steps[(W - 1) * H]).toBe(1);
+      expect(euclidean[(W / 2) * H]).toBeCloseTo(Math.sqrt(3) / 2 * W / 2, 5);
+      expect(distanceTo(target, W, H)[(W - 1) * H]).toBeCloseTo(Math.sqrt(3) / 2 * (W - 1) * Math.sqrt(1 + 1 / (3 * (W - 1) ** 2)), 5);
+    });
+
+    it("should sample noise without a seam", async () => {
+      const { heightMap, topology } = await generateHeightmap(seed, wrapOpts);
+      const { gridWidth: W, gridHeight: H } = wrapOpts;
+      expect(topology.wrapX).toBe(true);
+      let seam = 0, inner = 0;
+      for (let row = 0; row < H; row++) {
+        seam += Math.abs(heightMap[row] - heightMap[(W - 1) * H + row]);
+        for (let col = 0; col < W - 1; col++) inner += Math.abs(heightMap[col * H + row] - heightMap[(col + 1) * H + row]);
+      }
+      expect(seam / H).toBeLessThan((2 * inner) / (H * (W - 1)));
+      const { plateIds } = await generateHeightmap(seed, { ...wrapOpts, generator: "tectonic" });
+      expect(plateIds).toHaveLength(W * H);
+    });
+
+    it("should trace coastlines across the seam", async () => {
+      const W = 12, H = 10;
+      const hexGrid = createHexGrid(W, H);
+      const topology = createCellGrid(W, H, { wrapX: true });
+      const heightMap = Float32Array.from(hexGrid, ({ col, row }) => ((col <= 1 || col >= W - 2) && row >= 3 && row <= 6 ? 1 : 0));
+      const { ringsPixel, rings } = maskCoastline({ hexGrid, heightMap, seaLevel: 0.5, topology }, { hexSize: 10 });
+      expect(ringsPixel).toHaveLength(1);
+      const [island] = ringsPixel;
+      expect(island.closed).toBe(true);
+      expect(island.clockwise).toBe(true);
+      expect(island.area).toBeCloseTo(16, 3);
+      expect(Math.min(...island.map(p => p.x))).toBeLessThan(0);
+      expect(rings[0]).toContain(3); // column 0, row 3
+
+      // A band around the whole map: both coasts wrap, and their areas net to the band
+      const band = Float32Array.from(hexGrid, ({ row }) => (row >= 4 && row <= 6 ? 1 : 0));
+      const coasts = maskCoastline({ hexGrid, heightMap: band, seaLevel: 0.5, topology }, { hexSize: 10 });
+      expect(coasts.ringsPixel.every(pts => pts.wraps)).toBe(true);
+      const net = coasts.ringsPixel.reduce((sum, pts) => sum + (pts.clockwise ? pts.area : -pts.area), 0);
+      expect(net).toBeCloseTo(3 * W, 3);
+      expect(coasts.coastlinePaths.every(path => !path.endsWith("Z"))).toBe(true);
+
+      const { world } = await generateHeightmap(seed, wrapOpts);
+      maskCoastline(world, { hexSize: 10 });
+      const { rivers } = simulateRivers(world, { minRiverLength: 2 });
+      expect(rivers.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe("hex layouts", () => {
+    const layouts = HEX_ORIENTATIONS.flatMap(orientation => HEX_PARITIES.map(parity => ({ orientation, parity })));
+
+    it("should build matching grids, neighbours and corners in every layout", () => {
+      const W = 7, H = 6;
+      for (const layout of layouts) {
+        const topology = createCellGrid(W, H, layout);
+        const hexGrid = createHexGrid(W, H, layout);
+        hexGrid.forEach((hex, i) => {
+          const center = hexToPixelOffset(hex, 1, layout);
+          expect(topology.centers[i * 2]).toBeCloseTo(center.x, 9);
+          expect(topology.centers[i * 2 + 1]).toBeCloseTo(center.y, 9);
+          expect(pixelToHexOffset({ x: center.x + 0.4, y: center.y - 0.4 }, 1, layout)).toEqual({ col: hex.col, row: hex.row });
+
+          const expected = Array.from(topology.neighbors.subarray(i * 6, i * 6 + 6)).filter(n => n >= 0);
+          const neighbors = getNeighbors(hex, W, H, layout);
+          expect(neighbors.map(n => n.col * H + n.row)).toEqual(expected);
+          for (const n of expected) {
+            expect(hexDistance(hex, hexGrid[n])).toBe(1);
+            expect(Math.hypot(topology.centers[n * 2] - center.x, topology.centers[n * 2 + 1] - center.y)).toBeCloseTo(Math.sqrt(3), 9);
+          }
+
+          // The same six corners as the drawing helpers, clockwise on screen
+          const corners = cellPolygon(topology, i);
+          const drawn = getHexPoints(center, 1, layout.orientation);
+          for (const corner of corners) {
+            expect(drawn.some(p => Math.hypot(p.x - corner.x, p.y - corner.y) < 1e-5)).toBe(true);
+          }
+          const area = corners.reduce((sum, p, k) => {
+            const q = corners[(k + 1) % 6];
+            return sum + p.x * q.y - q.x * p.y;
+          }, 0) / 2;
+          expect(area).toBeCloseTo((3 * Math.sqrt(3)) / 2, 4);
+        });
+        expect(topology.vertexCount - topology.edgeCount + topology.cellCount).toBe(1);
+      }
+      expect(() => createHexGrid(2, 2, { orientation: "diagonal" })).toThrow(/Unknown orientation/);
+      expect(() => createCellGrid(4, 4, { grid: "voronoi", orientation: "pointy", rng: seedrandom("x") })).toThrow(/need a hex grid/);
+    });
+
+    it("should measure exact distances in every layout, wrapped or not", () => {
+      const W = 8, H = 7;
+      const rng = seedrandom("layouts");
+      const target = Uint8Array.from({ length: W * H }, () => (rng() < 0.08 ? 1 : 0));
+      for (const layout of layouts) {
+        for (const wrapX of [false, true]) {
+          const topology = createCellGrid(W, H, { ...layout, wrapX });
+          const { centers } = topology;
+          const distance = distanceTo(target, W, H, "euclidean", undefined, undefined, topology);
+          for (let i = 0; i < W * H; i++) {
+            let best = Infinity;
+            for (let t = 0; t < W * H; t++) {
+              if (!target[t]) continue;
+              let dx = Math.abs(centers[i * 2] - centers[t * 2]);
+              if (wrapX) dx = Math.min(dx, topology.wrapWidth - dx);
+              best = Math.min(best, Math.hypot(dx, centers[i * 2 + 1] - centers[t * 2 + 1]) / Math.sqrt(3));
+            }
+            expect(distance[i]).toBeCloseTo(best, 4);
+          }
+        }
+      }
+    });
+
+    it("should generate and trace coastlines on pointy-topped grids", async () => {
+      const layout = { orientation: "pointy", parity: "odd" };
+      const { world, hexGrid, topology } = await generateHeightmap(seed, { gridWidth: 24, gridHeight: 20, landFraction: 0.4, ...layout });
+      expect(topology.orientation).toBe("pointy");
+      expect(hexGrid[1]).toEqual({ col: 0, row: 1, q: -1, r: 1 });
+      expect(world.hexGrid).toBe(hexGrid);
+
+      const { landMask, distanceToCoast, cornerMask } = maskCoastline(world, { hexSize: 10 });
+      for (let i = 0; i < topology.cellCount; i++) {
+        const coastal = landMask[i] && cellNeighbors(topology, i).some(n => !landMask[n]);
+        if (coastal) expect(distanceToCoast[i]).toBe(0);
+        else expect(distanceToCoast[i]).toBeGreaterThanOrEqual(1 - 1e-6);
+      }
+      // Pointy-topped corners sit at 30°, 90°, ... from the centre
+      const center = hexToPixelOffset(hexGrid[0], 10, layout);
+      expect(cornerMask[1].x).toBeCloseTo(center.x, 9);
+      expect(cornerMask[1].y).toBeCloseTo(center.y + 10, 9);
+
+      const pointyWrap = await generateHeightmap(seed, { gridWidth: 15, gridHeight: 10, orientation: "pointy", wrapX: true });
+      expect(pointyWrap.topology.wrapWidth).toBeCloseTo(15 * Math.sqrt(3), 9);
+    });
+  });
+
+  describe("chunked worlds", () => {
+    const chunkOpts = { chunkSize: 16, noiseScale: 16, landFraction: 0.35 };
+
+    it.each([
+      { orientation: "flat", parity: "even" },
+      { orientation: "pointy", parity: "odd" }
+    ])("should join neighbouring chunks without seams ($orientation, $parity)", async layout => {
+      const small = { ...chunkOpts, ...layout, hypsometry: "earth" };
+      // One 32×32 chunk covers four 16×16 ones, and its heights must match theirs exactly
+      const big = await generateChunk(seed, -1, 0, { ...small, chunkSize: 32 });
+      for (const [dq, dr] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+        const chunk = await generateChunk(seed, -2 + dq, dr, small);
+        expect(chunk.seaLevel).toBe(big.seaLevel);
+        for (let col = 0; col < 16; col++) {
+          for (let row = 0; row < 16; row++) {
+            const i = (col + 16 * dq) * 32 + row + 16 * dr;
+            expect(chunk.heightMap[col * 16 + row]).toBe(big.heightMap[i]);
+          }
+        }
+        // Global positions of local cells follow the layout
+        const global = hexToPixelOffset({ col: chunk.colOffset + 3, row: chunk.rowOffset + 5 }, 1, layout);
+        expect(chunk.origin.x + chunk.topology.centers[(3 * 16 + 5) * 2]).toBeCloseTo(global.x, 9);
+        expect(chunk.origin.y + chunk.topology.centers[(3 * 16 + 5) * 2 + 1]).toBeCloseTo(global.y, 9);
+      }
+    });
+
+    it("should hold the land fraction across many chunks", async () => {
+      let land = 0, cells = 0;
+      for (let q = -4; q < 4; q++) {
+        for (let r = -4; r < 4; r++) {
+          const { heightMap, seaLevel, world } = await generateChunk(seed, q, r, chunkOpts);
+          expect(world.getLayer("elevation")).toBe(heightMap);
+          for (const h of heightMap) {
+            expect(h).toBeGreaterThanOrEqual(0);
+            expect(h).toBeLessThanOrEqual(1);
+            if (h >= seaLevel) land++;
+            cells++;
+          }
+        }
+      }
+      expect(land / cells).toBeCloseTo(0.35, 1);
+    });
+
+    it("should keep heights past the normalization sample inside 0..1 and apart", () => {
+      const chunks = createChunkGenerator(seed, { chunkSize: 16, noiseScale: 16 }, { createNoise2D, seedrandom });
+      let beyondSample = 0;
+      for (let q = -6; q < 6; q++) {
+        for (let r = -6; r < 6; r++) {
+          for (const h of chunks.getChunk(q, r).heightMap) {
+            expect(h).toBeGreaterThan(0);
+            expect(h).toBeLessThan(1);
+            if (h < 0.05 || h > 0.95) beyondSample++;
+          }
+        }
+      }
+      // These chunks reach past the sampled range, which used to clamp to 0 or 1
+      expect(beyondSample).toBeGreaterThan(0);
+    });
+
+    it("should hand out chunks that steps can change without touching the cache", async () => {
+      const chunk = await generateChunk(seed, 3, -2, chunkOpts);
+      const heights = Array.from(chunk.heightMap);
+      maskCoastline(chunk.world, { hexSize: 10 });
+      chunk.heightMap.fill(0);
+
+      const again = await generateChunk(seed, 3, -2, chunkOpts);
+      expect(again.world).not.toBe(chunk.world);
+      expect(again.world.hasLayer("landMask")).toBe(false);
+      expect(Array.from(again.heightMap)).toEqual(heights);
+      expect(again.topology).toBe(chunk.topology);
+    });
+
+    it("should cache recent chunks and locate global cells", () => {
+      const chunks = createChunkGenerator(seed, { ...chunkOpts, cacheSize: 2 }, { createNoise2D, seedrandom });
+      const first = chunks.getChunk(0, 0);
+      expect(chunks.getChunk(0, 0)).toBe(first);
+      chunks.getChunk(1, 0);
+      chunks.getChunk(2, 0);
+      expect(chunks.cache.size).toBe(2);
+      const again = chunks.getChunk(0, 0);
+      expect(again).not.toBe(first);
+      expect(Array.from(again.heightMap)).toEqual(Array.from(first.heightMap));
+      expect(again.topology).toBe(first.topology);
+      expect(chunks.locateCell(-1, 17)).toEqual({ chunkQ: -1, chunkR: 1, cell: 15 * 16 + 1 });
+    });
+
+    it("should reject options that need the whole map", () => {
+      const deps = { createNoise2D, seedrandom };
+      expect(() => createChunkGenerator(seed, { gradientFalloff: "circular" }, deps)).toThrow(/whole map/);
+      expect(() => createChunkGenerator(seed, { generator: "tectonic" }, deps)).toThrow(/whole map/);
+      expect(() => createChunkGenerator(seed, { erosionIterations: 10 }, deps)).toThrow(/whole map/);
+      expect(() => createChunkGenerator(seed, { wrapX: true }, deps)).toThrow(/wrapX/);
+      expect(() => createChunkGenerator(seed, { chunkSize: 15 }, deps)).toThrow(/even/);
+      expect(() => createChunkGenerator(seed, {}, deps).getChunk(0.5, 0)).toThrow(/integers/);
+    });
+  });
+
+  describe("regional zoom", () => {
+    it.each([{}, { orientation: "pointy", parity: "odd" }])("should interpolate the parent linearly between centres %o", async layout => {
+      const { world, topology } = await generateHeightmap(seed, { gridWidth: 16, gridHeight: 12, ...layout });
+      // A linear parent field comes back exactly when there is no detail
+      const elevation = world.getLayer("elevation");
+      for (let i = 0; i < elevation.length; i++) elevation[i] = 0.01 * topology.centers[i * 2] + 0.02 * topology.centers[i * 2 + 1];
+      for (const factor of [2, 3]) {
+        const zoom = await generateRegion(seed, world, { col: 3, row: 3, width: 6, height: 5 }, factor, { detailAmplitude: 0 });
+        expect(zoom.topology.cellCount).toBe(30 * factor * factor);
+        expect(zoom.topology.orientation).toBe(layout.orientation ?? "flat");
+        for (let i = 0; i < zoom.heightMap.length; i++) {
+          const x = (zoom.origin.x + zoom.topology.centers[i * 2]) / factor;
+          const y = (zoom.origin.y + zoom.topology.centers[i * 2 + 1]) / factor;
+          expect(zoom.heightMap[i]).toBeCloseTo(0.01 * x + 0.02 * y, 6);
+          const { col, row } = pixelToHexOffset({ x, y }, 1, layout);
+          expect(zoom.parentCell[i]).toBe(col * 12 + row);
+        }
+      }
+    });
+
+    it("should add seeded detail and keep land and sea away from the coast", async () => {
+      const { world, topology } = await generateHeightmap(seed, { gridWidth: 24, gridHeight: 24, landFraction: 0.5 });
+      const region = { col: 4, row: 4, width: 16, height: 16 };
+      const zoom = await generateRegion(seed, world, region, 3);
+      const again = await generateRegion(seed, world, region, 3);
+      const other = await generateRegion("another seed", world, region, 3);
+      expect(Array.from(again.heightMap)).toEqual(Array.from(zoom.heightMap));
+      expect(Array.from(other.heightMap)).not.toEqual(Array.from(zoom.heightMap));
+      expect(zoom.world.getLayer("elevation")).toBe(zoom.heightMap);
+      expect(zoom.seaLevel).toBe(world.seaLevel);
+
+      const elevation = world.getLayer("elevation");
+      const isLand = i => elevation[i] >= world.seaLevel;
+      let coastal = 0;
+      for (let i = 0; i < zoom.heightMap.length; i++) {
+        const p = zoom.parentCell[i];
+        if (cellNeighbors(topology, p).some(n => isLand(n) !== isLand(p))) {
+          coastal++;
+          continue;
+        }
+        expect(zoom.heightMap[i] >= world.seaLevel).toBe(isLand(p));
+      }
+      expect(coastal).toBeGreaterThan(0);
+    });
+
+    it("should carry parent rivers down the finer grid", async () => {
+      const { world } = await generateHeightmap(seed, { gridWidth: 32, gridHeight: 32, landFraction: 0.5 });
+      simulateRivers(world, { minRiverLength: 3 });
+      const zoom = await generateRegion(seed, world, { col: 0, row: 0, width: 32, height: 32 }, 2);
+      const { rivers, riverIds, riverMap, topology, heightMap, seaLevel } = zoom;
+      expect(rivers).toHaveLength(world.features.rivers.length);
+      expect(zoom.world.getLayer("riverId")).toBe(riverIds);
+      for (const river of rivers) {
+        expect(river.cells.length).toBeGreaterThan(0);
+        for (let j = 1; j < river.cells.length; j++) {
+          const [a, b] = [river.cells[j - 1], river.cells[j]];
+          expect(cellNeighbors(topology, a)).toContain(b);
+          if (heightMap[a] >= seaLevel) expect(heightMap[b]).toBeLessThanOrEqual(heightMap[a]);
+        }
+        expect(riverIds[river.cells[0]]).toBeGreaterThanOrEqual(0);
+        expect(riverMap[river.cells[0]]).toBeGreaterThan(0);
+      }
+    });
+
+    it("should reject bad regions and factors", async () => {
+      const { world } = await generateHeightmap(seed, { gridWidth: 10, gridHeight: 10 });
+      await expect(generateRegion(seed, world, { col: 5, row: 0, width: 8, height: 4 }, 2)).rejects.toThrow(/outside/);
+      await expect(generateRegion(seed, world, { col: 0, row: 0, width: 4, height: 4 }, 1.5)).rejects.toThrow(/factor/);
+    });
+  });
+});
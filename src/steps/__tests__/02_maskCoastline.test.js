@@ -1,5 +1,12 @@
 import { describe, it, expect } from 'vitest';
+import seedrandom from 'seedrandom';
+import { createNoise2D } from 'simplex-noise';
 import { maskCoastline } from '../02_maskCoastline.js';
+import { createHexGrid, hexDistance } from '../../grid/hexGrid.js';
+import { createHexTopology } from '../../grid/hexTopology.js';
+import { World } from '../../utils/world.js';
+import { DEPTH_ZONES } from '../../utils/bathymetry.js';
+import { BOUNDARY_TYPES } from '../../utils/tectonics.js';
 
 describe('Coastline Masking', () => {
   it('should generate land mask and coastline path from heightmap using corner tracing', () => {
@@ -118,4 +125,490 @@ describe('Coastline Masking', () => {
     expect(result2.landMask[0]).toBe(0);
     expect(result2.landMask[1]).toBe(1);
   });
-}); 
\ No newline at end of file
+
+  it('should use the sea level returned with the heightmap', () => {
+    const hexGrid = [
+      { col: 0, row: 0, q: 0, r: 0 },
+      { col: 1, row: 0, q: 1, r: 0 }
+    ];
+    
+    const heightMap = new Float32Array([0.3, 0.7]);
+    
+    const fromHeightmap = maskCoastline({ hexGrid, heightMap, seaLevel: 0.2 }, {});
+    const overridden = maskCoastline({ hexGrid, heightMap, seaLevel: 0.2 }, { seaLevel: 0.5 });
+    
+    expect(Array.from(fromHeightmap.landMask)).toEqual([1, 1]);
+    expect(Array.from(overridden.landMask)).toEqual([0, 1]);
+    expect(() => maskCoastline({ hexGrid, heightMap }, {})).toThrow(/maskCoastline needs a seaLevel/);
+  });
+
+  // Even-odd point-in-polygon test against every subpath of an SVG path of M/L/Z commands
+  const insidePath = (path, { x, y }) => {
+    let inside = false;
+    for (const sub of path.split('M').filter(Boolean)) {
+      const pts = sub.replace(/Z/g, '').trim().split(/\s*L\s*/).map(p => p.split(',').map(Number));
+      for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+        const [xi, yi] = pts[i];
+        const [xj, yj] = pts[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+      }
+    }
+    return inside;
+  };
+
+  // Every pair of sides that properly cross, trying sides one map width apart on wrapping maps
+  const countCrossings = (ringsPixel, period) => {
+    const sides = [];
+    for (const pts of ringsPixel) {
+      const shift = period ? Math.round((pts[pts.length - 1].x - pts[0].x) / period) * period : 0;
+      // Open lines have no side back to their first point
+      const sideCount = pts.closed === false ? pts.length - 1 : pts.length;
+      for (let s = 0; s < sideCount; s++) sides.push([pts[s], s + 1 < pts.length ? pts[s + 1] : { x: pts[0].x + shift, y: pts[0].y }]);
+    }
+    const orient = (a, b, c) => Math.sign((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+    const shifts = period ? [-period, 0, period] : [0];
+    let count = 0;
+    for (let i = 0; i < sides.length; i++) {
+      const [a, b] = sides[i];
+      for (let j = i + 1; j < sides.length; j++) {
+        for (const dx of shifts) {
+          const c = { x: sides[j][0].x + dx, y: sides[j][0].y };
+          const d = { x: sides[j][1].x + dx, y: sides[j][1].y };
+          if (orient(a, b, c) * orient(a, b, d) < 0 && orient(c, d, a) * orient(c, d, b) < 0) count++;
+        }
+      }
+    }
+    return count;
+  };
+
+  it('should leave features, landforms, bathymetry and contours out unless asked for', () => {
+    const W = 12, H = 10;
+    const hexGrid = createHexGrid(W, H);
+    const heightMap = Float32Array.from(hexGrid, hex => (hexDistance(hex, hexGrid[6 * H + 5]) <= 3 ? 0.8 : 0.2));
+    const world = new World(W, H, { topology: createHexTopology(W, H), seaLevel: 0.5, hexGrid });
+    world.addLayer('elevation', heightMap);
+
+    const plain = maskCoastline(world, { hexSize: 10 });
+    for (const key of ['featureIndex', 'features', 'landforms', 'depth', 'isobaths', 'contours']) {
+      expect(plain[key]).toBeUndefined();
+    }
+    expect(['featureId', 'depth', 'depthZone', 'depthBand'].filter(name => world.hasLayer(name))).toEqual([]);
+    expect(Object.keys(world.features)).toEqual(['coastline']);
+
+    // Landforms need the features, so asking for them brings both
+    const full = maskCoastline(world, { hexSize: 10, landforms: true, bathymetry: { shelfWidth: 2 }, contours: true });
+    expect(full.features.length).toBeGreaterThan(0);
+    expect(full.landforms).toBeInstanceOf(Array);
+    expect(full.depth).toHaveLength(W * H);
+    expect(full.contours.length).toBeGreaterThan(0);
+    expect(world.getLayer('featureId')).toBe(full.featureIndex);
+    expect(Object.keys(world.features).sort()).toEqual(['coastline', 'contours', 'geography', 'landforms']);
+  });
+
+  describe('ring hierarchy', () => {
+    it.each([{}, { orientation: 'pointy', parity: 'odd' }])('should nest continents, lakes and islands in lakes %o', layout => {
+      const W = 16, H = 14, hexSize = 10;
+      const hexGrid = createHexGrid(W, H, layout);
+      const topology = createHexTopology(W, H, layout);
+      const center = hexGrid[7 * H + 7];
+      // A continent of radius 4 with a lake of radius 2 and an island in the lake,
+      // and a second island on the map border
+      const heightMap = Float32Array.from(hexGrid, (hex, i) => {
+        const d = hexDistance(hex, center);
+        if (i === 0) return 1;
+        return d === 0 || (d > 2 && d <= 4) ? 1 : 0;
+      });
+      const result = maskCoastline({ hexGrid, heightMap, seaLevel: 0.5, topology }, { hexSize });
+      const { rings, ringsPixel, coastlinePaths, landPath } = result;
+
+      expect(rings).toHaveLength(4);
+      // Largest first; the two one-cell islands tie
+      const [continent, lake] = ringsPixel;
+      const lakeIsland = ringsPixel.find(pts => pts.depth === 2);
+      const borderIsland = ringsPixel.find(pts => pts.depth === 0 && pts !== continent);
+      expect(continent).toMatchObject({ id: 0, parent: -1, depth: 0, land: true, clockwise: true, children: [1] });
+      expect(continent.area).toBeCloseTo(61, 4);
+      expect(lake).toMatchObject({ id: 1, parent: 0, depth: 1, land: false, clockwise: false, children: [lakeIsland.id] });
+      expect(lake.area).toBeCloseTo(19, 4);
+      expect(lakeIsland).toMatchObject({ parent: 1, land: true, clockwise: true, children: [] });
+      expect(lakeIsland.area).toBeCloseTo(1, 4);
+      expect(lakeIsland.perimeter).toBeCloseTo(6 * hexSize, 4);
+      expect(Array.from(rings[lakeIsland.id])).toEqual([7 * H + 7]);
+      // The border island is closed along the map edge
+      expect(borderIsland).toMatchObject({ parent: -1, depth: 0, land: true });
+      expect(borderIsland.area).toBeCloseTo(1, 4);
+      expect(coastlinePaths.every(path => path.endsWith(' Z'))).toBe(true);
+
+      // Every corner lies on a side of the cells it joins
+      for (const pts of ringsPixel) {
+        for (let j = 0; j < pts.length; j++) {
+          const a = pts[j], b = pts[(j + 1) % pts.length];
+          expect(Math.hypot(b.x - a.x, b.y - a.y)).toBeCloseTo(hexSize, 4);
+        }
+      }
+      // An even-odd fill of every ring covers exactly the land cells
+      for (let i = 0; i < hexGrid.length; i++) {
+        const centre = { x: topology.centers[i * 2] * hexSize + 1e-3, y: topology.centers[i * 2 + 1] * hexSize + 1e-3 };
+        expect(insidePath(landPath, centre)).toBe(result.landMask[i] === 1);
+      }
+    });
+  });
+
+  describe('coastline shaping', () => {
+    const W = 16, H = 14, hexSize = 10;
+
+    // The nested continent, lake and island, plus a strip of land along the bottom of the map
+    const nestedMap = layout => {
+      const hexGrid = createHexGrid(W, H, layout);
+      const topology = createHexTopology(W, H, layout);
+      const center = hexGrid[7 * H + 5];
+      const heightMap = Float32Array.from(hexGrid, hex => {
+        const d = hexDistance(hex, center);
+        return d === 0 || (d > 2 && d <= 4) || hex.row >= H - 2 ? 1 : 0;
+      });
+      return { hexGrid, heightMap, seaLevel: 0.5, topology };
+    };
+
+    it.each([{}, { wrapX: true }])('should simplify, perturb and smooth rings without crossing %o', layout => {
+      const data = nestedMap(layout);
+      const traced = maskCoastline(data, { hexSize });
+      const options = { hexSize, simplifyTolerance: 1, perturbation: 0.5, perturbationLevels: 2, smoothingIterations: 2 };
+      const shaped = maskCoastline(data, { ...options, rng: seedrandom('coast') });
+      const period = layout.wrapX ? data.topology.wrapWidth * hexSize : 0;
+
+      expect(countCrossings(shaped.ringsPixel, period)).toBe(0);
+      // Same rings, same tree
+      expect(shaped.rings).toEqual(traced.rings);
+      const info = pts => ({ id: pts.id, parent: pts.parent, children: pts.children, land: pts.land, wraps: pts.wraps });
+      expect(shaped.ringsPixel.map(info)).toEqual(traced.ringsPixel.map(info));
+      expect(shaped.ringsPixel.some((pts, i) => pts.length !== traced.ringsPixel[i].length)).toBe(true);
+      shaped.coastlinePaths.forEach((path, i) => expect(path.endsWith(' Z')).toBe(!shaped.ringsPixel[i].wraps));
+
+      // Seeded
+      expect(maskCoastline(data, { ...options, rng: seedrandom('coast') }).landPath).toBe(shaped.landPath);
+      expect(maskCoastline(data, { ...options, rng: seedrandom('other') }).landPath).not.toBe(shaped.landPath);
+    });
+
+    it('should keep every cell centre on its side of a simplified and smoothed coast', () => {
+      const data = nestedMap({});
+      const { landPath, landMask } = maskCoastline(data, { hexSize, simplifyTolerance: 0.3, smoothingIterations: 2 });
+      for (let i = 0; i < W * H; i++) {
+        const centre = { x: data.topology.centers[i * 2] * hexSize + 1e-3, y: data.topology.centers[i * 2 + 1] * hexSize + 1e-3 };
+        expect(insidePath(landPath, centre)).toBe(landMask[i] === 1);
+      }
+    });
+
+    it('should need an rng to perturb coastlines', () => {
+      expect(() => maskCoastline(nestedMap({}), { hexSize, perturbation: 0.3 })).toThrow(/seeded rng/);
+    });
+  });
+
+  describe('features', () => {
+    const W = 20, H = 16, hexSize = 10;
+    const options = { hexSize, features: true, seaShare: 0.05, isletShare: 0.005 };
+
+    it('should label and measure oceans, lakes, continents, islands and islets', () => {
+      const hexGrid = createHexGrid(W, H);
+      const topology = createHexTopology(W, H);
+      const at = (col, row) => col * H + row;
+      // A continent around a lake, an island of seven cells and an islet of one
+      const heightMap = Float32Array.from(hexGrid, hex => {
+        const d = hexDistance(hex, hexGrid[at(7, 7)]);
+        return (d > 1 && d <= 4) || hexDistance(hex, hexGrid[at(15, 11)]) <= 1 || (hex.col === 16 && hex.row === 3) ? 1 : 0;
+      });
+      const world = new World(W, H, { topology, seaLevel: 0.5, hexGrid });
+      world.addLayer('elevation', heightMap);
+      const { featureIndex, features, ringsPixel } = maskCoastline(world, options);
+
+      expect(world.getLayer('featureId')).toBe(featureIndex);
+      expect(world.features.geography).toBe(features);
+      const featureAt = (col, row) => features[featureIndex[at(col, row)]];
+      const ocean = featureAt(0, 0);
+      const continent = featureAt(7, 3);
+      const lake = featureAt(7, 7);
+      const island = featureAt(15, 11);
+      const islet = featureAt(16, 3);
+      expect(features).toHaveLength(5);
+      expect(features.map(f => f.type).sort()).toEqual(['continent', 'island', 'islet', 'lake', 'ocean']);
+      expect([ocean, continent, lake, island, islet].map(f => f.type)).toEqual(['ocean', 'continent', 'lake', 'island', 'islet']);
+      expect([ocean, continent, lake, island, islet].map(f => f.area)).toEqual([320 - 54 - 7 - 7 - 1, 54, 7, 7, 1]);
+      expect([ocean, continent, lake, island, islet].map(f => f.touchesBorder)).toEqual([true, false, false, false, false]);
+      features.forEach((f, id) => expect(f.id).toBe(id));
+      for (let i = 0; i < W * H; i++) expect(features[featureIndex[i]].land).toBe(heightMap[i] > 0.5);
+
+      // Coastline lengths, in sides of hexSize: 54 around the continent, 18 around the lake and island, 6 around the islet
+      expect(ocean.perimeter).toBeCloseTo((54 + 18 + 6) * hexSize, 3);
+      expect(continent.perimeter).toBeCloseTo((54 + 18) * hexSize, 3);
+      expect(lake.perimeter).toBeCloseTo(18 * hexSize, 3);
+      expect(islet.perimeter).toBeCloseTo(6 * hexSize, 3);
+
+      // Symmetric features are centred on their middle cell
+      for (const [feature, cell] of [[lake, at(7, 7)], [island, at(15, 11)], [islet, at(16, 3)]]) {
+        expect(feature.centroid.x).toBeCloseTo(topology.centers[cell * 2] * hexSize, 3);
+        expect(feature.centroid.y).toBeCloseTo(topology.centers[cell * 2 + 1] * hexSize, 3);
+      }
+      expect(islet.bounds.maxX - islet.bounds.minX).toBeCloseTo(2 * hexSize, 3);
+      expect(islet.bounds.maxY - islet.bounds.minY).toBeCloseTo(Math.sqrt(3) * hexSize, 3);
+      expect(continent.bounds.maxX - continent.bounds.minX).toBeCloseTo((9 * 1.5 + 0.5) * hexSize, 3);
+
+      // Rings list the features they separate, and features their rings
+      const ringsOf = f => f.rings.map(id => ringsPixel[id]);
+      expect(ringsOf(islet)).toHaveLength(1);
+      expect(ringsOf(islet)[0].features).toEqual([islet.id, ocean.id]);
+      expect(ringsOf(lake).map(r => r.land)).toEqual([false]);
+      expect(ringsOf(continent).map(r => r.land).sort()).toEqual([false, true]);
+      expect(ringsOf(ocean)).toHaveLength(3);
+      expect(ringsOf(ocean).every(r => r.land)).toBe(true);
+    });
+
+    it('should keep a feature whole across the seam of a wrapping map', () => {
+      const layout = { wrapX: true };
+      const hexGrid = createHexGrid(W, H, layout);
+      const topology = createHexTopology(W, H, layout);
+      const heightMap = Float32Array.from(hexGrid, hex => ((hex.col === 0 || hex.col === W - 1) && hex.row === 5 ? 1 : 0));
+      const { featureIndex, features } = maskCoastline({ hexGrid, heightMap, seaLevel: 0.5, topology }, options);
+
+      const island = features[featureIndex[5]];
+      expect(featureIndex[(W - 1) * H + 5]).toBe(island.id);
+      expect(island.area).toBe(2);
+      expect(island.bounds.maxX - island.bounds.minX).toBeCloseTo(3.5 * hexSize, 3);
+      expect(island.centroid.x).toBeGreaterThanOrEqual(0);
+      expect(island.centroid.x).toBeLessThan(topology.wrapWidth * hexSize);
+      expect(features.filter(f => f.type === 'ocean')).toHaveLength(1);
+    });
+  });
+
+  describe('landforms', () => {
+    const W = 40, H = 24, hexSize = 10;
+    const at = (col, row) => col * H + row;
+    const block = (heightMap, c0, c1, r0, r1, value) => {
+      for (let c = c0; c <= c1; c++) for (let r = r0; r <= r1; r++) heightMap[at(c, r)] = value;
+    };
+    const run = heightMap => {
+      const world = new World(W, H, { topology: createHexTopology(W, H), seaLevel: 0.5, hexGrid: createHexGrid(W, H) });
+      world.addLayer('elevation', heightMap);
+      const result = maskCoastline(world, { hexSize, landforms: true });
+      expect(world.features.landforms).toBe(result.landforms);
+      return result;
+    };
+    const ofType = (landforms, type) => landforms.filter(l => l.type === type);
+    const sorted = cells => [...cells].sort((a, b) => a - b);
+
+    it('should find bays, capes, isthmuses and peninsulas', () => {
+      // Two blocks of land joined by a one-cell isthmus, with a peninsula and a bay
+      const heightMap = new Float32Array(W * H);
+      block(heightMap, 3, 14, 3, 20, 1);
+      block(heightMap, 22, 35, 3, 20, 1);
+      block(heightMap, 15, 21, 6, 6, 1);
+      block(heightMap, 15, 18, 16, 16, 1);
+      block(heightMap, 7, 10, 14, 21, 0);
+      const { landforms, featureIndex, landMask } = run(heightMap);
+
+      landforms.forEach((l, id) => {
+        expect(l.id).toBe(id);
+        expect(l.size).toBe(l.cells.length);
+        for (const c of l.cells) expect(landMask[c]).toBe(['cape', 'peninsula', 'isthmus'].includes(l.type) ? 1 : 0);
+        for (const c of l.cells) expect(featureIndex[c]).toBe(l.feature);
+      });
+
+      const [isthmus] = ofType(landforms, 'isthmus');
+      expect(ofType(landforms, 'isthmus')).toHaveLength(1);
+      expect(sorted(isthmus.cells)).toEqual([15, 16, 17, 18, 19, 20, 21].map(c => at(c, 6)));
+      const [peninsula] = ofType(landforms, 'peninsula');
+      expect(ofType(landforms, 'peninsula')).toHaveLength(1);
+      expect(sorted(peninsula.cells)).toEqual([15, 16, 17, 18].map(c => at(c, 16)));
+
+      // The notch in the western block holds one bay, from its head towards the mouth
+      const notch = [];
+      for (let c = 7; c <= 10; c++) for (let r = 14; r <= 21; r++) notch.push(at(c, r));
+      const bays = ofType(landforms, 'bay').filter(l => l.cells.includes(at(8, 14)));
+      expect(bays).toHaveLength(1);
+      expect(bays[0].cells.every(c => notch.includes(c))).toBe(true);
+      expect(bays[0].cells).toEqual(expect.arrayContaining([7, 8, 9, 10].map(c => at(c, 14))));
+      const { centers } = createHexTopology(W, H);
+      const pointCell = bays[0].cells.find(c => centers[c * 2] * hexSize === bays[0].point.x && centers[c * 2 + 1] * hexSize === bays[0].point.y);
+      expect(pointCell).toBeDefined();
+
+      // The tip of the peninsula sticks out as a cape
+      expect(ofType(landforms, 'cape').some(l => l.cells.includes(at(18, 16)))).toBe(true);
+    });
+
+    it('should find straits between landmasses and fjords into one', () => {
+      // Two blocks two cells apart, the eastern one cut by a one-cell inlet from the south
+      const heightMap = new Float32Array(W * H);
+      block(heightMap, 3, 14, 3, 20, 1);
+      block(heightMap, 17, 35, 3, 20, 1);
+      block(heightMap, 26, 26, 9, 20, 0);
+      const { landforms, featureIndex } = run(heightMap);
+
+      const straits = ofType(landforms, 'strait');
+      expect(straits).toHaveLength(1);
+      expect(straits[0].cells).toContain(at(15, 10));
+      expect(straits[0].cells).toContain(at(16, 10));
+      expect(straits[0].feature).toBe(featureIndex[at(0, 0)]);
+
+      const fjords = ofType(landforms, 'fjord');
+      expect(fjords).toHaveLength(1);
+      expect(sorted(fjords[0].cells)).toEqual(Array.from({ length: 12 }, (_, k) => at(26, 9 + k)));
+      expect(ofType(landforms, 'isthmus')).toHaveLength(0);
+    });
+  });
+
+  describe('bathymetry', () => {
+    const W = 40, H = 30, hexSize = 10;
+    const at = (col, row) => col * H + row;
+    const hexGrid = createHexGrid(W, H);
+    // A small island in the middle of an ocean with a level floor
+    const islandMap = () => Float32Array.from(hexGrid, hex => (hexDistance(hex, hexGrid[at(20, 15)]) <= 2 ? 0.8 : 0.2));
+
+    it('should deepen from shelf over slope to abyssal plain, in isobath bands', () => {
+      const world = new World(W, H, { topology: createHexTopology(W, H), seaLevel: 0.5, hexGrid });
+      world.addLayer('elevation', islandMap());
+      const { depth, depthZone, depthBand, isobaths, distanceToCoast, landMask } = maskCoastline(world, { hexSize, bathymetry: true });
+
+      expect(world.getLayer('depth')).toBe(depth);
+      expect(world.getLayer('depthZone')).toBe(depthZone);
+      expect(world.getLayer('depthBand')).toBe(depthBand);
+      const water = [];
+      for (let i = 0; i < W * H; i++) {
+        if (landMask[i]) {
+          expect([depth[i], depthZone[i], depthBand[i]]).toEqual([0, DEPTH_ZONES.LAND, 0]);
+        } else {
+          water.push(i);
+        }
+      }
+      // Without relief, plates or peaks, depth follows the distance to the coast alone
+      water.sort((a, b) => distanceToCoast[a] - distanceToCoast[b]);
+      for (let k = 1; k < water.length; k++) {
+        expect(depth[water[k]]).toBeGreaterThanOrEqual(depth[water[k - 1]]);
+        expect(depthZone[water[k]]).toBeGreaterThanOrEqual(depthZone[water[k - 1]]);
+      }
+      const zones = new Set(water.map(i => depthZone[i]));
+      expect([...zones].sort()).toEqual([DEPTH_ZONES.SHELF, DEPTH_ZONES.SLOPE, DEPTH_ZONES.ABYSSAL]);
+      for (const i of water) {
+        if (depthZone[i] === DEPTH_ZONES.SHELF) expect(depth[i]).toBeLessThanOrEqual(200);
+        if (depthZone[i] === DEPTH_ZONES.ABYSSAL) expect(depth[i]).toBeCloseTo(4500, 3);
+        // Band k lies between isobaths k - 1 and k
+        const band = depthBand[i];
+        if (band > 1) expect(depth[i]).toBeGreaterThanOrEqual(isobaths[band - 2]);
+        if (band <= isobaths.length) expect(depth[i]).toBeLessThan(isobaths[band - 1]);
+      }
+    });
+
+    it('should cut trenches along convergent boundaries and raise seamounts from underwater peaks', () => {
+      const heightMap = islandMap();
+      heightMap[at(6, 6)] = 0.3; // an underwater peak far from the island
+      const plateBoundaries = new Uint8Array(W * H);
+      const boundaryStress = new Float32Array(W * H);
+      for (let row = 0; row < H; row++) {
+        plateBoundaries[at(34, row)] = BOUNDARY_TYPES.CONVERGENT;
+        boundaryStress[at(34, row)] = 1;
+      }
+      const options = { hexSize, bathymetry: { relief: 0, seamountShare: 0.002 } };
+      const { depth, depthZone } = maskCoastline({ hexGrid, heightMap, seaLevel: 0.5, plateBoundaries, boundaryStress }, options);
+
+      for (let row = 0; row < H; row++) {
+        expect(depthZone[at(34, row)]).toBe(DEPTH_ZONES.TRENCH);
+        expect(depth[at(34, row)]).toBeCloseTo(9000, 3);
+        // Fading out to either side, but still deeper than the plain
+        expect(depth[at(33, row)]).toBeLessThan(depth[at(34, row)]);
+        expect(depth[at(33, row)]).toBeGreaterThan(4500);
+      }
+      expect(depthZone[at(6, 6)]).toBe(DEPTH_ZONES.SEAMOUNT);
+      expect(depth[at(6, 6)]).toBeCloseTo(1000, 3);
+      expect(depth[at(6, 7)]).toBeCloseTo(2750, 3);
+      expect(depthZone.filter(z => z === DEPTH_ZONES.SEAMOUNT)).toHaveLength(7);
+      expect(depth[at(20, 15)]).toBe(0);
+    });
+  });
+
+  describe('contours', () => {
+    const W = 30, H = 20, hexSize = 10;
+    const hexGrid = createHexGrid(W, H);
+    const topology = createHexTopology(W, H);
+    const { centers } = topology;
+    const noiseMap = seed => {
+      const noise = createNoise2D(seedrandom(seed));
+      return Float32Array.from(hexGrid, (_, i) => 0.5 + 0.3 * noise(centers[i * 2] / 8, centers[i * 2 + 1] / 8) + 0.15 * noise(centers[i * 2] / 3, centers[i * 2 + 1] / 3));
+    };
+    const shoelace = pts => pts.reduce((sum, a, j) => {
+      const b = pts[(j + 1) % pts.length];
+      return sum + a.x * b.y - b.x * a.y;
+    }, 0);
+
+    it('should trace closed contours around a peak with higher ground on the right', () => {
+      // A cone falling by 0.05 per hex size from its peak
+      const peak = { x: centers[(15 * H + 10) * 2], y: centers[(15 * H + 10) * 2 + 1] };
+      const heightMap = Float32Array.from(hexGrid, (_, i) => 1 - 0.05 * Math.hypot(centers[i * 2] - peak.x, centers[i * 2 + 1] - peak.y));
+      const options = { hexSize, contours: { interval: 0.1, metresPerUnit: 2000, indexEvery: 2 } };
+      const { contours } = maskCoastline({ hexGrid, heightMap, seaLevel: 0.45, topology }, options);
+
+      expect(contours).toHaveLength(5);
+      contours.forEach((l, k) => {
+        expect(l.elevation).toBe(200 * (k + 1));
+        expect(l.level).toBeCloseTo(0.45 + 0.1 * (k + 1), 6);
+      });
+      expect(contours.map(l => l.index)).toEqual([false, true, false, true, false]);
+      for (const { level, lines, path } of contours) {
+        expect(lines).toHaveLength(1);
+        const [line] = lines;
+        expect(line.closed).toBe(true);
+        expect(shoelace(line)).toBeGreaterThan(0); // clockwise on screen
+        // Points lie on the cone's circle for the level, in pixels
+        const radius = ((1 - level) / 0.05) * hexSize;
+        for (const { x, y } of line) expect(Math.abs(Math.hypot(x - peak.x * hexSize, y - peak.y * hexSize) - radius)).toBeLessThan(0.25 * hexSize);
+        expect(insidePath(path, { x: peak.x * hexSize, y: peak.y * hexSize })).toBe(true);
+      }
+    });
+
+    it.each([0, 2])('should keep contours off the sea on a noise map (smoothing %i)', smoothingIterations => {
+      for (const seed of ['hills', 'coves']) {
+        const heightMap = noiseMap(seed);
+        const { ringsPixel, contours } = maskCoastline({ hexGrid, heightMap, seaLevel: 0.5, topology }, {
+          hexSize,
+          contours: { interval: 0.04, smoothingIterations }
+        });
+        const lines = contours.flatMap(l => l.lines);
+        expect(lines.length).toBeGreaterThan(0);
+        expect(ringsPixel.length).toBeGreaterThan(0);
+        expect(countCrossings([...ringsPixel, ...lines], 0)).toBe(0);
+      }
+    });
+
+    it.each([{}, { wrapX: true }])('should end contours at the map border and smooth them without crossing %o', layout => {
+      const grid = createHexTopology(W, H, layout);
+      const world = new World(W, H, { topology: grid, seaLevel: 0.2, hexGrid: createHexGrid(W, H, layout) });
+      // Ground rising to the south in wavy terraces
+      const maxY = Math.max(...grid.centers.filter((_, k) => k % 2 === 1));
+      world.addLayer('elevation', Float32Array.from({ length: W * H }, (_, i) => {
+        const x = grid.centers[i * 2], y = grid.centers[i * 2 + 1];
+        return 0.4 * (y / maxY) + 0.02 * Math.sin(x * 1.3) + 0.15;
+      }));
+      const traced = maskCoastline(world, { hexSize, contours: { interval: 0.1 } });
+      const smoothed = maskCoastline(world, { hexSize, contours: { interval: 0.1, smoothingIterations: 2 } });
+      expect(world.features.contours).toBe(smoothed.contours);
+
+      const period = layout.wrapX ? grid.wrapWidth * hexSize : 0;
+      const lines = smoothed.contours.flatMap(l => l.lines);
+      expect(smoothed.contours.map(l => l.lines.length)).toEqual([1, 1, 1]);
+      expect(smoothed.contours.map(l => l.elevation)).toEqual([1000, 2000, 3000]);
+      expect(countCrossings(lines, period)).toBe(0);
+      smoothed.contours.forEach((l, k) => {
+        l.lines.forEach((line, j) => {
+          const before = traced.contours[k].lines[j];
+          if (layout.wrapX) {
+            // Every line goes once around the world, higher ground (south) on its right: west to east
+            expect(line.closed && line.wraps).toBe(true);
+            expect(before[before.length - 1].x).toBeGreaterThan(before[0].x);
+          } else {
+            // Lines run from the west border to the east one, keeping their ends
+            expect(line.closed).toBe(false);
+            expect(before[0].x).toBeLessThan(2 * hexSize);
+            expect(before[before.length - 1].x).toBeGreaterThan((1.5 * W - 2) * hexSize);
+            expect([line[0], line[line.length - 1]]).toEqual([before[0], before[before.length - 1]]);
+          }
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,233 @@
+import { describe, it, expect } from 'vitest';
+import { simulateRivers } from '../03_simulateRivers.js';
+import { generateHeightmap } from '../01_generateHeightmap.js';
+import { createHexGrid } from '../../grid/hexGrid.js';
+
+// Cone-shaped island: high in the middle, sea around the border, with a pit
+function coneIsland(W, H) {
+  const hexGrid = createHexGrid(W, H);
+  const heightMap = new Float32Array(hexGrid.length);
+  hexGrid.forEach(({ col, row }, i) => {
+    const dx = col - (W - 1) / 2;
+    const dy = row - (H - 1) / 2;
+    heightMap[i] = Math.max(0, 1 - Math.sqrt(dx * dx + dy * dy) / (W / 2));
+  });
+  return { hexGrid, heightMap };
+}
+
+describe('simulateRivers', () => {
+  it('should return per-cell discharge and receivers for a flat Float32Array heightmap', () => {
+    const data = coneIsland(12, 12);
+    const result = simulateRivers(data, { seaLevel: 0.2, minRiverLength: 1 });
+    expect(result.discharge).toBeInstanceOf(Float32Array);
+    expect(result.riverMap).toBeInstanceOf(Float32Array);
+    expect(result.receivers).toBeInstanceOf(Int32Array);
+    expect(result.discharge).toHaveLength(data.heightMap.length);
+  });
+
+  it('should take the sea level from the options or the heightmap, and need one of them', () => {
+    const data = coneIsland(12, 12);
+    const fromOptions = simulateRivers(data, { seaLevel: 0.2 });
+    const fromHeightmap = simulateRivers({ ...data, seaLevel: 0.2 });
+    expect(Array.from(fromHeightmap.discharge)).toEqual(Array.from(fromOptions.discharge));
+    expect(() => simulateRivers(data)).toThrow(/simulateRivers needs a seaLevel/);
+  });
+
+  it('should conserve water: all land runoff reaches the sea or leaves the map', () => {
+    const data = coneIsland(12, 12);
+    const { discharge, receivers } = simulateRivers(data, { seaLevel: 0.2 });
+    let landCells = 0;
+    let outflow = 0;
+    data.heightMap.forEach((h, i) => {
+      if (h >= 0.2) {
+        landCells++;
+        if (receivers[i] < 0) outflow += discharge[i];
+      } else {
+        outflow += discharge[i];
+      }
+    });
+    expect(outflow).toBeCloseTo(landCells, 3);
+  });
+
+  it('should drain out of filled depressions', () => {
+    const data = coneIsland(12, 12);
+    const pit = 5 * 12 + 5;
+    data.heightMap[pit] = 0.25; // a pit near the summit, still above sea level
+    const { receivers, filledHeightMap } = simulateRivers(data, { seaLevel: 0.2, lakeEvaporation: 0 });
+    expect(receivers[pit]).toBeGreaterThanOrEqual(0);
+    expect(filledHeightMap[pit]).toBeGreaterThan(filledHeightMap[receivers[pit]]);
+  });
+
+  it('should trace rivers downhill and respect minRiverLength and maxRivers', () => {
+    const data = coneIsland(16, 16);
+    const { rivers, filledHeightMap } = simulateRivers(data, {
+      seaLevel: 0.2,
+      flowThreshold: 0.02,
+      minRiverLength: 3,
+      maxRivers: 4
+    });
+    expect(rivers.length).toBeGreaterThan(0);
+    expect(rivers.length).toBeLessThanOrEqual(4);
+    for (const river of rivers) {
+      expect(river.cells.length).toBeGreaterThanOrEqual(3);
+      for (let j = 1; j < river.cells.length; j++) {
+        expect(filledHeightMap[river.cells[j]]).toBeLessThan(filledHeightMap[river.cells[j - 1]]);
+      }
+    }
+  });
+
+  it('should be deterministic on a generated heightmap', async () => {
+    const opts = { gridWidth: 24, gridHeight: 24 };
+    const data = await generateHeightmap('rivers-seed', opts);
+    const a = simulateRivers(data, { seaLevel: 0.3, minRiverLength: 3 });
+    const b = simulateRivers(data, { seaLevel: 0.3, minRiverLength: 3 });
+    expect(Array.from(a.discharge)).toEqual(Array.from(b.discharge));
+    expect(a.rivers).toEqual(b.rivers);
+  });
+
+  it('should link tributaries to their parent river with consistent stream order', () => {
+    const data = coneIsland(20, 20);
+    const { rivers, confluences, strahler } = simulateRivers(data, {
+      seaLevel: 0.2,
+      flowThreshold: 0.01,
+      minRiverLength: 2
+    });
+    const byId = new Map(rivers.map(r => [r.id, r]));
+    for (const river of rivers) {
+      expect(['sea', 'confluence', 'edge', 'sink']).toContain(river.mouthType);
+      if (river.parent >= 0) {
+        const parent = byId.get(river.parent);
+        expect(parent.children).toContain(river.id);
+        expect(parent.cells).toContain(river.mouth);
+        expect(strahler[river.mouth]).toBeGreaterThanOrEqual(river.strahler);
+      }
+    }
+    for (const { cell, river, tributaries } of confluences) {
+      expect(byId.get(river).cells).toContain(cell);
+      expect(tributaries.length).toBeGreaterThan(0);
+    }
+  });
+
+  it('should only end a river on another kept river when short or surplus rivers are dropped', () => {
+    const data = coneIsland(20, 20);
+    for (const [minRiverLength, maxRivers] of [[4, 50], [2, 3], [6, 1]]) {
+      const { rivers, receivers, lakeIds } = simulateRivers(data, { seaLevel: 0.2, flowThreshold: 0.01, minRiverLength, maxRivers });
+      const byId = new Map(rivers.map(r => [r.id, r]));
+      expect(rivers.length).toBeLessThanOrEqual(maxRivers);
+      for (const river of rivers) {
+        expect(river.cells.length).toBeGreaterThanOrEqual(minRiverLength);
+        if (river.parent >= 0) {
+          expect(river.mouthType).toBe('confluence');
+          expect(byId.get(river.parent).cells.slice(0, -1)).toContain(river.mouth);
+        } else if (river.mouthType === 'sea') {
+          expect(data.heightMap[river.mouth]).toBeLessThan(0.2);
+        } else if (river.mouthType === 'lake') {
+          expect(lakeIds[river.mouth]).toBeGreaterThanOrEqual(0);
+        } else {
+          expect(['edge', 'sink']).toContain(river.mouthType);
+          expect(receivers[river.mouth]).toBe(-1);
+        }
+      }
+    }
+  });
+
+  it('should widen rivers downstream and emit smoothed pixel polylines', () => {
+    const data = coneIsland(16, 16);
+    const { rivers } = simulateRivers(data, {
+      seaLevel: 0.2,
+      flowThreshold: 0.02,
+      minRiverLength: 3,
+      hexSize: 10,
+      smoothingIterations: 2
+    });
+    const river = rivers[0];
+    expect(river.widths).toHaveLength(river.cells.length);
+    expect(river.widths[river.widths.length - 1]).toBeGreaterThanOrEqual(river.widths[0]);
+    expect(river.polyline.length).toBeGreaterThan(river.cells.length);
+    for (const p of river.polyline) {
+      expect(Number.isFinite(p.x) && Number.isFinite(p.y) && p.width > 0).toBe(true);
+    }
+  });
+
+  it('should split a large river into distributaries on a flat coast', () => {
+    // Tilted plain: high on the left, sea on the right, almost flat near the coast
+    const W = 16, H = 12;
+    const hexGrid = createHexGrid(W, H);
+    const heightMap = new Float32Array(hexGrid.length);
+    hexGrid.forEach(({ col, row }, i) => {
+      const valley = Math.abs(row - H / 2) * 0.01;
+      heightMap[i] = col >= W - 3 ? 0.1 : 0.3 + (W - 4 - col) * 0.03 + valley - (col >= W - 7 ? 0.08 : 0);
+    });
+    const { rivers } = simulateRivers({ hexGrid, heightMap }, {
+      seaLevel: 0.2,
+      flowThreshold: 0.05,
+      minRiverLength: 3,
+      deltaMinDischarge: 0.5,
+      deltaMaxSlope: 0.05,
+      deltaBranches: 2
+    });
+    const deltaRiver = rivers.find(r => r.distributaries.length > 0);
+    expect(deltaRiver).toBeDefined();
+    for (const branch of deltaRiver.distributaries) {
+      expect(heightMap[branch.cells[branch.cells.length - 1]]).toBeLessThan(0.2);
+      expect(branch.polyline.length).toBeGreaterThan(1);
+    }
+  });
+
+  it('should fill a depression into a lake with surface, depth and outlet', () => {
+    const data = coneIsland(16, 16);
+    const pit = 6 * 16 + 6;
+    data.heightMap[pit] = 0.3;
+    const { lakes, lakeIds, freshWater, rivers } = simulateRivers(data, {
+      seaLevel: 0.2,
+      lakeEvaporation: 0,
+      flowThreshold: 0.01,
+      minRiverLength: 1
+    });
+    const lake = lakes[lakeIds[pit]];
+    expect(lake).toBeDefined();
+    expect(lake.cells).toContain(pit);
+    expect(lake.area).toBe(lake.cells.length);
+    expect(lake.surface).toBeGreaterThan(data.heightMap[pit]);
+    expect(lake.depth).toBeCloseTo(lake.surface - 0.3, 5);
+    expect(lake.closed).toBe(false);
+    expect(lake.outlet).toBeGreaterThanOrEqual(0);
+    expect(lakeIds[lake.outlet]).not.toBe(lake.id);
+    expect(freshWater[pit]).toBe(1);
+    const outflow = rivers.find(r => r.id === lake.outflowRiver);
+    expect(outflow.source).toBe(lake.outlet);
+  });
+
+  it('should keep a closed salt lake when evaporation exceeds inflow', () => {
+    const data = coneIsland(16, 16);
+    const pit = 6 * 16 + 6;
+    data.heightMap[pit] = 0.3;
+    const { lakes, lakeIds, receivers, freshWater } = simulateRivers(data, {
+      seaLevel: 0.2,
+      lakeEvaporation: 1000
+    });
+    const lake = lakes[lakeIds[pit]];
+    expect(lake.closed).toBe(true);
+    expect(lake.salt).toBe(true);
+    expect(lake.outlet).toBe(-1);
+    expect(lake.outflow).toBe(0);
+    expect(receivers[lake.exit]).toBe(-1);
+    expect(freshWater[pit]).toBe(0);
+  });
+
+  it('should measure distance to fresh water for later steps', () => {
+    const data = coneIsland(16, 16);
+    const { freshWater, distanceToFreshWater } = simulateRivers(data, { seaLevel: 0.2, flowThreshold: 0.02, minRiverLength: 3 });
+    expect(distanceToFreshWater).toHaveLength(data.heightMap.length);
+    let water = 0;
+    freshWater.forEach((f, i) => {
+      if (f) {
+        water++;
+        expect(distanceToFreshWater[i]).toBe(0);
+      } else {
+        expect(distanceToFreshWater[i]).toBeGreaterThanOrEqual(1 - 1e-6);
+      }
+    });
+    expect(water).toBeGreaterThan(0);
+  });
+});
@@ -1,10 +1,18 @@
 // Azgaar-style Hex Grid Terrain Module
-// Implements noise+falloff heightmap, land mask, signed distance field, and preallocates secondary layers
+// Implements noise+falloff heightmap, land mask, signed distance field, and the shared hex topology
 // All arrays are typed for performance and GC efficiency
+// Noise and RNG may be injected ({ createNoise2D, seedrandom }); they default to the simplex-noise and seedrandom packages
 
+import { createNoise2D as defaultCreateNoise2D } from 'simplex-noise';
+import defaultSeedrandom from 'seedrandom';
 import { createHexGrid } from '../grid/hexGrid.js';
-import SimplexNoise from 'simplex-noise';
-import seedrandom from 'seedrandom';
+import { createHexTopology, cellCornerPositions } from '../grid/hexTopology.js';
+import { applyThermalErosion } from './erosion.js';
+import { runTemplate } from './heightmapTemplates.js';
+import { createLayeredNoise } from './noise.js';
+import { remapHypsometry, solveSeaLevel } from './hypsometry.js';
+import { signedDistance } from './distanceField.js';
+import { detectFeatures } from './features.js';
 
 /**
  * @typedef {Object} HexCell
@@ -24,32 +32,104 @@ import seedrandom from 'seedrandom';
  * @param {number} [opts.lacunarity=2.0]
  * @param {number} [opts.frequency=1.0]
  * @param {number} [opts.amplitude=1.0]
+ * @param {'fbm'|'ridged'|'billow'|'hybrid'|'warped'} [opts.noiseType='fbm']
+ * @param {import('./noise.js').NoiseLayer[]} [opts.noiseLayers] - Weighted/masked layers; overrides noiseType
+ * @param {string} [opts.template] - Built-in template name (see TEMPLATES) or template text;
+ *   replaces noise+falloff, and heights keep the template's scale (sea level 0.2)
+ * @param {number} [opts.seaLevel] - Defaults to 0.5, or 0.2 with a template
+ * @param {number} [opts.landFraction] - Solve the sea level so this share of cells is land
+ * @param {string|Array<[number, number]>} [opts.hypsometry='none'] - Target elevation curve (see HYPSOMETRIC_CURVES)
+ * @param {number} [opts.thermalIterations=0] - Thermal weathering passes (0 = off)
+ * @param {number} [opts.talusAngle=30] - Degrees; steeper neighbour slopes shed material
+ * @param {number} [opts.thermalRate=0.5]
+ * @param {{createNoise2D: Function, seedrandom: Function}} [deps] - Defaults to the package imports
  * @returns {{
  *   hexGrid: HexCell[],
+ *   topology: import('../grid/hexTopology.js').HexTopology,
  *   heightMap: Float32Array, // [N] elevation, 0..1
- *   featureIndex: Uint8Array, // [N] (future: biome/feature id)
- *   neighborList: Uint16Array, // [N*6] (future: neighbor indices)
- *   vertexList: Float32Array // [N*6*2] (future: x,y for each corner)
+ *   seaLevel: number, // land is heightMap >= seaLevel
+ *   featureIndex: Int32Array, // [N] land or water feature of each cell (see features.js)
+ *   features: import('./features.js').Feature[],
+ *   neighborList: Int32Array, // [N*6] neighbour indices (topology.neighbors), -1 off-map
+ *   vertexList: Float32Array, // [N*6*2] x,y of each corner for hex size 1
+ *   thermalDelta?: Float32Array // [N] only when thermalIterations > 0
  * }}
  */
-export function generateHeightMap(seed, width, height, opts = {}) {
+export function generateHeightMap(
+  seed, width, height, opts = {}, { createNoise2D, seedrandom } = { createNoise2D: defaultCreateNoise2D, seedrandom: defaultSeedrandom }
+) {
   const {
     octaves = 5,
     persistence = 0.5,
     lacunarity = 2.0,
     frequency = 1.0,
-    amplitude = 1.0
+    amplitude = 1.0,
+    noiseType = 'fbm',
+    noiseLayers,
+    ridgeOffset,
+    ridgeGain,
+    hybridOffset,
+    warpStrength,
+    template,
+    // Templates work on Azgaar's scale, where sea level is 20 of 100
+    seaLevel = template ? 0.2 : 0.5,
+    landFraction,
+    hypsometry = 'none',
+    thermalIterations = 0,
+    talusAngle = 30,
+    thermalRate = 0.5
   } = opts;
   const N = width * height;
   const hexGrid = createHexGrid(width, height);
   const heightMap = new Float32Array(N);
-  const featureIndex = new Uint8Array(N); // placeholder for biome/feature
-  const neighborList = new Uint16Array(N * 6); // 6 neighbors per cell
-  const vertexList = new Float32Array(N * 6 * 2); // 6 corners, x/y each
+  const topology = createHexTopology(width, height);
+  const neighborList = topology.neighbors;
+  const vertexList = cellCornerPositions(topology);
 
-  // Init noise
   const rng = seedrandom(seed);
-  const simplex = new SimplexNoise(rng);
+
+  if (template) {
+    heightMap.set(runTemplate(template, hexGrid, topology.neighbors, rng, width, height));
+  } else {
+    const noise2D = createNoise2D(rng);
+    const sampleNoise = createLayeredNoise(
+      noiseLayers ?? [{ type: noiseType }],
+      { octaves, persistence, lacunarity, frequency, amplitude, ridgeOffset, ridgeGain, hybridOffset, warpStrength },
+      key => (key === 'layer0' ? noise2D : createNoise2D(seedrandom(`${seed}:${key}`)))
+    );
+    fillNoise(heightMap, hexGrid, sampleNoise, width, height);
+  }
+
+  if (hypsometry !== 'none') remapHypsometry(heightMap, hypsometry);
+
+  let thermalDelta;
+  if (thermalIterations > 0) {
+    thermalDelta = applyThermalErosion(heightMap, topology.neighbors, {
+      iterations: thermalIterations,
+      talusAngle,
+      cellSize: 1 / Math.max(width, height),
+      rate: thermalRate
+    });
+  }
+
+  const solvedSeaLevel = landFraction == null ? seaLevel : solveSeaLevel(heightMap, landFraction);
+  const { featureIndex, features } = detectFeatures(topology, computeLandMask(heightMap, solvedSeaLevel));
+  const result = { hexGrid, topology, heightMap, featureIndex, features, neighborList, vertexList };
+  result.seaLevel = solvedSeaLevel;
+  if (thermalDelta) result.thermalDelta = thermalDelta;
+  return result;
+}
+
+/**
+ * Noise with radial falloff, normalized to [0,1].
+ * @param {Float32Array} heightMap - [N] output
+ * @param {HexCell[]} hexGrid
+ * @param {(x:number, y:number, z:number, cell:number) => number} sampleNoise
+ * @param {number} width
+ * @param {number} height
+ */
+function fillNoise(heightMap, hexGrid, sampleNoise, width, height) {
+  const N = heightMap.length;
 
   // Center for radial falloff
   const centerQ = (width - 1) / 2;
@@ -63,12 +143,7 @@ export function generateHeightMap(seed, width, height, opts = {}) {
     // Normalize for noise
     let nx = q / width - 0.5;
     let ny = r / height - 0.5;
-    let value = 0, amp = amplitude, freq = frequency;
-    for (let o = 0; o < octaves; o++) {
-      value += simplex.noise2D(nx * freq, ny * freq) * amp;
-      amp *= persistence;
-      freq *= lacunarity;
-    }
+    let value = sampleNoise(nx, ny, 0, i);
     // Radial falloff
     const dist = Math.sqrt((q - centerQ) ** 2 + (r - centerR) ** 2) / maxDist;
     value *= Math.max(0, 1 - dist);
@@ -78,20 +153,15 @@ export function generateHeightMap(seed, width, height, opts = {}) {
   }
   // Normalize to [0,1]
   for (let i = 0; i < N; i++) heightMap[i] = (heightMap[i] - min) / (max - min);
-
-  // (Future) Fill neighborList, vertexList as needed
-  // ...
-
-  return { hexGrid, heightMap, featureIndex, neighborList, vertexList };
 }
 
 /**
  * Compute land/sea mask from heightmap.
  * @param {Float32Array} heightMap - [N] normalized elevation
- * @param {number} [seaLevel=0.5]
+ * @param {number} seaLevel - Usually the seaLevel returned with the heightmap
  * @returns {Uint8Array} landMask - [N] 1=land, 0=sea
  */
-export function computeLandMask(heightMap, seaLevel = 0.5) {
+export function computeLandMask(heightMap, seaLevel) {
   const landMask = new Uint8Array(heightMap.length);
   for (let i = 0; i < heightMap.length; i++) {
     landMask[i] = heightMap[i] >= seaLevel ? 1 : 0;
@@ -100,49 +170,14 @@ export function computeLandMask(heightMap, seaLevel = 0.5) {
 }
 
 /**
- * Felzenszwalb & Huttenlocher’s two-pass signed Euclidean distance transform for hex grids.
- * @param {Uint8Array} landMask - [N] 1=land, 0=sea
+ * Exact signed distance to the coastline on the hex grid, in cell-centre spacings
+ * (see distanceField.js). Cells on either side of the coast are ±1.
+ * @param {Uint8Array} landMask - [N] 1=land, 0=sea, column-major as from createHexGrid
  * @param {number} width
  * @param {number} height
- * @returns {Float32Array} signedDistanceField - [N] positive=land, negative=sea, 0=boundary
+ * @param {'euclidean'|'hex'} [metric='euclidean'] - Straight-line or hex-step distance
+ * @returns {Float32Array} signedDistanceField - [N] positive=land, negative=sea
  */
-export function computeSignedDistanceField(landMask, width, height) {
-  const N = width * height;
-  const dist = new Float32Array(N);
-  const INF = 1e6;
-  // 1st pass: init
-  for (let i = 0; i < N; i++) {
-    dist[i] = landMask[i] ? INF : -INF;
-  }
-  // 2nd pass: forward
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const i = y * width + x;
-      if (landMask[i]) {
-        if (x > 0) dist[i] = Math.min(dist[i], dist[i - 1] + 1);
-        if (y > 0) dist[i] = Math.min(dist[i], dist[i - width] + 1);
-      } else {
-        if (x > 0) dist[i] = Math.max(dist[i], dist[i - 1] - 1);
-        if (y > 0) dist[i] = Math.max(dist[i], dist[i - width] - 1);
-      }
-    }
-  }
-  // 3rd pass: backward
-  for (let y = height - 1; y >= 0; y--) {
-    for (let x = width - 1; x >= 0; x--) {
-      const i = y * width + x;
-      if (landMask[i]) {
-        if (x < width - 1) dist[i] = Math.min(dist[i], dist[i + 1] + 1);
-        if (y < height - 1) dist[i] = Math.min(dist[i], dist[i + width] + 1);
-      } else {
-        if (x < width - 1) dist[i] = Math.max(dist[i], dist[i + 1] - 1);
-        if (y < height - 1) dist[i] = Math.max(dist[i], dist[i + width] - 1);
-      }
-    }
-  }
-  // Negative for sea
-  for (let i = 0; i < N; i++) {
-    if (!landMask[i] && dist[i] > 0) dist[i] = -dist[i];
-  }
-  return dist;
+export function computeSignedDistanceField(landMask, width, height, metric = 'euclidean') {
+  return signedDistance(landMask, width, height, metric);
 } 
\ No newline at end of file
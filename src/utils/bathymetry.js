@@ -0,0 +1,183 @@
+/**
+ * Ocean depth below sea level: continental shelf, slope, abyssal plain,
+ * trenches and seamounts.
+ *
+ * Depth grows with distance from the coast along a fixed profile: a gently
+ * sloping shelf out to `shelfWidth` cells, a steep slope over the next
+ * `slopeWidth` cells, then the abyssal plain. The heightmap's own relief under
+ * the sea (its noise) makes it deeper or shallower than the profile by up to
+ * `relief` of it. Trenches follow convergent plate boundaries beyond the
+ * shelf, when plate data is available (see tectonics.js), and seamounts rise
+ * from the highest underwater peaks of the heightmap on the abyssal plain.
+ * Depths are in metres; zones follow the profile, so a shelf stays a shelf
+ * however the relief moves it.
+ */
+
+import { BOUNDARY_TYPES } from './tectonics.js';
+
+/** Depth zone stored in the depthZone layer. */
+export const DEPTH_ZONES = {
+  LAND: 0,
+  SHELF: 1,
+  SLOPE: 2,
+  ABYSSAL: 3,
+  TRENCH: 4,
+  SEAMOUNT: 5
+};
+
+/** Default isobaths in metres, shallowest first. */
+export const DEFAULT_ISOBATHS = [50, 200, 1000, 2000, 3000, 4000, 6000];
+
+/**
+ * @typedef {{
+ *   shelfWidth?: number,     // cells of continental shelf off the coast (default 3)
+ *   shelfDepth?: number,     // depth at the shelf edge, in metres (default 200)
+ *   slopeWidth?: number,     // cells from the shelf edge down to the abyssal plain (default 4)
+ *   abyssalDepth?: number,   // depth of the abyssal plain, in metres (default 4500)
+ *   relief?: number,         // share of the depth the heightmap's underwater relief may add or take (default 0.25)
+ *   plateBoundary?: Uint8Array,   // [N] BOUNDARY_TYPES, for trenches
+ *   boundaryStress?: Float32Array,// [N] relative plate speed; faster convergence cuts deeper trenches
+ *   trenchDepth?: number,    // depth along the deepest trench, in metres (default 9000)
+ *   trenchWidth?: number,    // cells on either side over which a trench fades out (default 2)
+ *   seamountShare?: number,  // share of abyssal cells topped by a seamount (default 0.01)
+ *   seamountDepth?: number,  // depth over a seamount's summit, in metres (default 1000)
+ *   isobaths?: number[]      // depths in metres between depth bands, shallowest first
+ * }} BathymetryOptions
+ */
+
+/**
+ * Depth, zone and isobath band of every water cell.
+ * @param {import('../grid/cellGrid.js').CellGrid} grid
+ * @param {Float32Array} heightMap - [N] normalized elevation
+ * @param {number} seaLevel
+ * @param {Uint8Array} landMask - [N] 1=land, 0=water
+ * @param {Float32Array} distanceToCoast - [N] in cells (see distanceField.js)
+ * @param {BathymetryOptions} [options]
+ * @returns {{
+ *   depth: Float32Array,    // [N] metres below sea level, 0 on land
+ *   depthZone: Uint8Array,  // [N] DEPTH_ZONES
+ *   depthBand: Uint8Array,  // [N] 0 on land, else 1 + the number of isobaths the depth reaches
+ *   isobaths: number[]
+ * }}
+ */
+export function computeBathymetry(grid, heightMap, seaLevel, landMask, distanceToCoast, options = {}) {
+  const {
+    shelfWidth = 3,
+    shelfDepth = 200,
+    slopeWidth = 4,
+    abyssalDepth = 4500,
+    relief = 0.25,
+    plateBoundary,
+    boundaryStress,
+    trenchDepth = 9000,
+    trenchWidth = 2,
+    seamountShare = 0.01,
+    seamountDepth = 1000,
+    isobaths = DEFAULT_ISOBATHS
+  } = options;
+  const { neighbors, maxNeighbors: M } = grid;
+  const N = landMask.length;
+  const depth = new Float32Array(N);
+  const depthZone = new Uint8Array(N);
+
+  // Underwater relief of the heightmap, from -1 (highest) to 1 (deepest)
+  const submerged = new Float32Array(N);
+  let mean = 0;
+  let waterCount = 0;
+  for (let i = 0; i < N; i++) {
+    if (landMask[i]) continue;
+    submerged[i] = seaLevel > 0 ? (seaLevel - heightMap[i]) / seaLevel : 0;
+    mean += submerged[i];
+    waterCount++;
+  }
+  mean = waterCount ? mean / waterCount : 0;
+  let spread = 0;
+  for (let i = 0; i < N; i++) if (!landMask[i]) spread = Math.max(spread, Math.abs(submerged[i] - mean));
+  const noiseAt = i => (spread > 0 ? (submerged[i] - mean) / spread : 0);
+
+  // 1. Shelf, slope and abyssal plain along the profile
+  for (let i = 0; i < N; i++) {
+    if (landMask[i]) continue;
+    const d = distanceToCoast[i];
+    let base;
+    if (d <= shelfWidth) {
+      depthZone[i] = DEPTH_ZONES.SHELF;
+      base = (shelfDepth * Math.max(d, 0)) / Math.max(shelfWidth, 1);
+    } else if (d < shelfWidth + slopeWidth) {
+      depthZone[i] = DEPTH_ZONES.SLOPE;
+      const t = (d - shelfWidth) / slopeWidth;
+      base = shelfDepth + (abyssalDepth - shelfDepth) * t * t * (3 - 2 * t);
+    } else {
+      depthZone[i] = DEPTH_ZONES.ABYSSAL;
+      base = abyssalDepth;
+    }
+    depth[i] = base * (1 + relief * noiseAt(i));
+  }
+
+  // 2. Trenches beyond the shelf along convergent boundaries, fading out to either side
+  if (plateBoundary) {
+    let maxStress = 0;
+    for (let i = 0; i < N; i++) {
+      if (plateBoundary[i] === BOUNDARY_TYPES.CONVERGENT) maxStress = Math.max(maxStress, boundaryStress?.[i] ?? 0);
+    }
+    const strength = new Float32Array(N);
+    for (let i = 0; i < N; i++) {
+      if (plateBoundary[i] !== BOUNDARY_TYPES.CONVERGENT || depthZone[i] === DEPTH_ZONES.LAND || depthZone[i] === DEPTH_ZONES.SHELF) continue;
+      strength[i] = maxStress > 0 && boundaryStress ? 0.5 + (0.5 * boundaryStress[i]) / maxStress : 1;
+    }
+    const fade = 1 / (trenchWidth + 1);
+    for (let step = 0; step < trenchWidth; step++) {
+      const next = strength.slice();
+      for (let i = 0; i < N; i++) {
+        if (!strength[i]) continue;
+        for (let k = 0; k < M; k++) {
+          const n = neighbors[i * M + k];
+          if (n < 0 || landMask[n] || depthZone[n] === DEPTH_ZONES.SHELF) continue;
+          next[n] = Math.max(next[n], strength[i] - fade);
+        }
+      }
+      strength.set(next);
+    }
+    for (let i = 0; i < N; i++) {
+      const trench = trenchDepth * strength[i];
+      if (trench > depth[i]) {
+        depth[i] = trench;
+        depthZone[i] = DEPTH_ZONES.TRENCH;
+      }
+    }
+  }
+
+  // 3. Seamounts on the highest underwater peaks of the abyssal plain, with their flanks
+  const peaks = [];
+  for (let i = 0; i < N; i++) {
+    if (depthZone[i] !== DEPTH_ZONES.ABYSSAL) continue;
+    let peak = true;
+    for (let k = 0; k < M && peak; k++) {
+      const n = neighbors[i * M + k];
+      if (n >= 0 && heightMap[n] >= heightMap[i]) peak = false;
+    }
+    if (peak) peaks.push(i);
+  }
+  const abyssalCount = depthZone.reduce((sum, z) => sum + (z === DEPTH_ZONES.ABYSSAL ? 1 : 0), 0);
+  peaks.sort((a, b) => heightMap[b] - heightMap[a] || a - b);
+  for (const i of peaks.slice(0, Math.round(seamountShare * abyssalCount))) {
+    depth[i] = Math.min(depth[i], seamountDepth);
+    depthZone[i] = DEPTH_ZONES.SEAMOUNT;
+    for (let k = 0; k < M; k++) {
+      const n = neighbors[i * M + k];
+      if (n < 0 || depthZone[n] !== DEPTH_ZONES.ABYSSAL) continue;
+      depth[n] = Math.min(depth[n], (depth[n] + seamountDepth) / 2);
+      depthZone[n] = DEPTH_ZONES.SEAMOUNT;
+    }
+  }
+
+  // 4. Bands between isobaths, for shading and shallow-water rules
+  const depthBand = new Uint8Array(N);
+  for (let i = 0; i < N; i++) {
+    if (landMask[i]) continue;
+    let band = 1;
+    while (band <= isobaths.length && depth[i] >= isobaths[band - 1]) band++;
+    depthBand[i] = band;
+  }
+  return { depth, depthZone, depthBand, isobaths };
+}
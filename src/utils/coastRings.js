@@ -0,0 +1,303 @@
+/**
+ * Coastline rings along the sides between land and sea cells, and the tree of
+ * which ring lies inside which.
+ *
+ * Rings run along cell sides, corner to corner, on any grid (hex, Voronoi or
+ * sphere, see cellGrid.js). Each land cell's coastal sides are walked in its
+ * corner order, so land always lies on the same side: rings around land run
+ * clockwise on screen and rings around lakes counter-clockwise. Sides on the
+ * map border count as coast, so every ring is closed and land that reaches the
+ * border is closed along it.
+ *
+ * Land and water cells form connected components. Every ring separates one
+ * land component from one water component, so the components and rings form a
+ * tree, rooted at the sea beyond the map border (or, on a sphere, the largest
+ * sea). A ring encloses the component on its far side from the root:
+ * continents and islands at depth 0, lakes in them at depth 1, islands in
+ * those lakes at depth 2, and so on. Filling every ring with the even-odd rule
+ * draws land with its lakes cut out.
+ */
+
+import { OFF_MAP } from '../grid/hexTopology.js';
+import { labelComponents } from './features.js';
+
+// Area of a flat-top hex of size 1
+const HEX_AREA = (3 * Math.sqrt(3)) / 2;
+
+/**
+ * Ring annotations, set on both the cell and the pixel array of a ring.
+ * @typedef {{
+ *   id: number,         // index in the returned arrays (largest first)
+ *   parent: number,     // id of the ring this one lies inside, -1 at the top
+ *   children: number[], // ids of the rings directly inside this one
+ *   depth: number,      // 0 for the outermost rings
+ *   land: boolean,      // encloses land (continent, island) rather than water (lake)
+ *   features: number[], // ids of the land feature and the water features it separates (see features.js)
+ *   clockwise: boolean, // on screen; land on the right
+ *   area: number,       // enclosed area in cells
+ *   perimeter: number,  // length in pixels, map border included
+ *   closed: boolean,    // always true
+ *   wraps?: boolean     // goes all the way around a wrapping map
+ * }} RingInfo
+ */
+
+/**
+ * Trace all coastline rings of a land mask.
+ *
+ * A ring that goes all the way around a wrapping map (`wraps`) encloses the
+ * strip between itself and the top of the map; on a sphere, where a ring has
+ * land on one side and sea on the other, `area` is that of the smaller side.
+ *
+ * @param {import('../grid/cellGrid.js').CellGrid} grid
+ * @param {Uint8Array} landMask - [N] 1=land, 0=sea
+ * @param {number} hexSize
+ * @returns {{
+ *   rings: Array<number[] & RingInfo>,  // land cells along each ring
+ *   ringsPixel: Array<Array<{x:number,y:number}> & RingInfo>,
+ *   landPath: string                    // all rings as one SVG path for fill-rule="evenodd" ('' on spheres)
+ * }}
+ */
+export function traceCoastRings(grid, landMask, hexSize) {
+  const { neighbors, cellEdges, edgeCells, edgeVertices, vertexPositions, vertexCount, wrapWidth, maxNeighbors: M } = grid;
+  const N = landMask.length;
+  const sphere = grid.type === 'sphere';
+
+  // One coastal side leaves each corner at most: next corner, the land cell and what lies across
+  const next = new Int32Array(vertexCount).fill(-1);
+  const cellOf = new Int32Array(vertexCount).fill(-1);
+  const acrossOf = new Int32Array(vertexCount).fill(OFF_MAP);
+  for (let i = 0; i < N; i++) {
+    if (!landMask[i]) continue;
+    for (let k = 0; k < M; k++) {
+      const n = neighbors[i * M + k];
+      if (n !== OFF_MAP && (n < 0 || landMask[n])) continue;
+      const e = cellEdges[i * M + k];
+      const forward = edgeCells[e * 2] === i;
+      const a = edgeVertices[e * 2 + (forward ? 0 : 1)];
+      next[a] = edgeVertices[e * 2 + (forward ? 1 : 0)];
+      cellOf[a] = i;
+      acrossOf[a] = n;
+    }
+  }
+
+  // Every corner with a coastal side has one in and one out, so the sides form loops
+  const visited = new Uint8Array(vertexCount);
+  const loops = [];
+  for (let start = 0; start < vertexCount; start++) {
+    if (next[start] < 0 || visited[start]) continue;
+    const corners = [];
+    for (let v = start; !visited[v]; v = next[v]) {
+      visited[v] = 1;
+      corners.push(v);
+    }
+    loops.push(corners);
+  }
+
+  const cellArea = grid.bounds
+    ? ((grid.bounds.maxX - grid.bounds.minX) * (grid.bounds.maxY - grid.bounds.minY)) / N
+    : HEX_AREA;
+  const traced = loops.map(corners => {
+    let previous = null;
+    const pts = corners.map(v => {
+      let x = vertexPositions[v * 2];
+      if (wrapWidth && previous !== null) x += Math.round((previous - x) / wrapWidth) * wrapWidth;
+      previous = x;
+      return { x: x * hexSize, y: vertexPositions[v * 2 + 1] * hexSize };
+    });
+    // Unwrapping may end a ring one map width away from where it started
+    const period = (wrapWidth ?? 0) * hexSize;
+    const last = pts[pts.length - 1];
+    const shift = !sphere && period ? Math.round((last.x - pts[0].x) / period) * period : 0;
+    const wraps = shift !== 0;
+    const first = { x: pts[0].x + shift, y: pts[0].y };
+
+    let area = 0; // in cells, positive clockwise
+    let perimeter = 0;
+    if (sphere) {
+      area = sphereRingArea(grid, corners);
+      for (let j = 0; j < corners.length; j++) perimeter += cornerDistance(grid, corners[j], corners[(j + 1) % corners.length]);
+      perimeter *= hexSize;
+    } else {
+      const { x, y } = pts[0];
+      const outline = wraps ? [...pts, first, { x: x + shift, y: 0 }, { x, y: 0 }] : pts;
+      for (let j = 0; j < outline.length; j++) {
+        const a = outline[j], b = outline[(j + 1) % outline.length];
+        area += a.x * b.y - b.x * a.y;
+      }
+      area /= 2 * cellArea * hexSize * hexSize;
+      for (let j = 0; j < pts.length; j++) {
+        const a = pts[j], b = j + 1 < pts.length ? pts[j + 1] : first;
+        perimeter += Math.hypot(b.x - a.x, b.y - a.y);
+      }
+    }
+
+    const cells = [];
+    for (const v of corners) {
+      const c = cellOf[v];
+      if (cells[cells.length - 1] !== c) cells.push(c);
+    }
+    if (cells.length > 1 && cells[0] === cells[cells.length - 1]) cells.pop();
+    const info = { clockwise: area > 0, area: Math.abs(area), perimeter, closed: true };
+    if (wraps) info.wraps = true;
+    Object.assign(pts, info);
+    Object.assign(cells, info);
+    return { cells, pts, land: cellOf[corners[0]], across: acrossOf[corners[0]], water: corners.map(v => acrossOf[v]) };
+  });
+  traced.sort((a, b) => b.pts.area - a.pts.area); // draw big → small
+
+  linkRings(grid, landMask, traced);
+  const ringsPixel = traced.map(t => t.pts);
+  const landPath = sphere ? '' : ringsLandPath(ringsPixel, (wrapWidth ?? 0) * hexSize);
+  return { rings: traced.map(t => t.cells), ringsPixel, landPath };
+}
+
+/**
+ * All rings as one SVG path, to fill with fill-rule="evenodd". A ring that goes
+ * all the way around a wrapping map is closed through the top of the map.
+ * @param {Array<Array<{x:number,y:number}> & { wraps?: boolean }>} ringsPixel
+ * @param {number} period - Pixel width of a wrapping map, 0 otherwise
+ * @returns {string}
+ */
+export function ringsLandPath(ringsPixel, period) {
+  return ringsPixel.map(pts => {
+    let outline = pts;
+    if (pts.wraps) {
+      const { x, y } = pts[0];
+      const shift = Math.round((pts[pts.length - 1].x - x) / period) * period;
+      outline = [...pts, { x: x + shift, y }, { x: x + shift, y: 0 }, { x, y: 0 }];
+    }
+    return outline.map((p, i) => `${i === 0 ? 'M' : 'L'}${p.x},${p.y}`).join(' ') + ' Z';
+  }).join(' ');
+}
+
+/**
+ * Set id, parent, children, depth, land and features on each traced ring
+ * (sorted largest first) from the tree of land and water components.
+ * @param {import('../grid/cellGrid.js').CellGrid} grid
+ * @param {Uint8Array} landMask
+ * @param {Array<{ cells: number[], pts: object[], land: number, across: number, water: number[] }>} traced
+ */
+function linkRings(grid, landMask, traced) {
+  const { components, count, isLand, sizes, touchesBorder, hasBorder } = labelComponents(grid, landMask);
+  // Water reaching the border joins the sea beyond it, which is the root on bounded maps
+  const OUTSIDE = count;
+  const node = c => (c === OFF_MAP ? OUTSIDE : !isLand[components[c]] && touchesBorder[components[c]] ? OUTSIDE : components[c]);
+  let root = OUTSIDE;
+  if (!hasBorder) {
+    root = -1;
+    for (let c = 0; c < count; c++) {
+      const better = root < 0 || (isLand[root] && !isLand[c]) || (isLand[root] === isLand[c] && sizes[c] > sizes[root]);
+      if (better) root = c;
+    }
+  }
+
+  // Components and rings as a graph, walked breadth-first from the root
+  const links = Array.from({ length: count + 1 }, () => []);
+  traced.forEach(({ land, across }, j) => {
+    const a = node(land);
+    const b = node(across);
+    links[a].push([b, j]);
+    links[b].push([a, j]);
+  });
+  const depth = new Int32Array(count + 1).fill(-1);
+  const parentNode = new Int32Array(count + 1).fill(-1);
+  if (root >= 0) {
+    depth[root] = 0;
+    const queue = [root];
+    for (let head = 0; head < queue.length; head++) {
+      const u = queue[head];
+      for (const [v] of links[u]) {
+        if (depth[v] >= 0) continue;
+        depth[v] = depth[u] + 1;
+        parentNode[v] = u;
+        queue.push(v);
+      }
+    }
+  }
+
+  // A ring encloses its side further from the root; the largest ring around a component is its outline
+  const outline = new Int32Array(count + 1).fill(-1);
+  const inner = traced.map(({ land, across }) => {
+    const a = node(land);
+    const b = node(across);
+    return depth[a] >= depth[b] ? a : b;
+  });
+  inner.forEach((c, j) => {
+    if (outline[c] < 0) outline[c] = j;
+  });
+  traced.forEach(({ cells, pts, land, water }, j) => {
+    const c = inner[j];
+    const up = parentNode[c];
+    // Components are features; water beyond the map border is not one
+    const features = [components[land]];
+    for (const n of water) {
+      if (n >= 0 && !features.includes(components[n])) features.push(components[n]);
+    }
+    const info = {
+      id: j,
+      parent: up >= 0 && up !== root ? outline[up] : -1,
+      children: [],
+      depth: Math.max(0, depth[c] - 1),
+      land: c !== OUTSIDE && isLand[c] === 1,
+      features
+    };
+    Object.assign(cells, info);
+    Object.assign(pts, info);
+  });
+  // The cell and pixel arrays of a ring share one children array
+  for (const { cells } of traced) {
+    if (cells.parent >= 0) traced[cells.parent].cells.children.push(cells.id);
+  }
+}
+
+// Straight-line distance between two sphere corners, in hex sizes
+function cornerDistance(grid, a, b) {
+  const { vertexPoints } = grid;
+  return Math.hypot(
+    vertexPoints[a * 3] - vertexPoints[b * 3],
+    vertexPoints[a * 3 + 1] - vertexPoints[b * 3 + 1],
+    vertexPoints[a * 3 + 2] - vertexPoints[b * 3 + 2]
+  );
+}
+
+/**
+ * Area in cells of the smaller side of a closed ring of sphere corners:
+ * positive when that side is on the right (clockwise seen from outside).
+ * The area to the left of a loop of great-circle arcs on the unit sphere
+ * is 2π minus the sum of its turning angles (Gauss-Bonnet).
+ * @param {import('../grid/sphereGrid.js').SphereGrid} grid
+ * @param {number[]} ring - Vertex indices
+ * @returns {number}
+ */
+function sphereRingArea(grid, ring) {
+  const { vertexPoints, cellCount } = grid;
+  const unit = v => {
+    const p = vertexPoints.subarray(v * 3, v * 3 + 3);
+    const len = Math.hypot(p[0], p[1], p[2]);
+    return [p[0] / len, p[1] / len, p[2] / len];
+  };
+  // Direction of the arc towards q where it leaves p
+  const tangent = (p, q) => {
+    const d = q[0] * p[0] + q[1] * p[1] + q[2] * p[2];
+    return [q[0] - d * p[0], q[1] - d * p[1], q[2] - d * p[2]];
+  };
+  let turning = 0;
+  for (let j = 0; j < ring.length; j++) {
+    const a = unit(ring[(j + ring.length - 1) % ring.length]);
+    const b = unit(ring[j]);
+    const c = unit(ring[(j + 1) % ring.length]);
+    const back = tangent(b, a);
+    const incoming = [-back[0], -back[1], -back[2]];
+    const outgoing = tangent(b, c);
+    const cross = [
+      incoming[1] * outgoing[2] - incoming[2] * outgoing[1],
+      incoming[2] * outgoing[0] - incoming[0] * outgoing[2],
+      incoming[0] * outgoing[1] - incoming[1] * outgoing[0]
+    ];
+    const sin = cross[0] * b[0] + cross[1] * b[1] + cross[2] * b[2];
+    const cos = incoming[0] * outgoing[0] + incoming[1] * outgoing[1] + incoming[2] * outgoing[2];
+    turning += Math.atan2(sin, cos); // left turns are positive
+  }
+  const right = (cellCount * (2 * Math.PI + turning)) / (4 * Math.PI);
+  return right <= cellCount / 2 ? right : right - cellCount;
+}
@@ -0,0 +1,164 @@
+/**
+ * Contour lines of the heightmap, traced on the dual mesh of the grid.
+ *
+ * Every grid corner where three cells meet is a triangle between their
+ * centres. Marching triangles finds where a level crosses the sides of each
+ * triangle, interpolating linearly between the centres, and joins the pieces
+ * across shared sides into lines. Works on any grid (hex, Voronoi or sphere,
+ * see cellGrid.js). Where a side joins a sea cell to a land cell, crossings
+ * are squeezed into the part of it beyond COAST_MARGIN, towards the land cell,
+ * so lines stay inland of the coastline the rings trace between them.
+ *
+ * Lines use the pixel space of the coastline rings (see coastRings.js): grid
+ * coordinates times hexSize, continued past the seam of a wrapping map, with
+ * higher ground on the right as rings keep land. A line that reaches the map
+ * border ends there (`closed: false`); every other line is closed, and one
+ * that goes all the way around a wrapping map ends one map width away from
+ * where it started (`wraps`).
+ */
+
+import { shapeRings } from './geometry.js';
+
+// Share of a sea–land side that crossings keep clear of, from the sea cell. A
+// piece between two such crossings then passes inland of the grid corner the
+// coastline turns at, which lies two thirds of the way along on a hex grid.
+const COAST_MARGIN = 0.75;
+
+/**
+ * @typedef {Array<{x:number,y:number}> & {
+ *   closed: boolean, // false for lines that end at the map border
+ *   wraps?: boolean  // goes all the way around a wrapping map
+ * }} ContourLine
+ * @typedef {{
+ *   level: number,        // normalized heightmap value
+ *   elevation: number,    // height above sea level in metres, for labels
+ *   index: boolean,       // index contour, drawn heavier and labelled
+ *   lines: ContourLine[],
+ *   path: string          // all lines as one SVG path, to stroke
+ * }} ContourLevel
+ * @typedef {{
+ *   interval?: number,            // heightmap units between levels above sea level (default 0.05)
+ *   metresPerUnit?: number,       // metres per heightmap unit, for elevations (default 10000)
+ *   indexEvery?: number,          // every Nth level is an index contour (default 5)
+ *   smoothingIterations?: number  // rounds of Chaikin corner cutting (default 0)
+ * }} ContourOptions
+ */
+
+/**
+ * Trace contour lines at every `interval` above sea level, up to the highest
+ * cell. Smoothing never lets lines cross each other (see geometry.js).
+ * @param {import('../grid/cellGrid.js').CellGrid} grid
+ * @param {Float32Array} heightMap - [N] normalized elevation
+ * @param {number} seaLevel
+ * @param {number} hexSize
+ * @param {ContourOptions} [options]
+ * @returns {ContourLevel[]} Lowest level first
+ */
+export function traceContours(grid, heightMap, seaLevel, hexSize, options = {}) {
+  const { interval = 0.05, metresPerUnit = 10000, indexEvery = 5, smoothingIterations = 0 } = options;
+  if (!(interval > 0)) throw new Error(`Contour interval must be positive, got ${interval}`);
+  if (!(metresPerUnit > 0)) throw new Error(`Contour metresPerUnit must be positive, got ${metresPerUnit}`);
+  // Metres between levels first, so round intervals give round elevations
+  const metresPerLevel = interval * metresPerUnit;
+  let highest = -Infinity;
+  for (const h of heightMap) if (h > highest) highest = h;
+
+  const levels = [];
+  for (let k = 1; seaLevel + k * interval <= highest; k++) {
+    const level = seaLevel + k * interval;
+    levels.push({ level, elevation: k * metresPerLevel, index: k % indexEvery === 0, lines: traceLevel(grid, heightMap, seaLevel, level, hexSize), path: '' });
+  }
+
+  if (smoothingIterations > 0) {
+    const lines = levels.flatMap(l => l.lines);
+    const smoothed = shapeRings(lines, { smoothingIterations, period: (grid.wrapWidth ?? 0) * hexSize });
+    let next = 0;
+    for (const l of levels) l.lines = l.lines.map(() => smoothed[next++]);
+  }
+  for (const l of levels) {
+    l.path = l.lines
+      .map(pts => pts.map((p, i) => `${i === 0 ? 'M' : 'L'}${p.x},${p.y}`).join(' ') + (pts.closed && !pts.wraps ? ' Z' : ''))
+      .join(' ');
+  }
+  return levels;
+}
+
+// Lines of one level, pieced together from one segment per crossed triangle
+function traceLevel(grid, heightMap, seaLevel, level, hexSize) {
+  const { vertexCells, vertexCount, vertexPositions, centers, wrapWidth } = grid;
+  const N = heightMap.length;
+  const unwrap = (x, near) => (wrapWidth ? x + Math.round((near - x) / wrapWidth) * wrapWidth : x);
+
+  // Where the level crosses the side between the centres of cells i and j, near x.
+  // The cell below the level may be sea (the one above is always land); squeezing
+  // keeps the order of the levels along the side, so lines still never cross.
+  const crossing = (i, j, near) => {
+    let t = (level - heightMap[i]) / (heightMap[j] - heightMap[i]);
+    if (heightMap[i] < seaLevel) t = COAST_MARGIN + (1 - COAST_MARGIN) * t;
+    else if (heightMap[j] < seaLevel) t = (1 - COAST_MARGIN) * t;
+    const xi = unwrap(centers[i * 2], near);
+    const xj = unwrap(centers[j * 2], near);
+    return { x: xi + (xj - xi) * t, y: centers[i * 2 + 1] + (centers[j * 2 + 1] - centers[i * 2 + 1]) * t };
+  };
+  const sideKey = (i, j) => Math.min(i, j) * N + Math.max(i, j);
+
+  const byStart = new Map();
+  const ends = new Set();
+  for (let v = 0; v < vertexCount; v++) {
+    const cells = [vertexCells[v * 3], vertexCells[v * 3 + 1], vertexCells[v * 3 + 2]];
+    if (cells.some(c => c < 0)) continue; // a corner on the map border
+    const above = cells.map(c => heightMap[c] >= level);
+    const count = above.filter(Boolean).length;
+    if (count === 0 || count === 3) continue;
+    // The cell alone on its side of the level, and the other two
+    const k = above.findIndex(a => a === (count === 1));
+    const odd = cells[k];
+    const u = cells[(k + 1) % 3];
+    const w = cells[(k + 2) % 3];
+    const near = vertexPositions[v * 2];
+    let from = { key: sideKey(odd, u), point: crossing(odd, u, near) };
+    let to = { key: sideKey(odd, w), point: crossing(odd, w, near) };
+    // Keep higher ground on the right (screen y points down). The piece runs
+    // alongside u → w, so the odd cell is on its right when it is on the right
+    // of u → w; the centres tell that even when the piece is vanishingly short.
+    const ux = unwrap(centers[u * 2], near), uy = centers[u * 2 + 1];
+    const wx = unwrap(centers[w * 2], near) - ux, wy = centers[w * 2 + 1] - uy;
+    const right = wx * (centers[odd * 2 + 1] - uy) - wy * (unwrap(centers[odd * 2], near) - ux) > 0;
+    if (right !== above[k]) [from, to] = [to, from];
+    byStart.set(from.key, { from, to });
+    ends.add(to.key);
+  }
+
+  // Lines from the border first, then the closed ones
+  const lines = [];
+  const used = new Set();
+  const follow = (segment, closed) => {
+    const pts = [];
+    let previous = null;
+    const add = ({ x, y }) => {
+      const px = previous === null ? x : unwrap(x, previous);
+      previous = px;
+      pts.push({ x: px * hexSize, y: y * hexSize });
+    };
+    add(segment.from.point);
+    const start = segment.from.key;
+    for (let s = segment; s && !used.has(s.from.key); s = byStart.get(s.to.key)) {
+      used.add(s.from.key);
+      if (closed && s.to.key === start) break;
+      add(s.to.point);
+    }
+    pts.closed = closed;
+    if (closed && wrapWidth) {
+      const period = wrapWidth * hexSize;
+      if (Math.round((pts[pts.length - 1].x - pts[0].x) / period) !== 0) pts.wraps = true;
+    }
+    lines.push(pts);
+  };
+  for (const segment of byStart.values()) {
+    if (!ends.has(segment.from.key)) follow(segment, false);
+  }
+  for (const segment of byStart.values()) {
+    if (!used.has(segment.from.key)) follow(segment, true);
+  }
+  return lines;
+}
@@ -0,0 +1,272 @@
+/**
+ * Distance transforms on the column-major hex grid from createHexGrid, in any
+ * HexLayout (see hexGrid.js).
+ *
+ * Distances are measured in hex steps: neighbouring cell centres are 1 apart.
+ * Two metrics are available:
+ * - 'hex': number of steps along hex adjacency (BFS)
+ * - 'euclidean': exact straight-line distance between cell centres
+ *
+ * The Euclidean transform is the separable Felzenszwalb-Huttenlocher method
+ * adapted to the hex lattice. Cell centres of a flat-topped grid lie on
+ * vertical columns, and odd columns sit half a row lower, so every centre is
+ * on a lattice of half-row steps: x = col·√3/2, y = k/2 with k = 2·row + (col & 1).
+ * Pass 1 runs down each column over all half-row positions; pass 2 takes the
+ * lower envelope across columns for each half-row line. Pointy-topped grids
+ * are the same with rows for columns, and odd parity swaps which lines are
+ * shifted. On grids that wrap east-west (wrapX) the pass across the seam
+ * sees the map three times side by side, or twice round for pass 1 on
+ * pointy grids, so distances reach across it.
+ *
+ * Grids without the hex lattice (Voronoi, sphere) pass their cell centres
+ * instead, 2D or 3D (see distanceSites in cellGrid.js): each cell then takes
+ * the nearest target of its neighbours, best first, in units of the hex
+ * grid's centre spacing; on a sphere, along the surface.
+ */
+
+import { buildNeighborIndex } from '../grid/hexGrid.js';
+import { hexStepDistance } from './riverNetwork.js';
+import { PriorityQueue } from './priorityQueue.js';
+
+const COLUMN_SPACING = Math.sqrt(3) / 2;
+// Centre spacing of a hex grid with hex size 1
+const HEX_SPACING = Math.sqrt(3);
+
+/**
+ * Distance from every cell centre to the nearest target cell.
+ *
+ * @param {Uint8Array} isTarget - [N] 1 on target cells
+ * @param {number} width - Grid width (columns)
+ * @param {number} height - Grid height (rows)
+ * @param {'euclidean'|'hex'} [metric='euclidean']
+ * @param {Int32Array} [neighbors] - [N*M] topology.neighbors, built when omitted
+ * @param {Float64Array} [centers] - [N*2] or [N*3] cell centres, for grids other than hex
+ * @param {import('../grid/hexGrid.js').HexLayout & { wrapX?: boolean }} [layout] - Hex layout and
+ *   wrapping; a hex topology can be passed as is
+ * @returns {Float32Array} [N] distance in hex steps, 0 on targets, Infinity if there are none
+ */
+export function distanceTo(isTarget, width, height, metric = 'euclidean', neighbors, centers, layout = {}) {
+  if (metric === 'hex') {
+    const steps = hexStepDistance(isTarget, neighbors ?? buildNeighborIndex(width, height, hexLayout(layout)));
+    return Float32Array.from(steps, d => (d < 0 ? Infinity : d));
+  }
+  if (metric !== 'euclidean') throw new Error(`Unknown distance metric "${metric}"`);
+  if (centers) return nearestSiteDistance(isTarget, neighbors, centers);
+  return euclideanDistance(isTarget, width, height, layout);
+}
+
+/**
+ * Signed distance to the coastline: positive on land (distance to the nearest
+ * sea cell), negative at sea (distance to the nearest land cell). Cells on
+ * either side of the coast are ±1.
+ *
+ * @param {Uint8Array} landMask - [N] 1=land, 0=sea
+ * @param {number} width
+ * @param {number} height
+ * @param {'euclidean'|'hex'} [metric='euclidean']
+ * @param {Int32Array} [neighbors] - [N*M] topology.neighbors, built when omitted
+ * @param {Float64Array} [centers] - [N*2] or [N*3] cell centres, for grids other than hex
+ * @param {import('../grid/hexGrid.js').HexLayout & { wrapX?: boolean }} [layout] - Hex layout and
+ *   wrapping; a hex topology can be passed as is
+ * @returns {Float32Array} [N] signed distance in hex steps
+ */
+export function signedDistance(landMask, width, height, metric = 'euclidean', neighbors, centers, layout = {}) {
+  const N = landMask.length;
+  const isSea = new Uint8Array(N);
+  for (let i = 0; i < N; i++) isSea[i] = landMask[i] ? 0 : 1;
+  const toSea = distanceTo(isSea, width, height, metric, neighbors, centers, layout);
+  const toLand = distanceTo(landMask, width, height, metric, neighbors, centers, layout);
+  const field = new Float32Array(N);
+  for (let i = 0; i < N; i++) field[i] = landMask[i] ? toSea[i] : -toLand[i];
+  return field;
+}
+
+/**
+ * Land cells with at least one sea neighbour.
+ *
+ * @param {Uint8Array} landMask - [N] 1=land, 0=sea
+ * @param {number} width
+ * @param {number} height
+ * @param {Int32Array} [neighbors] - [N*M] topology.neighbors, built when omitted
+ * @returns {Uint8Array} [N] 1 on coastal land cells
+ */
+export function coastMask(landMask, width, height, neighbors = buildNeighborIndex(width, height)) {
+  const N = landMask.length;
+  const M = neighbors.length / N; // neighbour slots per cell
+  const coast = new Uint8Array(N);
+  for (let i = 0; i < N; i++) {
+    if (!landMask[i]) continue;
+    for (let k = 0; k < M; k++) {
+      const n = neighbors[i * M + k];
+      if (n >= 0 && !landMask[n]) {
+        coast[i] = 1;
+        break;
+      }
+    }
+  }
+  return coast;
+}
+
+/**
+ * Distance from every cell, inland or offshore, to the nearest coastal land cell.
+ *
+ * @param {Uint8Array} landMask - [N] 1=land, 0=sea
+ * @param {number} width
+ * @param {number} height
+ * @param {'euclidean'|'hex'} [metric='euclidean']
+ * @param {Int32Array} [neighbors] - [N*M] topology.neighbors, built when omitted
+ * @param {Float64Array} [centers] - [N*2] or [N*3] cell centres, for grids other than hex
+ * @param {import('../grid/hexGrid.js').HexLayout & { wrapX?: boolean }} [layout] - Hex layout and
+ *   wrapping; a hex topology can be passed as is
+ * @returns {Float32Array} [N] distance in hex steps, 0 on the coast
+ */
+export function distanceToCoast(landMask, width, height, metric = 'euclidean', neighbors, centers, layout = {}) {
+  neighbors ??= buildNeighborIndex(width, height, hexLayout(layout));
+  return distanceTo(coastMask(landMask, width, height, neighbors), width, height, metric, neighbors, centers, layout);
+}
+
+// The buildNeighborIndex options of a layout, which may be a whole topology
+function hexLayout({ wrapX, orientation, parity }) {
+  return { wrapX, orientation, parity };
+}
+
+function euclideanDistance(isTarget, width, height, { wrapX = false, orientation = 'flat', parity = 'even' }) {
+  const N = width * height;
+  const INF = Infinity;
+  // Lines of cells, every other one half a step along: columns on flat grids, rows on pointy ones
+  const pointy = orientation === 'pointy';
+  const lines = pointy ? height : width;
+  const length = pointy ? width : height; // cells per line
+  const odd = parity === 'odd' ? 1 : 0;
+  const cellAt = (line, j) => (pointy ? j * height + line : line * height + j);
+  const K = 2 * length; // half-step positions per line
+  // The seam runs along the lines on pointy grids and across them on flat ones
+  const wrapAlong = wrapX && pointy;
+  const wrapAcross = wrapX && !pointy;
+
+  // Pass 1: squared distance along each line to its nearest target, at every
+  // half-step position (including those between this line's cells); a line
+  // that wraps around is scanned twice so targets carry over the seam
+  const lineDist = new Float64Array(lines * K);
+  const rounds = wrapAlong ? 2 : 1;
+  for (let line = 0; line < lines; line++) {
+    const shift = (line & 1) ^ odd;
+    const base = line * K;
+    const hasTarget = k => {
+      const j = (k - shift) / 2;
+      return Number.isInteger(j) && j < length && isTarget[cellAt(line, j)];
+    };
+    let last = -INF;
+    for (let t = 0; t < rounds * K; t++) {
+      const k = t % K;
+      if (hasTarget(k)) last = t;
+      if (t >= (rounds - 1) * K) lineDist[base + k] = last === -INF ? INF : ((t - last) / 2) ** 2;
+    }
+    last = INF;
+    for (let t = rounds * K - 1; t >= 0; t--) {
+      const k = t % K;
+      if (hasTarget(k)) last = t;
+      if (t < K && last !== INF) lineDist[base + k] = Math.min(lineDist[base + k], ((last - t) / 2) ** 2);
+    }
+  }
+
+  // Pass 2: lower envelope of parabolas across lines for each half-step position;
+  // a grid that wraps across its lines lines up three copies and reads the middle one
+  const copies = wrapAcross ? 3 : 1;
+  const offset = wrapAcross ? lines : 0;
+  const span = copies * lines;
+  const out = new Float32Array(N).fill(INF);
+  const f = new Float64Array(span);
+  const d = new Float64Array(span);
+  const v = new Int32Array(span);
+  const z = new Float64Array(span + 1);
+  for (let k = 0; k < K; k++) {
+    for (let c = 0; c < span; c++) f[c] = lineDist[(c % lines) * K + k];
+    if (!lowerEnvelope(f, d, v, z, span)) continue;
+    for (let line = 0; line < lines; line++) {
+      const shift = (line & 1) ^ odd;
+      if ((k & 1) !== shift) continue;
+      const j = (k - shift) / 2;
+      if (j < length) out[cellAt(line, j)] = Math.sqrt(d[offset + line]);
+    }
+  }
+  return out;
+}
+
+// Best-first spread of the nearest target over the neighbour graph. Each cell
+// keeps the target closest to its centre among those its neighbours carry.
+function nearestSiteDistance(isTarget, neighbors, centers) {
+  const N = isTarget.length;
+  const M = neighbors.length / N; // neighbour slots per cell
+  const D = centers.length / N;   // coordinates per centre
+  const site = new Int32Array(N).fill(-1);
+  const dist = new Float64Array(N).fill(Infinity);
+  const queue = new PriorityQueue();
+  for (let i = 0; i < N; i++) {
+    if (!isTarget[i]) continue;
+    site[i] = i;
+    dist[i] = 0;
+    queue.push(i, 0);
+  }
+  while (queue.size) {
+    const d = queue.peekPriority();
+    const c = queue.pop();
+    if (d > dist[c]) continue;
+    const s = site[c];
+    for (let k = 0; k < M; k++) {
+      const n = neighbors[c * M + k];
+      if (n < 0) continue;
+      let dn = 0;
+      for (let d = 0; d < D; d++) dn += (centers[n * D + d] - centers[s * D + d]) ** 2;
+      dn = D === 3 ? arcLength(Math.sqrt(dn), centers, s) : Math.sqrt(dn);
+      if (dn >= dist[n]) continue;
+      dist[n] = dn;
+      site[n] = s;
+      queue.push(n, dn);
+    }
+  }
+  return Float32Array.from(dist, d => d / HEX_SPACING);
+}
+
+// Great-circle distance for a chord between two points on a sphere centred on the origin
+function arcLength(chord, points, i) {
+  const radius = Math.hypot(points[i * 3], points[i * 3 + 1], points[i * 3 + 2]);
+  return 2 * radius * Math.asin(Math.min(1, chord / (2 * radius)));
+}
+
+// 1D squared distance transform with column spacing COLUMN_SPACING.
+// Writes d; returns false if every f is infinite.
+function lowerEnvelope(f, d, v, z, n) {
+  const a = COLUMN_SPACING * COLUMN_SPACING;
+  let count = -1;
+  for (let q = 0; q < n; q++) {
+    if (f[q] === Infinity) continue;
+    if (count < 0) {
+      count = 0;
+      v[0] = q;
+      z[0] = -Infinity;
+      z[1] = Infinity;
+      continue;
+    }
+    // z[0] is -Infinity, so popping always stops at the first parabola
+    const intersect = p => ((f[q] + a * q * q) - (f[p] + a * p * p)) / (2 * a * (q - p));
+    let s = intersect(v[count]);
+    while (s <= z[count]) {
+      count--;
+      s = intersect(v[count]);
+    }
+    count++;
+    v[count] = q;
+    z[count] = s;
+    z[count + 1] = Infinity;
+  }
+  if (count < 0) return false;
+
+  let j = 0;
+  for (let q = 0; q < n; q++) {
+    while (z[j + 1] < q) j++;
+    const p = v[j];
+    d[q] = a * (q - p) * (q - p) + f[p];
+  }
+  return true;
+}
@@ -0,0 +1,193 @@
+/**
+ * Erosion passes for flat, cell-indexed hex heightmaps.
+ *
+ * Functions modify the Float32Array in place and return a delta layer
+ * (positive = deposition, negative = erosion). Randomness only comes from the
+ * `rng` argument, so output is deterministic for a seeded generator.
+ */
+
+/**
+ * @typedef {{
+ *   iterations?: number,       // number of droplets
+ *   erosionRate?: number,      // share of free capacity picked up per step
+ *   depositionRate?: number,   // share of excess sediment dropped per step
+ *   evaporationRate?: number,  // share of water lost per step
+ *   sedimentCapacity?: number, // capacity multiplier
+ *   minSlope?: number,         // slope floor used for capacity on flats
+ *   gravity?: number,
+ *   maxLifetime?: number       // steps before a droplet stops
+ * }} HydraulicErosionOptions
+ */
+
+/**
+ * Droplet-based hydraulic erosion on the hex grid.
+ * Each droplet starts on a random cell and steps to its lowest neighbour,
+ * eroding where it can carry more sediment and depositing where it cannot.
+ * Droplets that reach a pit fill it with their load and stop; any sediment
+ * still carried at the end is spread over the last cell's neighbourhood, so
+ * the pass conserves mass.
+ *
+ * @param {Float32Array} heightMap - [N] elevation, modified in place
+ * @param {Int32Array} neighbors - [N*M] neighbour slots (topology.neighbors), negative where there is none
+ * @param {() => number} rng - Seeded random generator in [0, 1)
+ * @param {HydraulicErosionOptions} [options]
+ * @returns {Float32Array} delta - [N] elevation change per cell
+ */
+export function applyHydraulicErosion(heightMap, neighbors, rng, options = {}) {
+  const {
+    iterations = 10000,
+    erosionRate = 0.3,
+    depositionRate = 0.3,
+    evaporationRate = 0.02,
+    sedimentCapacity = 4,
+    minSlope = 0.001,
+    gravity = 4,
+    maxLifetime = 64
+  } = options;
+
+  const N = heightMap.length;
+  const delta = new Float32Array(N);
+  if (N === 0) return delta;
+  const M = neighbors.length / N; // neighbour slots per cell
+
+  const change = (i, amount) => {
+    heightMap[i] += amount;
+    delta[i] += amount;
+  };
+
+  for (let d = 0; d < iterations; d++) {
+    let cell = Math.floor(rng() * N);
+    let water = 1;
+    let speed = 1;
+    let sediment = 0;
+
+    for (let step = 0; step < maxLifetime; step++) {
+      let next = -1;
+      let lowest = heightMap[cell];
+      for (let k = 0; k < M; k++) {
+        const n = neighbors[cell * M + k];
+        if (n >= 0 && heightMap[n] < lowest) {
+          lowest = heightMap[n];
+          next = n;
+        }
+      }
+
+      if (next < 0) {
+        // Pit: fill towards the lowest rim, at most what the droplet carries
+        let rim = Infinity;
+        for (let k = 0; k < M; k++) {
+          const n = neighbors[cell * M + k];
+          if (n >= 0 && heightMap[n] < rim) rim = heightMap[n];
+        }
+        const room = Number.isFinite(rim) ? rim - heightMap[cell] : sediment;
+        const amount = Math.min(sediment, Math.max(0, room));
+        sediment -= amount;
+        change(cell, amount);
+        break;
+      }
+
+      const slope = heightMap[cell] - lowest;
+      const capacity = Math.max(slope, minSlope) * speed * water * sedimentCapacity;
+
+      if (sediment > capacity) {
+        const amount = (sediment - capacity) * depositionRate;
+        sediment -= amount;
+        change(cell, amount);
+      } else {
+        // Never dig below the downhill neighbour, or droplets carve pits
+        const amount = Math.min((capacity - sediment) * erosionRate, slope);
+        sediment += amount;
+        change(cell, -amount);
+      }
+
+      speed = Math.sqrt(speed * speed + slope * gravity);
+      water *= 1 - evaporationRate;
+      cell = next;
+      if (water < 0.01) break;
+    }
+
+    // Drop whatever is left over the final cell and its neighbours
+    if (sediment > 0) {
+      const share = [cell];
+      for (let k = 0; k < M; k++) {
+        const n = neighbors[cell * M + k];
+        if (n >= 0) share.push(n);
+      }
+      for (const i of share) change(i, sediment / share.length);
+    }
+  }
+
+  return delta;
+}
+
+/**
+ * @typedef {{
+ *   iterations?: number,
+ *   talusAngle?: number, // degrees; steeper slopes shed material
+ *   cellSize?: number,   // distance between neighbouring cell centres, in elevation units
+ *   rate?: number        // share of the excess moved per iteration (0..1)
+ * }} ThermalErosionOptions
+ */
+
+/**
+ * Thermal weathering: material slides from a cell to its lower neighbours
+ * wherever the drop exceeds the talus slope, tan(talusAngle) × cellSize.
+ * Each iteration reads the previous state only, so the result does not depend
+ * on cell order. Single-cell spikes collapse into scree slopes.
+ *
+ * @param {Float32Array} heightMap - [N] elevation, modified in place
+ * @param {Int32Array} neighbors - [N*M] neighbour slots (topology.neighbors), negative where there is none
+ * @param {ThermalErosionOptions} [options]
+ * @returns {Float32Array} delta - [N] elevation change per cell
+ */
+export function applyThermalErosion(heightMap, neighbors, options = {}) {
+  const {
+    iterations = 50,
+    talusAngle = 30,
+    cellSize = 1 / 64,
+    rate = 0.5
+  } = options;
+
+  const N = heightMap.length;
+  const delta = new Float32Array(N);
+  const step = new Float32Array(N);
+  const M = neighbors.length / N; // neighbour slots per cell
+  const talus = Math.tan((talusAngle * Math.PI) / 180) * cellSize;
+
+  for (let it = 0; it < iterations; it++) {
+    step.fill(0);
+    let moved = false;
+    for (let i = 0; i < N; i++) {
+      const h = heightMap[i];
+      let total = 0;
+      let steepest = 0;
+      for (let k = 0; k < M; k++) {
+        const n = neighbors[i * M + k];
+        if (n < 0) continue;
+        const d = h - heightMap[n];
+        if (d > talus) {
+          total += d;
+          if (d > steepest) steepest = d;
+        }
+      }
+      if (total === 0) continue;
+      // Move half the excess at most, so the pair never overshoots
+      const amount = (rate * (steepest - talus)) / 2;
+      step[i] -= amount;
+      for (let k = 0; k < M; k++) {
+        const n = neighbors[i * M + k];
+        if (n < 0) continue;
+        const d = h - heightMap[n];
+        if (d > talus) step[n] += (amount * d) / total;
+      }
+      moved = true;
+    }
+    if (!moved) break;
+    for (let i = 0; i < N; i++) {
+      heightMap[i] += step[i];
+      delta[i] += step[i];
+    }
+  }
+
+  return delta;
+}
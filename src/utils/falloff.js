@@ -0,0 +1,233 @@
+/**
+ * Landmass falloff layers for heightmap generation.
+ *
+ * A falloff is a per-cell multiplier in [0, 1]: 1 keeps the terrain, 0 lowers
+ * it to the sea floor. Shapes decide where land can form; `falloffCurve`
+ * shapes the transition. The default 'circular' shape keeps its original
+ * curves and scales the raw noise before normalization, so existing seeds
+ * are unchanged; the other shapes scale the normalized height (see
+ * generateHeightmapCore.js). Randomness (archipelago centres) only comes from
+ * the `rng` argument, so layers are deterministic for a seeded generator.
+ */
+
+import { hexToPixelOffset } from './hexToPixel.js';
+
+/** Selectable values for the `gradientFalloff` option. */
+export const FALLOFF_SHAPES = ['circular', 'rectangular', 'archipelago', 'band', 'coast', 'mask', 'none'];
+
+/**
+ * @typedef {{
+ *   width: number,
+ *   height: number,
+ *   data: Uint8Array|Uint8ClampedArray|Uint16Array|Float32Array // RGBA (4 per pixel) or one channel per pixel
+ * }} GrayscaleImage
+ */
+
+/**
+ * @typedef {{
+ *   shape?: 'circular'|'rectangular'|'archipelago'|'band'|'coast'|'mask'|'none',
+ *   curve?: 'linear'|'smooth'|'power',
+ *   hexSize?: number,
+ *   orientation?: 'flat'|'pointy', // hex layout of the grid (see HexLayout in hexGrid.js)
+ *   parity?: 'even'|'odd',
+ *   edgeWidth?: number,      // rectangular: share of the half-extent that fades out (0..1)
+ *   centers?: number,        // archipelago: number of island centres
+ *   centerRadius?: number,   // archipelago: island radius as a share of the smaller map side
+ *   bandWidth?: number,      // band: half-width of the north-south band as a share of half the map width
+ *   coastSide?: 'north'|'south'|'east'|'west', // coast: side the sea is on
+ *   mask?: Float32Array|Uint8Array|GrayscaleImage // mask: [N] per cell (floats 0..1, integers 0..type max), or an image stretched over the map
+ * }} FalloffOptions
+ */
+
+/**
+ * Per-cell falloff multiplier for the chosen shape.
+ *
+ * @param {Float64Array} cellCenters - [N*2] cell centres for hex size 1 (topology.centers)
+ * @param {number} gridWidth
+ * @param {number} gridHeight
+ * @param {FalloffOptions} options
+ * @param {() => number} rng - Seeded random generator in [0, 1)
+ * @returns {Float32Array|null} [N] multiplier in [0, 1], or null for 'none'
+ */
+export function computeFalloff(cellCenters, gridWidth, gridHeight, options, rng) {
+  const {
+    shape = 'circular',
+    curve = 'linear',
+    hexSize = Math.min(1.0 / gridWidth, 1.0 / gridHeight) * 2,
+    orientation,
+    parity,
+    edgeWidth = 0.25,
+    centers = 5,
+    centerRadius = 0.25,
+    bandWidth = 0.5,
+    coastSide = 'east',
+    mask
+  } = options;
+
+  if (shape === 'none') return null;
+  if (!FALLOFF_SHAPES.includes(shape)) {
+    throw new Error(`Unknown gradientFalloff "${shape}" (expected one of ${FALLOFF_SHAPES.join(', ')})`);
+  }
+
+  const N = cellCenters.length / 2;
+  const falloff = new Float32Array(N);
+  const points = Array.from({ length: N }, (_, i) => ({ x: cellCenters[i * 2] * hexSize, y: cellCenters[i * 2 + 1] * hexSize }));
+
+  if (shape === 'circular') {
+    // Distance from the centre hex, relative to the pixel origin's distance from it
+    const centerCol = Math.floor(gridWidth / 2);
+    const centerRow = Math.floor(gridHeight / 2);
+    const { x: centerX, y: centerY } = hexToPixelOffset({ col: centerCol, row: centerRow }, hexSize, { orientation, parity });
+    const maxDist = Math.sqrt(centerX * centerX + centerY * centerY);
+    for (let i = 0; i < N; i++) {
+      const dx = points[i].x - centerX;
+      const dy = points[i].y - centerY;
+      falloff[i] = applyCurve(Math.sqrt(dx * dx + dy * dy) / maxDist, curve, false);
+    }
+    return falloff;
+  }
+
+  if (shape === 'mask') return sampleMask(mask, points, N);
+
+  // Other shapes work in map space: u, v in [0, 1] across the cell centres
+  const { minX, minY, spanX, spanY } = pointBounds(points);
+
+  const islands = [];
+  if (shape === 'archipelago') {
+    const baseRadius = centerRadius * Math.min(spanX, spanY);
+    for (let c = 0; c < centers; c++) {
+      islands.push({
+        x: minX + (0.15 + rng() * 0.7) * spanX,
+        y: minY + (0.15 + rng() * 0.7) * spanY,
+        radius: baseRadius * (0.6 + rng() * 0.8)
+      });
+    }
+  }
+
+  for (let i = 0; i < N; i++) {
+    const u = (points[i].x - minX) / spanX;
+    const v = (points[i].y - minY) / spanY;
+    let t;
+    switch (shape) {
+      case 'rectangular': {
+        // Flat interior, fading only within edgeWidth of the border
+        const edge = Math.max(Math.abs(2 * u - 1), Math.abs(2 * v - 1));
+        t = (edge - (1 - edgeWidth)) / (edgeWidth || 1);
+        break;
+      }
+      case 'archipelago':
+        // The island whose centre is closest, relative to its radius, wins
+        t = Infinity;
+        for (const island of islands) {
+          const d = Math.hypot(points[i].x - island.x, points[i].y - island.y) / island.radius;
+          if (d < t) t = d;
+        }
+        break;
+      case 'band':
+        t = Math.abs(2 * u - 1) / (bandWidth || 1);
+        break;
+      case 'coast':
+        t = coastSide === 'west' ? 1 - u
+          : coastSide === 'north' ? 1 - v
+          : coastSide === 'south' ? v
+          : u;
+        break;
+    }
+    falloff[i] = applyCurve(Math.max(0, t), curve);
+  }
+  return falloff;
+}
+
+/**
+ * Falloff for a distance t (0 = full height, 1 = flattened).
+ * @param {number} t
+ * @param {'linear'|'smooth'|'power'} curve
+ * @param {boolean} [flatPastEdge=true] - Keep 0 beyond t = 1; the circular
+ *   shape's original smooth and power curves rise again there
+ * @returns {number} multiplier in [0, 1]
+ */
+function applyCurve(t, curve, flatPastEdge = true) {
+  const past = flatPastEdge && t >= 1;
+  let falloff;
+  switch (curve) {
+    case 'smooth':
+      // smoothstep: 1 - (3t^2 - 2t^3)
+      falloff = past ? 0 : 1 - (3 * t * t - 2 * t * t * t);
+      break;
+    case 'power':
+      falloff = past ? 0 : Math.pow(1 - t, 2);
+      break;
+    case 'linear':
+    default:
+      falloff = 1 - t;
+      break;
+  }
+  return Math.max(0, falloff);
+}
+
+// Integer masks span their type's range, like 8-bit image channels; floats are taken as 0..1
+const INTEGER_MASK_MAX = new Map([
+  [Uint8Array, 255],
+  [Uint8ClampedArray, 255],
+  [Uint16Array, 65535],
+  [Uint32Array, 4294967295]
+]);
+
+function maskScale(values) {
+  if (values instanceof Float32Array || values instanceof Float64Array) return 1;
+  const max = INTEGER_MASK_MAX.get(values.constructor);
+  if (!max) throw new Error(`falloffMask needs float or unsigned integer values, not ${values.constructor.name}`);
+  return 1 / max;
+}
+
+/**
+ * User mask as a falloff: per-cell values, or a grayscale image stretched
+ * over the map and sampled bilinearly at each cell centre.
+ * @param {Float32Array|Uint8Array|GrayscaleImage} mask
+ * @param {Array<{x:number,y:number}>} points
+ * @param {number} N
+ * @returns {Float32Array}
+ */
+function sampleMask(mask, points, N) {
+  if (!mask) throw new Error("gradientFalloff 'mask' needs a falloffMask");
+  const falloff = new Float32Array(N);
+
+  if (ArrayBuffer.isView(mask)) {
+    if (mask.length !== N) throw new Error(`falloffMask has ${mask.length} values for ${N} cells`);
+    const scale = maskScale(mask);
+    for (let i = 0; i < N; i++) falloff[i] = Math.min(1, Math.max(0, mask[i] * scale));
+    return falloff;
+  }
+
+  const { width, height, data } = mask;
+  const channels = data.length === width * height * 4 ? 4 : 1;
+  const scale = maskScale(data);
+  const pixel = (px, py) => data[(py * width + px) * channels] * scale;
+
+  const { minX, minY, spanX, spanY } = pointBounds(points);
+  for (let i = 0; i < N; i++) {
+    const fx = ((points[i].x - minX) / spanX) * (width - 1);
+    const fy = ((points[i].y - minY) / spanY) * (height - 1);
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const x1 = Math.min(width - 1, x0 + 1);
+    const y1 = Math.min(height - 1, y0 + 1);
+    const tx = fx - x0;
+    const ty = fy - y0;
+    const top = pixel(x0, y0) * (1 - tx) + pixel(x1, y0) * tx;
+    const bottom = pixel(x0, y1) * (1 - tx) + pixel(x1, y1) * tx;
+    falloff[i] = Math.min(1, Math.max(0, top * (1 - ty) + bottom * ty));
+  }
+  return falloff;
+}
+
+function pointBounds(points) {
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (const { x, y } of points) {
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+  }
+  return { minX, minY, spanX: maxX - minX || 1, spanY: maxY - minY || 1 };
+}
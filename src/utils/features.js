@@ -0,0 +1,196 @@
+/**
+ * Land and water features: the connected regions of land cells and of water
+ * cells, each with an id, a type and its size and shape.
+ *
+ * Every cell belongs to exactly one feature (featureIndex). Water that reaches
+ * the map border is ocean; on a sphere, which has no border, the largest water
+ * body is. Other water is a sea or a lake, and land a continent, an island or
+ * an islet, by its share of all cells, so the thresholds hold at any
+ * resolution. Works on any grid (hex, Voronoi or sphere, see cellGrid.js).
+ */
+
+import { OFF_MAP } from '../grid/hexTopology.js';
+
+/** Feature types, water first. */
+export const FEATURE_TYPES = ['ocean', 'sea', 'lake', 'continent', 'island', 'islet'];
+
+/**
+ * @typedef {{
+ *   id: number,                // index in featureIndex and the feature list
+ *   type: 'ocean'|'sea'|'lake'|'continent'|'island'|'islet',
+ *   land: boolean,
+ *   area: number,              // in cells
+ *   perimeter: number,         // coastline length in pixels: sides shared with the other kind, map border left out
+ *   centroid: { x: number, y: number }, // mean cell centre in pixels
+ *   bounds: { minX: number, minY: number, maxX: number, maxY: number }, // cell corners in pixels
+ *   touchesBorder: boolean,
+ *   rings: number[]            // ids of the coastline rings along it (see coastRings.js)
+ * }} Feature
+ * @typedef {{
+ *   continentShare?: number, // land covering at least this share of all cells is a continent (default 0.05)
+ *   isletShare?: number,     // smaller land is an islet (default 0.001)
+ *   seaShare?: number,       // enclosed water at least this large is a sea (default 0.01)
+ *   rings?: Array<{ id: number, features: number[] }> // traced rings, to list on their features
+ * }} FeatureOptions
+ */
+
+/**
+ * Flood-fill the land mask into features and measure them.
+ *
+ * On maps that wrap east-west, centres and corners continue past the map edge
+ * within a feature, as rings do, so a feature's bounds may reach beyond it;
+ * its centroid is moved back onto the map.
+ *
+ * @param {import('../grid/cellGrid.js').CellGrid} grid
+ * @param {Uint8Array} landMask - [N] 1=land, 0=water
+ * @param {number} [hexSize=1]
+ * @param {FeatureOptions} [options]
+ * @returns {{ featureIndex: Int32Array, features: Feature[] }}
+ */
+export function detectFeatures(grid, landMask, hexSize = 1, options = {}) {
+  const { continentShare = 0.05, isletShare = 0.001, seaShare = 0.01, rings = [] } = options;
+  const { neighbors, cellEdges, cellVertices, centers, vertexPositions, wrapWidth, maxNeighbors: M } = grid;
+  const N = landMask.length;
+  const { components, count, isLand, sizes, touchesBorder, hasBorder } = labelComponents(grid, landMask);
+  const unwrap = (x, near) => (wrapWidth ? x + Math.round((near - x) / wrapWidth) * wrapWidth : x);
+
+  // Without a border, the largest water body is the ocean
+  let ocean = -1;
+  if (!hasBorder) {
+    for (let c = 0; c < count; c++) {
+      if (!isLand[c] && (ocean < 0 || sizes[c] > sizes[ocean])) ocean = c;
+    }
+  }
+  const typeOf = c => {
+    const share = sizes[c] / N;
+    if (!isLand[c]) return touchesBorder[c] || c === ocean ? 'ocean' : share >= seaShare ? 'sea' : 'lake';
+    return share >= continentShare ? 'continent' : share >= isletShare ? 'island' : 'islet';
+  };
+  const features = Array.from({ length: count }, (_, c) => ({
+    id: c,
+    type: typeOf(c),
+    land: isLand[c] === 1,
+    area: sizes[c],
+    perimeter: 0,
+    centroid: { x: 0, y: 0 },
+    bounds: { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity },
+    touchesBorder: touchesBorder[c],
+    rings: []
+  }));
+
+  // Centres unwrapped cell by cell from the first cell of each feature
+  const x = new Float64Array(N);
+  const placed = new Uint8Array(N);
+  const stack = [];
+  for (let start = 0; start < N; start++) {
+    if (placed[start]) continue;
+    placed[start] = 1;
+    x[start] = centers[start * 2];
+    stack.push(start);
+    while (stack.length) {
+      const i = stack.pop();
+      for (let k = 0; k < M; k++) {
+        const n = neighbors[i * M + k];
+        if (n < 0 || placed[n] || components[n] !== components[i]) continue;
+        placed[n] = 1;
+        x[n] = unwrap(centers[n * 2], x[i]);
+        stack.push(n);
+      }
+    }
+  }
+
+  for (let i = 0; i < N; i++) {
+    const feature = features[components[i]];
+    feature.centroid.x += x[i];
+    feature.centroid.y += centers[i * 2 + 1];
+    const { bounds } = feature;
+    for (let k = 0; k < M; k++) {
+      const v = cellVertices[i * M + k];
+      if (v >= 0) {
+        const vx = unwrap(vertexPositions[v * 2], x[i]) * hexSize;
+        const vy = vertexPositions[v * 2 + 1] * hexSize;
+        if (vx < bounds.minX) bounds.minX = vx;
+        if (vx > bounds.maxX) bounds.maxX = vx;
+        if (vy < bounds.minY) bounds.minY = vy;
+        if (vy > bounds.maxY) bounds.maxY = vy;
+      }
+      const n = neighbors[i * M + k];
+      if (n >= 0 && landMask[n] !== landMask[i]) feature.perimeter += sideLength(grid, cellEdges[i * M + k]) * hexSize;
+    }
+  }
+  for (const feature of features) {
+    let cx = feature.centroid.x / feature.area;
+    if (wrapWidth) cx -= Math.floor(cx / wrapWidth) * wrapWidth;
+    feature.centroid = { x: cx * hexSize, y: (feature.centroid.y / feature.area) * hexSize };
+  }
+
+  for (const ring of rings) {
+    for (const c of ring.features) features[c].rings.push(ring.id);
+  }
+  return { featureIndex: components, features };
+}
+
+/**
+ * Connected components of land and of water cells, numbered in cell order of
+ * their first cell.
+ * @param {import('../grid/cellGrid.js').CellGrid} grid
+ * @param {Uint8Array} landMask - [N] 1=land, 0=water
+ * @returns {{
+ *   components: Int32Array, // [N] component of each cell
+ *   count: number,
+ *   isLand: number[],       // per component, 1 for land
+ *   sizes: number[],        // per component, in cells
+ *   touchesBorder: boolean[],
+ *   hasBorder: boolean      // false on grids without an edge (sphere)
+ * }}
+ */
+export function labelComponents(grid, landMask) {
+  const { neighbors, maxNeighbors: M } = grid;
+  const N = landMask.length;
+  const components = new Int32Array(N).fill(-1);
+  const isLand = [];
+  const sizes = [];
+  const touchesBorder = [];
+  let hasBorder = false;
+  const stack = [];
+  for (let start = 0; start < N; start++) {
+    if (components[start] >= 0) continue;
+    const c = isLand.length;
+    isLand.push(landMask[start]);
+    sizes.push(0);
+    touchesBorder.push(false);
+    components[start] = c;
+    stack.push(start);
+    while (stack.length) {
+      const i = stack.pop();
+      sizes[c]++;
+      for (let k = 0; k < M; k++) {
+        const n = neighbors[i * M + k];
+        if (n === OFF_MAP) {
+          touchesBorder[c] = hasBorder = true;
+        } else if (n >= 0 && components[n] < 0 && landMask[n] === landMask[i]) {
+          components[n] = c;
+          stack.push(n);
+        }
+      }
+    }
+  }
+  return { components, count: isLand.length, isLand, sizes, touchesBorder, hasBorder };
+}
+
+// Length of a cell side in hex sizes: straight through the sphere, or across the seam of a wrapping map
+function sideLength(grid, e) {
+  const { edgeVertices, vertexPositions, vertexPoints, wrapWidth } = grid;
+  const a = edgeVertices[e * 2];
+  const b = edgeVertices[e * 2 + 1];
+  if (grid.type === 'sphere') {
+    return Math.hypot(
+      vertexPoints[a * 3] - vertexPoints[b * 3],
+      vertexPoints[a * 3 + 1] - vertexPoints[b * 3 + 1],
+      vertexPoints[a * 3 + 2] - vertexPoints[b * 3 + 2]
+    );
+  }
+  let dx = vertexPositions[b * 2] - vertexPositions[a * 2];
+  if (wrapWidth) dx -= Math.round(dx / wrapWidth) * wrapWidth;
+  return Math.hypot(dx, vertexPositions[b * 2 + 1] - vertexPositions[a * 2 + 1]);
+}
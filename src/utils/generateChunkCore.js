@@ -0,0 +1,226 @@
+/**
+ * Chunked generation of an unbounded hex world (Node & browser).
+ *
+ * Usage:
+ *   import { createChunkGenerator } from "../utils/generateChunkCore.js";
+ *
+ *   const chunks = createChunkGenerator(seed, options, { createNoise2D, seedrandom });
+ *   const { heightMap, origin } = chunks.getChunk(chunkQ, chunkR);
+ *
+ * - A chunk is a chunkSize × chunkSize block of hex cells; chunk (q, r) holds global columns
+ *   q·chunkSize ... and rows r·chunkSize ..., in any HexLayout (see hexGrid.js). Chunk
+ *   coordinates may be negative and the world has no edge.
+ * - Noise is sampled at global cell centres, `noiseScale` cells per unit of noise (the gridWidth
+ *   of an equivalent generateHeightmap map), so neighbouring chunks join without a seam.
+ * - Heights are normalized once per generator instead of per map: the noise is sampled at
+ *   NORMALIZATION_SAMPLES seeded points across a wide region, and its range, the hypsometric
+ *   remap and the sea level for `landFraction` all come from that sample. The sampled range
+ *   fills 0..1 less a NORMALIZATION_MARGIN at each end, where heights past it ease towards the
+ *   bound. A cell's height then depends only on the seed, the options and its global position.
+ * - Steps that need the whole map (falloff shapes, tectonic plates, erosion) are rejected.
+ * - Chunks are kept in an LRU cache of `cacheSize` chunks; their grid and topology tables are
+ *   local (cell 0 is the chunk's first column and row) and shared between chunks. getChunk
+ *   returns the cached chunk itself, which must not be modified; createChunkLoader (behind
+ *   generateChunk) hands out a fresh heightMap and World on every call instead.
+ * - No side effects, no logging, no imports of noise/seedrandom
+ */
+import { createHexGrid, checkLayout } from '../grid/hexGrid.js';
+import { createHexTopology } from '../grid/hexTopology.js';
+import { createLayeredNoise } from './noise.js';
+import { hexToPixelOffset } from './hexToPixel.js';
+import { createHypsometricRemap, solveSeaLevel } from './hypsometry.js';
+import { LruCache } from './lruCache.js';
+import { World } from './world.js';
+
+// Points in the normalization sample, and the half-width of the square they cover in noise units
+const NORMALIZATION_SAMPLES = 4096;
+const NORMALIZATION_EXTENT = 32;
+// Share of the 0..1 height range left at each end for noise past the sampled range
+const NORMALIZATION_MARGIN = 0.05;
+// Chunk generators kept by createChunkLoader, one per seed and options
+const GENERATOR_CACHE_SIZE = 8;
+
+/**
+ * @typedef {{
+ *   chunkQ: number,
+ *   chunkR: number,
+ *   colOffset: number,  // global column of local column 0
+ *   rowOffset: number,  // global row of local row 0
+ *   origin: { x: number, y: number }, // add to topology centres (hex size 1) for global positions
+ *   hexGrid: Array<{col:number,row:number,q:number,r:number}>, // local, shared between chunks
+ *   topology: import('../grid/hexTopology.js').HexTopology,    // local, shared between chunks
+ *   heightMap: Float32Array,
+ *   seaLevel: number,
+ *   world: World
+ * }} Chunk
+ */
+
+/**
+ * @param {string} seed
+ * @param {object} options - generateHeightmap's noise, layout, seaLevel, landFraction and hypsometry
+ *   options, plus chunkSize (even, default 32), noiseScale (default 64) and cacheSize (default 64)
+ * @param {object} deps - { createNoise2D, seedrandom }
+ * @returns {{
+ *   chunkSize: number,
+ *   seaLevel: number,
+ *   getChunk: (chunkQ: number, chunkR: number) => Chunk,
+ *   locateCell: (col: number, row: number) => { chunkQ: number, chunkR: number, cell: number },
+ *   cache: LruCache
+ * }}
+ */
+export function createChunkGenerator(seed, options, { createNoise2D, seedrandom }) {
+  const {
+    chunkSize = 32,
+    noiseScale = 64,
+    cacheSize = 64,
+    grid = 'hex',
+    wrapX = false,
+    orientation = 'flat',
+    parity = 'even',
+    octaves = 6,
+    persistence = 0.5,
+    lacunarity = 2.0,
+    frequency = 1.0,
+    amplitude = 1.0,
+    noiseType = 'fbm',
+    noiseLayers,
+    ridgeOffset,
+    ridgeGain,
+    hybridOffset,
+    warpStrength,
+    generator = 'noise',
+    gradientFalloff = 'none',
+    seaLevel = 0.3,
+    landFraction,
+    hypsometry = 'none',
+    erosionIterations = 0,
+    thermalIterations = 0
+  } = options;
+
+  if (!(Number.isInteger(chunkSize) && chunkSize >= 2 && chunkSize % 2 === 0)) {
+    throw new Error(`chunkSize must be an even integer of at least 2, got ${chunkSize}`);
+  }
+  if (!(noiseScale > 0)) throw new Error(`noiseScale must be positive, got ${noiseScale}`);
+  if (grid !== 'hex') throw new Error(`Chunks need a hex grid, got "${grid}"`);
+  if (wrapX) throw new Error('Chunked worlds are unbounded and cannot wrapX');
+  if (generator !== 'noise') throw new Error(`generator "${generator}" needs the whole map (use generateHeightmap)`);
+  if (gradientFalloff !== 'none') {
+    throw new Error(`gradientFalloff "${gradientFalloff}" needs the whole map (use 'none' for chunks)`);
+  }
+  if (erosionIterations > 0 || thermalIterations > 0) {
+    throw new Error('Erosion needs the whole map (use generateHeightmap)');
+  }
+  if (noiseLayers?.some(layer => layer.mask != null && typeof layer.mask !== 'number')) {
+    throw new Error('Per-cell noise layer masks need the whole map (mask by an earlier layer instead)');
+  }
+  checkLayout({ orientation, parity });
+  const layout = { orientation, parity };
+
+  // Same noise streams as generateHeightmap, so a chunk looks like part of a map with this seed
+  const noise = createNoise2D(seedrandom(seed));
+  const sampleNoise = createLayeredNoise(
+    noiseLayers ?? [{ type: noiseType }],
+    { octaves, persistence, lacunarity, frequency, amplitude, ridgeOffset, ridgeGain, hybridOffset, warpStrength },
+    key => (key === 'layer0' ? noise : createNoise2D(seedrandom(`${seed}:${key}`)))
+  );
+
+  // Global normalization from a seeded sample of the noise
+  const rng = seedrandom(`${seed}:normalization`);
+  const sample = new Float64Array(NORMALIZATION_SAMPLES);
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < sample.length; i++) {
+    const x = (rng() * 2 - 1) * NORMALIZATION_EXTENT;
+    const y = (rng() * 2 - 1) * NORMALIZATION_EXTENT;
+    const value = sampleNoise(x, y, 0, -1);
+    sample[i] = value;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  // Chunks may reach past the sampled range: heights are linear inside it and ease towards
+  // 0 and 1 beyond it, so cells past the sample keep their order instead of sharing a bound
+  const span = max - min || 1;
+  const inner = 1 - 2 * NORMALIZATION_MARGIN;
+  const stretch = value => {
+    const t = (value - min) / span;
+    if (t < 0) return NORMALIZATION_MARGIN * Math.exp((inner * t) / NORMALIZATION_MARGIN);
+    if (t > 1) return 1 - NORMALIZATION_MARGIN * Math.exp((inner * (1 - t)) / NORMALIZATION_MARGIN);
+    return NORMALIZATION_MARGIN + inner * t;
+  };
+  for (let i = 0; i < sample.length; i++) sample[i] = stretch(sample[i]);
+  const remap = hypsometry === 'none' ? null : createHypsometricRemap(sample, hypsometry);
+  if (remap) {
+    for (let i = 0; i < sample.length; i++) sample[i] = remap(sample[i]);
+  }
+  const solvedSeaLevel = landFraction == null ? seaLevel : solveSeaLevel(Float32Array.from(sample), landFraction);
+
+  // Every chunk has the same local tables
+  const hexGrid = createHexGrid(chunkSize, chunkSize, layout);
+  const topology = createHexTopology(chunkSize, chunkSize, layout);
+  const { centers, cellCount } = topology;
+  const cache = new LruCache(cacheSize);
+
+  function getChunk(chunkQ, chunkR) {
+    if (!Number.isInteger(chunkQ) || !Number.isInteger(chunkR)) {
+      throw new Error(`Chunk coordinates must be integers, got ${chunkQ}, ${chunkR}`);
+    }
+    const key = `${chunkQ},${chunkR}`;
+    const cached = cache.get(key);
+    if (cached) return cached;
+
+    // Chunk sizes are even, so local and global cells are shifted alike and one offset fits all
+    const colOffset = chunkQ * chunkSize;
+    const rowOffset = chunkR * chunkSize;
+    const first = hexToPixelOffset({ col: colOffset, row: rowOffset }, 1, layout);
+    const origin = { x: first.x - centers[0], y: first.y - centers[1] };
+
+    const heightMap = new Float32Array(cellCount);
+    for (let i = 0; i < cellCount; i++) {
+      const nx = (origin.x + centers[i * 2]) / noiseScale;
+      const ny = (origin.y + centers[i * 2 + 1]) / noiseScale;
+      const height = stretch(sampleNoise(nx, ny, 0, i));
+      heightMap[i] = remap ? remap(height) : height;
+    }
+
+    const world = new World(chunkSize, chunkSize, { topology, seaLevel: solvedSeaLevel, hexGrid });
+    world.addLayer('elevation', heightMap);
+    const chunk = { chunkQ, chunkR, colOffset, rowOffset, origin, hexGrid, topology, heightMap, seaLevel: solvedSeaLevel, world };
+    cache.set(key, chunk);
+    return chunk;
+  }
+
+  function locateCell(col, row) {
+    const chunkQ = Math.floor(col / chunkSize);
+    const chunkR = Math.floor(row / chunkSize);
+    const cell = (col - chunkQ * chunkSize) * chunkSize + (row - chunkR * chunkSize);
+    return { chunkQ, chunkR, cell };
+  }
+
+  return { chunkSize, seaLevel: solvedSeaLevel, getChunk, locateCell, cache };
+}
+
+/**
+ * generateChunk for the step 1 entry points: chunk generators by seed and options, so each
+ * keeps its normalization and chunk cache. Every call returns its own heightMap and World,
+ * so steps run on one chunk never reach the cached copy; grid and topology stay shared.
+ *
+ * @param {object} deps - { createNoise2D, seedrandom }
+ * @returns {(seed: string, chunkQ: number, chunkR: number, options?: object) => Chunk}
+ */
+export function createChunkLoader(deps) {
+  const generators = new LruCache(GENERATOR_CACHE_SIZE);
+  return function generateChunk(seed, chunkQ, chunkR, options = {}) {
+    const key = JSON.stringify([seed, options]);
+    let generator = generators.get(key);
+    if (!generator) {
+      generator = createChunkGenerator(seed, options, deps);
+      generators.set(key, generator);
+    }
+    const chunk = generator.getChunk(chunkQ, chunkR);
+    const heightMap = chunk.heightMap.slice();
+    const { topology, seaLevel, hexGrid } = chunk;
+    const world = new World(generator.chunkSize, generator.chunkSize, { topology, seaLevel, hexGrid });
+    world.addLayer('elevation', heightMap);
+    return { ...chunk, origin: { ...chunk.origin }, heightMap, world };
+  };
+}
@@ -3,107 +3,202 @@
  *
  * Usage:
  *   import { generateHeightmapCore } from "../utils/generateHeightmapCore.js";
- *   // In Node: pass { createNoise2D, seedrandom } from local modules
- *   // In browser: pass { createNoise2D, seedrandom } from CDN
+ *   // In Node: pass { createNoise2D, createNoise3D, seedrandom } from local modules
+ *   // In browser: pass { createNoise2D, createNoise3D, seedrandom } from CDN
  *
- *   const { hexGrid, heightMap } = generateHeightmapCore(seed, options, { createNoise2D, seedrandom });
+ *   const { hexGrid, heightMap } = generateHeightmapCore(seed, options, { createNoise2D, createNoise3D, seedrandom });
  *
- * - Returns hexGrid: Array of {col,row,q,r}
+ * - Returns hexGrid: Array of {col,row,q,r} (null on Voronoi and sphere grids)
+ * - Returns topology: HexTopology-shaped grid shared by later steps (neighbours, centres, edges, corners);
+ *   `grid: 'voronoi'` swaps the hex grid for irregular Voronoi cells, and `grid: 'sphere'` for a
+ *   whole planet of about W×H cells, with 3D noise sampled on its surface and no falloff by default;
+ *   `wrapX: true` joins the east and west edges of a hex map, sampling 3D noise on a cylinder so
+ *   there is no seam (no falloff by default either); `orientation: 'pointy'` and `parity: 'odd'`
+ *   choose the hex layout (see HexLayout in hexGrid.js)
  * - Returns heightMap: Float32Array, normalized [0,1]
+ * - Returns erosionDelta: Float32Array (only when erosionIterations > 0)
+ * - Returns thermalDelta: Float32Array (only when thermalIterations > 0)
+ * - Returns plates, plateIds, plateBoundaries, boundaryStress (only when generator = 'tectonic')
+ * - Returns seaLevel: the `seaLevel` option, or solved from `landFraction` when given
+ * - Returns world: a World holding the topology, seaLevel and the layers above, for later steps
  * - No side effects, no logging, no imports of noise/seedrandom
  */
 import { createHexGrid } from '../grid/hexGrid.js';
-import { hexToPixelFlatOffset } from '../utils/hexToPixel.js';
+import { createCellGrid } from '../grid/cellGrid.js';
+import { applyHydraulicErosion, applyThermalErosion } from './erosion.js';
+import { simulatePlates } from './tectonics.js';
+import { createLayeredNoise } from './noise.js';
+import { computeFalloff } from './falloff.js';
+import { remapHypsometry, solveSeaLevel } from './hypsometry.js';
+import { World } from './world.js';
 
 /**
  * @param {string} seed
  * @param {object} options
- * @param {object} deps - { createNoise2D, seedrandom }
- * @returns {{ hexGrid: Array<{col:number,row:number,q:number,r:number}>, heightMap: Float32Array }}
+ * @param {object} deps - { createNoise2D, createNoise3D, seedrandom }; createNoise3D is only needed for
+ *   spheres and wrapX
+ * @returns {{
+ *   hexGrid: Array<{col:number,row:number,q:number,r:number}>|null,
+ *   topology: import('../grid/cellGrid.js').CellGrid,
+ *   heightMap: Float32Array,
+ *   seaLevel: number,            // land is heightMap >= seaLevel
+ *   erosionDelta?: Float32Array, // [N] hydraulic erosion (-) / deposition (+)
+ *   thermalDelta?: Float32Array, // [N] thermal weathering (-) / scree (+)
+ *   plates?: Array<{id:number, type:'oceanic'|'continental', motion:{x:number,y:number}, seed:number, area:number}>,
+ *   plateIds?: Uint16Array,       // [N] plate id per cell
+ *   plateBoundaries?: Uint8Array, // [N] BOUNDARY_TYPES (convergent/divergent/transform)
+ *   boundaryStress?: Float32Array, // [N] relative plate speed on boundary cells
+ *   world: World                   // elevation, plate and erosion layers by name
+ * }}
  */
-export function generateHeightmapCore(seed, options, { createNoise2D, seedrandom }) {
+export function generateHeightmapCore(seed, options, { createNoise2D, createNoise3D, seedrandom }) {
   const {
     gridWidth = 64,
     gridHeight = 64,
+    grid = 'hex',
+    wrapX = false,
+    orientation = 'flat',
+    parity = 'even',
+    gridPoints = 'jittered',
+    gridJitter = 0.9,
     octaves = 6,
     persistence = 0.5,
     lacunarity = 2.0,
     frequency = 1.0,
     amplitude = 1.0,
-    gradientFalloff = 'circular',
+    noiseType = 'fbm',
+    noiseLayers,
+    ridgeOffset,
+    ridgeGain,
+    hybridOffset,
+    warpStrength,
+    generator = 'noise',
+    // Plates decide where land is, so tectonic maps skip the island falloff by default;
+    // a planet or a wrapping map has no east and west edge to fall off towards
+    gradientFalloff = generator === 'tectonic' || grid === 'sphere' || wrapX ? 'none' : 'circular',
     falloffCurve = 'linear',
-    seaLevel = 0.3
+    falloffMask,
+    falloffEdgeWidth,
+    falloffCenters,
+    falloffCenterRadius,
+    falloffBandWidth,
+    falloffCoastSide,
+    seaLevel = 0.3,
+    landFraction,
+    hypsometry = 'none',
+    erosionIterations = 0,
+    erosionRate = 0.3,
+    depositionRate = 0.3,
+    evaporationRate = 0.02,
+    sedimentCapacity = 4,
+    thermalIterations = 0,
+    talusAngle = 30,
+    thermalRate = 0.5,
+    plateCount = 8,
+    continentalRatio = 0.4,
+    plateNoise = 0.3
   } = options;
 
-  // Initialize noise with seed
+  if (grid === 'sphere' && gradientFalloff !== 'none') {
+    throw new Error(`gradientFalloff "${gradientFalloff}" needs a flat grid (use 'none' on a sphere)`);
+  }
+
+  // Initialize noise with seed; a sphere samples 3D noise on its surface, a wrapping map on a cylinder
+  const dimensions = grid === 'sphere' || wrapX ? 3 : 2;
+  const createNoise = dimensions === 3 ? createNoise3D : createNoise2D;
   const rng = seedrandom(seed);
-  const noise2D = createNoise2D(rng);
+  const noise = createNoise(rng);
+
+  // Layer 0 keeps the main noise stream; extra layers and warp fields get their own
+  const sampleNoise = createLayeredNoise(
+    noiseLayers ?? [{ type: noiseType }],
+    { octaves, persistence, lacunarity, frequency, amplitude, ridgeOffset, ridgeGain, hybridOffset, warpStrength },
+    key => (key === 'layer0' ? noise : createNoise(seedrandom(`${seed}:${key}`))),
+    dimensions
+  );
 
-  // Create an even‑q offset grid with {col,row,q,r}
-  const hexGrid = createHexGrid(gridWidth, gridHeight);
+  // Create an even‑q offset grid with {col,row,q,r}, Voronoi cells over the same area, or a planet
+  const topology = createCellGrid(gridWidth, gridHeight, {
+    grid,
+    wrapX,
+    orientation,
+    parity,
+    points: gridPoints,
+    jitter: gridJitter,
+    rng: seedrandom(`${seed}:grid`)
+  });
+  const hexGrid = topology.type === 'hex' ? createHexGrid(gridWidth, gridHeight, { orientation, parity }) : null;
+  const { neighbors, centers, cellCount } = topology;
 
   // Calculate hex size based on grid dimensions
   const hexSize = Math.min(1.0 / gridWidth, 1.0 / gridHeight) * 2;
 
   // Initialize heightmap as Float32Array
-  const heightMap = new Float32Array(hexGrid.length);
+  const heightMap = new Float32Array(cellCount);
 
-  // Center for radial gradient
-  const centerCol = Math.floor(gridWidth / 2);
-  const centerRow = Math.floor(gridHeight / 2);
-  const centerHex = { col: centerCol, row: centerRow, q: centerCol, r: centerRow - Math.floor(centerCol / 2) };
-  const { x: centerX, y: centerY } = hexToPixelFlatOffset(centerHex, hexSize);
-  const maxDist = Math.sqrt(centerX * centerX + centerY * centerY);
+  // Tectonic mode: plates give the base relief, noise adds detail on top
+  let tectonics = null;
+  if (generator === 'tectonic') {
+    const sphere = topology.type === 'sphere';
+    tectonics = simulatePlates(sphere ? topology.points : centers, neighbors, seedrandom(`${seed}:plates`), {
+      plateCount,
+      continentalRatio,
+      dimensions: sphere ? 3 : 2,
+      wrapWidth: sphere ? undefined : topology.wrapWidth
+    });
+  }
+
+  // Where land can form; archipelago centres draw from their own stream
+  const falloff = computeFalloff(centers, gridWidth, gridHeight, {
+    shape: gradientFalloff,
+    curve: falloffCurve,
+    hexSize,
+    orientation,
+    parity,
+    edgeWidth: falloffEdgeWidth,
+    centers: falloffCenters,
+    centerRadius: falloffCenterRadius,
+    bandWidth: falloffBandWidth,
+    coastSide: falloffCoastSide,
+    mask: falloffMask
+  }, seedrandom(`${seed}:falloff`));
 
   let min = Infinity;
   let max = -Infinity;
 
-  // Generate elevation for each hex
-  for (let i = 0; i < hexGrid.length; i++) {
-    const hex = hexGrid[i];
-    const { x: px, y: py } = hexToPixelFlatOffset(hex, hexSize);
-
-    // Normalize coordinates for noise sampling
-    let nx = px / (gridWidth * hexSize) - 0.5;
-    let ny = py / (gridHeight * hexSize) - 0.5;
-    let value = 0;
-    let amp = amplitude;
-    let freq = frequency;
-
-    // Multi-octave Simplex noise
-    for (let o = 0; o < octaves; o++) {
-      value += noise2D(nx * freq, ny * freq) * amp;
-      amp *= persistence;
-      freq *= lacunarity;
+  // Generate elevation for each cell
+  for (let i = 0; i < cellCount; i++) {
+    let value;
+    if (topology.type === 'sphere') {
+      // A sphere of diameter 1 in noise space, as wide as the flat map's unit square
+      const scale = 0.5 / topology.radius;
+      const { points } = topology;
+      value = sampleNoise(points[i * 3] * scale, points[i * 3 + 1] * scale, points[i * 3 + 2] * scale, i);
+    } else if (wrapX) {
+      // A cylinder whose circumference is the map width in the flat map's noise units,
+      // with the flat map's y along its axis
+      const circumference = topology.wrapWidth / gridWidth;
+      const angle = (2 * Math.PI * centers[i * 2]) / topology.wrapWidth;
+      const radius = circumference / (2 * Math.PI);
+      const ny = centers[i * 2 + 1] / gridHeight - 0.5;
+      value = sampleNoise(radius * Math.cos(angle), radius * Math.sin(angle), ny, i);
+    } else {
+      const px = centers[i * 2] * hexSize;
+      const py = centers[i * 2 + 1] * hexSize;
+
+      // Normalize coordinates for noise sampling
+      let nx = px / (gridWidth * hexSize) - 0.5;
+      let ny = py / (gridHeight * hexSize) - 0.5;
+      value = sampleNoise(nx, ny, 0, i);
     }
 
-    // Apply radial gradient for island effect
-    if (gradientFalloff === 'circular') {
-      const dx = px - centerX;
-      const dy = py - centerY;
-      const dist = Math.sqrt(dx * dx + dy * dy) / maxDist;
-      let falloff = 1;
-
-      switch (falloffCurve) {
-        case 'smooth': {
-          // smoothstep: 1 - (3t^2 - 2t^3)
-          const t = dist;
-          falloff = 1 - (3 * t * t - 2 * t * t * t);
-          break;
-        }
-        case 'power': {
-          falloff = Math.pow(1 - dist, 2);
-          break;
-        }
-        case 'linear':
-        default: {
-          falloff = 1 - dist;
-          break;
-        }
-      }
-      value *= Math.max(0, falloff);
+    if (tectonics) {
+      value = tectonics.elevation[i] + value * plateNoise;
     }
 
+    // The circular island fades the raw value, as it always has
+    if (falloff && gradientFalloff === 'circular') value *= falloff[i];
+
     heightMap[i] = value;
     if (value < min) min = value;
     if (value > max) max = value;
@@ -114,5 +209,74 @@ export function generateHeightmapCore(seed, options, { createNoise2D, seedrandom
     heightMap[i] = (heightMap[i] - min) / (max - min);
   }
 
-  return { hexGrid, heightMap };
-} 
\ No newline at end of file
+  // Other shapes fade towards the sea floor after normalizing, then restretch to [0, 1]
+  if (falloff && gradientFalloff !== 'circular') {
+    let peak = 0;
+    for (let i = 0; i < heightMap.length; i++) {
+      heightMap[i] *= falloff[i];
+      if (heightMap[i] > peak) peak = heightMap[i];
+    }
+    if (peak > 0) {
+      for (let i = 0; i < heightMap.length; i++) heightMap[i] /= peak;
+    }
+  }
+
+  // Optional remap to a target elevation distribution (order-preserving)
+  if (hypsometry !== 'none') remapHypsometry(heightMap, hypsometry);
+
+  const result = { hexGrid, topology, heightMap };
+  if (tectonics) {
+    const { plates, plateIds, plateBoundaries, boundaryStress } = tectonics;
+    Object.assign(result, { plates, plateIds, plateBoundaries, boundaryStress });
+  }
+  if (erosionIterations > 0 || thermalIterations > 0) {
+    // Optional hydraulic erosion, on its own RNG stream so noise is unchanged
+    if (erosionIterations > 0) {
+      result.erosionDelta = applyHydraulicErosion(heightMap, neighbors, seedrandom(`${seed}:erosion`), {
+        iterations: erosionIterations,
+        erosionRate,
+        depositionRate,
+        evaporationRate,
+        sedimentCapacity
+      });
+      clamp01(heightMap, result.erosionDelta);
+    }
+
+    // Optional thermal weathering; elevation 0..1 spans the width of the map
+    if (thermalIterations > 0) {
+      result.thermalDelta = applyThermalErosion(heightMap, neighbors, {
+        iterations: thermalIterations,
+        talusAngle,
+        cellSize: 1 / Math.max(gridWidth, gridHeight),
+        rate: thermalRate
+      });
+      clamp01(heightMap, result.thermalDelta);
+    }
+  }
+
+  // Sea level travels with the heightmap so every later step uses the same one
+  result.seaLevel = landFraction == null ? seaLevel : solveSeaLevel(heightMap, landFraction);
+
+  // The same arrays, by layer name, for steps that work through the World
+  const world = new World(gridWidth, gridHeight, { topology, seaLevel: result.seaLevel, hexGrid });
+  world.addLayer('elevation', heightMap);
+  if (result.erosionDelta) world.addLayer('erosionDelta', result.erosionDelta);
+  if (result.thermalDelta) world.addLayer('thermalDelta', result.thermalDelta);
+  if (tectonics) {
+    world.addLayer('plateId', result.plateIds);
+    world.addLayer('plateBoundary', result.plateBoundaries);
+    world.addLayer('boundaryStress', result.boundaryStress);
+    world.features.plates = result.plates;
+  }
+  result.world = world;
+  return result;
+}
+
+// Clamp to 0..1 after an erosion pass; the pass's delta keeps matching the clamped change
+function clamp01(heightMap, delta) {
+  for (let i = 0; i < heightMap.length; i++) {
+    const h = Math.min(1, Math.max(0, heightMap[i]));
+    delta[i] += h - heightMap[i];
+    heightMap[i] = h;
+  }
+}
@@ -0,0 +1,292 @@
+/**
+ * Shaping of closed coastline rings: simplification, fractal perturbation and
+ * smoothing, none of which lets a ring cross itself or another ring.
+ *
+ * Rings are arrays of {x, y} points, closed from the last point back to the
+ * first (see coastRings.js). On a map that wraps east-west a ring may end one
+ * map width away from where it started; its last side then runs to the first
+ * point shifted by that width. An array marked `closed: false` is an open
+ * line instead (such as a contour that runs off the map, see contours.js): it
+ * has no side back to its first point, and its two ends never move.
+ *
+ * Each step changes every ring, looks for sides that now cross, and undoes the
+ * change around them until none do. The traced rings never cross, so this
+ * always ends, at worst with the rings it started from.
+ */
+
+/**
+ * @typedef {{
+ *   simplifyTolerance?: number,  // Ramer–Douglas–Peucker tolerance in pixels (0 = off)
+ *   perturbation?: number,       // midpoint displacement as a fraction of side length (0 = off)
+ *   perturbationLevels?: number, // rounds of midpoint displacement (default 3)
+ *   smoothingIterations?: number,// rounds of Chaikin corner cutting (0 = off)
+ *   rng?: () => number,          // seeded random generator in [0, 1), needed for perturbation
+ *   period?: number              // pixel width of a map that wraps east-west, 0 otherwise
+ * }} ShapeOptions
+ */
+
+/**
+ * Simplify, perturb and smooth rings, in that order. Simplification removes
+ * the corner-to-corner staircase, perturbation gives the simplified rings a
+ * hand-drawn wobble at every scale, and smoothing rounds off the result.
+ * Annotations set on a ring array (such as RingInfo) are copied to its shaped
+ * version.
+ * @param {Array<Array<{x:number,y:number}>>} rings
+ * @param {ShapeOptions} options
+ * @returns {Array<Array<{x:number,y:number}>>}
+ */
+export function shapeRings(rings, options = {}) {
+  const {
+    simplifyTolerance = 0,
+    perturbation = 0,
+    perturbationLevels = 3,
+    smoothingIterations = 0,
+    rng,
+    period = 0
+  } = options;
+  if (perturbation > 0 && !rng) throw new Error('Coastline perturbation needs a seeded rng');
+
+  // Fixed up front: a shaped ring's ends may no longer tell how far apart they are
+  const shifts = rings.map(pts => (period && pts.closed !== false ? Math.round((pts[pts.length - 1].x - pts[0].x) / period) * period : 0));
+  let shaped = rings;
+  if (simplifyTolerance > 0) shaped = simplifyRings(shaped, shifts, simplifyTolerance, period);
+  if (perturbation > 0) {
+    for (let level = 0; level < perturbationLevels; level++) shaped = perturbRings(shaped, shifts, perturbation, rng, period);
+  }
+  for (let k = 0; k < smoothingIterations; k++) shaped = smoothRings(shaped, shifts, period);
+
+  return rings.map((pts, r) => {
+    const out = shaped[r] === pts ? pts.slice() : shaped[r];
+    for (const key of Object.keys(pts)) {
+      if (!/^\d+$/.test(key)) out[key] = pts[key];
+    }
+    return out;
+  });
+}
+
+// --- Steps ---
+
+// Ramer–Douglas–Peucker on each ring, then the farthest dropped point of every
+// chord that crosses something is put back, until nothing crosses
+function simplifyRings(rings, shifts, tolerance, period) {
+  const open = rings.map(pts => pts.closed === false);
+  const chains = rings.map((pts, r) => (open[r] ? pts : [...pts, { x: pts[0].x + shifts[r], y: pts[0].y }]));
+  const keep = chains.map((chain, r) => {
+    const last = chain.length - 1;
+    const kept = new Uint8Array(chain.length);
+    kept[0] = kept[last] = 1;
+    if (!open[r] && !shifts[r] && last > 2) {
+      // A closed ring starts and ends on the same point: anchor it at two more so it keeps an area
+      const k = farthest(chain, 0, last);
+      const before = farthest(chain, 0, k);
+      const after = farthest(chain, k, last);
+      kept[k] = 1;
+      if (before < 0 || (after >= 0 && chordDistance(chain, k, last, after) > chordDistance(chain, 0, k, before))) {
+        kept[after] = 1;
+      } else {
+        kept[before] = 1;
+      }
+    }
+    const stack = [];
+    for (let i = 0, j = 1; j <= last; j++) {
+      if (!kept[j]) continue;
+      stack.push([i, j]);
+      i = j;
+    }
+    while (stack.length) {
+      const [i, j] = stack.pop();
+      const k = farthest(chain, i, j);
+      if (k < 0 || chordDistance(chain, i, j, k) <= tolerance) continue;
+      kept[k] = 1;
+      stack.push([i, k], [k, j]);
+    }
+    return kept;
+  });
+
+  for (;;) {
+    const indices = keep.map(kept => {
+      const list = [];
+      for (let i = 0; i < kept.length; i++) if (kept[i]) list.push(i);
+      return list;
+    });
+    const simplified = indices.map((list, r) => (open[r] ? list : list.slice(0, -1)).map(i => chains[r][i]));
+    simplified.forEach((pts, r) => {
+      if (open[r]) pts.closed = false;
+    });
+    let refined = false;
+    for (const [r, s] of crossingSides(simplified, shifts, period)) {
+      const k = farthest(chains[r], indices[r][s], indices[r][s + 1]);
+      if (k >= 0 && !keep[r][k]) {
+        keep[r][k] = 1;
+        refined = true;
+      }
+    }
+    if (!refined) return simplified;
+  }
+}
+
+// One round of midpoint displacement: every side gets a midpoint moved across
+// it by up to `roughness` times its length; moves that make sides cross are dropped
+function perturbRings(rings, shifts, roughness, rng, period) {
+  // Every offset is drawn first, so the result depends only on the rng and the rings
+  const offsets = rings.map(pts => Float64Array.from(pts, () => (rng() * 2 - 1) * roughness));
+  for (;;) {
+    const next = rings.map((pts, r) => {
+      const out = [];
+      for (let i = 0; i < pts.length; i++) {
+        const a = pts[i];
+        out.push(a);
+        if (i + 1 === pts.length && pts.closed === false) break;
+        const b = i + 1 < pts.length ? pts[i + 1] : { x: pts[0].x + shifts[r], y: pts[0].y };
+        const t = offsets[r][i];
+        out.push({ x: (a.x + b.x) / 2 - (b.y - a.y) * t, y: (a.y + b.y) / 2 + (b.x - a.x) * t });
+      }
+      if (pts.closed === false) out.closed = false;
+      return out;
+    });
+    let moved = false;
+    for (const [r, s] of crossingSides(next, shifts, period)) {
+      // Sides 2i and 2i + 1 both end at midpoint i
+      if (offsets[r][s >> 1]) moved = true;
+      offsets[r][s >> 1] = 0;
+    }
+    if (!moved) return next;
+  }
+}
+
+// One round of Chaikin corner cutting. A corner whose cut makes sides cross
+// keeps its point, so its sides stay where they were.
+function smoothRings(rings, shifts, period) {
+  const uncut = rings.map(pts => new Uint8Array(pts.length));
+  for (;;) {
+    const corner = []; // per ring and side, the corner it cuts off, or -1 for a piece of an old side
+    const next = rings.map((pts, r) => {
+      const n = pts.length;
+      const out = [];
+      const cuts = [];
+      const open = pts.closed === false;
+      if (open) out.closed = false;
+      for (let i = 0; i < n; i++) {
+        const p = pts[i];
+        // The ends of an open line stay where they are
+        if (open && (i === 0 || i === n - 1)) {
+          out.push(p);
+          if (i === 0) cuts.push(-1);
+          continue;
+        }
+        const prev = i > 0 ? pts[i - 1] : { x: pts[n - 1].x - shifts[r], y: pts[n - 1].y };
+        const next = i + 1 < n ? pts[i + 1] : { x: pts[0].x + shifts[r], y: pts[0].y };
+        out.push({ x: 0.75 * p.x + 0.25 * prev.x, y: 0.75 * p.y + 0.25 * prev.y });
+        if (uncut[r][i]) {
+          out.push(p);
+          cuts.push(-1);
+        }
+        cuts.push(uncut[r][i] ? -1 : i, -1);
+        out.push({ x: 0.75 * p.x + 0.25 * next.x, y: 0.75 * p.y + 0.25 * next.y });
+      }
+      corner.push(cuts);
+      return out;
+    });
+    let restored = false;
+    for (const [r, s] of crossingSides(next, shifts, period)) {
+      const i = corner[r][s];
+      if (i >= 0) {
+        uncut[r][i] = 1;
+        restored = true;
+      }
+    }
+    if (!restored) return next;
+  }
+}
+
+// --- Helpers ---
+
+// The point strictly between i and j farthest from the chord i–j, or -1 if there is none
+function farthest(chain, i, j) {
+  let best = -1;
+  let bestDistance = -1;
+  for (let k = i + 1; k < j; k++) {
+    const d = chordDistance(chain, i, j, k);
+    if (d > bestDistance) {
+      bestDistance = d;
+      best = k;
+    }
+  }
+  return best;
+}
+
+// Distance from point k to the segment i–j
+function chordDistance(chain, i, j, k) {
+  const a = chain[i], b = chain[j], p = chain[k];
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.min(1, Math.max(0, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+  return Math.hypot(p.x - a.x - t * dx, p.y - a.y - t * dy);
+}
+
+/**
+ * Sides that properly cross another side of any ring, found through a grid of
+ * buckets about two sides wide. On a wrapping map each side is also tried one
+ * map width to either side.
+ * @returns {Array<[number, number]>} [ring, side] pairs; side s runs from point s to s + 1
+ */
+function crossingSides(rings, shifts, period) {
+  const sides = [];
+  let total = 0;
+  rings.forEach((pts, r) => {
+    const count = pts.closed === false ? pts.length - 1 : pts.length;
+    for (let s = 0; s < count; s++) {
+      const a = pts[s];
+      const b = s + 1 < pts.length ? pts[s + 1] : { x: pts[0].x + shifts[r], y: pts[0].y };
+      sides.push({ r, s, ax: a.x, ay: a.y, bx: b.x, by: b.y });
+      total += Math.hypot(b.x - a.x, b.y - a.y);
+    }
+  });
+  if (!sides.length) return [];
+
+  const size = (2 * total) / sides.length || 1;
+  const buckets = new Map();
+  const copies = period ? [0, -period, period] : [0];
+  sides.forEach((side, id) => {
+    for (const dx of copies) {
+      const x0 = Math.floor((Math.min(side.ax, side.bx) + dx) / size);
+      const x1 = Math.floor((Math.max(side.ax, side.bx) + dx) / size);
+      const y0 = Math.floor(Math.min(side.ay, side.by) / size);
+      const y1 = Math.floor(Math.max(side.ay, side.by) / size);
+      for (let gx = x0; gx <= x1; gx++) {
+        for (let gy = y0; gy <= y1; gy++) {
+          const key = `${gx},${gy}`;
+          if (!buckets.has(key)) buckets.set(key, []);
+          buckets.get(key).push({ id, dx });
+        }
+      }
+    }
+  });
+
+  const found = new Set();
+  for (const entries of buckets.values()) {
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const p = entries[i], q = entries[j];
+        // Copies only matter against sides where they are
+        if (p.id === q.id || (p.dx !== 0 && q.dx !== 0)) continue;
+        if (found.has(p.id) && found.has(q.id)) continue;
+        if (sidesCross(sides[p.id], p.dx, sides[q.id], q.dx)) {
+          found.add(p.id);
+          found.add(q.id);
+        }
+      }
+    }
+  }
+  return [...found].map(id => [sides[id].r, sides[id].s]);
+}
+
+// Proper crossing of two sides; sides that only touch (such as neighbours on a ring) do not cross
+function sidesCross(p, pdx, q, qdx) {
+  const orient = (ax, ay, bx, by, cx, cy) => Math.sign((bx - ax) * (cy - ay) - (by - ay) * (cx - ax));
+  const ax = p.ax + pdx, bx = p.bx + pdx, cx = q.ax + qdx, dx = q.bx + qdx;
+  return (
+    orient(ax, p.ay, bx, p.by, cx, q.ay) * orient(ax, p.ay, bx, p.by, dx, q.by) < 0 &&
+    orient(cx, q.ay, dx, q.by, ax, p.ay) * orient(cx, q.ay, dx, q.by, bx, p.by) < 0
+  );
+}
@@ -0,0 +1,449 @@
+// Heightmap template language, after Azgaar's Fantasy Map Generator
+// A template is a list of lines "Command arg1 arg2 arg3 arg4" run in order
+// against a 0..100 height buffer (sea level 20) on the hex grid
+
+import { hexToPixelFlatOffset } from './hexToPixel.js';
+
+/**
+ * Built-in templates. Arguments follow Azgaar's order:
+ *   Hill|Pit|Range|Trough  count  height  x%  y%
+ *   Strait                 width  vertical|horizontal
+ *   Add|Multiply           value  all|land|min-max
+ *   Smooth                 factor
+ *   Mask                   power (negative = inverted mask)
+ *   Invert                 probability  x|y|both
+ * Any numeric argument may be a range "a-b"; a fractional count such as 1.5
+ * means one, plus a second with 50% probability.
+ */
+export const TEMPLATES = {
+  archipelago: `
+    Add 11 all 0 0
+    Range 2-3 40-60 20-80 20-80
+    Hill 5 15-20 10-90 30-70
+    Hill 2 10-15 10-30 20-80
+    Hill 2 10-15 60-90 20-80
+    Smooth 3 0 0 0
+    Trough 10 20-30 5-95 5-95
+    Strait 2 vertical 0 0
+    Strait 2 horizontal 0 0`,
+  continents: `
+    Hill 1 80-85 60-80 40-60
+    Hill 1 80-85 20-30 40-60
+    Hill 6-7 15-30 25-75 15-85
+    Multiply 0.6 land 0 0
+    Hill 8-10 5-10 15-85 20-80
+    Range 1-2 30-60 5-15 25-75
+    Range 1-2 30-60 80-95 25-75
+    Range 0-3 30-60 80-90 20-80
+    Strait 2 vertical 0 0
+    Strait 1 vertical 0 0
+    Smooth 3 0 0 0
+    Trough 3-4 15-20 15-85 20-80
+    Trough 3-4 5-10 45-55 45-55
+    Pit 3-4 10-20 15-85 20-80
+    Mask 4 0 0 0`,
+  pangea: `
+    Hill 1-2 25-40 15-50 0-10
+    Hill 1-2 5-40 50-85 0-10
+    Hill 1-2 25-40 50-85 90-100
+    Hill 1-2 5-40 15-50 90-100
+    Hill 8-12 20-40 20-80 48-52
+    Smooth 2 0 0 0
+    Multiply 0.7 land 0 0
+    Trough 3-4 25-35 5-95 10-20
+    Trough 3-4 25-35 5-95 80-90
+    Range 5-6 30-40 10-90 35-65`,
+  peninsula: `
+    Range 2-3 20-35 40-50 0-15
+    Add 5 all 0 0
+    Hill 1 90-100 10-90 0-5
+    Add 13 all 0 0
+    Hill 3-4 3-5 5-95 80-100
+    Hill 1-2 3-5 5-95 40-60
+    Trough 25-30 3-4 5-95 10-90
+    Smooth 3 0 0 0
+    Invert 0.4 both 0 0`,
+  atoll: `
+    Hill 1 75-80 50-60 45-55
+    Hill 1.5 30-50 25-75 30-70
+    Hill .5 30-50 25-35 30-70
+    Smooth 1 0 0 0
+    Multiply 0.2 25-100 0 0
+    Hill 0.5 10-20 50-55 48-52`
+};
+
+const COMMANDS = ['Hill', 'Pit', 'Range', 'Trough', 'Strait', 'Add', 'Multiply', 'Smooth', 'Mask', 'Invert'];
+const SEA_LEVEL = 20;
+
+// Spread exponents tuned by Azgaar per cell count; smaller grids need faster decay
+const BLOB_POWER = [[1000, 0.93], [2000, 0.95], [5000, 0.97], [10000, 0.98], [20000, 0.99], [50000, 0.994], [100000, 0.9973]];
+const LINE_POWER = [[1000, 0.75], [2000, 0.77], [5000, 0.79], [10000, 0.81], [20000, 0.82], [50000, 0.86], [100000, 0.93]];
+
+/**
+ * Parse template text into steps. Blank lines and lines starting with # are skipped.
+ * @param {string} text
+ * @returns {Array<{command:string, args:string[], line:number}>}
+ */
+export function parseTemplate(text) {
+  const steps = [];
+  text.split('\n').forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const [command, ...args] = line.split(/\s+/);
+    if (!COMMANDS.includes(command)) {
+      throw new Error(`Unknown heightmap template command "${command}" on line ${index + 1}`);
+    }
+    steps.push({ command, args, line: index + 1 });
+  });
+  return steps;
+}
+
+/**
+ * Run a template on a W×H hex grid.
+ *
+ * @param {string} template - Built-in template name or template text
+ * @param {Array<{col:number,row:number}>} hexGrid
+ * @param {Int32Array} neighbors - [N*6] neighbour indices from buildNeighborIndex
+ * @param {() => number} rng - Seeded random generator in [0, 1)
+ * @param {number} width - Grid width (columns)
+ * @param {number} height - Grid height (rows)
+ * @returns {Float32Array} [N] elevation 0..1 (Azgaar's sea level 20 maps to 0.2)
+ */
+export function runTemplate(template, hexGrid, neighbors, rng, width, height) {
+  const steps = parseTemplate(TEMPLATES[template] ?? template);
+  const N = hexGrid.length;
+  const ctx = {
+    // Integer heights as in Azgaar: truncation is what makes blob tails die out
+    heights: new Uint8Array(N),
+    neighbors,
+    rng,
+    width,
+    height,
+    points: hexGrid.map(hex => hexToPixelFlatOffset(hex, 1)),
+    blobPower: lookupPower(BLOB_POWER, N),
+    linePower: lookupPower(LINE_POWER, N)
+  };
+
+  for (const { command, args } of steps) {
+    const [a1, a2, a3, a4] = args;
+    switch (command) {
+      case 'Hill':
+      case 'Pit': {
+        const count = countValue(a1, rng);
+        for (let i = 0; i < count; i++) {
+          if (command === 'Hill') addHill(ctx, a2, a3, a4);
+          else addPit(ctx, a2, a3, a4);
+        }
+        break;
+      }
+      case 'Range':
+      case 'Trough': {
+        const count = countValue(a1, rng);
+        for (let i = 0; i < count; i++) addRange(ctx, a2, a3, a4, command === 'Trough' ? -1 : 1);
+        break;
+      }
+      case 'Strait':
+        addStrait(ctx, a1, a2);
+        break;
+      case 'Add':
+        modify(ctx, a2, rangeValue(a1, rng), 1);
+        break;
+      case 'Multiply':
+        modify(ctx, a2, 0, rangeValue(a1, rng));
+        break;
+      case 'Smooth':
+        smooth(ctx, rangeValue(a1, rng));
+        break;
+      case 'Mask':
+        mask(ctx, rangeValue(a1, rng));
+        break;
+      case 'Invert':
+        invert(ctx, rangeValue(a1, rng), a2);
+        break;
+    }
+  }
+
+  const out = new Float32Array(N);
+  for (let i = 0; i < N; i++) out[i] = ctx.heights[i] / 100;
+  return out;
+}
+
+// --- Helpers ---
+
+function lookupPower(table, cells) {
+  let power = table[0][1];
+  for (const [count, value] of table) if (cells >= count) power = value;
+  return power;
+}
+
+const lim = v => Math.max(0, Math.min(100, v));
+
+/**
+ * Value of a number or "a-b" range argument.
+ * @param {string} arg
+ * @param {() => number} rng
+ * @returns {number}
+ */
+function rangeValue(arg, rng) {
+  const match = /^(-?\d*\.?\d+)-(-?\d*\.?\d+)$/.exec(arg);
+  if (match) {
+    const min = parseFloat(match[1]);
+    const max = parseFloat(match[2]);
+    return min + rng() * (max - min);
+  }
+  const value = parseFloat(arg);
+  if (Number.isNaN(value)) throw new Error(`Invalid heightmap template value "${arg}"`);
+  return value;
+}
+
+// Integer count; the fractional part is the chance of one more
+function countValue(arg, rng) {
+  const value = rangeValue(arg, rng);
+  const whole = Math.floor(value);
+  return whole + (rng() < value - whole ? 1 : 0);
+}
+
+// Random cell inside the x%/y% ranges of the map
+function randomCellIn(ctx, rangeX, rangeY) {
+  const fx = rangeValue(rangeX, ctx.rng) / 100;
+  const fy = rangeValue(rangeY, ctx.rng) / 100;
+  return cellAt(ctx, fx, fy);
+}
+
+function cellAt({ width, height }, fx, fy) {
+  const col = Math.max(0, Math.min(width - 1, Math.round(fx * (width - 1))));
+  const row = Math.max(0, Math.min(height - 1, Math.round(fy * (height - 1))));
+  return col * height + row;
+}
+
+function forNeighbors({ neighbors }, cell, fn) {
+  for (let k = 0; k < 6; k++) {
+    const n = neighbors[cell * 6 + k];
+    if (n >= 0) fn(n);
+  }
+}
+
+function addHill(ctx, heightArg, rangeX, rangeY) {
+  const { heights, rng, blobPower } = ctx;
+  const change = new Uint8Array(heights.length);
+  const h = lim(rangeValue(heightArg, rng));
+  let start = randomCellIn(ctx, rangeX, rangeY);
+  for (let tries = 0; heights[start] + h > 90 && tries < 50; tries++) {
+    start = randomCellIn(ctx, rangeX, rangeY);
+  }
+
+  change[start] = h;
+  const queue = [start];
+  for (let j = 0; j < queue.length; j++) {
+    const q = queue[j];
+    forNeighbors(ctx, q, c => {
+      if (change[c]) return;
+      change[c] = Math.pow(change[q], blobPower) * (rng() * 0.2 + 0.9);
+      if (change[c] > 1) queue.push(c);
+    });
+  }
+  for (let i = 0; i < heights.length; i++) heights[i] = lim(heights[i] + change[i]);
+}
+
+function addPit(ctx, heightArg, rangeX, rangeY) {
+  const { heights, rng, blobPower } = ctx;
+  const used = new Uint8Array(heights.length);
+  let h = lim(rangeValue(heightArg, rng));
+  let start = randomCellIn(ctx, rangeX, rangeY);
+  for (let tries = 0; heights[start] < SEA_LEVEL && tries < 50; tries++) {
+    start = randomCellIn(ctx, rangeX, rangeY);
+  }
+
+  used[start] = 1;
+  const queue = [start];
+  for (let j = 0; j < queue.length; j++) {
+    h = Math.pow(h, blobPower) * (rng() * 0.2 + 0.9);
+    if (h < 1) break;
+    forNeighbors(ctx, queue[j], c => {
+      if (used[c]) return;
+      heights[c] = lim(heights[c] - h * (rng() * 0.2 + 0.9));
+      used[c] = 1;
+      queue.push(c);
+    });
+  }
+}
+
+// Greedy, slightly wandering path of cells from start to end
+function pathBetween(ctx, start, end, used) {
+  const { points, rng } = ctx;
+  const path = [start];
+  const target = points[end];
+  let current = start;
+  used[start] = 1;
+  while (current !== end) {
+    let best = -1;
+    let bestDist = Infinity;
+    forNeighbors(ctx, current, n => {
+      if (used[n]) return;
+      let d = (points[n].x - target.x) ** 2 + (points[n].y - target.y) ** 2;
+      if (rng() > 0.85) d /= 2;
+      if (d < bestDist) {
+        bestDist = d;
+        best = n;
+      }
+    });
+    if (best < 0) break;
+    current = best;
+    used[current] = 1;
+    path.push(current);
+  }
+  return path;
+}
+
+function addRange(ctx, heightArg, rangeX, rangeY, sign) {
+  const { heights, rng, linePower, points, width } = ctx;
+  const used = new Uint8Array(heights.length);
+  let h = lim(rangeValue(heightArg, rng));
+
+  // Troughs start on land; ranges anywhere
+  let start = randomCellIn(ctx, rangeX, rangeY);
+  for (let tries = 0; sign < 0 && heights[start] < SEA_LEVEL && tries < 50; tries++) {
+    start = randomCellIn(ctx, rangeX, rangeY);
+  }
+  // End point 1/8 to 1/3 of the map width away
+  const mapWidth = 1.5 * (width - 1) || 1;
+  let end = start;
+  for (let tries = 0; tries < 50; tries++) {
+    end = cellAt(ctx, 0.1 + rng() * 0.8, 0.15 + rng() * 0.7);
+    const d = Math.hypot(points[end].x - points[start].x, points[end].y - points[start].y);
+    if (d >= mapWidth / 8 && d <= mapWidth / 3) break;
+  }
+
+  const range = pathBetween(ctx, start, end, used);
+
+  // Raise (or lower) the path, then each ring around it a little less
+  let frontier = range.slice();
+  while (frontier.length) {
+    frontier.forEach(i => {
+      heights[i] = lim(heights[i] + sign * h * (rng() * 0.3 + 0.85));
+    });
+    h = Math.pow(h, linePower) - 1;
+    if (h < 2) break;
+    const next = [];
+    frontier.forEach(f => forNeighbors(ctx, f, n => {
+      if (used[n]) return;
+      used[n] = 1;
+      next.push(n);
+    }));
+    frontier = next;
+  }
+
+  // Spurs: run downhill from every 6th cell of the ridge line
+  range.forEach((cell, d) => {
+    if (d % 6 !== 0) return;
+    let current = cell;
+    for (let step = 0; step < d; step++) {
+      let min = -1;
+      forNeighbors(ctx, current, n => {
+        if (min < 0 || heights[n] < heights[min]) min = n;
+      });
+      if (min < 0) break;
+      heights[min] = (heights[current] * 2 + heights[min]) / 3;
+      current = min;
+    }
+  });
+}
+
+function addStrait(ctx, widthArg, direction = 'vertical') {
+  const { heights, rng, width, height } = ctx;
+  const vertical = direction !== 'horizontal';
+  let strait = Math.min(rangeValue(widthArg, rng), width / 3);
+  if (strait < 1 && rng() < strait) return;
+  const used = new Uint8Array(heights.length);
+
+  const start = vertical
+    ? cellAt(ctx, 0.3 + rng() * 0.4, 0)
+    : cellAt(ctx, 0, 0.3 + rng() * 0.4);
+  const startFx = Math.floor(start / height) / Math.max(1, width - 1);
+  const startFy = (start % height) / Math.max(1, height - 1);
+  const end = vertical
+    ? cellAt(ctx, 1 - startFx - 0.1 + rng() * 0.2, 1)
+    : cellAt(ctx, 1, 1 - startFy - 0.1 + rng() * 0.2);
+
+  let range = pathBetween(ctx, start, end, new Uint8Array(heights.length));
+  const step = 0.1 / strait;
+  while (strait > 0) {
+    const exp = 0.9 - step * strait;
+    const query = [];
+    range.forEach(r => forNeighbors(ctx, r, e => {
+      if (used[e]) return;
+      used[e] = 1;
+      query.push(e);
+      heights[e] = Math.pow(heights[e], exp);
+      if (heights[e] > 100) heights[e] = 5;
+    }));
+    range = query;
+    strait--;
+  }
+}
+
+// Add and multiply within a height range: "all", "land" (>= sea level) or "min-max"
+function modify(ctx, rangeArg, add, mult) {
+  const { heights } = ctx;
+  let min = 0;
+  let max = 100;
+  const isLand = rangeArg === 'land';
+  if (isLand) min = SEA_LEVEL;
+  else if (rangeArg && rangeArg !== 'all') {
+    const [a, b] = rangeArg.split('-').map(Number);
+    min = a;
+    max = b;
+  }
+  for (let i = 0; i < heights.length; i++) {
+    let h = heights[i];
+    if (h < min || h > max) continue;
+    if (add) h = isLand ? Math.max(h + add, SEA_LEVEL) : h + add;
+    if (mult !== 1) h = isLand ? (h - SEA_LEVEL) * mult + SEA_LEVEL : h * mult;
+    heights[i] = lim(h);
+  }
+}
+
+function smooth(ctx, factor) {
+  const { heights } = ctx;
+  const prev = heights.slice();
+  for (let i = 0; i < heights.length; i++) {
+    let sum = prev[i];
+    let count = 1;
+    forNeighbors(ctx, i, n => {
+      sum += prev[n];
+      count++;
+    });
+    const mean = sum / count;
+    heights[i] = factor === 1 ? mean : lim((prev[i] * (factor - 1) + mean) / factor);
+  }
+}
+
+// Fade heights towards the map edges; a negative power fades the centre instead
+function mask(ctx, power) {
+  const { heights, width, height } = ctx;
+  const fr = power || 1;
+  for (let i = 0; i < heights.length; i++) {
+    const nx = (2 * Math.floor(i / height)) / Math.max(1, width - 1) - 1;
+    const ny = (2 * (i % height)) / Math.max(1, height - 1) - 1;
+    let distance = (1 - nx * nx) * (1 - ny * ny);
+    if (fr < 0) distance = 1 - distance;
+    const masked = heights[i] * distance;
+    heights[i] = lim((heights[i] * (Math.abs(fr) - 1) + masked) / Math.abs(fr));
+  }
+}
+
+// Mirror the map along x, y or both, with the given probability
+function invert(ctx, probability, axes = 'both') {
+  const { heights, rng, width, height } = ctx;
+  if (rng() >= probability) return;
+  const flipX = axes !== 'y';
+  const flipY = axes !== 'x';
+  const prev = heights.slice();
+  for (let col = 0; col < width; col++) {
+    for (let row = 0; row < height; row++) {
+      const srcCol = flipX ? width - 1 - col : col;
+      const srcRow = flipY ? height - 1 - row : row;
+      heights[col * height + row] = prev[srcCol * height + srcRow];
+    }
+  }
+}
@@ -2,9 +2,53 @@
  * Hex to Pixel Conversion Utilities
  * 
  * Functions to convert hex grid coordinates to pixel coordinates
- * for both flat-topped and pointy-topped hexagon orientations.
+ * for both flat-topped and pointy-topped hexagon orientations. The
+ * `*Offset` functions without an orientation in their name take a HexLayout
+ * (see hexGrid.js); the others are its default even-parity cases.
  */
 
+import { axialToOffset } from '../grid/hexGrid.js';
+
+const SQRT3 = Math.sqrt(3);
+
+/**
+ * Convert an offset hex to pixel in any layout.
+ * @param {{col:number,row:number}} cell - Hex cell in offset coordinates
+ * @param {number} size - Distance from center to corner
+ * @param {import('../grid/hexGrid.js').HexLayout} [layout]
+ * @returns {{x:number,y:number}} Pixel coordinates
+ */
+export function hexToPixelOffset({ col, row }, size, { orientation = 'flat', parity = 'even' } = {}) {
+  const odd = parity === 'odd' ? 1 : 0;
+  if (orientation === 'pointy') {
+    return { x: Math.sqrt(3) * size * (col + 0.5 * ((row & 1) ^ odd)), y: 1.5 * size * row };
+  }
+  return { x: 1.5 * size * col, y: Math.sqrt(3) * size * (row + 0.5 * ((col & 1) ^ odd)) };
+}
+
+/**
+ * Convert pixel coordinates to the offset hex that contains them, in any layout.
+ * @param {{x:number,y:number}} pixel - Pixel coordinates
+ * @param {number} size - Distance from center to corner
+ * @param {import('../grid/hexGrid.js').HexLayout} [layout]
+ * @returns {{col:number,row:number}} Hex cell in offset coordinates
+ */
+export function pixelToHexOffset({ x, y }, size, layout = {}) {
+  const { orientation = 'flat', parity = 'even' } = layout;
+  // Odd parity moves every centre half a hex across the offset lines
+  const shift = parity === 'odd' ? (SQRT3 / 2) * size : 0;
+  let q, r;
+  if (orientation === 'pointy') {
+    q = ((SQRT3 / 3) * (x - shift) - y / 3) / size;
+    r = ((2 / 3) * y) / size;
+  } else {
+    q = ((2 / 3) * x) / size;
+    r = (-x / 3 + (SQRT3 / 3) * (y - shift)) / size;
+  }
+  const axial = roundAxial(q, r);
+  return axialToOffset(axial.q, axial.r, layout);
+}
+
 /**
  * Convert an even‑q offset hex to pixel (flat‑topped orientation).
  * @param {{col:number,row:number}} cell - Hex cell in offset coordinates
@@ -35,15 +79,8 @@ export function hexToPixelPointyOffset({ col, row }, size) {
  * @param {number} size - Distance from center to flat side
  * @returns {{col:number,row:number}} Hex cell in offset coordinates
  */
-export function pixelToHexFlatOffset({ x, y }, size) {
-  const q = (2/3) * x / size;
-  const r = (-1/3) * x / size + (Math.sqrt(3)/3) * y / size;
-  
-  // Convert axial to offset
-  const col = Math.round(q);
-  const row = Math.round(r + q/2);
-  
-  return { col, row };
+export function pixelToHexFlatOffset(pixel, size) {
+  return pixelToHexOffset(pixel, size, { orientation: 'flat' });
 }
 
 /**
@@ -52,15 +89,20 @@ export function pixelToHexFlatOffset({ x, y }, size) {
  * @param {number} size - Distance from center to point
  * @returns {{col:number,row:number}} Hex cell in offset coordinates
  */
-export function pixelToHexPointyOffset({ x, y }, size) {
-  const q = (Math.sqrt(3)/3) * x / size - (1/3) * y / size;
-  const r = (2/3) * y / size;
-  
-  // Convert axial to offset
-  const col = Math.round(q);
-  const row = Math.round(r + q/2);
-  
-  return { col, row };
+export function pixelToHexPointyOffset(pixel, size) {
+  return pixelToHexOffset(pixel, size, { orientation: 'pointy' });
+}
+
+/**
+ * Calculate the bounds of a hex grid in pixel space (cell centres).
+ * @param {number} W - Grid width (columns)
+ * @param {number} H - Grid height (rows)
+ * @param {number} size - Hex size
+ * @param {import('../grid/hexGrid.js').HexLayout} [layout]
+ * @returns {{minX:number, maxX:number, minY:number, maxY:number}} Bounds
+ */
+export function getGridBounds(W, H, size, { orientation = 'flat' } = {}) {
+  return orientation === 'pointy' ? getGridBoundsPointy(W, H, size) : getGridBoundsFlat(W, H, size);
 }
 
 /**
@@ -129,4 +171,29 @@ export function getPointyHexPoints({ x, y }, size) {
     });
   }
   return points;
-} 
\ No newline at end of file
+}
+
+/**
+ * Generate the points for drawing a hexagon of either orientation.
+ * @param {{x:number,y:number}} center - Center point
+ * @param {number} size - Distance from center to corner
+ * @param {'flat'|'pointy'} [orientation='flat']
+ * @returns {Array<{x:number,y:number}>} Array of 6 corner points
+ */
+export function getHexPoints(center, size, orientation = 'flat') {
+  return orientation === 'pointy' ? getPointyHexPoints(center, size) : getFlatHexPoints(center, size);
+}
+
+// Nearest hex to fractional axial coordinates (rounded in cube coordinates)
+function roundAxial(q, r) {
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+  if (dq > dr && dq > ds) rq = -rr - rs;
+  else if (dr > ds) rr = -rq - rs;
+  return { q: rq || 0, r: rr || 0 }; // no -0
+}
@@ -0,0 +1,207 @@
+/**
+ * Hydrology helpers for flat, cell-indexed hex heightmaps.
+ *
+ * All functions take the Float32Array heightMap produced by step 1 and a
+ * neighbour index table from buildNeighborIndex (6 slots per cell, -1 = off-map).
+ * Nothing here allocates per-cell objects.
+ */
+
+import { PriorityQueue } from './priorityQueue.js';
+
+// Minimum rise applied while filling so every filled cell can still drain
+const FILL_EPSILON = 1e-7;
+
+/**
+ * Priority-flood depression filling (Barnes et al. 2014, epsilon variant).
+ * Sea cells and land cells on the map border are outlets; every other cell is
+ * raised to at least its spill height plus a tiny slope towards the outlet.
+ *
+ * @param {Float32Array} heightMap - [N] elevation
+ * @param {Int32Array} neighbors - [N*M] neighbour slots (topology.neighbors), negative where there is none
+ * @param {Uint8Array} isOutlet - [N] 1 where water can leave the map (sea, border)
+ * @returns {Float64Array} filled - [N] depression-free elevation
+ */
+export function fillDepressions(heightMap, neighbors, isOutlet) {
+  const N = heightMap.length;
+  const M = neighbors.length / N; // neighbour slots per cell
+  const filled = new Float64Array(N);
+  const visited = new Uint8Array(N);
+  const queue = new PriorityQueue();
+
+  for (let i = 0; i < N; i++) {
+    if (!isOutlet[i]) continue;
+    filled[i] = heightMap[i];
+    visited[i] = 1;
+    queue.push(i, filled[i]);
+  }
+
+  while (queue.size) {
+    const c = queue.pop();
+    for (let k = 0; k < M; k++) {
+      const n = neighbors[c * M + k];
+      if (n < 0 || visited[n]) continue;
+      visited[n] = 1;
+      filled[n] = Math.max(heightMap[n], filled[c] + FILL_EPSILON);
+      queue.push(n, filled[n]);
+    }
+  }
+
+  // Cells not reachable from any outlet keep their own height
+  for (let i = 0; i < N; i++) {
+    if (!visited[i]) filled[i] = heightMap[i];
+  }
+  return filled;
+}
+
+/**
+ * Steepest-descent receiver for every cell.
+ * Hex neighbours are equidistant, so the steepest neighbour is the lowest one.
+ *
+ * @param {Float64Array|Float32Array} surface - [N] elevation to route over
+ * @param {Int32Array} neighbors - [N*M] neighbour slots (topology.neighbors), negative where there is none
+ * @param {Uint8Array} [isSink] - [N] 1 where flow terminates (e.g. sea)
+ * @returns {Int32Array} receivers - [N] downstream cell, -1 for sinks and outlets
+ */
+export function computeReceivers(surface, neighbors, isSink) {
+  const N = surface.length;
+  const M = neighbors.length / N; // neighbour slots per cell
+  const receivers = new Int32Array(N).fill(-1);
+  for (let i = 0; i < N; i++) {
+    if (isSink && isSink[i]) continue;
+    let lowest = surface[i];
+    for (let k = 0; k < M; k++) {
+      const n = neighbors[i * M + k];
+      if (n >= 0 && surface[n] < lowest) {
+        lowest = surface[n];
+        receivers[i] = n;
+      }
+    }
+  }
+  return receivers;
+}
+
+/**
+ * Cell indices ordered from highest to lowest surface, i.e. upstream first.
+ *
+ * @param {Float64Array|Float32Array} surface - [N] elevation
+ * @returns {Uint32Array} order - [N] cell indices
+ */
+export function upstreamOrder(surface) {
+  const order = new Uint32Array(surface.length);
+  for (let i = 0; i < order.length; i++) order[i] = i;
+  return order.sort((a, b) => surface[b] - surface[a] || a - b);
+}
+
+/**
+ * Accumulate runoff down the receiver tree.
+ * Optional per-cell losses (e.g. lake evaporation) are taken out before a
+ * cell passes its flow on; discharge never drops below zero.
+ *
+ * @param {Int32Array} receivers - [N] downstream cell, -1 for none
+ * @param {Uint32Array} order - [N] cells ordered upstream first
+ * @param {Float32Array|number} runoff - per-cell water input, or a constant
+ * @param {Uint8Array} [mask] - [N] 1 where runoff is generated (defaults to all)
+ * @param {Float32Array} [losses] - [N] water removed at each cell
+ * @returns {Float32Array} discharge - [N] accumulated flow per cell
+ */
+export function computeFlowAccumulation(receivers, order, runoff = 1, mask, losses) {
+  const N = receivers.length;
+  const discharge = new Float32Array(N);
+  const constant = typeof runoff === 'number';
+  for (let i = 0; i < N; i++) {
+    if (mask && !mask[i]) continue;
+    discharge[i] = constant ? runoff : runoff[i];
+  }
+  for (let j = 0; j < N; j++) {
+    const i = order[j];
+    const rec = receivers[i];
+    if (rec < 0) continue;
+    discharge[rec] += losses ? Math.max(0, discharge[i] - losses[i]) : discharge[i];
+  }
+  return discharge;
+}
+
+/**
+ * Group depression cells into lakes.
+ * A land cell belongs to a lake when filling raised it by more than `minDepth`;
+ * connected depression cells form one lake whose surface is the spill level.
+ *
+ * @param {Float32Array} heightMap - [N] elevation
+ * @param {Float64Array} filled - [N] depression-filled elevation
+ * @param {Int32Array} receivers - [N] downstream cell over the filled surface
+ * @param {Int32Array} neighbors - [N*M] neighbour slots (topology.neighbors), negative where there is none
+ * @param {Uint8Array} isSea - [N] 1 on sea cells
+ * @param {number} [minDepth=1e-4] - Smallest water depth that counts as lake
+ * @returns {{
+ *   lakeIds: Int32Array, // [N] lake id, -1 elsewhere
+ *   lakes: Array<{ id:number, cells:number[], surface:number, area:number,
+ *                  depth:number, meanDepth:number, exit:number, outlet:number }>
+ * }}
+ */
+export function detectLakes(heightMap, filled, receivers, neighbors, isSea, minDepth = 1e-4) {
+  const N = heightMap.length;
+  const M = neighbors.length / N; // neighbour slots per cell
+  const lakeIds = new Int32Array(N).fill(-1);
+  const lakes = [];
+
+  for (let start = 0; start < N; start++) {
+    if (isSea[start] || lakeIds[start] >= 0 || filled[start] - heightMap[start] <= minDepth) continue;
+    const id = lakes.length;
+    const cells = [start];
+    lakeIds[start] = id;
+    for (let j = 0; j < cells.length; j++) {
+      const c = cells[j];
+      for (let k = 0; k < M; k++) {
+        const n = neighbors[c * M + k];
+        if (n < 0 || isSea[n] || lakeIds[n] >= 0) continue;
+        if (filled[n] - heightMap[n] <= minDepth) continue;
+        lakeIds[n] = id;
+        cells.push(n);
+      }
+    }
+    lakes.push({ id, cells });
+  }
+
+  for (const lake of lakes) {
+    let surface = -Infinity;
+    let depth = 0;
+    let depthSum = 0;
+    let exit = -1;
+    for (const c of lake.cells) {
+      const d = filled[c] - heightMap[c];
+      if (filled[c] > surface) surface = filled[c];
+      if (d > depth) depth = d;
+      depthSum += d;
+      // The exit is the lake cell whose flow leaves the lake
+      const rec = receivers[c];
+      if (rec < 0 || lakeIds[rec] !== lake.id) {
+        if (exit < 0 || filled[c] < filled[exit]) exit = c;
+      }
+    }
+    lake.surface = surface;
+    lake.area = lake.cells.length;
+    lake.depth = depth;
+    lake.meanDepth = depthSum / lake.area;
+    lake.exit = exit;
+    lake.outlet = exit >= 0 ? receivers[exit] : -1;
+  }
+  return { lakeIds, lakes };
+}
+
+/**
+ * Mask of fresh surface water: river cells and lakes that are not salt lakes.
+ *
+ * @param {Float32Array} riverMap - [N] discharge on river cells, 0 elsewhere
+ * @param {Int32Array} [lakeIds] - [N] lake id, -1 elsewhere
+ * @param {Array<{salt:boolean}>} [lakes]
+ * @returns {Uint8Array} [N] 1 on fresh water
+ */
+export function computeFreshWaterMask(riverMap, lakeIds, lakes) {
+  const N = riverMap.length;
+  const freshWater = new Uint8Array(N);
+  for (let i = 0; i < N; i++) {
+    if (riverMap[i] > 0) freshWater[i] = 1;
+    else if (lakeIds && lakeIds[i] >= 0 && !(lakes && lakes[lakeIds[i]].salt)) freshWater[i] = 1;
+  }
+  return freshWater;
+}
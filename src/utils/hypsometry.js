@@ -0,0 +1,119 @@
+/**
+ * Hypsometric post-processing for normalized heightmaps.
+ *
+ * The hypsometric curve of a map is its elevation plotted against the share
+ * of the area below it. Remapping to a target curve controls how much of the
+ * map is deep ocean, shelf, lowland or mountain; solving the sea level for a
+ * target land fraction makes the land/sea split independent of the seed.
+ */
+
+/**
+ * Built-in target curves: [cumulative area fraction, elevation] pairs from the
+ * lowest cell (0) to the highest (1). 'earth' is bimodal like Earth's: broad
+ * abyssal plains, a steep continental slope, wide lowlands and few peaks.
+ */
+export const HYPSOMETRIC_CURVES = {
+  linear: [[0, 0], [1, 1]],
+  earth: [[0, 0], [0.05, 0.08], [0.45, 0.15], [0.55, 0.22], [0.62, 0.3], [0.85, 0.4], [0.95, 0.55], [0.99, 0.8], [1, 1]],
+  highlands: [[0, 0], [0.3, 0.2], [0.4, 0.3], [0.6, 0.5], [0.9, 0.75], [1, 1]],
+  lowlands: [[0, 0], [0.4, 0.25], [0.5, 0.3], [0.9, 0.38], [0.98, 0.55], [1, 1]]
+};
+
+/**
+ * Remap elevations in place so their distribution follows a target curve.
+ * Cells keep their order (so coastlines only move if the sea level does);
+ * equal heights stay equal.
+ *
+ * @param {Float32Array} heightMap - [N] elevation, modified in place
+ * @param {string|Array<[number, number]>} curve - HYPSOMETRIC_CURVES name or [area, elevation] points
+ * @returns {Float32Array} heightMap
+ */
+export function remapHypsometry(heightMap, curve) {
+  const points = curvePoints(curve);
+
+  const N = heightMap.length;
+  if (N < 2) return heightMap;
+  const order = sortedIndices(heightMap);
+
+  // Runs of equal height share the curve value at their mean rank
+  for (let start = 0; start < N;) {
+    let end = start + 1;
+    while (end < N && heightMap[order[end]] === heightMap[order[start]]) end++;
+    const value = sampleCurve(points, (start + end - 1) / 2 / (N - 1));
+    for (let j = start; j < end; j++) heightMap[order[j]] = value;
+    start = end;
+  }
+  return heightMap;
+}
+
+/**
+ * Hypsometric remap as a function, for heights that are never all known at
+ * once (chunks of an unbounded world): the share of the area below a height
+ * is read from a sample of the same terrain instead of the map itself.
+ *
+ * @param {ArrayLike<number>} sample - Heights drawn from the terrain's distribution
+ * @param {string|Array<[number, number]>} curve - HYPSOMETRIC_CURVES name or [area, elevation] points
+ * @returns {(height: number) => number} Remapped elevation; order-preserving
+ */
+export function createHypsometricRemap(sample, curve) {
+  const points = curvePoints(curve);
+  const sorted = Float64Array.from(sample).sort();
+  const N = sorted.length;
+  if (N < 2) throw new Error('A hypsometric remap needs at least 2 sample heights');
+  return height => {
+    // Binary search for the last sample <= height, then interpolate the rank
+    let lo = 0;
+    let hi = N - 1;
+    if (height <= sorted[0]) return sampleCurve(points, 0);
+    if (height >= sorted[hi]) return sampleCurve(points, 1);
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid] <= height) lo = mid;
+      else hi = mid;
+    }
+    const t = sorted[hi] > sorted[lo] ? (height - sorted[lo]) / (sorted[hi] - sorted[lo]) : 0;
+    return sampleCurve(points, (lo + t) / (N - 1));
+  };
+}
+
+/**
+ * Sea level at which `landFraction` of the cells are land (height >= seaLevel).
+ * Ties at the threshold can make the land share slightly larger.
+ *
+ * @param {Float32Array} heightMap - [N] elevation
+ * @param {number} landFraction - 0..1, e.g. 0.35 for 35% land
+ * @returns {number} seaLevel
+ */
+export function solveSeaLevel(heightMap, landFraction) {
+  const N = heightMap.length;
+  if (N === 0) return 0;
+  const sorted = Float32Array.from(heightMap).sort();
+  const landCells = Math.round(Math.min(1, Math.max(0, landFraction)) * N);
+  if (landCells <= 0) return sorted[N - 1] + Number.EPSILON;
+  return sorted[N - landCells];
+}
+
+function curvePoints(curve) {
+  const points = typeof curve === 'string' ? HYPSOMETRIC_CURVES[curve] : curve;
+  if (!points || points.length < 2) throw new Error(`Unknown hypsometric curve "${curve}"`);
+  return points;
+}
+
+function sortedIndices(values) {
+  const order = new Uint32Array(values.length);
+  for (let i = 0; i < order.length; i++) order[i] = i;
+  return order.sort((a, b) => values[a] - values[b] || a - b);
+}
+
+// Piecewise-linear lookup of elevation at area fraction p
+function sampleCurve(points, p) {
+  for (let k = 1; k < points.length; k++) {
+    const [a1, e1] = points[k];
+    if (p <= a1 || k === points.length - 1) {
+      const [a0, e0] = points[k - 1];
+      const t = a1 > a0 ? (p - a0) / (a1 - a0) : 1;
+      return e0 + (e1 - e0) * Math.min(1, Math.max(0, t));
+    }
+  }
+  return points[points.length - 1][1];
+}
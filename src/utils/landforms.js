@@ -0,0 +1,310 @@
+/**
+ * Coastal landforms: bays, capes, peninsulas, isthmuses, straits and fjords.
+ *
+ * Two analyses, on any grid (hex, Voronoi or sphere, see cellGrid.js):
+ * - Shape along the coast. The land cells of each coastline ring are walked
+ *   in order (see coastRings.js), land on the right. A cell's offset from the
+ *   chord between the cells `window` steps before and after it tells how far
+ *   the coast bulges there. Runs of cells bulging into the water by at least
+ *   `depth` cell spacings are capes, made of the land between the coast and
+ *   the chord; runs receding as far into the land are bays, made of the water
+ *   between the coast and the chord across their mouth.
+ * - Width. Opening the land, and the water, by `narrowRadius` cells (eroding
+ *   and growing back) leaves out the parts at most about twice that wide.
+ *   Narrow land between two broad parts is an isthmus, and narrow land at
+ *   least `minLength` cells long out of one broad part a peninsula. Narrow
+ *   water between two broad parts or two landmasses is a strait, and narrow
+ *   water at least `minLength` cells long into one landmass a fjord.
+ */
+
+import { cellNeighbors } from '../grid/cellGrid.js';
+import { hexStepDistance } from './riverNetwork.js';
+import { labelComponents } from './features.js';
+
+/** Landform types, land first. */
+export const LANDFORM_TYPES = ['cape', 'peninsula', 'isthmus', 'bay', 'strait', 'fjord'];
+
+/**
+ * @typedef {{
+ *   id: number,
+ *   type: 'cape'|'peninsula'|'isthmus'|'bay'|'strait'|'fjord',
+ *   cells: number[],
+ *   point: { x: number, y: number }, // pixel centre of the cell nearest the middle of the landform
+ *   size: number,                    // in cells
+ *   feature: number                  // land or water feature the cells belong to (see features.js)
+ * }} Landform
+ * @typedef {{
+ *   window?: number,       // cells before and after along the coast for bays and capes (default 4)
+ *   depth?: number,        // least bulge of a bay or cape, in cell spacings (default 1.5)
+ *   narrowRadius?: number, // land or water at most about twice this many cells across is narrow (default 1)
+ *   minLength?: number     // least length of a peninsula or fjord, in cells (default 3)
+ * }} LandformOptions
+ */
+
+/**
+ * Find the coastal landforms of a land mask.
+ * @param {import('../grid/cellGrid.js').CellGrid} grid
+ * @param {Uint8Array} landMask - [N] 1=land, 0=water
+ * @param {Int32Array} featureIndex - [N] feature of each cell (see detectFeatures)
+ * @param {Array<number[] & { clockwise: boolean }>} rings - Land cells along each coastline ring
+ * @param {number} [hexSize=1]
+ * @param {LandformOptions} [options]
+ * @returns {Landform[]} Bays and capes first, then the narrow landforms
+ */
+export function detectLandforms(grid, landMask, featureIndex, rings, hexSize = 1, options = {}) {
+  const { window = 4, depth = 1.5, narrowRadius = 1, minLength = 3 } = options;
+  const landforms = [];
+  const add = (type, cells, x) => {
+    landforms.push({ id: landforms.length, type, cells, ...middle(grid, cells, x, hexSize), size: cells.length, feature: featureIndex[cells[0]] });
+  };
+  for (const ring of rings) {
+    for (const { type, cells, x } of coastBulges(grid, landMask, ring, window, depth * cellSpacing(grid))) add(type, cells, x);
+  }
+  for (const { type, cells, x } of narrowParts(grid, landMask, featureIndex, narrowRadius, minLength)) add(type, cells, x);
+  return landforms;
+}
+
+// --- Shape along the coast ---
+
+// Bays and capes along one ring, with the unwrapped centre x of their cells
+function coastBulges(grid, landMask, ring, window, minDepth) {
+  const { centers, wrapWidth } = grid;
+  const n = ring.length;
+  if (n < 2 * window + 2) return [];
+
+  // Centres along the ring, continuing past the edge of a wrapping map
+  const px = new Float64Array(n);
+  const py = new Float64Array(n);
+  for (let j = 0; j < n; j++) {
+    const c = ring[j];
+    px[j] = j > 0 ? unwrap(centers[c * 2], px[j - 1], wrapWidth) : centers[c * 2];
+    py[j] = centers[c * 2 + 1];
+  }
+  // A ring around the world comes back to its first cell one map width away
+  const shift = unwrap(px[0], px[n - 1], wrapWidth) - px[0];
+  const at = j => {
+    const k = ((j % n) + n) % n;
+    return { x: px[k] + Math.floor(j / n) * shift, y: py[k] };
+  };
+
+  // Offset towards the water (on the left) from the chord across each cell
+  const offset = new Float64Array(n);
+  for (let j = 0; j < n; j++) {
+    const a = at(j - window), b = at(j + window), p = at(j);
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const length = Math.hypot(dx, dy);
+    offset[j] = length ? ((p.x - a.x) * dy - (p.y - a.y) * dx) / length : 0;
+  }
+  const kind = j => (offset[j] >= minDepth ? 1 : offset[j] <= -minDepth ? -1 : 0);
+
+  // Runs of bulging cells, starting after a cell that does not bulge the same way
+  const runs = [];
+  let start = -1;
+  for (let j = 0; j < n; j++) {
+    if (kind(j) !== kind((j + n - 1) % n)) {
+      start = j;
+      break;
+    }
+  }
+  if (start < 0) return []; // the whole ring bulges alike
+  for (let j = start; j < start + n; ) {
+    const k = kind(j % n);
+    let end = j;
+    while (end + 1 < start + n && kind((end + 1) % n) === k) end++;
+    if (k !== 0) runs.push({ k, from: j, to: end });
+    j = end + 1;
+  }
+
+  return runs.map(({ k, from, to }) => {
+    // The coast from `window` cells before the run to `window` after, closed by a chord
+    const first = Math.max(from - window, to - n + 2);
+    const polygon = [];
+    for (let j = first; j <= to + window && j < first + n; j++) polygon.push(at(j));
+    const isLand = k > 0 ? 1 : 0;
+    const seeds = [];
+    for (let j = from; j <= to; j++) {
+      const c = ring[j % n];
+      const { x } = at(j);
+      if (isLand) {
+        seeds.push([c, x]);
+      } else {
+        for (const w of cellNeighbors(grid, c)) if (!landMask[w]) seeds.push([w, unwrap(centers[w * 2], x, wrapWidth)]);
+      }
+    }
+    const { cells, x } = fillInside(grid, landMask, isLand, seeds, polygon, !isLand);
+    return { type: isLand ? 'cape' : 'bay', cells, x };
+  }).filter(({ cells }) => cells.length > 0);
+}
+
+// Cells of one kind reached from the seeds through cells whose centres lie in the polygon;
+// land seeds on the coast itself are kept even on the polygon's edge
+function fillInside(grid, landMask, isLand, seeds, polygon, strict) {
+  const { centers, wrapWidth } = grid;
+  const seen = new Map();
+  const stack = [];
+  for (const [c, x] of seeds) {
+    if (seen.has(c) || landMask[c] !== isLand) continue;
+    if (strict && !insidePolygon(polygon, x, centers[c * 2 + 1])) continue;
+    seen.set(c, x);
+    stack.push(c);
+  }
+  while (stack.length) {
+    const c = stack.pop();
+    for (const n of cellNeighbors(grid, c)) {
+      if (seen.has(n) || landMask[n] !== isLand) continue;
+      const x = unwrap(centers[n * 2], seen.get(c), wrapWidth);
+      if (!insidePolygon(polygon, x, centers[n * 2 + 1])) continue;
+      seen.set(n, x);
+      stack.push(n);
+    }
+  }
+  return { cells: [...seen.keys()], x: [...seen.values()] };
+}
+
+// --- Width ---
+
+// Isthmuses, peninsulas, straits and fjords, with the unwrapped centre x of their cells
+function narrowParts(grid, landMask, featureIndex, radius, minLength) {
+  const N = landMask.length;
+  const result = [];
+  for (const isLand of [1, 0]) {
+    const other = Uint8Array.from(landMask, v => (v === isLand ? 0 : 1));
+    const mine = Uint8Array.from(other, v => 1 - v);
+    // Open: keep cells more than `radius` steps from the other kind, then grow them back by `radius`
+    const depth = hexStepDistance(other, grid.neighbors);
+    const core = Uint8Array.from(depth, (d, i) => (mine[i] && (d < 0 || d > radius) ? 1 : 0));
+    const reach = hexStepDistance(core, grid.neighbors);
+    const broad = Uint8Array.from(reach, (d, i) => (mine[i] && d >= 0 && d <= radius ? 1 : 0));
+    const narrow = Uint8Array.from(broad, (b, i) => (mine[i] && !b ? 1 : 0));
+
+    // Broad parts are told apart by their connected components
+    const { components: broadParts } = labelComponents(grid, broad);
+    const { components: groups, count } = labelComponents(grid, narrow);
+    const members = Array.from({ length: count }, () => []);
+    for (let i = 0; i < N; i++) if (narrow[i]) members[groups[i]].push(i);
+
+    for (const cells of members) {
+      if (!cells.length) continue;
+      const parts = new Set();
+      const shores = new Set();
+      for (const c of cells) {
+        for (const n of cellNeighbors(grid, c)) {
+          if (broad[n]) parts.add(broadParts[n]);
+          else if (!mine[n]) shores.add(featureIndex[n]);
+        }
+      }
+      let type = null;
+      if (isLand) {
+        if (parts.size >= 2) type = 'isthmus';
+        else if (parts.size === 1 && narrowLength(grid, cells, broad) >= minLength) type = 'peninsula';
+      } else if (parts.size >= 2 || (parts.size === 1 && shores.size >= 2)) {
+        type = 'strait';
+      } else if (parts.size === 1 && narrowLength(grid, cells, broad) >= minLength) {
+        type = 'fjord';
+      }
+      if (type) result.push({ type, cells, x: unwrapCells(grid, cells) });
+    }
+  }
+  return result;
+}
+
+// Most steps from the broad part to any cell of a narrow group
+function narrowLength(grid, cells, broad) {
+  const inGroup = new Set(cells);
+  const steps = new Map();
+  const queue = [];
+  for (const c of cells) {
+    if (cellNeighbors(grid, c).some(n => broad[n])) {
+      steps.set(c, 1);
+      queue.push(c);
+    }
+  }
+  let longest = 0;
+  for (let head = 0; head < queue.length; head++) {
+    const c = queue[head];
+    longest = Math.max(longest, steps.get(c));
+    for (const n of cellNeighbors(grid, c)) {
+      if (!inGroup.has(n) || steps.has(n)) continue;
+      steps.set(n, steps.get(c) + 1);
+      queue.push(n);
+    }
+  }
+  return longest;
+}
+
+// --- Helpers ---
+
+// Mean distance between neighbouring centres (√3 on a hex grid)
+function cellSpacing(grid) {
+  const { neighbors, centers, wrapWidth, maxNeighbors: M } = grid;
+  let total = 0;
+  let count = 0;
+  for (let i = 0; i < neighbors.length; i++) {
+    const n = neighbors[i];
+    if (n < 0) continue;
+    const c = Math.floor(i / M);
+    total += Math.hypot(unwrap(centers[n * 2], centers[c * 2], wrapWidth) - centers[c * 2], centers[n * 2 + 1] - centers[c * 2 + 1]);
+    count++;
+  }
+  return count ? total / count : 1;
+}
+
+// x moved by whole map widths to lie nearest `near` on a wrapping map
+function unwrap(x, near, wrapWidth) {
+  return wrapWidth ? x + Math.round((near - x) / wrapWidth) * wrapWidth : x;
+}
+
+// Centre x of connected cells, continuing past the edge of a wrapping map
+function unwrapCells(grid, cells) {
+  const { centers, wrapWidth } = grid;
+  const index = new Map(cells.map((c, j) => [c, j]));
+  const x = new Array(cells.length);
+  for (let j = 0; j < cells.length; j++) {
+    if (x[j] !== undefined) continue;
+    x[j] = centers[cells[j] * 2];
+    const stack = [cells[j]];
+    while (stack.length) {
+      const c = stack.pop();
+      for (const n of cellNeighbors(grid, c)) {
+        const k = index.get(n);
+        if (k === undefined || x[k] !== undefined) continue;
+        x[k] = unwrap(centers[n * 2], x[index.get(c)], wrapWidth);
+        stack.push(n);
+      }
+    }
+  }
+  return x;
+}
+
+// The centre of the cell nearest the mean centre, in pixels
+function middle(grid, cells, x, hexSize) {
+  const { centers } = grid;
+  let mx = 0;
+  let my = 0;
+  cells.forEach((c, j) => {
+    mx += x[j];
+    my += centers[c * 2 + 1];
+  });
+  mx /= cells.length;
+  my /= cells.length;
+  let best = 0;
+  let bestDistance = Infinity;
+  cells.forEach((c, j) => {
+    const d = (x[j] - mx) ** 2 + (centers[c * 2 + 1] - my) ** 2;
+    if (d < bestDistance) {
+      bestDistance = d;
+      best = cells[j];
+    }
+  });
+  return { point: { x: centers[best * 2] * hexSize, y: centers[best * 2 + 1] * hexSize } };
+}
+
+// Even-odd test of a point against a closed polygon
+function insidePolygon(polygon, x, y) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i], b = polygon[j];
+    if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
@@ -0,0 +1,61 @@
+/**
+ * Map with a size limit that drops the least recently used entry first.
+ *
+ * Used to keep recently generated chunks of an unbounded world (see
+ * generateChunkCore.js) without holding on to every chunk ever visited.
+ */
+export class LruCache {
+  /**
+   * @param {number} capacity - Most entries kept; at least 1
+   */
+  constructor(capacity) {
+    if (!(Number.isInteger(capacity) && capacity >= 1)) {
+      throw new Error(`Cache capacity must be a positive integer, got ${capacity}`);
+    }
+    this.capacity = capacity;
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * @param {*} key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Look up an entry and mark it as recently used.
+   * @param {*} key
+   * @returns {*} The value, or undefined when absent
+   */
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+    const value = this.entries.get(key);
+    // Maps iterate in insertion order, so re-inserting moves the entry to the back
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  /**
+   * Add or replace an entry, dropping the oldest ones over capacity.
+   * @param {*} key
+   * @param {*} value
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    while (this.entries.size > this.capacity) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
@@ -0,0 +1,209 @@
+/**
+ * Noise families for heightmap generation.
+ *
+ * Every sampler is built on an injected `noise(x, y[, z]) -> [-1, 1]` function
+ * (simplex-noise's createNoise2D, or createNoise3D for points on a sphere, in
+ * Node or from the CDN in the browser), so this module has no imports and
+ * output depends only on the seeded noise. Samplers take (x, y, z); 2D noise
+ * ignores z.
+ * All families return values on the scale of plain fBm with the same
+ * amplitudes, roughly ±(sum of octave amplitudes), shifted so their median
+ * sits near 0 like fBm's. Radial falloff multiplies by the noise, so a
+ * family centred elsewhere would turn islands inside out.
+ */
+
+/** Selectable values for the `noiseType` option. */
+export const NOISE_TYPES = ['fbm', 'ridged', 'billow', 'hybrid', 'warped'];
+
+/**
+ * @typedef {{
+ *   octaves?: number,
+ *   persistence?: number,
+ *   lacunarity?: number,
+ *   frequency?: number,
+ *   amplitude?: number,
+ *   ridgeOffset?: number,  // ridged: 1 - |n| peak height (default 1)
+ *   ridgeGain?: number,    // ridged: how strongly sharp octaves feed the next (default 2)
+ *   hybridOffset?: number, // hybrid: bias added to each octave (default 0.7)
+ *   warpStrength?: number  // warped: coordinate offset, in noise space (default 0.5)
+ * }} NoiseParams
+ */
+
+/**
+ * @typedef {NoiseParams & {
+ *   type?: 'fbm'|'ridged'|'billow'|'hybrid'|'warped',
+ *   weight?: number,              // multiplier on the layer (default 1)
+ *   mask?: Float32Array|number    // [N] 0..1 per cell, or the index of an earlier layer
+ * }} NoiseLayer
+ */
+
+/**
+ * Sampler for one noise family.
+ *
+ * @param {string} type - One of NOISE_TYPES
+ * @param {(x:number, y:number, z?:number) => number} noise
+ * @param {NoiseParams} params
+ * @param {(x:number, y:number, z?:number) => number} [warpNoise] - Second field for 'warped'
+ * @param {2|3} [dimensions=2] - Coordinates the noise takes
+ * @returns {(x:number, y:number, z?:number) => number}
+ */
+export function createNoiseSampler(type, noise, params, warpNoise, dimensions = 2) {
+  const {
+    octaves = 6,
+    persistence = 0.5,
+    lacunarity = 2.0,
+    frequency = 1.0,
+    amplitude = 1.0,
+    ridgeOffset = 1.0,
+    ridgeGain = 2.0,
+    hybridOffset = 0.7,
+    warpStrength = 0.5
+  } = params;
+  const octaveParams = { octaves, persistence, lacunarity, frequency, amplitude };
+  const ampSum = amplitudeSum(octaveParams);
+
+  switch (type) {
+    case 'fbm':
+      return (x, y, z = 0) => fbm(noise, x, y, z, octaveParams);
+
+    case 'billow':
+      // Folded noise: rounded hills with creased valleys (mean |simplex| ≈ 0.375)
+      return (x, y, z = 0) => {
+        let value = 0;
+        let amp = amplitude;
+        let freq = frequency;
+        for (let o = 0; o < octaves; o++) {
+          value += (2 * Math.abs(noise(x * freq, y * freq, z * freq)) - 0.75) * amp;
+          amp *= persistence;
+          freq *= lacunarity;
+        }
+        return value;
+      };
+
+    case 'ridged': {
+      // Musgrave ridged multifractal: sharp crests where the noise crosses zero,
+      // and each octave is weighted by the previous one so detail gathers on spines
+      const peak = ridgeOffset * ridgeOffset;
+      return (x, y, z = 0) => {
+        let value = 0;
+        let amp = amplitude;
+        let freq = frequency;
+        let weight = 1;
+        for (let o = 0; o < octaves; o++) {
+          let signal = ridgeOffset - Math.abs(noise(x * freq, y * freq, z * freq));
+          signal *= signal * weight;
+          weight = Math.min(1, Math.max(0, signal * ridgeGain));
+          value += signal * amp;
+          amp *= persistence;
+          freq *= lacunarity;
+        }
+        // Median of value / (ampSum × peak) is about 0.33
+        return (2 * value / (ampSum * peak) - 0.66) * ampSum;
+      };
+    }
+
+    case 'hybrid': {
+      // Musgrave hybrid multifractal: smooth lowlands, rough highlands
+      const top = 1 + hybridOffset;
+      return (x, y, z = 0) => {
+        let amp = amplitude;
+        let freq = frequency;
+        let value = (noise(x * freq, y * freq, z * freq) + hybridOffset) * amp;
+        let weight = value / amp;
+        for (let o = 1; o < octaves; o++) {
+          amp *= persistence;
+          freq *= lacunarity;
+          weight = Math.min(weight, 1);
+          const signal = noise(x * freq, y * freq, z * freq) + hybridOffset;
+          value += weight * signal * amp;
+          weight *= signal;
+        }
+        // Median of value / (ampSum × top) is about 0.3
+        return (2 * value / (ampSum * top) - 0.6) * ampSum;
+      };
+    }
+
+    case 'warped': {
+      // Domain warping: sample fBm at coordinates offset by a second fBm field
+      if (!warpNoise) throw new Error("noiseType 'warped' needs a second noise field");
+      const scale = warpStrength / ampSum;
+      return (x, y, z = 0) => {
+        const wx = fbm(warpNoise, x, y, z, octaveParams);
+        const wy = fbm(warpNoise, x + 5.2, y + 1.3, z, octaveParams);
+        const wz = dimensions === 3 ? fbm(warpNoise, x + 3.7, y + 8.1, z + 2.9, octaveParams) : 0;
+        return fbm(noise, x + wx * scale, y + wy * scale, z + wz * scale, octaveParams);
+      };
+    }
+
+    default:
+      throw new Error(`Unknown noiseType "${type}" (expected one of ${NOISE_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Weighted, optionally masked sum of noise layers.
+ * A layer mask is either a per-cell Float32Array or the index of an earlier
+ * layer, whose value (rescaled from ±ampSum to 0..1) gates this one, e.g.
+ * ridged mountains only where the base continent noise is high.
+ *
+ * @param {NoiseLayer[]} layers
+ * @param {NoiseParams} defaults - Octave settings for layers that do not set their own
+ * @param {(key:string) => (x:number, y:number, z?:number) => number} noiseFor - Seeded
+ *   noise for a stream key: 'layer0', 'layer1', ... and 'warp0', 'warp1', ...
+ * @param {2|3} [dimensions=2] - Coordinates the noise takes
+ * @returns {(x:number, y:number, z:number, cell:number) => number}
+ */
+export function createLayeredNoise(layers, defaults, noiseFor, dimensions = 2) {
+  const samplers = layers.map((layer, k) => {
+    const type = layer.type ?? 'fbm';
+    const params = { ...defaults, ...layer };
+    const warp = type === 'warped' ? noiseFor(`warp${k}`) : undefined;
+    return { sample: createNoiseSampler(type, noiseFor(`layer${k}`), params, warp, dimensions), ampSum: amplitudeSum(params) };
+  });
+  layers.forEach((layer, k) => {
+    if (typeof layer.mask === 'number' && !(layer.mask >= 0 && layer.mask < k)) {
+      throw new Error(`Noise layer ${k} can only be masked by an earlier layer`);
+    }
+  });
+
+  const values = new Float64Array(layers.length);
+  return (x, y, z, cell) => {
+    let total = 0;
+    for (let k = 0; k < layers.length; k++) {
+      const { weight = 1, mask } = layers[k];
+      const value = samplers[k].sample(x, y, z);
+      values[k] = value;
+      let gate = 1;
+      if (typeof mask === 'number') {
+        gate = Math.min(1, Math.max(0, (values[mask] / samplers[mask].ampSum + 1) / 2));
+      } else if (mask) {
+        gate = mask[cell];
+      }
+      total += value * weight * gate;
+    }
+    return total;
+  };
+}
+
+/**
+ * Largest possible |fBm| for these octave settings.
+ * @param {NoiseParams} params
+ * @returns {number}
+ */
+export function amplitudeSum({ octaves = 6, persistence = 0.5, amplitude = 1.0 }) {
+  let sum = 0;
+  for (let o = 0, amp = amplitude; o < octaves; o++, amp *= persistence) sum += amp;
+  return sum || 1;
+}
+
+function fbm(noise, x, y, z, { octaves, persistence, lacunarity, frequency, amplitude }) {
+  let value = 0;
+  let amp = amplitude;
+  let freq = frequency;
+  for (let o = 0; o < octaves; o++) {
+    value += noise(x * freq, y * freq, z * freq) * amp;
+    amp *= persistence;
+    freq *= lacunarity;
+  }
+  return value;
+}
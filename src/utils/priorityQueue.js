@@ -0,0 +1,83 @@
+/**
+ * Binary min-heap keyed by a numeric priority.
+ *
+ * Used by flood fills, distance transforms and path searches on the hex grid.
+ * Ties are broken by insertion order so results stay deterministic.
+ */
+export class PriorityQueue {
+  constructor() {
+    this.items = [];
+    this.priorities = [];
+    this.order = [];
+    this.counter = 0;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * @param {*} item
+   * @param {number} priority - Lower values are popped first
+   */
+  push(item, priority) {
+    const { items, priorities, order } = this;
+    let i = items.length;
+    items.push(item);
+    priorities.push(priority);
+    order.push(this.counter++);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.less(i, parent)) break;
+      this.swap(i, parent);
+      i = parent;
+    }
+  }
+
+  /**
+   * Remove and return the item with the lowest priority.
+   * @returns {*} The item, or undefined when empty
+   */
+  pop() {
+    const { items, priorities, order } = this;
+    if (items.length === 0) return undefined;
+    const top = items[0];
+    const last = items.length - 1;
+    this.swap(0, last);
+    items.pop();
+    priorities.pop();
+    order.pop();
+    let i = 0;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < items.length && this.less(left, smallest)) smallest = left;
+      if (right < items.length && this.less(right, smallest)) smallest = right;
+      if (smallest === i) break;
+      this.swap(i, smallest);
+      i = smallest;
+    }
+    return top;
+  }
+
+  /**
+   * Priority of the item that pop() would return next.
+   * @returns {number}
+   */
+  peekPriority() {
+    return this.priorities[0];
+  }
+
+  less(a, b) {
+    const { priorities, order } = this;
+    return priorities[a] < priorities[b] || (priorities[a] === priorities[b] && order[a] < order[b]);
+  }
+
+  swap(a, b) {
+    const { items, priorities, order } = this;
+    [items[a], items[b]] = [items[b], items[a]];
+    [priorities[a], priorities[b]] = [priorities[b], priorities[a]];
+    [order[a], order[b]] = [order[b], order[a]];
+  }
+}
@@ -0,0 +1,261 @@
+/**
+ * Regional zoom: a finer hex grid over a rectangle of a parent hex map.
+ *
+ * Each parent cell is split `factor` times along each axis, so the region of
+ * width × height parent cells becomes (width·factor) × (height·factor) child
+ * cells in the parent's layout, with hex size 1/factor of the parent's.
+ *
+ * - Elevation is interpolated linearly between parent cell centres (over the
+ *   triangles joining each centre to two neighbouring ones), plus seeded fBm
+ *   detail about one parent cell across. The detail is sampled at positions in
+ *   the parent map, so regions refined with the same seed agree where they
+ *   overlap.
+ * - Land and sea keep the parent's classification at coarse scale: children
+ *   of a parent cell whose neighbours are all on its side of the sea level
+ *   stay on that side. Only children of coastal parent cells can change side,
+ *   so the finer coastline wanders within the parent's coastal band.
+ * - Parent rivers (world.features.rivers from step 3) are drawn through the
+ *   child cells between consecutive parent centres, and the elevation along
+ *   them is lowered so every river keeps running downhill.
+ */
+
+import { AXIAL_DIRECTIONS, createHexGrid, offsetToAxial, axialToOffset, checkLayout } from '../grid/hexGrid.js';
+import { createHexTopology, OFF_MAP } from '../grid/hexTopology.js';
+import { hexToPixelOffset, pixelToHexOffset } from './hexToPixel.js';
+import { createNoiseSampler, amplitudeSum } from './noise.js';
+import { World } from './world.js';
+
+// Centre spacing of a hex grid with hex size 1; detail noise has features about this wide
+const HEX_SPACING = Math.sqrt(3);
+// Slack for points on a triangle edge
+const EPSILON = 1e-9;
+
+/**
+ * @typedef {{ col: number, row: number, width: number, height: number }} Region
+ *   A rectangle of parent cells: first column and row, and size in cells
+ */
+
+/**
+ * @typedef {{
+ *   id: number,          // parent river id
+ *   parent: number,      // parent river this one flows into, -1 for none
+ *   mouthType: string,
+ *   cells: number[]      // child cells inside the region, source first
+ * }} RefinedRiver
+ */
+
+/**
+ * Refine a region of a parent hex world.
+ *
+ * @param {string} seed - Seed for the detail noise
+ * @param {World} parent - Hex world with an elevation layer; rivers are carried over when
+ *   step 3 has run on it (its discharge layer and features.rivers)
+ * @param {Region} region
+ * @param {number} factor - Child cells per parent cell along each axis (integer >= 2)
+ * @param {{
+ *   detailAmplitude?: number, // largest detail added to the interpolated elevation (default 0.05)
+ *   detailOctaves?: number    // fBm octaves of the detail (default 4)
+ * }} options
+ * @param {{ createNoise2D: Function, seedrandom: Function }} deps
+ * @returns {{
+ *   factor: number,
+ *   colOffset: number,        // global column of local column 0 on the parent map refined everywhere
+ *   rowOffset: number,
+ *   origin: { x: number, y: number }, // (origin + topology centre) / factor is the position on the parent map
+ *   hexGrid: Array<{col:number,row:number,q:number,r:number}>,
+ *   topology: import('../grid/hexTopology.js').HexTopology,
+ *   heightMap: Float32Array,
+ *   parentCell: Int32Array,   // [N] parent cell under each child centre
+ *   seaLevel: number,
+ *   riverMap?: Float32Array,  // [N] parent discharge in child cells of runoff on river cells
+ *   riverIds?: Int32Array,    // [N] parent river id, -1 elsewhere
+ *   rivers?: RefinedRiver[],
+ *   world: World
+ * }}
+ */
+export function refineRegion(seed, parent, region, factor, options, { createNoise2D, seedrandom }) {
+  const { detailAmplitude = 0.05, detailOctaves = 4 } = options;
+  const { topology: parentGrid, seaLevel } = parent;
+  if (parentGrid.type !== 'hex') throw new Error(`Regions can only be refined on hex grids, got "${parentGrid.type}"`);
+  if (!(Number.isInteger(factor) && factor >= 2)) throw new Error(`Refinement factor must be an integer >= 2, got ${factor}`);
+  const { col, row, width, height } = region;
+  const { width: W, height: H, wrapX, wrapWidth, neighbors } = parentGrid;
+  if (![col, row, width, height].every(Number.isInteger) || width < 1 || height < 1) {
+    throw new Error('A region needs integer col, row, width and height of at least 1 cell');
+  }
+  if (row < 0 || row + height > H || (wrapX ? width > W : col < 0 || col + width > W)) {
+    throw new Error(`Region ${col},${row} ${width}×${height} is outside the ${W}×${H} parent map`);
+  }
+  const { orientation = 'flat', parity = 'even' } = parentGrid;
+  const layout = { orientation, parity };
+  checkLayout(layout);
+  const elevation = parent.getLayer('elevation');
+
+  // Parent cell index of an offset cell, wrapping east-west if the parent does; -1 off the map
+  const parentIndex = (c, r) => {
+    if (wrapX) c = ((c % W) + W) % W;
+    return c >= 0 && c < W && r >= 0 && r < H ? c * H + r : -1;
+  };
+  const clampedIndex = (c, r) => parentIndex(wrapX ? c : Math.min(W - 1, Math.max(0, c)), Math.min(H - 1, Math.max(0, r)));
+
+  // Parent cells on one side of the sea level with all neighbours on the same side
+  const isLand = i => elevation[i] >= seaLevel;
+  const M = parentGrid.maxNeighbors;
+  const interior = new Uint8Array(W * H);
+  for (let i = 0; i < W * H; i++) {
+    interior[i] = 1;
+    for (let k = 0; k < M; k++) {
+      const n = neighbors[i * M + k];
+      if (n !== OFF_MAP && n >= 0 && isLand(n) !== isLand(i)) interior[i] = 0;
+    }
+  }
+
+  // Child grid, with even offsets so local and global cells are shifted alike, rounded
+  // up so the child cells reach every parent centre in the region
+  const colOffset = 2 * Math.ceil((col * factor - Math.floor(factor / 2)) / 2);
+  const rowOffset = 2 * Math.ceil((row * factor - Math.floor(factor / 2)) / 2);
+  const childWidth = width * factor;
+  const childHeight = height * factor;
+  const hexGrid = createHexGrid(childWidth, childHeight, layout);
+  const topology = createHexTopology(childWidth, childHeight, layout);
+  const { centers, cellCount: N } = topology;
+  const first = hexToPixelOffset({ col: colOffset, row: rowOffset }, 1, layout);
+  const origin = { x: first.x - centers[0], y: first.y - centers[1] };
+  const parentPosition = i => ({ x: (origin.x + centers[i * 2]) / factor, y: (origin.y + centers[i * 2 + 1]) / factor });
+
+  // Linear interpolation over the triangle of parent centres around p; neighbours
+  // off the map take the height of the cell itself
+  function interpolate(p, cell, fallback) {
+    const { q, r } = offsetToAxial(cell.col, cell.row, layout);
+    const a = hexToPixelOffset(cell, 1, layout);
+    for (let k = 0; k < 6; k++) {
+      const [dq1, dr1] = AXIAL_DIRECTIONS[k];
+      const [dq2, dr2] = AXIAL_DIRECTIONS[(k + 1) % 6];
+      const n1 = axialToOffset(q + dq1, r + dr1, layout);
+      const n2 = axialToOffset(q + dq2, r + dr2, layout);
+      const b = hexToPixelOffset(n1, 1, layout);
+      const c = hexToPixelOffset(n2, 1, layout);
+      const det = (b.y - c.y) * (a.x - c.x) + (c.x - b.x) * (a.y - c.y);
+      const wa = ((b.y - c.y) * (p.x - c.x) + (c.x - b.x) * (p.y - c.y)) / det;
+      const wb = ((c.y - a.y) * (p.x - c.x) + (a.x - c.x) * (p.y - c.y)) / det;
+      const wc = 1 - wa - wb;
+      if (wa < -EPSILON || wb < -EPSILON || wc < -EPSILON) continue;
+      const i1 = parentIndex(n1.col, n1.row);
+      const i2 = parentIndex(n2.col, n2.row);
+      return wa * fallback + wb * (i1 >= 0 ? elevation[i1] : fallback) + wc * (i2 >= 0 ? elevation[i2] : fallback);
+    }
+    return fallback;
+  }
+
+  // Parent river paths drawn through the child grid, lowered to run downhill
+  function carryRivers() {
+    const discharge = parent.getLayer('discharge');
+    const { rivers } = parent.features;
+    const riverMap = new Float32Array(N);
+    const riverIds = new Int32Array(N).fill(-1);
+    // Child cells have 1/factor² of a parent cell's area, and so of its runoff
+    const runoff = factor * factor;
+    const regionCenter = parentPosition((childWidth >> 1) * childHeight + (childHeight >> 1));
+
+    // Tributaries before the rivers they join, so a confluence is only ever lowered further downstream
+    const depth = river => (river.parent >= 0 ? 1 + depth(rivers[river.parent]) : 0);
+    const order = [...rivers].sort((a, b) => depth(b) - depth(a) || a.id - b.id);
+
+    const refined = [];
+    const flowsOf = [];
+    for (const river of order) {
+      const cells = [];
+      const flows = [];
+      for (let j = 0; j + 1 < river.cells.length; j++) {
+        const from = river.cells[j];
+        const to = river.cells[j + 1];
+        let a = hexToPixelOffset(parent.hexGrid[from], 1, layout);
+        let b = hexToPixelOffset(parent.hexGrid[to], 1, layout);
+        if (wrapX) {
+          // Both ends on the same side of the seam, nearest to the region
+          b.x += Math.round((a.x - b.x) / wrapWidth) * wrapWidth;
+          const shift = Math.round((regionCenter.x - (a.x + b.x) / 2) / wrapWidth) * wrapWidth;
+          a = { x: a.x + shift, y: a.y };
+          b = { x: b.x + shift, y: b.y };
+        }
+        // Two samples per child cell along the way, so no cell in between is skipped
+        const steps = Math.max(1, Math.ceil((Math.hypot(b.x - a.x, b.y - a.y) * factor) / HEX_SPACING) * 2);
+        for (let s = 0; s <= steps; s++) {
+          const t = s / steps;
+          const child = childAt({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+          if (child < 0 || child === cells[cells.length - 1]) continue;
+          cells.push(child);
+          flows.push((discharge[from] + (discharge[to] - discharge[from]) * t) * runoff);
+        }
+      }
+      refined[river.id] = { id: river.id, parent: river.parent, mouthType: river.mouthType, cells };
+      flowsOf[river.id] = flows;
+    }
+
+    // Never uphill from a land cell along a river. Detail noise can dip a cell
+    // on the way below sea level, and the river carries on past it. Lowering one
+    // river can tip another that shares a cell with it, so repeat until none changes.
+    for (let changed = true; changed; ) {
+      changed = false;
+      for (const river of order) {
+        const { cells } = refined[river.id];
+        for (let j = 1; j < cells.length; j++) {
+          if (heightMap[cells[j - 1]] >= seaLevel && heightMap[cells[j]] > heightMap[cells[j - 1]]) {
+            heightMap[cells[j]] = heightMap[cells[j - 1]];
+            changed = true;
+          }
+        }
+      }
+    }
+    for (const river of order) {
+      refined[river.id].cells.forEach((c, j) => {
+        if (heightMap[c] < seaLevel) return;
+        riverMap[c] = Math.max(riverMap[c], flowsOf[river.id][j]);
+        if (riverIds[c] < 0) riverIds[c] = river.id;
+      });
+    }
+    return { riverMap, riverIds, rivers: rivers.map(river => refined[river.id]) };
+  }
+
+  // Local child cell containing a position on the parent map, -1 outside the region
+  function childAt(p) {
+    const { col: c, row: r } = pixelToHexOffset(p, 1 / factor, layout);
+    const localCol = c - colOffset;
+    const localRow = r - rowOffset;
+    if (localCol < 0 || localCol >= childWidth || localRow < 0 || localRow >= childHeight) return -1;
+    return localCol * childHeight + localRow;
+  }
+
+  // Seeded detail on its own stream, scaled to ±detailAmplitude
+  const detailParams = { octaves: detailOctaves, persistence: 0.5, lacunarity: 2, frequency: 1, amplitude: 1 };
+  const detail = createNoiseSampler('fbm', createNoise2D(seedrandom(`${seed}:refine`)), detailParams);
+  const detailScale = detailAmplitude / amplitudeSum(detailParams);
+
+  const heightMap = new Float32Array(N);
+  const parentCell = new Int32Array(N);
+  for (let i = 0; i < N; i++) {
+    const p = parentPosition(i);
+    const cell = pixelToHexOffset(p, 1, layout);
+    const own = clampedIndex(cell.col, cell.row);
+    parentCell[i] = own;
+
+    let value = interpolate(p, cell, elevation[own]);
+    value += detail(p.x / HEX_SPACING, p.y / HEX_SPACING) * detailScale;
+    if (interior[own]) {
+      value = isLand(own) ? Math.max(value, seaLevel) : Math.min(value, seaLevel - 1e-6);
+    }
+    heightMap[i] = Math.min(1, Math.max(0, value));
+  }
+
+  const result = { factor, colOffset, rowOffset, origin, hexGrid, topology, heightMap, parentCell, seaLevel };
+  const world = new World(childWidth, childHeight, { topology, seaLevel, hexGrid });
+  world.addLayer('elevation', heightMap);
+
+  if (parent.hasLayer('discharge') && parent.features.rivers) {
+    Object.assign(result, carryRivers());
+    world.addLayer('riverMap', result.riverMap);
+    world.addLayer('riverId', result.riverIds);
+  }
+  result.world = world;
+  return result;
+}
@@ -0,0 +1,244 @@
+/**
+ * River network analysis on top of the receiver tree from hydrology.js.
+ *
+ * Turns ordered river cell paths into a tree: stream order per cell,
+ * parent/child links between rivers, confluences, mouth types, deltas,
+ * widths and smoothed pixel polylines for tapered strokes.
+ */
+
+/**
+ * Strahler and Shreve order for every river cell.
+ * Sources have order 1; Strahler increases only where two streams of equal
+ * order meet, Shreve is the number of sources upstream.
+ *
+ * @param {Uint8Array} isRiver - [N] 1 on river cells
+ * @param {Int32Array} receivers - [N] downstream cell, -1 for none
+ * @param {Uint32Array} order - [N] cells ordered upstream first
+ * @returns {{ strahler: Uint8Array, shreve: Uint32Array }}
+ */
+export function computeStreamOrder(isRiver, receivers, order) {
+  const N = receivers.length;
+  const strahler = new Uint8Array(N);
+  const shreve = new Uint32Array(N);
+  const maxIn = new Uint8Array(N);   // highest Strahler order flowing in
+  const maxCount = new Uint8Array(N); // how many inflows share that order
+
+  for (let j = 0; j < N; j++) {
+    const i = order[j];
+    if (!isRiver[i]) continue;
+    if (maxCount[i] === 0) {
+      strahler[i] = 1;
+      shreve[i] = Math.max(shreve[i], 1);
+    } else {
+      strahler[i] = maxCount[i] > 1 ? maxIn[i] + 1 : maxIn[i];
+    }
+    const rec = receivers[i];
+    if (rec < 0) continue;
+    shreve[rec] += shreve[i];
+    if (strahler[i] > maxIn[rec]) {
+      maxIn[rec] = strahler[i];
+      maxCount[rec] = 1;
+    } else if (strahler[i] === maxIn[rec]) {
+      maxCount[rec]++;
+    }
+  }
+  return { strahler, shreve };
+}
+
+/**
+ * Link rivers into a tree and collect confluences.
+ * A river whose last cell belongs to another river is a tributary of it.
+ *
+ * @param {Array<{id:number, cells:number[]}>} rivers
+ * @param {number} N - Number of cells
+ * @returns {{
+ *   riverIds: Int32Array, // [N] owning river for each cell, -1 elsewhere
+ *   confluences: Array<{ cell:number, river:number, tributaries:number[] }>
+ * }}
+ */
+export function linkRivers(rivers, N) {
+  const riverIds = new Int32Array(N).fill(-1);
+  for (const river of rivers) {
+    river.parent = -1;
+    river.children = [];
+    for (let j = 0; j < river.cells.length - 1; j++) riverIds[river.cells[j]] = river.id;
+  }
+
+  // A river joins another only if its last cell lies inside that river's path;
+  // rivers sharing a sea mouth cell stay independent
+  const byCell = new Map();
+  for (const river of rivers) {
+    const last = river.cells[river.cells.length - 1];
+    const owner = riverIds[last];
+    if (owner < 0 || owner === river.id) continue;
+    river.parent = owner;
+    if (!byCell.has(last)) byCell.set(last, { cell: last, river: owner, tributaries: [] });
+    byCell.get(last).tributaries.push(river.id);
+  }
+  const index = new Map(rivers.map(r => [r.id, r]));
+  for (const river of rivers) {
+    if (river.parent >= 0) index.get(river.parent).children.push(river.id);
+  }
+
+  for (const river of rivers) {
+    const last = river.cells[river.cells.length - 1];
+    if (riverIds[last] < 0) riverIds[last] = river.id;
+  }
+
+  const confluences = [...byCell.values()].sort((a, b) => a.cell - b.cell);
+  return { riverIds, confluences };
+}
+
+/**
+ * Hex-step distance from every cell to the nearest target cell (BFS).
+ *
+ * @param {Uint8Array} isTarget - [N] 1 on target cells
+ * @param {Int32Array} neighbors - [N*M] neighbour slots (topology.neighbors), negative where there is none
+ * @returns {Int32Array} [N] distance, -1 where unreachable
+ */
+export function hexStepDistance(isTarget, neighbors) {
+  const N = isTarget.length;
+  const M = neighbors.length / N; // neighbour slots per cell
+  const dist = new Int32Array(N).fill(-1);
+  const queue = new Int32Array(N);
+  let head = 0;
+  let tail = 0;
+  for (let i = 0; i < N; i++) {
+    if (isTarget[i]) {
+      dist[i] = 0;
+      queue[tail++] = i;
+    }
+  }
+  while (head < tail) {
+    const c = queue[head++];
+    for (let k = 0; k < M; k++) {
+      const n = neighbors[c * M + k];
+      if (n < 0 || dist[n] >= 0) continue;
+      dist[n] = dist[c] + 1;
+      queue[tail++] = n;
+    }
+  }
+  return dist;
+}
+
+/**
+ * Split the last stretch of a river into distributaries that fan out to the sea.
+ * Branches start at the delta apex and step towards the coast through land
+ * cells that are not already part of the main channel or another branch.
+ *
+ * @param {number[]} cells - River path ending in a sea cell
+ * @param {{
+ *   heightMap: Float32Array,
+ *   neighbors: Int32Array,
+ *   isSea: Uint8Array,
+ *   distToSea: Int32Array,
+ *   apexOffset: number,
+ *   branches: number
+ * }} params
+ * @returns {number[][]} Distributary paths, apex first, sea cell last
+ */
+export function traceDistributaries(cells, { heightMap, neighbors, isSea, distToSea, apexOffset, branches }) {
+  const M = neighbors.length / heightMap.length; // neighbour slots per cell
+  const apexIndex = Math.max(0, cells.length - 1 - apexOffset);
+  const apex = cells[apexIndex];
+  const used = new Set(cells.slice(apexIndex));
+  const result = [];
+
+  const candidates = [];
+  for (let k = 0; k < M; k++) {
+    const n = neighbors[apex * M + k];
+    if (n < 0 || used.has(n) || isSea[n]) continue;
+    if (distToSea[n] > distToSea[apex]) continue;
+    candidates.push(n);
+  }
+  candidates.sort((a, b) => distToSea[a] - distToSea[b] || heightMap[a] - heightMap[b] || a - b);
+
+  for (const start of candidates) {
+    if (result.length >= branches) break;
+    if (used.has(start)) continue;
+    const path = [apex, start];
+    const claimed = [start];
+    let current = start;
+    while (!isSea[current] && path.length <= apexOffset * 2 + 2) {
+      let next = -1;
+      for (let k = 0; k < M; k++) {
+        const n = neighbors[current * M + k];
+        if (n < 0 || used.has(n) || claimed.includes(n)) continue;
+        if (distToSea[n] !== distToSea[current] - 1) continue;
+        if (next < 0 || heightMap[n] < heightMap[next]) next = n;
+      }
+      if (next < 0) break;
+      path.push(next);
+      claimed.push(next);
+      current = next;
+    }
+    if (!isSea[current]) continue;
+    claimed.forEach(c => used.add(c));
+    result.push(path);
+  }
+  return result;
+}
+
+/**
+ * River width for each cell of a path.
+ * Follows hydraulic geometry (width ∝ √discharge) scaled up by stream order.
+ *
+ * @param {number[]} cells
+ * @param {Float32Array} discharge
+ * @param {Uint8Array} strahler
+ * @param {number} baseWidth - Width at the river threshold discharge
+ * @param {number} threshold - Discharge at which rivers start
+ * @returns {number[]}
+ */
+export function riverWidths(cells, discharge, strahler, baseWidth, threshold) {
+  let lastOrder = 1;
+  return cells.map(c => {
+    // Sea mouths carry no order of their own; keep the channel's last order
+    if (strahler[c] > 0) lastOrder = strahler[c];
+    const q = Math.max(discharge[c], threshold);
+    return baseWidth * Math.sqrt(q / threshold) * (0.75 + 0.25 * lastOrder);
+  });
+}
+
+/**
+ * Pixel polyline through the cell centres, smoothed with Chaikin corner cutting.
+ * End points are kept so tributaries still meet their parent at the confluence.
+ * On grids that wrap around, the line continues past the map edge instead of
+ * jumping back across it.
+ *
+ * @param {number[]} cells
+ * @param {number[]} widths - Width per cell
+ * @param {Float64Array} centers - [N*2] cell centres for hex size 1 (topology.centers)
+ * @param {number} hexSize
+ * @param {number} iterations - Chaikin iterations
+ * @param {number} [wrapWidth] - x period of the centres (topology.wrapWidth)
+ * @returns {Array<{x:number,y:number,width:number}>}
+ */
+export function riverPolyline(cells, widths, centers, hexSize, iterations, wrapWidth) {
+  let previous = null;
+  let pts = cells.map((c, j) => {
+    let x = centers[c * 2];
+    if (wrapWidth && previous !== null) x += Math.round((previous - x) / wrapWidth) * wrapWidth;
+    previous = x;
+    return { x: x * hexSize, y: centers[c * 2 + 1] * hexSize, width: widths[j] };
+  });
+  for (let k = 0; k < iterations && pts.length > 2; k++) {
+    const next = [pts[0]];
+    for (let j = 0; j < pts.length - 1; j++) {
+      const p0 = pts[j];
+      const p1 = pts[j + 1];
+      next.push(lerpPoint(p0, p1, 0.25), lerpPoint(p0, p1, 0.75));
+    }
+    next.push(pts[pts.length - 1]);
+    pts = next;
+  }
+  return pts;
+}
+
+function lerpPoint(a, b, t) {
+  return {
+    x: a.x + (b.x - a.x) * t,
+    y: a.y + (b.y - a.y) * t,
+    width: a.width + (b.width - a.width) * t
+  };
+}
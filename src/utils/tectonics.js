@@ -0,0 +1,271 @@
+/**
+ * Tectonic plate simulation on the hex grid.
+ *
+ * Plates grow from random seed cells, each with a motion vector and an
+ * oceanic or continental crust. On a sphere each plate instead rotates about
+ * an axis through the planet's centre, so its velocity changes across it.
+ * Relative motion across plate boundaries decides the landform: mountain
+ * ranges and volcanic arcs where plates converge, trenches where oceanic
+ * crust subducts, rifts and ridges where they pull apart, and fault lines
+ * along transform boundaries.
+ */
+
+import { PriorityQueue } from './priorityQueue.js';
+
+/** Boundary classification stored in the plateBoundaries layer. */
+export const BOUNDARY_TYPES = {
+  NONE: 0,
+  CONVERGENT: 1,
+  DIVERGENT: 2,
+  TRANSFORM: 3
+};
+
+// Base elevation of each crust type, before boundary effects and noise
+const CRUST_ELEVATION = { oceanic: -0.5, continental: 0.5 };
+
+/**
+ * @typedef {{
+ *   id: number,
+ *   type: 'oceanic'|'continental',
+ *   motion: { x:number, y:number, z?:number }, // on a sphere: rotation axis scaled by angular speed
+ *   seed: number,  // cell index the plate grew from
+ *   area: number   // number of cells
+ * }} Plate
+ */
+
+/**
+ * @param {Float64Array} centers - [N*2] cell centres (topology.centers), or [N*3]
+ *   points on a sphere centred on the origin (topology.points) with dimensions: 3
+ * @param {Int32Array} neighbors - [N*M] neighbour slots (topology.neighbors), negative where there is none
+ * @param {() => number} rng - Seeded random generator in [0, 1)
+ * @param {{
+ *   plateCount?: number,
+ *   continentalRatio?: number, // share of plates with continental crust
+ *   roughness?: number,        // randomness of plate outlines
+ *   boundaryWidth?: number,    // falloff of boundary features, in hex steps
+ *   convergenceThreshold?: number, // |normal motion| below this is a transform boundary
+ *   dimensions?: 2|3,          // coordinates per cell in centers
+ *   wrapWidth?: number         // 2D: x period of centers on grids that wrap east-west
+ * }} [options]
+ * @returns {{
+ *   plates: Plate[],
+ *   plateIds: Uint16Array,        // [N] plate id per cell
+ *   plateBoundaries: Uint8Array,  // [N] BOUNDARY_TYPES on boundary cells
+ *   boundaryStress: Float32Array, // [N] relative plate speed at boundary cells
+ *   elevation: Float32Array       // [N] tectonic elevation, roughly -0.9..1.1
+ * }}
+ */
+export function simulatePlates(centers, neighbors, rng, options = {}) {
+  const {
+    plateCount = 8,
+    continentalRatio = 0.4,
+    roughness = 2,
+    boundaryWidth = 3,
+    convergenceThreshold = 0.3,
+    dimensions: D = 2,
+    wrapWidth
+  } = options;
+
+  const N = centers.length / D;
+  const M = neighbors.length / N; // neighbour slots per cell
+  const count = Math.max(1, Math.min(plateCount, N));
+
+  // 1. Seeds and plate properties
+  const plates = [];
+  const taken = new Set();
+  while (plates.length < count) {
+    const seed = Math.floor(rng() * N);
+    if (taken.has(seed)) continue;
+    taken.add(seed);
+    const motion = D === 3 ? randomRotation(rng) : randomMotion(rng);
+    plates.push({
+      id: plates.length,
+      type: rng() < continentalRatio ? 'continental' : 'oceanic',
+      motion,
+      seed,
+      area: 0
+    });
+  }
+  if (!plates.some(p => p.type === 'continental')) plates[0].type = 'continental';
+
+  // 2. Grow plates with randomised step costs for irregular outlines
+  const plateIds = new Uint16Array(N);
+  const assigned = new Uint8Array(N);
+  const queue = new PriorityQueue();
+  for (const plate of plates) queue.push([plate.seed, plate.id], 0);
+  while (queue.size) {
+    const cost = queue.peekPriority();
+    const [cell, id] = queue.pop();
+    if (assigned[cell]) continue;
+    assigned[cell] = 1;
+    plateIds[cell] = id;
+    plates[id].area++;
+    for (let k = 0; k < M; k++) {
+      const n = neighbors[cell * M + k];
+      if (n >= 0 && !assigned[n]) queue.push([n, id], cost + 1 + rng() * roughness);
+    }
+  }
+
+  // 3. Classify boundaries from relative motion across each shared edge
+  const plateBoundaries = new Uint8Array(N);
+  const boundaryStress = new Float32Array(N);
+  const approach = new Float32Array(N); // >0: this cell's plate moves into the other
+  const otherPlate = new Int32Array(N).fill(-1);
+  const dir = new Float64Array(D);
+  const rel = new Float64Array(D);
+  for (let i = 0; i < N; i++) {
+    const a = plates[plateIds[i]];
+    let normalSum = 0;
+    let tangentSum = 0;
+    let edges = 0;
+    for (let k = 0; k < M; k++) {
+      const n = neighbors[i * M + k];
+      if (n < 0 || plateIds[n] === plateIds[i]) continue;
+      const b = plates[plateIds[n]];
+      let len = 0;
+      for (let d = 0; d < D; d++) {
+        dir[d] = centers[n * D + d] - centers[i * D + d];
+        if (d === 0 && D === 2 && wrapWidth) dir[0] -= Math.round(dir[0] / wrapWidth) * wrapWidth;
+        len += dir[d] * dir[d];
+      }
+      len = Math.sqrt(len) || 1;
+      relativeVelocity(a, b, centers, i, D, rel);
+      let normal = 0;
+      for (let d = 0; d < D; d++) normal += rel[d] * dir[d] / len;
+      let tangent = 0;
+      for (let d = 0; d < D; d++) tangent += (rel[d] - normal * dir[d] / len) ** 2;
+      normalSum += normal;
+      tangentSum += Math.sqrt(tangent);
+      otherPlate[i] = b.id;
+      edges++;
+    }
+    if (edges === 0) continue;
+    const normal = normalSum / edges;
+    const tangent = tangentSum / edges;
+    approach[i] = normal;
+    boundaryStress[i] = Math.hypot(normal, tangent);
+    if (normal > convergenceThreshold) plateBoundaries[i] = BOUNDARY_TYPES.CONVERGENT;
+    else if (normal < -convergenceThreshold) plateBoundaries[i] = BOUNDARY_TYPES.DIVERGENT;
+    else plateBoundaries[i] = BOUNDARY_TYPES.TRANSFORM;
+  }
+
+  // 4. Spread boundary effects inwards from the nearest boundary cell
+  const { distance, nearest } = nearestBoundary(plateBoundaries, neighbors);
+  const elevation = new Float32Array(N);
+  for (let i = 0; i < N; i++) {
+    const own = plates[plateIds[i]];
+    let h = CRUST_ELEVATION[own.type];
+    const b = nearest[i];
+    if (b >= 0 && plateIds[b] === plateIds[i] && otherPlate[b] >= 0) {
+      const falloff = Math.exp(-distance[i] / boundaryWidth);
+      const other = plates[otherPlate[b]];
+      // Cap the rate so a few fast collisions do not flatten the rest after normalization
+      h += boundaryRelief(plateBoundaries[b], own, other, Math.min(1, Math.abs(approach[b])), distance[i]) * falloff;
+    }
+    elevation[i] = h;
+  }
+
+  return { plates, plateIds, plateBoundaries, boundaryStress, elevation };
+}
+
+// Constant velocity on a flat map
+function randomMotion(rng) {
+  const angle = rng() * Math.PI * 2;
+  const speed = 0.5 + rng() * 0.5;
+  return { x: Math.cos(angle) * speed, y: Math.sin(angle) * speed };
+}
+
+// Rotation about a random axis; surface speed at the equator of the axis is 0.5..1
+function randomRotation(rng) {
+  const z = rng() * 2 - 1;
+  const angle = rng() * Math.PI * 2;
+  const speed = 0.5 + rng() * 0.5;
+  const r = Math.sqrt(1 - z * z) * speed;
+  return { x: Math.cos(angle) * r, y: Math.sin(angle) * r, z: z * speed };
+}
+
+/**
+ * Velocity of plate a relative to plate b at cell i, written to out.
+ * On a sphere a plate's velocity at unit position p is motion × p.
+ */
+function relativeVelocity(a, b, centers, i, D, out) {
+  const wx = a.motion.x - b.motion.x;
+  const wy = a.motion.y - b.motion.y;
+  if (D === 2) {
+    out[0] = wx;
+    out[1] = wy;
+    return;
+  }
+  const wz = a.motion.z - b.motion.z;
+  const px = centers[i * 3];
+  const py = centers[i * 3 + 1];
+  const pz = centers[i * 3 + 2];
+  const len = Math.hypot(px, py, pz) || 1;
+  out[0] = (wy * pz - wz * py) / len;
+  out[1] = (wz * px - wx * pz) / len;
+  out[2] = (wx * py - wy * px) / len;
+}
+
+/**
+ * Elevation change caused by a boundary on one side of it.
+ * @param {number} type - BOUNDARY_TYPES value
+ * @param {Plate} own - Plate the cell belongs to
+ * @param {Plate} other - Plate across the boundary
+ * @param {number} rate - Normal speed across the boundary
+ * @param {number} dist - Hex steps from the boundary
+ * @returns {number}
+ */
+function boundaryRelief(type, own, other, rate, dist) {
+  const ownOcean = own.type === 'oceanic';
+  const otherOcean = other.type === 'oceanic';
+  switch (type) {
+    case BOUNDARY_TYPES.CONVERGENT: {
+      if (!ownOcean && !otherOcean) return 0.5 * rate;            // collision range
+      if (!ownOcean && otherOcean) return 0.4 * rate;             // volcanic arc on the continent
+      if (ownOcean && !otherOcean) return -0.35 * rate;           // trench at the subduction zone
+      // Ocean-ocean: the lower-id plate subducts; an island arc rises a little
+      // way back from the trench on the overriding plate
+      if (own.id < other.id) return -0.35 * rate;
+      return dist >= 1 ? 0.6 * rate : 0.2 * rate;
+    }
+    case BOUNDARY_TYPES.DIVERGENT:
+      return ownOcean ? 0.1 * rate : -0.25 * rate;               // mid-ocean ridge / rift valley
+    case BOUNDARY_TYPES.TRANSFORM:
+      return -0.05;                                                // fault line
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Multi-source BFS from boundary cells that remembers which boundary cell is closest.
+ * @param {Uint8Array} plateBoundaries
+ * @param {Int32Array} neighbors
+ * @returns {{ distance: Int32Array, nearest: Int32Array }}
+ */
+function nearestBoundary(plateBoundaries, neighbors) {
+  const N = plateBoundaries.length;
+  const M = neighbors.length / N; // neighbour slots per cell
+  const distance = new Int32Array(N).fill(-1);
+  const nearest = new Int32Array(N).fill(-1);
+  const queue = new Int32Array(N);
+  let head = 0;
+  let tail = 0;
+  for (let i = 0; i < N; i++) {
+    if (!plateBoundaries[i]) continue;
+    distance[i] = 0;
+    nearest[i] = i;
+    queue[tail++] = i;
+  }
+  while (head < tail) {
+    const c = queue[head++];
+    for (let k = 0; k < M; k++) {
+      const n = neighbors[c * M + k];
+      if (n < 0 || distance[n] >= 0) continue;
+      distance[n] = distance[c] + 1;
+      nearest[n] = nearest[c];
+      queue[tail++] = n;
+    }
+  }
+  return { distance, nearest };
+}
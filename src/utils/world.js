@@ -0,0 +1,152 @@
+/**
+ * Struct-of-arrays world model shared by all generation steps.
+ *
+ * A World holds named, cell-indexed typed-array layers in the grid's cell order
+ * (createHexGrid's col * H + row on hex grids), together with the grid
+ * topology (hex, Voronoi or sphere, see cellGrid.js), the sea level, and
+ * non-cell features such as rivers, lakes or settlements. Steps read their
+ * inputs from it and add their outputs to it, so every layer has the same
+ * length and indexing and large maps do not need per-cell objects.
+ */
+
+import { createHexGrid } from '../grid/hexGrid.js';
+import { createHexTopology } from '../grid/hexTopology.js';
+
+/**
+ * @typedef {{
+ *   type: Function,           // typed-array constructor
+ *   units: string,
+ *   range: [number, number],  // expected values; Infinity for unbounded
+ *   description: string,
+ *   legend?: Array<string|null> // names for id values (e.g. biomeId)
+ * }} LayerInfo
+ */
+
+/**
+ * Known layers and their metadata. Steps may add other layers by passing
+ * their own info to addLayer.
+ * @type {Object<string, LayerInfo>}
+ */
+export const LAYERS = {
+  elevation: { type: Float32Array, units: 'normalized', range: [0, 1], description: 'Surface height; land is >= seaLevel' },
+  erosionDelta: { type: Float32Array, units: 'normalized', range: [-1, 1], description: 'Hydraulic erosion (-) and deposition (+)' },
+  thermalDelta: { type: Float32Array, units: 'normalized', range: [-1, 1], description: 'Thermal weathering (-) and scree (+)' },
+  plateId: { type: Uint16Array, units: 'id', range: [0, 65535], description: 'Tectonic plate' },
+  plateBoundary: { type: Uint8Array, units: 'BOUNDARY_TYPES', range: [0, 3], description: 'Plate boundary type' },
+  boundaryStress: { type: Float32Array, units: 'relative speed', range: [0, Infinity], description: 'Plate speed difference on boundaries' },
+  landMask: { type: Uint8Array, units: 'flag', range: [0, 1], description: '1 on land' },
+  signedDistance: { type: Float32Array, units: 'cells', range: [-Infinity, Infinity], description: 'Distance to the coast, positive on land' },
+  distanceToCoast: { type: Float32Array, units: 'cells', range: [0, Infinity], description: 'Distance to the nearest coastal land cell' },
+  depth: { type: Float32Array, units: 'metres', range: [0, Infinity], description: 'Water depth below sea level, 0 on land' },
+  depthZone: { type: Uint8Array, units: 'DEPTH_ZONES', range: [0, 5], description: 'Ocean depth zone', legend: ['land', 'shelf', 'slope', 'abyssal', 'trench', 'seamount'] },
+  depthBand: { type: Uint8Array, units: 'band', range: [0, 255], description: 'Band between isobaths, 1 shallowest; 0 on land' },
+  featureId: { type: Int32Array, units: 'id', range: [0, Infinity], description: 'Land or water feature (features.geography)' },
+  discharge: { type: Float32Array, units: 'cells of runoff', range: [0, Infinity], description: 'Accumulated water flow' },
+  riverMap: { type: Float32Array, units: 'cells of runoff', range: [0, Infinity], description: 'Discharge on river cells, 0 elsewhere' },
+  riverId: { type: Int32Array, units: 'id', range: [-1, Infinity], description: 'Owning river, -1 elsewhere' },
+  strahler: { type: Uint8Array, units: 'order', range: [0, 255], description: 'Strahler stream order on river cells' },
+  shreve: { type: Uint32Array, units: 'magnitude', range: [0, Infinity], description: 'Shreve stream magnitude on river cells' },
+  lakeId: { type: Int32Array, units: 'id', range: [-1, Infinity], description: 'Lake, -1 elsewhere' },
+  freshWater: { type: Uint8Array, units: 'flag', range: [0, 1], description: '1 on rivers and freshwater lakes' },
+  distanceToFreshWater: { type: Float32Array, units: 'cells', range: [0, Infinity], description: 'Distance to the nearest fresh water' },
+  receiver: { type: Int32Array, units: 'cell', range: [-1, Infinity], description: 'Downstream cell, -1 for sinks' },
+  filledElevation: { type: Float64Array, units: 'normalized', range: [0, 1], description: 'Depression-filled elevation' },
+  biomeId: { type: Uint8Array, units: 'id', range: [0, 255], description: 'Biome, 0 where none is assigned' },
+  temperature: { type: Float32Array, units: '°C', range: [-Infinity, Infinity], description: 'Mean annual temperature' },
+  moisture: { type: Float32Array, units: 'normalized', range: [0, 1], description: 'Relative moisture' },
+  roadMap: { type: Uint8Array, units: 'flag', range: [0, 1], description: '1 on road cells' },
+  stateId: { type: Uint16Array, units: 'id', range: [0, 65535], description: 'Political state, 0 for none' }
+};
+
+export class World {
+  /**
+   * @param {number} width - Grid width (columns)
+   * @param {number} height - Grid height (rows)
+   * @param {{ topology?: import('../grid/cellGrid.js').CellGrid, seaLevel?: number, hexGrid?: Array }} [options]
+   *   The topology defaults to a W×H hex grid
+   */
+  constructor(width, height, { topology, seaLevel, hexGrid } = {}) {
+    this.width = width;
+    this.height = height;
+    this.seaLevel = seaLevel;
+    this.topology = topology ?? createHexTopology(width, height);
+    /** Non-cell outputs by name: rivers, lakes, settlements, roads, labels, ... */
+    this.features = {};
+    this.layers = new Map();
+    this.info = new Map();
+    this.cells = hexGrid ?? null;
+  }
+
+  get cellCount() {
+    return this.topology.cellCount;
+  }
+
+  /**
+   * `{col,row,q,r}` objects for code that works per cell; built on first use.
+   * Null on grids other than hex, which only have the topology tables.
+   * @returns {Array<{col:number,row:number,q:number,r:number}>|null}
+   */
+  get hexGrid() {
+    if (!this.cells && this.topology.type === 'hex') {
+      const { orientation, parity } = this.topology;
+      this.cells = createHexGrid(this.width, this.height, { orientation, parity });
+    }
+    return this.cells;
+  }
+
+  /**
+   * Add or replace a layer.
+   *
+   * @param {string} name
+   * @param {ArrayLike<number>|Function} [values] - Array of cellCount values, or a typed-array
+   *   constructor for an empty layer; defaults to the LAYERS type
+   * @param {Partial<LayerInfo>} [info] - Overrides the LAYERS metadata
+   * @returns {ArrayLike<number>} The stored array
+   */
+  addLayer(name, values, info = {}) {
+    const meta = { ...LAYERS[name], ...info };
+    if (values === undefined || typeof values === 'function') {
+      const Type = values ?? meta.type;
+      if (!Type) throw new Error(`Layer "${name}" needs values or a type`);
+      values = new Type(this.cellCount);
+    }
+    if (values.length !== this.cellCount) {
+      throw new Error(`Layer "${name}" has ${values.length} values for ${this.cellCount} cells`);
+    }
+    this.layers.set(name, values);
+    this.info.set(name, { ...meta, type: values.constructor });
+    return values;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {ArrayLike<number>}
+   */
+  getLayer(name) {
+    const values = this.layers.get(name);
+    if (!values) throw new Error(`World has no "${name}" layer`);
+    return values;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  hasLayer(name) {
+    return this.layers.has(name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {LayerInfo}
+   */
+  layerInfo(name) {
+    this.getLayer(name);
+    return this.info.get(name);
+  }
+
+  /** @returns {string[]} Layer names in the order they were added */
+  layerNames() {
+    return [...this.layers.keys()];
+  }
+}